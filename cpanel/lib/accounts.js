@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const { tryRun } = require('./command');
+
+// System users and groups, for showing file owners by name and validating
+// chown requests. getent also covers accounts from LDAP/NSS; without it the
+// local /etc/passwd and /etc/group are read. Results are cached briefly.
+const CACHE_TTL = 60 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+// "name:x:id:..." lines -> [{ name, id }]
+function parseDatabase(text) {
+  return text.split('\n')
+    .map(line => line.split(':'))
+    .filter(fields => fields.length >= 3 && fields[0] && /^\d+$/.test(fields[2]))
+    .map(fields => ({ name: fields[0], id: Number(fields[2]) }));
+}
+
+async function readDatabase(name) {
+  const result = await tryRun('getent', [name], { timeout: 10 * 1000 });
+  if (result) {
+    return parseDatabase(result.stdout);
+  }
+  return parseDatabase(await fs.readFile(`/etc/${name}`, 'utf8').catch(() => ''));
+}
+
+async function load() {
+  if (!cache || Date.now() - cachedAt > CACHE_TTL) {
+    const [users, groups] = await Promise.all([readDatabase('passwd'), readDatabase('group')]);
+    cache = {
+      users,
+      groups,
+      userNames: new Map(users.map(user => [user.id, user.name])),
+      groupNames: new Map(groups.map(group => [group.id, group.name]))
+    };
+    cachedAt = Date.now();
+  }
+  return cache;
+}
+
+// Numeric ids are accepted as they are; names must exist. Returns null if unknown.
+function findId(entries, value) {
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const entry = entries.find(item => item.name === value);
+  return entry ? entry.id : null;
+}
+
+async function uidFor(value) {
+  return findId((await load()).users, value);
+}
+
+async function gidFor(value) {
+  return findId((await load()).groups, value);
+}
+
+async function list() {
+  const { users, groups } = await load();
+  return {
+    users: users.map(user => user.name),
+    groups: groups.map(group => group.name)
+  };
+}
+
+// id -> name lookups for a directory listing
+async function names() {
+  const { userNames, groupNames } = await load();
+  return {
+    user: uid => userNames.get(uid) || String(uid),
+    group: gid => groupNames.get(gid) || String(gid)
+  };
+}
+
+module.exports = {
+  uidFor,
+  gidFor,
+  list,
+  names
+};
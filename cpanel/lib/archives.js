@@ -0,0 +1,323 @@
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fs = require('fs-extra');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const jail = require('./jail');
+const jobs = require('./jobs');
+const config = require('./config');
+const { run } = require('./command');
+const { httpError } = require('./errors');
+
+// Compressing and extracting archives from the file manager. Both run as
+// background jobs. Before extracting, every entry is checked so nothing can
+// be written outside the destination (zip-slip) and the archive can't unpack
+// into more entries or bytes than the archives.* settings allow.
+const EXTRACT_TIMEOUT = 6 * 60 * 60 * 1000;
+
+const COMPRESS_FORMATS = [
+  { format: 'zip', extensions: ['.zip'] },
+  { format: 'tar.gz', extensions: ['.tar.gz', '.tgz'] }
+];
+
+// tar reads the compression from the data itself, so every tar variant extracts the same way
+const EXTRACT_FORMATS = [
+  { format: 'zip', extensions: ['.zip'] },
+  { format: 'tar', extensions: ['.tar', '.tar.gz', '.tgz', '.tar.xz', '.txz'] }
+];
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function formatFor(formats, filePath) {
+  const name = filePath.toLowerCase();
+  const match = formats.find(entry => entry.extensions.some(extension => name.endsWith(extension)));
+  return match ? match.format : null;
+}
+
+function limits() {
+  return {
+    entries: config.get('archives.maxEntries'),
+    bytes: config.get('archives.maxExtractedMB') * 1024 * 1024
+  };
+}
+
+function cancelled() {
+  return Object.assign(new Error('Cancelled'), { cancelled: true });
+}
+
+// Compress
+
+async function compress(user, sources, destination) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw httpError(400, 'No source paths given');
+  }
+  const format = formatFor(COMPRESS_FORMATS, destination || '');
+  if (!format) {
+    throw httpError(400, 'The archive name must end in .zip, .tar.gz or .tgz');
+  }
+
+  const target = await jail.resolve(user, destination);
+  if (await fs.pathExists(target)) {
+    throw httpError(409, `${destination} already exists`);
+  }
+  const entries = [];
+  for (const sourcePath of sources) {
+    const source = await jail.resolve(user, sourcePath, { follow: false });
+    if (jail.containsProtected(source)) {
+      throw httpError(403, `Access denied: ${sourcePath} contains protected system paths`);
+    }
+    const stats = await fs.lstat(source).catch(() => null);
+    if (!stats) {
+      throw httpError(404, `${sourcePath} does not exist`);
+    }
+    entries.push({ source, name: path.basename(source), isDirectory: stats.isDirectory() });
+  }
+
+  const description = `Compress ${sources.length === 1 ? sources[0] : `${sources.length} items`} to ${destination}`;
+  return jobs.start(user, 'compress', description, context => writeArchive(format, entries, target, context)
+    .then(() => fs.stat(target))
+    .then(stats => ({ path: destination, size: stats.size })));
+}
+
+function writeArchive(format, entries, target, context) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(target, { flags: 'wx', mode: 0o644 });
+    const archive = format === 'zip'
+      ? archiver('zip', { zlib: { level: 9 } })
+      : archiver('tar', { gzip: true });
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      archive.abort();
+      output.destroy();
+      fs.remove(target).catch(() => {}).then(() => reject(error));
+    };
+
+    context.signal.addEventListener('abort', () => fail(cancelled()), { once: true });
+    archive.on('error', fail);
+    archive.on('warning', fail);
+    output.on('error', fail);
+    output.on('close', () => {
+      if (!failed) resolve();
+    });
+    archive.on('progress', ({ entries: counts, fs: bytes }) => {
+      context.progress(bytes.processedBytes, bytes.totalBytes, `${counts.processed} of ${counts.total} entries`);
+    });
+
+    archive.pipe(output);
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        // Leave out the archive itself when it is written inside a folder being compressed
+        archive.directory(entry.source, entry.name, data => (path.join(entry.source, data.name) === target ? false : data));
+      } else {
+        archive.file(entry.source, { name: entry.name });
+      }
+    }
+    archive.finalize();
+  });
+}
+
+// Extract
+
+// One "tar -tv" line: type and mode, owner, size, date, time, name
+const TAR_LISTING = /^(\S)\S*\s+\S+\s+(\d+)\s+\d{4}-\d\d-\d\d \d\d:\d\d(?::\d\d)?\s(.*)$/;
+
+async function listTar(archivePath, context) {
+  const { entries } = limits();
+  const { stdout } = await run('tar', ['-t', '-v', '--numeric-owner', '-f', archivePath], {
+    timeout: EXTRACT_TIMEOUT,
+    maxOutput: entries * 8192,
+    signal: context.signal
+  });
+
+  return stdout.split('\n').filter(Boolean).map(line => {
+    const match = TAR_LISTING.exec(line);
+    if (!match) {
+      throw httpError(400, `Unsupported archive entry: ${line}`);
+    }
+    const [, type, size, rest] = match;
+    switch (type) {
+      case '-':
+        return { name: rest, type: 'file', size: Number(size) };
+      case 'd':
+        return { name: rest, type: 'directory', size: 0 };
+      case 'l': {
+        const [name, linkTarget] = rest.split(' -> ');
+        return { name, type: 'symlink', size: 0, linkTarget };
+      }
+      case 'h': {
+        const [name, linkTarget] = rest.split(' link to ');
+        return { name, type: 'hardlink', size: 0, linkTarget };
+      }
+      default:
+        throw httpError(400, `Refusing to extract special file ${rest}`);
+    }
+  });
+}
+
+async function listZip(archivePath) {
+  const directory = await unzipper.Open.file(archivePath);
+  return directory.files.map(file => {
+    const mode = file.externalFileAttributes >>> 16;
+    let type = file.type === 'Directory' ? 'directory' : 'file';
+    if ((mode & S_IFMT) === S_IFLNK) {
+      type = 'symlink';
+    }
+    return { name: file.path, type, size: file.uncompressedSize, file };
+  });
+}
+
+// Throws unless every entry lands inside destination and the totals are within limits
+async function checkEntries(user, entries, destination, { overwrite }) {
+  const limit = limits();
+  if (entries.length > limit.entries) {
+    throw httpError(400, `The archive has ${entries.length} entries; at most ${limit.entries} may be extracted`);
+  }
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  if (totalSize > limit.bytes) {
+    throw httpError(400, `The archive unpacks to ${Math.ceil(totalSize / 1024 / 1024)} MB; at most ${config.get('archives.maxExtractedMB')} MB may be extracted`);
+  }
+
+  const links = new Set(entries
+    .filter(entry => entry.type === 'symlink')
+    .map(entry => path.resolve(destination, entry.name)));
+
+  for (const entry of entries) {
+    const target = path.resolve(destination, entry.name);
+    if (path.isAbsolute(entry.name) || !jail.isWithin(target, destination) || (target === destination && entry.type !== 'directory')) {
+      throw httpError(400, `Refusing to extract ${entry.name}: it would be written outside the destination folder`);
+    }
+    // A later entry under a symlink from the same archive could be redirected anywhere
+    for (let parent = path.dirname(target); parent !== destination && jail.isWithin(parent, destination); parent = path.dirname(parent)) {
+      if (links.has(parent)) {
+        throw httpError(400, `Refusing to extract ${entry.name}: it is inside the symlink ${path.relative(destination, parent)}`);
+      }
+    }
+    if (entry.type === 'symlink' || entry.type === 'hardlink') {
+      const linkTarget = entry.type === 'symlink'
+        ? path.resolve(path.dirname(target), entry.linkTarget)
+        : path.resolve(destination, entry.linkTarget);
+      if (!jail.isWithin(linkTarget, destination)) {
+        throw httpError(400, `Refusing to extract ${entry.name}: it links to ${entry.linkTarget}, outside the destination folder`);
+      }
+    }
+    // Existing symlinks in the destination must not lead anywhere the user can't write
+    entry.target = await jail.resolve(user, target, { follow: false });
+    if (!overwrite && entry.type !== 'directory' && await fs.pathExists(entry.target)) {
+      throw httpError(409, `${entry.name} already exists in the destination folder`);
+    }
+  }
+  return totalSize;
+}
+
+// Counts bytes as they are written; a zip can claim small sizes and still inflate to far more
+function byteCounter(entry, totals, limit) {
+  let written = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      totals.bytes += chunk.length;
+      if (written > entry.size || totals.bytes > limit) {
+        return callback(httpError(400, `${entry.name} unpacks to more data than the archive declares`));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+async function extractZip(entries, totalSize, { overwrite }, context) {
+  const limit = limits().bytes;
+  const totals = { bytes: 0 };
+  let skipped = 0;
+
+  for (const entry of entries) {
+    if (context.signal.aborted) {
+      throw cancelled();
+    }
+    if (entry.type === 'directory') {
+      await fs.mkdirp(entry.target);
+      continue;
+    }
+    if (entry.type === 'symlink') {
+      skipped++;
+      continue;
+    }
+    await fs.mkdirp(path.dirname(entry.target));
+    if (overwrite) {
+      // Replace rather than write through an existing symlink
+      const existing = await fs.lstat(entry.target).catch(() => null);
+      if (existing && existing.isDirectory()) {
+        throw httpError(409, `${entry.name} is a folder in the destination and cannot be replaced by a file`);
+      }
+      await fs.remove(entry.target);
+    }
+    await pipeline(
+      entry.file.stream(),
+      byteCounter(entry, totals, limit),
+      fs.createWriteStream(entry.target, { flags: 'wx' }),
+      { signal: context.signal }
+    );
+    context.progress(totals.bytes, totalSize, entry.name);
+  }
+  return { skipped };
+}
+
+async function extractTar(archivePath, entries, destination, { overwrite }, context) {
+  let extracted = 0;
+  await run('tar', [
+    '-x', '-v',
+    '-f', archivePath,
+    '-C', destination,
+    '--no-same-owner',
+    '--no-same-permissions',
+    // tar's default replaces existing files by unlinking them first
+    ...(overwrite ? [] : ['--keep-old-files'])
+  ], {
+    timeout: EXTRACT_TIMEOUT,
+    maxOutput: entries.length * 8192 + 1024 * 1024,
+    signal: context.signal,
+    onStdout: (chunk) => {
+      extracted += chunk.toString().split('\n').length - 1;
+      context.progress(extracted, entries.length, `${extracted} of ${entries.length} entries`);
+    }
+  });
+  return { skipped: 0 };
+}
+
+async function extract(user, archivePath, destination, { overwrite = false } = {}) {
+  const source = await jail.resolve(user, archivePath);
+  const stats = await fs.stat(source).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw httpError(404, `${archivePath} is not a file`);
+  }
+  const format = formatFor(EXTRACT_FORMATS, source);
+  if (!format) {
+    throw httpError(400, 'Only .zip, .tar, .tar.gz, .tgz, .tar.xz and .txz archives can be extracted');
+  }
+  const target = await jail.resolve(user, destination);
+  const targetStats = await fs.stat(target).catch(() => null);
+  if (targetStats && !targetStats.isDirectory()) {
+    throw httpError(400, `${destination} is not a directory`);
+  }
+
+  return jobs.start(user, 'extract', `Extract ${archivePath} to ${destination}`, async (context) => {
+    context.progress(0, 0, 'Checking archive contents');
+    const entries = format === 'zip' ? await listZip(source) : await listTar(source, context);
+    const totalSize = await checkEntries(user, entries, target, { overwrite });
+    await fs.mkdirp(target);
+
+    const { skipped } = format === 'zip'
+      ? await extractZip(entries, totalSize, { overwrite }, context)
+      : await extractTar(source, entries, target, { overwrite }, context);
+    return { path: destination, entries: entries.length - skipped, skipped };
+  });
+}
+
+module.exports = {
+  compress,
+  extract
+};
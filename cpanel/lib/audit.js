@@ -0,0 +1,185 @@
+const fs = require('fs-extra');
+const store = require('./store');
+
+// Append-only JSON Lines file; entries are never rewritten or removed by the panel
+const AUDIT_FILE = store.dataPath('audit.log');
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const SENSITIVE_KEY = /pass(word)?|secret|token|code|credential/i;
+const MAX_PARAM_LENGTH = 1000;
+const READ_CHUNK = 64 * 1024;
+
+const stream = fs.createWriteStream(AUDIT_FILE, { flags: 'a', mode: 0o600 });
+
+function redact(value, depth = 0) {
+  if (Array.isArray(value)) {
+    return value.slice(0, 100).map(item => redact(item, depth + 1));
+  }
+  if (value && typeof value === 'object' && depth < 5) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEY.test(key) ? '[redacted]' : redact(item, depth + 1);
+    }
+    return result;
+  }
+  if (typeof value === 'string' && value.length > MAX_PARAM_LENGTH) {
+    return `${value.slice(0, MAX_PARAM_LENGTH)}…`;
+  }
+  return value;
+}
+
+function record(entry) {
+  stream.write(JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+}
+
+// "/api/vms/web1/start" -> "vms"; used as the action type for filtering
+function actionType(requestPath) {
+  const match = /^\/api\/([^/]+)/i.exec(requestPath);
+  return match ? match[1] : 'other';
+}
+
+// The authenticated user; for a login attempt, the name it was made for.
+// Any other anonymous request has no actor, whatever its body claims.
+function actorOf(req) {
+  if (req.user) {
+    return req.user.username;
+  }
+  const isLogin = req.method === 'POST' && req.path === '/api/auth/login';
+  return isLogin && req.body && typeof req.body.username === 'string' ? req.body.username : null;
+}
+
+// Express middleware recording every state-changing API request once the
+// response is sent, including its outcome and any error message
+function auditTrail(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method) || !req.path.toLowerCase().startsWith('/api/')) {
+    return next();
+  }
+
+  let responseError = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.error) {
+      responseError = body.error;
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    // Set by routes whose requests are covered by another entry (e.g. upload chunks)
+    if (req.skipAudit) {
+      return;
+    }
+    const params = { ...req.params, ...(Buffer.isBuffer(req.body) ? {} : req.body) };
+    if (req.file) {
+      params.file = { name: req.file.originalname, path: req.file.path, size: req.file.size };
+    }
+    record({
+      actor: actorOf(req),
+      via: req.token ? `token:${req.token.id}` : (req.user ? 'session' : 'anonymous'),
+      ip: req.ip,
+      type: actionType(req.originalUrl),
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : null,
+      path: req.originalUrl.split('?')[0],
+      params: redact(params),
+      status: res.statusCode,
+      result: res.statusCode < 400 ? 'success' : 'failure',
+      error: responseError
+    });
+  });
+  next();
+}
+
+// Lines of a file from the last to the first, read in chunks from the end
+async function* linesFromEnd(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    let position = (await handle.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      // Splitting on the newline byte is safe: it never occurs inside a UTF-8 sequence
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      let index;
+      while (end > 0 && (index = buffer.lastIndexOf(0x0a, end - 1)) !== -1) {
+        yield buffer.toString('utf8', index + 1, end);
+        end = index;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length > 0) {
+      yield rest.toString('utf8');
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Newest first. Filters: user, type, from/to (anything Date.parse accepts), limit.
+// The log is read backwards and only until `limit` entries match.
+async function query({ user, type, from, to, limit = 500 } = {}) {
+  if (!(await fs.pathExists(AUDIT_FILE))) {
+    return [];
+  }
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+  const entries = [];
+
+  for await (const line of linesFromEnd(AUDIT_FILE)) {
+    if (entries.length >= limit) {
+      break;
+    }
+    if (!line) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    const time = Date.parse(entry.timestamp);
+    if ((user && entry.actor !== user) ||
+        (type && entry.type !== type) ||
+        (fromTime && time < fromTime) ||
+        (toTime && time > toTime)) {
+      continue;
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+const CSV_COLUMNS = ['timestamp', 'actor', 'via', 'ip', 'type', 'method', 'route', 'path', 'params', 'status', 'result', 'error'];
+
+// Spreadsheets run a cell starting with one of these as a formula; numbers
+// like "-12.5" are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  record,
+  auditTrail,
+  query,
+  csvField,
+  toCsv
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const cookie = require('cookie');
+const users = require('./users');
+const tokens = require('./tokens');
+const config = require('./config');
+
+const SESSION_COOKIE = 'cpanel.sid';
+// A password-verified session waiting for its TOTP code
+const SECOND_FACTOR_TIMEOUT = 5 * 60 * 1000;
+const MAX_SECOND_FACTOR_ATTEMPTS = 5;
+
+// Sessions are kept in memory: restarting the panel logs everyone out
+const sessions = new Map();
+const endListeners = [];
+
+// Sessions created with secondFactorPending grant no access until
+// completeSecondFactor swaps them for a full session
+function createSession(username, req, { secondFactorPending = false } = {}) {
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'),
+    username,
+    ip: req.ip,
+    secondFactorPending,
+    failedAttempts: 0,
+    createdAt: Date.now(),
+    lastSeen: Date.now()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function endSession(id, reason) {
+  const session = sessions.get(id);
+  if (!session) {
+    return;
+  }
+  sessions.delete(id);
+  endListeners.forEach(listener => listener(session, reason));
+}
+
+function endUserSessions(username, reason, exceptId) {
+  for (const session of sessions.values()) {
+    if (session.username === username && session.id !== exceptId) {
+      endSession(session.id, reason);
+    }
+  }
+}
+
+// Called with (session, reason) whenever a session is logged out or expires
+function onSessionEnd(listener) {
+  endListeners.push(listener);
+}
+
+function idleTimeout() {
+  return config.get('session.idleMinutes') * 60 * 1000;
+}
+
+function getSession(id) {
+  const session = id && sessions.get(id);
+  if (!session) {
+    return null;
+  }
+  const timeout = session.secondFactorPending ? SECOND_FACTOR_TIMEOUT : idleTimeout();
+  if (Date.now() - session.lastSeen > timeout) {
+    endSession(id, 'expired');
+    return null;
+  }
+  return session;
+}
+
+function sessionIdFromHeaders(headers) {
+  const cookies = cookie.parse(headers.cookie || '');
+  return cookies[SESSION_COOKIE];
+}
+
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/'
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+function getPendingSession(req) {
+  const session = getSession(sessionIdFromHeaders(req.headers));
+  return session && session.secondFactorPending ? session : null;
+}
+
+// Verify the second factor for a pending session. On success the pending
+// session is replaced by a fresh, fully authenticated one (new id).
+function completeSecondFactor(pending, code, req) {
+  const method = users.verifySecondFactor(pending.username, code);
+  if (!method) {
+    pending.failedAttempts++;
+    if (pending.failedAttempts >= MAX_SECOND_FACTOR_ATTEMPTS) {
+      endSession(pending.id, 'too many second factor attempts');
+    }
+    return null;
+  }
+  endSession(pending.id, 'second factor completed');
+  return { session: createSession(pending.username, req), method };
+}
+
+// Resolve the session and its user; a deleted user invalidates the session.
+// Sessions still waiting for their second factor do not count.
+function authenticateRequest(headers) {
+  const session = getSession(sessionIdFromHeaders(headers));
+  if (!session || session.secondFactorPending) {
+    return null;
+  }
+  const user = users.getUser(session.username);
+  if (!user) {
+    endSession(session.id, 'user removed');
+    return null;
+  }
+  return { session, user };
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Runs early (before rate limiting) so API token requests can be told apart.
+// Sets req.token and req.tokenUser for a valid bearer token; never rejects.
+function identifyToken(req, res, next) {
+  const value = bearerToken(req);
+  if (value) {
+    const token = tokens.verifyToken(value, req.ip);
+    const owner = token && users.getUser(token.owner);
+    if (owner) {
+      req.token = token;
+      req.tokenUser = owner;
+    }
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (bearerToken(req)) {
+    if (!req.tokenUser) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    req.user = req.tokenUser;
+    return next();
+  }
+
+  const auth = authenticateRequest(req.headers);
+  if (!auth) {
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect('/login.html');
+    }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  auth.session.lastSeen = Date.now();
+  req.session = auth.session;
+  req.user = auth.user;
+  next();
+}
+
+// For account endpoints (logout, password, token creation) that make no sense
+// for, or must not be reachable with, an API token
+function requireSession(req, res, next) {
+  if (!req.session) {
+    return res.status(403).json({ error: 'This action requires an interactive login session' });
+  }
+  next();
+}
+
+// socket.io middleware: only sockets carrying a live session cookie get in
+function requireSocketAuth(socket, next) {
+  const auth = authenticateRequest(socket.request.headers);
+  if (!auth) {
+    return next(new Error('Unauthorized'));
+  }
+  socket.data.sessionId = auth.session.id;
+  socket.data.user = auth.user;
+  next();
+}
+
+// Expire idle sessions even when their owner never comes back
+setInterval(() => {
+  for (const id of sessions.keys()) {
+    getSession(id);
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  idleTimeout,
+  createSession,
+  endSession,
+  endUserSessions,
+  onSessionEnd,
+  getPendingSession,
+  completeSecondFactor,
+  setSessionCookie,
+  clearSessionCookie,
+  identifyToken,
+  requireAuth,
+  requireSession,
+  requireSocketAuth
+};
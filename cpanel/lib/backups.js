@@ -0,0 +1,578 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const fs = require('fs-extra');
+const { run } = require('./command');
+const config = require('./config');
+const jail = require('./jail');
+const jobs = require('./jobs');
+const mysql = require('./mysql');
+const postgres = require('./postgres');
+const store = require('./store');
+const validate = require('./validate');
+const { httpError } = require('./errors');
+
+// Backups of folders (tar.gz) and databases, run as background jobs, and
+// the catalog that keeps track of them in backups.json.
+//
+// Database backups are plain SQL from mysqldump and pg_dump (pg_dumpall
+// for every database), gzipped unless asked otherwise, and named
+// <engine>_<database>_<timestamp>.sql[.gz] so a restore can tell what a
+// file holds. A single-database dump has no CREATE DATABASE in it and can
+// be restored into the same database or a new one. The tools get the admin
+// account of the mysql.* and postgres.* settings through a private option
+// file or the environment, never on the command line.
+//
+// Every backup the panel makes is cataloged with its source, size, SHA-256
+// checksum, duration, status and creator. Backup files found in
+// backups.defaultPath that the catalog does not know are added to it when
+// it is listed, without a checksum until they are first verified.
+
+// Backups can take a long time on large trees or databases
+const BACKUP_TIMEOUT = 6 * 60 * 60 * 1000;
+const CATALOG_FILE = 'backups.json';
+const ALL_DATABASES = 'all-databases';
+const DUMP_NAME = /^(mysql|postgres)_(.+)_(\d{8}_\d{6})\.sql(\.gz)?$/;
+// What the panel used to write: backup_<stamp>.tar.gz and db_backup_<stamp>.sql (mysqldump --all-databases)
+const LEGACY_DUMP_NAME = /^db_backup_\d{8}_\d{6}\.sql$/;
+const BACKUP_FILE = /\.(tar\.gz|tgz|tar|sql|sql\.gz)$/;
+// The last line mysqldump, pg_dump and pg_dumpall write; without it a dump was cut short
+const DUMP_COMPLETE = /-- (Dump completed|PostgreSQL database (cluster )?dump complete)/;
+const TYPES = ['files', 'database'];
+const STATUSES = ['running', 'completed', 'failed'];
+
+const catalog = store.readJson(CATALOG_FILE, { backups: [] }).backups;
+// Jobs do not survive a restart, so neither do the backups they were making
+for (const entry of catalog) {
+  if (entry.status === 'running') {
+    Object.assign(entry, { status: 'failed', error: 'Interrupted by a panel restart' });
+  }
+}
+
+function saveCatalog() {
+  store.writeJson(CATALOG_FILE, { backups: catalog });
+}
+
+// 20240131_235959, the same stamp `date +%Y%m%d_%H%M%S` used to produce
+function backupTimestamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function megabytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function optionValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Run `task` with the --defaults-extra-file argument of a temporary option
+// file holding the MySQL admin account
+async function withMysqlOptions(task) {
+  const settings = config.get('mysql');
+  const lines = ['[client]', `user=${optionValue(settings.user)}`];
+  if (settings.password) {
+    lines.push(`password=${optionValue(settings.password)}`);
+  }
+  if (await fs.pathExists(settings.socket)) {
+    lines.push(`socket=${optionValue(settings.socket)}`);
+  } else {
+    lines.push(`host=${optionValue(settings.host)}`, `port=${settings.port}`, 'protocol=TCP');
+  }
+  const file = store.dataPath(`mysql-client-${crypto.randomBytes(6).toString('hex')}.cnf`);
+  await fs.writeFile(file, `${lines.join('\n')}\n`, { mode: 0o600 });
+  try {
+    return await task(`--defaults-extra-file=${file}`);
+  } finally {
+    await fs.remove(file).catch(() => {});
+  }
+}
+
+async function postgresEnv() {
+  const settings = config.get('postgres');
+  const env = {
+    ...process.env,
+    PGHOST: await fs.pathExists(settings.socketDir) ? settings.socketDir : settings.host,
+    PGPORT: String(settings.port),
+    PGUSER: settings.user
+  };
+  delete env.PGPASSWORD;
+  if (settings.password) {
+    env.PGPASSWORD = settings.password;
+  }
+  return env;
+}
+
+// dump(database) writes SQL to stdout (every database when it is null);
+// load(database) reads SQL from stdin and stops at the first error;
+// inspect(database) tells whether it exists, is a system database and
+// how many tables it has
+const ENGINES = {
+  mysql: {
+    label: 'MySQL',
+    module: mysql,
+    dump(database, options) {
+      return withMysqlOptions(defaults => run('mysqldump', [
+        defaults,
+        '--single-transaction',
+        '--routines',
+        '--triggers',
+        '--events',
+        '--hex-blob',
+        '--default-character-set=utf8mb4',
+        ...(database ? [database] : ['--all-databases'])
+      ], options));
+    },
+    load(database, options) {
+      return withMysqlOptions(defaults =>
+        run('mysql', [defaults, '--default-character-set=utf8mb4', ...(database ? [database] : [])], options));
+    },
+    async inspect(database) {
+      const found = (await mysql.listDatabases()).find(item => item.name === database);
+      return found ? { system: found.system, tables: found.tables } : null;
+    }
+  },
+  postgres: {
+    label: 'PostgreSQL',
+    module: postgres,
+    async dump(database, options) {
+      const env = await postgresEnv();
+      return database
+        ? run('pg_dump', ['--no-password', '--format=plain', `--dbname=${database}`], { ...options, env })
+        : run('pg_dumpall', ['--no-password'], { ...options, env });
+    },
+    // A single database is restored in one transaction, so a failure leaves it as it was
+    async load(database, options) {
+      const args = ['-X', '--quiet', '--no-password', '-v', 'ON_ERROR_STOP=1', `--dbname=${database || 'postgres'}`];
+      return run('psql', database ? [...args, '--single-transaction'] : args, { ...options, env: await postgresEnv() });
+    },
+    async inspect(database) {
+      const found = (await postgres.listDatabases()).find(item => item.name === database);
+      if (!found) {
+        return null;
+      }
+      return { system: found.system, tables: found.system ? null : await postgres.relationCount(database) };
+    }
+  }
+};
+
+function engineFor(engine) {
+  if (!Object.prototype.hasOwnProperty.call(ENGINES, engine)) {
+    throw httpError(400, `Unknown engine: use ${Object.keys(ENGINES).join(' or ')}`);
+  }
+  return ENGINES[engine];
+}
+
+// What the tool printed on stderr rather than the whole command line
+function toolError(error) {
+  if (error.cancelled) {
+    return error;
+  }
+  if (error.code === 'ENOENT' && error.path) {
+    return httpError(503, `${error.path} is not installed`);
+  }
+  return httpError(500, (error.stderr || '').trim() || error.message);
+}
+
+// Catalog
+
+function addEntry(fields) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type: fields.type,
+    engine: fields.engine || null,
+    source: fields.source || null,
+    file: fields.file,
+    size: fields.size === undefined ? null : fields.size,
+    checksum: null,
+    duration: null,
+    status: fields.status || 'running',
+    error: null,
+    creator: fields.creator || null,
+    imported: Boolean(fields.imported),
+    createdAt: fields.createdAt || new Date().toISOString(),
+    verifiedAt: null,
+    verified: null,
+    verifyError: null
+  };
+  catalog.push(entry);
+  saveCatalog();
+  return entry;
+}
+
+function updateEntry(entry, fields) {
+  Object.assign(entry, fields);
+  saveCatalog();
+  return entry;
+}
+
+function getEntry(id) {
+  const entry = catalog.find(item => item.id === id);
+  if (!entry) {
+    throw httpError(404, 'Backup not found');
+  }
+  return entry;
+}
+
+// SHA-256 of a file; onRead gets the bytes read so far
+async function fileChecksum(file, { signal, onRead } = {}) {
+  const hash = crypto.createHash('sha256');
+  let read = 0;
+  for await (const chunk of fs.createReadStream(file, { signal })) {
+    hash.update(chunk);
+    read += chunk.length;
+    if (onRead) {
+      onRead(read);
+    }
+  }
+  return hash.digest('hex');
+}
+
+// Record the finished file of a backup job, or why there is none
+async function finishEntry(entry, started, error) {
+  if (error) {
+    return updateEntry(entry, { status: 'failed', error: error.message, duration: Date.now() - started });
+  }
+  const { size } = await fs.stat(entry.file);
+  const checksum = await fileChecksum(entry.file);
+  return updateEntry(entry, { status: 'completed', size, checksum, duration: Date.now() - started });
+}
+
+// Backup files in the default directory that nothing in the catalog points to
+async function importUnknown() {
+  const directory = config.get('backups.defaultPath');
+  const known = new Set(catalog.map(entry => entry.file));
+  const names = await fs.readdir(directory).catch(() => []);
+  for (const name of names) {
+    const file = path.join(directory, name);
+    if (!BACKUP_FILE.test(name) || known.has(file)) {
+      continue;
+    }
+    // lstat: a symlink could point anywhere, so it is never imported
+    const stats = await fs.lstat(file).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      continue;
+    }
+    const dump = DUMP_NAME.exec(name);
+    const database = name.endsWith('.sql') || name.endsWith('.sql.gz');
+    addEntry({
+      type: database ? 'database' : 'files',
+      engine: dump ? dump[1] : LEGACY_DUMP_NAME.test(name) ? 'mysql' : null,
+      source: dump && dump[2] !== ALL_DATABASES ? dump[2] : null,
+      file,
+      size: stats.size,
+      status: 'completed',
+      imported: true,
+      createdAt: stats.mtime.toISOString()
+    });
+  }
+}
+
+// Newest first, optionally filtered by type, engine, status and a search
+// over the file, source and creator
+async function list({ type, engine, status, search } = {}) {
+  if (type) validate.oneOf(type, TYPES, 'type');
+  if (engine) engineFor(engine);
+  if (status) validate.oneOf(status, STATUSES, 'status');
+  await importUnknown();
+  const needle = (search || '').toLowerCase();
+  const entries = catalog.filter(entry =>
+    (!type || entry.type === type) &&
+    (!engine || entry.engine === engine) &&
+    (!status || entry.status === status) &&
+    (!needle || [entry.file, entry.source, entry.creator].some(value => value && value.toLowerCase().includes(needle))));
+
+  const results = [];
+  for (const entry of entries) {
+    const missing = entry.status === 'completed' && !await fs.pathExists(entry.file);
+    results.push({ ...entry, missing });
+  }
+  return results.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// A backup holds everything it was taken from. Besides admins, only the user
+// who made it may download, verify, restore or delete it, and only while
+// its file is within their allowed folders.
+async function accessibleEntry(user, id) {
+  const entry = getEntry(id);
+  if (user.role !== 'admin' && entry.creator !== user.username) {
+    throw httpError(403, 'Access denied: the backup was made by another user');
+  }
+  await jail.resolve(user, entry.file, { follow: false });
+  return entry;
+}
+
+// The file of a finished backup, for downloading
+async function backupFile(user, id) {
+  const entry = await accessibleEntry(user, id);
+  if (entry.status !== 'completed') {
+    throw httpError(409, `The backup is ${entry.status}`);
+  }
+  const stats = await fs.lstat(entry.file).catch(() => null);
+  if (!stats) {
+    throw httpError(404, `${entry.file} no longer exists`);
+  }
+  if (!stats.isFile()) {
+    throw httpError(403, `${entry.file} is not a regular file`);
+  }
+  return entry.file;
+}
+
+// Integrity beyond the checksum: tar must read the whole archive, and a
+// dump must decompress and end with its tool's completion line
+async function checkIntegrity(file, signal) {
+  if (/\.(tar\.gz|tgz|tar)$/.test(file)) {
+    try {
+      await run('tar', ['-t', '-f', file], { timeout: BACKUP_TIMEOUT, signal, bufferStdout: false, onStdout: () => {} });
+    } catch (error) {
+      throw error.cancelled ? error : httpError(422, `The archive is damaged: ${(error.stderr || error.message).trim()}`);
+    }
+    return;
+  }
+  let tail = '';
+  const collect = new Writable({
+    write(chunk, encoding, callback) {
+      tail = (tail + chunk.toString('latin1')).slice(-512);
+      callback();
+    }
+  });
+  const reader = fs.createReadStream(file, { signal });
+  try {
+    await (file.endsWith('.gz') ? pipeline(reader, zlib.createGunzip(), collect) : pipeline(reader, collect));
+  } catch (error) {
+    throw signal.aborted ? error : httpError(422, `The dump does not decompress: ${error.message}`);
+  }
+  if (!DUMP_COMPLETE.test(tail)) {
+    throw httpError(422, 'The dump does not end with a completion line; it may be truncated');
+  }
+}
+
+// Recompute the checksum (recording it if there was none, as for imported
+// files) and check the file's integrity. A problem fails the job with 422
+// and is kept on the entry.
+async function verify(user, id) {
+  const entry = await accessibleEntry(user, id);
+  const file = await backupFile(user, id);
+  const { size } = await fs.stat(file);
+
+  return jobs.start(user, 'backupverify', `Verify ${path.basename(file)}`, async context => {
+    const checksum = await fileChecksum(file, {
+      signal: context.signal,
+      onRead: read => context.progress(read, size, `${megabytes(read)} of ${megabytes(size)} checked`)
+    });
+    try {
+      if (entry.checksum && entry.checksum !== checksum) {
+        throw httpError(422, 'Checksum mismatch: the file changed after the backup was made');
+      }
+      context.progress(size, size, 'Checking integrity');
+      await checkIntegrity(file, context.signal);
+    } catch (error) {
+      if (!context.signal.aborted) {
+        updateEntry(entry, { verifiedAt: new Date().toISOString(), verified: false, verifyError: error.message });
+      }
+      throw error;
+    }
+    updateEntry(entry, {
+      checksum: entry.checksum || checksum,
+      verifiedAt: new Date().toISOString(),
+      verified: true,
+      verifyError: null
+    });
+    return { id: entry.id, file, checksum, verified: true };
+  });
+}
+
+// Delete the file and forget the backup
+async function remove(user, id) {
+  const entry = await accessibleEntry(user, id);
+  if (entry.status === 'running') {
+    throw httpError(409, 'The backup is still running');
+  }
+  await fs.remove(entry.file);
+  catalog.splice(catalog.indexOf(entry), 1);
+  saveCatalog();
+  return entry;
+}
+
+// Backups
+
+// The directory a backup is written to, inside the user's allowed folders
+async function backupDirectory(user, requested) {
+  const directory = await jail.resolve(user, requested);
+  await fs.mkdirp(directory);
+  return directory;
+}
+
+// A gzipped tar of `source` in `directory`; like a compressed folder in the
+// file manager, the source must not hold protected system paths
+async function backupFiles(user, { source: requested, directory: requestedDirectory }) {
+  const source = await jail.resolve(user, requested, { follow: false });
+  if (jail.containsProtected(source)) {
+    throw httpError(403, `Access denied: ${requested} contains protected system paths`);
+  }
+  if (!await fs.pathExists(source)) {
+    throw httpError(404, `${requested} does not exist`);
+  }
+  const directory = await backupDirectory(user, requestedDirectory);
+  const file = path.join(directory, `backup_${backupTimestamp()}.tar.gz`);
+
+  return jobs.start(user, 'backup', `Back up ${source}`, async context => {
+    const started = Date.now();
+    const entry = addEntry({ type: 'files', source, file, creator: user.username });
+    context.progress(0, 0, `Archiving ${source}`);
+    try {
+      await run('tar', ['-czf', file, '--', source], { timeout: BACKUP_TIMEOUT, signal: context.signal });
+    } catch (error) {
+      await fs.remove(file).catch(() => {});
+      const failure = toolError(error);
+      await finishEntry(entry, started, failure);
+      throw failure;
+    }
+    const backup = await finishEntry(entry, started);
+    context.progress(1, 1, `Saved to ${file}`);
+    return { backup };
+  });
+}
+
+// Dump one database, or every one when `database` is empty, into `directory`
+async function backupDatabase(user, { engine, database, compress = true, directory: requestedDirectory }) {
+  const tool = engineFor(engine);
+  const databases = await tool.module.listDatabases();
+  const selected = database ? databases.filter(item => item.name === database) : databases;
+  if (database && selected.length === 0) {
+    throw httpError(404, `${tool.label} database ${database} not found`);
+  }
+  // Progress compares the dump's length to the size on disk, so it is only an estimate
+  const expected = Math.max(selected.reduce((total, item) => total + (item.size || 0), 0), 1);
+  const directory = await backupDirectory(user, requestedDirectory);
+  const file = path.join(directory, `${engine}_${database || ALL_DATABASES}_${backupTimestamp()}.sql${compress ? '.gz' : ''}`);
+
+  return jobs.start(user, 'dbbackup', `Back up ${tool.label} ${database || 'databases'}`, async context => {
+    const started = Date.now();
+    const entry = addEntry({ type: 'database', engine, source: database || null, file, creator: user.username });
+    const partial = `${file}.partial`;
+    const sink = compress ? zlib.createGzip() : new PassThrough();
+    const written = pipeline(sink, fs.createWriteStream(partial, { mode: 0o600 }));
+    let dumped = 0;
+    let stderr;
+    try {
+      ({ stderr } = await tool.dump(database || null, {
+        timeout: BACKUP_TIMEOUT,
+        signal: context.signal,
+        stdoutStream: sink,
+        onStdout: chunk => {
+          dumped += chunk.length;
+          context.progress(Math.min(dumped, expected), expected, `${megabytes(dumped)} dumped`);
+        }
+      }));
+      await written;
+      await fs.rename(partial, file);
+    } catch (error) {
+      sink.destroy();
+      await written.catch(() => {});
+      await fs.remove(partial).catch(() => {});
+      const failure = toolError(error);
+      await finishEntry(entry, started, failure);
+      throw failure;
+    }
+    const backup = await finishEntry(entry, started);
+    context.progress(1, 1, `Saved to ${file}`);
+    return { backup, warnings: stderr.trim() || null };
+  });
+}
+
+// Load a cataloged dump into `database` (created when missing; by default
+// the one the dump was taken from), or a dump of every database back into
+// the server. Only database backups from the catalog can be restored, so no
+// other file on the server is ever fed to mysql or psql. Writing over a
+// database that has tables, and restoring a dump of every database, need
+// `confirm`. `engine` is only used for imported dumps whose engine the
+// file name does not tell.
+async function restoreDatabase(user, { id, engine, database, confirm = false }) {
+  const entry = await accessibleEntry(user, id);
+  if (entry.type !== 'database') {
+    throw httpError(400, 'Only database backups can be restored');
+  }
+  // The request's engine only fills in for dumps whose name does not tell
+  const engineName = entry.engine || engine;
+  const tool = engineFor(engineName);
+  const source = await backupFile(user, id);
+  const stats = await fs.stat(source);
+  const match = DUMP_NAME.exec(path.basename(source));
+  const wholeServer = Boolean(match) && match[2] === ALL_DATABASES;
+  if (wholeServer && database) {
+    throw httpError(400, 'A backup of every database can only be restored into the server as a whole');
+  }
+  const target = wholeServer ? null : database || (match && match[2]);
+  if (!wholeServer && !target) {
+    throw httpError(400, 'database is required');
+  }
+
+  let existing = null;
+  if (target) {
+    existing = await tool.inspect(target);
+    if (existing && existing.system) {
+      throw httpError(403, `${target} is a system database`);
+    }
+    if (existing && existing.tables > 0 && !confirm) {
+      throw httpError(409, `${target} already has ${existing.tables} table(s); confirm to restore over it`);
+    }
+  } else if (!confirm) {
+    throw httpError(409, 'This backup holds every database and replaces the ones it contains; confirm to restore it');
+  }
+
+  const description = `Restore ${path.basename(source)} into ${tool.label} ${target || 'server'}`;
+  return jobs.start(user, 'dbrestore', description, async context => {
+    const started = Date.now();
+    if (target && !existing) {
+      await tool.module.createDatabase({ name: target });
+    }
+    const reader = fs.createReadStream(source);
+    const input = source.endsWith('.gz') ? zlib.createGunzip() : new PassThrough();
+    let read = 0;
+    reader.on('data', chunk => {
+      read += chunk.length;
+      context.progress(read, stats.size, `${megabytes(read)} of ${megabytes(stats.size)} read`);
+    });
+    // Read or gunzip errors reach run() through `input`
+    pipeline(reader, input).catch(() => {});
+    try {
+      const { stderr } = await tool.load(target, {
+        input,
+        timeout: BACKUP_TIMEOUT,
+        signal: context.signal,
+        // Only errors matter, and those go to stderr
+        bufferStdout: false,
+        onStdout: () => {}
+      });
+      return {
+        file: source,
+        engine: engineName,
+        database: target,
+        created: Boolean(target) && !existing,
+        duration: Date.now() - started,
+        warnings: stderr.trim() || null
+      };
+    } catch (error) {
+      // A database created for the restore is not left half-filled
+      if (target && !existing) {
+        await tool.module.dropDatabase(target).catch(() => {});
+      }
+      throw toolError(error);
+    }
+  });
+}
+
+module.exports = {
+  list,
+  backupFile,
+  verify,
+  remove,
+  backupFiles,
+  backupDatabase,
+  restoreDatabase
+};
@@ -0,0 +1,196 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const store = require('./store');
+
+// Every external program the panel runs goes through run(): arguments are
+// passed as an array straight to the program, never through a shell.
+const DEFAULT_TIMEOUT = 60 * 1000;
+const DEFAULT_MAX_OUTPUT = 10 * 1024 * 1024;
+const HISTORY_SIZE = 200;
+
+const COMMANDS_LOG = store.dataPath('commands.log');
+const logStream = fs.createWriteStream(COMMANDS_LOG, { flags: 'a', mode: 0o600 });
+const history = [];
+
+function recordInvocation(entry) {
+  history.push(entry);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+  logStream.write(JSON.stringify(entry) + '\n');
+}
+
+function commandError(message, details) {
+  return Object.assign(new Error(message), details);
+}
+
+// Resolves with { stdout, stderr, code }. Rejects (with .code, .stdout and
+// .stderr attached, like child_process.exec errors) on a non-zero exit,
+// timeout, output overflow or spawn failure.
+//
+// Options:
+//   timeout     milliseconds before the process is killed (default 60s)
+//   maxOutput   bytes of stdout/stderr to keep before killing (default 10MB)
+//   input       string, Buffer or readable stream written to stdin; a
+//               stream is destroyed once the process exits
+//   stdoutFile  stream stdout to this file instead of buffering it
+//   stdoutStream pipe stdout into this writable (e.g. a gzip stream)
+//               instead of buffering it
+//   onStdout    called with every stdout chunk as it arrives (for progress)
+//   bufferStdout false to hand stdout only to onStdout, for long-running
+//               followers whose output would otherwise grow without bound
+//   signal      AbortSignal; aborting kills the process (error has .cancelled)
+//   cwd, env    passed through to spawn
+function run(command, args = [], options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const maxOutput = options.maxOutput || DEFAULT_MAX_OUTPUT;
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(command, args, {
+        cwd: options.cwd,
+        env: options.env || process.env,
+        stdio: [options.input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      return reject(error);
+    }
+
+    const stdout = [];
+    const stderr = [];
+    let outputSize = 0;
+    let failure = null;
+    let fileStream = null;
+
+    const kill = (error) => {
+      if (!failure) {
+        failure = error;
+        child.kill('SIGKILL');
+      }
+    };
+
+    const timer = setTimeout(() => {
+      kill(commandError(`${command} timed out after ${timeout}ms`, { timedOut: true }));
+    }, timeout);
+
+    const abort = () => kill(commandError(`${command} was cancelled`, { cancelled: true }));
+    if (options.signal) {
+      if (options.signal.aborted) {
+        abort();
+      } else {
+        options.signal.addEventListener('abort', abort, { once: true });
+      }
+    }
+
+    const collect = (chunks) => (chunk) => {
+      outputSize += chunk.length;
+      if (outputSize > maxOutput) {
+        kill(commandError(`${command} produced more than ${maxOutput} bytes of output`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    if (options.stdoutFile) {
+      fileStream = fs.createWriteStream(options.stdoutFile, { mode: 0o600 });
+      fileStream.on('error', kill);
+      child.stdout.pipe(fileStream);
+    } else if (options.stdoutStream) {
+      options.stdoutStream.on('error', kill);
+      child.stdout.pipe(options.stdoutStream);
+    } else if (options.bufferStdout !== false) {
+      child.stdout.on('data', collect(stdout));
+    }
+    if (options.onStdout) {
+      child.stdout.on('data', options.onStdout);
+    }
+    child.stderr.on('data', collect(stderr));
+
+    const inputStream = options.input && typeof options.input.pipe === 'function' ? options.input : null;
+    if (inputStream) {
+      child.stdin.on('error', () => {});
+      inputStream.on('error', kill);
+      inputStream.pipe(child.stdin);
+    } else if (options.input !== undefined) {
+      child.stdin.on('error', () => {});
+      child.stdin.end(options.input);
+    }
+
+    child.on('error', (error) => {
+      failure = failure || error;
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (inputStream) {
+        // The process may exit before reading everything (e.g. on an error)
+        inputStream.destroy();
+      }
+      if (options.signal) {
+        options.signal.removeEventListener('abort', abort);
+      }
+      const result = {
+        stdout: Buffer.concat(stdout).toString(),
+        stderr: Buffer.concat(stderr).toString(),
+        code
+      };
+
+      if (!failure && code !== 0) {
+        failure = commandError(
+          `Command failed: ${command} ${args.join(' ')}\n${result.stderr}`.trim(),
+          { signal }
+        );
+      }
+
+      recordInvocation({
+        timestamp: new Date(startedAt).toISOString(),
+        command,
+        args,
+        durationMs: Date.now() - startedAt,
+        exitCode: code,
+        signal: signal || null,
+        error: failure ? failure.message.split('\n')[0] : null
+      });
+
+      const finish = async () => {
+        if (!failure) {
+          return resolve(result);
+        }
+        if (options.stdoutFile) {
+          // Don't leave a truncated dump behind
+          await fs.remove(options.stdoutFile).catch(() => {});
+        }
+        // Keep the spawn error code (e.g. ENOENT) if there is one, else the exit code
+        reject(Object.assign(failure, { code: failure.code || code, stdout: result.stdout, stderr: result.stderr }));
+      };
+
+      if (fileStream) {
+        fileStream.end(finish);
+      } else {
+        finish();
+      }
+    });
+  });
+}
+
+// Like run(), but never rejects for a non-zero exit; returns null instead.
+// For probes such as "is this tool installed?".
+async function tryRun(command, args = [], options = {}) {
+  try {
+    return await run(command, args, options);
+  } catch (error) {
+    return null;
+  }
+}
+
+function recentInvocations() {
+  return history.slice().reverse();
+}
+
+module.exports = {
+  run,
+  tryRun,
+  recentInvocations
+};
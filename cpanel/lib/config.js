@@ -0,0 +1,314 @@
+const path = require('path');
+const net = require('net');
+const fs = require('fs-extra');
+const { EventEmitter } = require('events');
+const { httpError } = require('./errors');
+
+// Panel settings come from a JSON file (CPANEL_CONFIG, default config.json
+// next to server.js) with environment variables taking precedence. Every key
+// is described in SCHEMA; unknown keys and invalid values are rejected.
+// `kill -HUP <pid>` re-reads the file without a restart.
+const CONFIG_FILE = process.env.CPANEL_CONFIG || path.join(__dirname, '..', 'config.json');
+
+const DEFAULT_FILE_ROOTS = {
+  roles: {
+    admin: ['/'],
+    operator: ['/home', '/var/www', '/srv', '/tmp', '/backups'],
+    viewer: []
+  },
+  users: {}
+};
+
+// restart: the new value only takes effect after restarting the panel
+// secret: never returned by the settings API
+const SCHEMA = {
+  'server.port': {
+    label: 'Listen port', type: 'integer', min: 1, max: 65535, default: 8080, env: 'PORT', restart: true
+  },
+  'session.idleMinutes': {
+    label: 'Session idle timeout (minutes)', type: 'integer', min: 1, max: 1440, default: 30, env: 'SESSION_IDLE_MINUTES'
+  },
+  'rateLimit.windowMinutes': {
+    label: 'Rate limit window (minutes)', type: 'integer', min: 1, max: 1440, default: 15
+  },
+  'rateLimit.max': {
+    label: 'Requests per window', type: 'integer', min: 1, max: 1000000, default: 100, env: 'RATE_LIMIT'
+  },
+  'rateLimit.loginMax': {
+    label: 'Failed logins per window', type: 'integer', min: 1, max: 1000, default: 10
+  },
+  'uploads.maxFileSizeMB': {
+    label: 'Upload size limit (MB)', type: 'integer', min: 1, max: 102400, default: 100, env: 'MAX_FILE_SIZE'
+  },
+  'uploads.resumableMaxFileSizeMB': {
+    label: 'Resumable upload size limit (MB)', type: 'integer', min: 1, max: 10485760, default: 51200
+  },
+  'uploads.staleHours': {
+    label: 'Discard unfinished uploads after (hours)', type: 'integer', min: 1, max: 8760, default: 24
+  },
+  'monitoring.intervalSeconds': {
+    label: 'Live dashboard update interval (seconds)', type: 'integer', min: 1, max: 3600, default: 5
+  },
+  'editor.maxFileSizeKB': {
+    label: 'Largest file the editor opens (KB)', type: 'integer', min: 1, max: 51200, default: 2048
+  },
+  'archives.maxEntries': {
+    label: 'Most entries an archive may extract', type: 'integer', min: 1, max: 10000000, default: 10000
+  },
+  'archives.maxExtractedMB': {
+    label: 'Largest total size an archive may extract (MB)', type: 'integer', min: 1, max: 1048576, default: 10240
+  },
+  'trash.maxAgeDays': {
+    label: 'Purge trash items after (days)', type: 'integer', min: 1, max: 3650, default: 30
+  },
+  'trash.maxSizeMB': {
+    label: 'Largest total trash size (MB)', type: 'integer', min: 1, max: 10485760, default: 10240
+  },
+  'files.roots': {
+    label: 'File manager roots per role / user', type: 'roots', default: DEFAULT_FILE_ROOTS
+  },
+  'services.unitDir': {
+    label: 'Directory for custom systemd units', type: 'path', default: '/etc/systemd/system'
+  },
+  'cron.dDir': {
+    label: 'Directory for system cron jobs', type: 'path', default: '/etc/cron.d'
+  },
+  'mysql.socket': {
+    label: 'MySQL socket (used when it exists)', type: 'path', default: '/run/mysqld/mysqld.sock'
+  },
+  'mysql.host': {
+    label: 'MySQL host (without a socket)', type: 'string', default: '127.0.0.1'
+  },
+  'mysql.port': {
+    label: 'MySQL port', type: 'integer', min: 1, max: 65535, default: 3306
+  },
+  'mysql.user': {
+    label: 'MySQL admin user', type: 'string', default: 'root'
+  },
+  'mysql.password': {
+    label: 'MySQL admin password', type: 'string', default: '', env: 'MYSQL_PASSWORD', secret: true
+  },
+  'postgres.socketDir': {
+    label: 'PostgreSQL socket directory (used when it exists)', type: 'path', default: '/var/run/postgresql'
+  },
+  'postgres.host': {
+    label: 'PostgreSQL host (without a socket)', type: 'string', default: '127.0.0.1'
+  },
+  'postgres.port': {
+    label: 'PostgreSQL port', type: 'integer', min: 1, max: 65535, default: 5432
+  },
+  'postgres.user': {
+    label: 'PostgreSQL admin role', type: 'string', default: 'postgres'
+  },
+  'postgres.password': {
+    label: 'PostgreSQL admin password', type: 'string', default: '', env: 'POSTGRES_PASSWORD', secret: true
+  },
+  'sql.timeoutSeconds': {
+    label: 'SQL console statement timeout (seconds)', type: 'integer', min: 1, max: 3600, default: 30
+  },
+  'sql.maxRows': {
+    label: 'SQL console rows kept per result', type: 'integer', min: 1, max: 100000, default: 5000
+  },
+  'vms.imagesDir': {
+    label: 'VM disk image directory', type: 'path', default: '/var/lib/libvirt/images'
+  },
+  'vms.cloudImagesDir': {
+    label: 'Cloud image cache directory', type: 'path', default: '/var/lib/libvirt/images/cloud-images'
+  },
+  'vms.vncListen': {
+    label: 'VNC listen address for new VMs', type: 'ip', default: '0.0.0.0'
+  },
+  'backups.defaultPath': {
+    label: 'Default backup directory', type: 'path', default: '/backups'
+  }
+};
+
+const emitter = new EventEmitter();
+let current = null;
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  let target = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!target[part] || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function isPathList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && path.isAbsolute(item));
+}
+
+function isRootMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isPathList);
+}
+
+// Returns the normalized value, or throws a message describing what is wrong
+function checkValue(key, spec, value) {
+  switch (spec.type) {
+    case 'integer': {
+      const number = typeof value === 'string' ? parseInt(value, 10) : value;
+      if (!Number.isInteger(number) || number < spec.min || number > spec.max) {
+        throw new Error(`${key} must be a whole number between ${spec.min} and ${spec.max}`);
+      }
+      return number;
+    }
+    case 'path':
+      if (typeof value !== 'string' || !path.isAbsolute(value)) {
+        throw new Error(`${key} must be an absolute path`);
+      }
+      return path.normalize(value);
+    case 'ip':
+      if (typeof value !== 'string' || !net.isIP(value)) {
+        throw new Error(`${key} must be an IP address`);
+      }
+      return value;
+    case 'roots':
+      if (!value || typeof value !== 'object' || !isRootMap(value.roles || {}) || !isRootMap(value.users || {})) {
+        throw new Error(`${key} must look like {"roles": {"<role>": ["/abs/path"]}, "users": {"<user>": ["/abs/path"]}}`);
+      }
+      // Roles left out keep their default roots
+      return { roles: { ...spec.default.roles, ...value.roles }, users: { ...value.users } };
+    default:
+      if (typeof value !== 'string') {
+        throw new Error(`${key} must be a string`);
+      }
+      return value;
+  }
+}
+
+function collectKeys(object, prefix = '') {
+  const keys = [];
+  for (const [name, value] of Object.entries(object || {})) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (SCHEMA[key]) {
+      keys.push(key);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      keys.push(...collectKeys(value, key));
+    } else {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+// Merge defaults, file values and environment overrides into a validated config
+function build(fileValues) {
+  const unknown = collectKeys(fileValues).filter(key => !SCHEMA[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting(s): ${unknown.join(', ')}`);
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let value = getPath(fileValues, key);
+    if (spec.env && process.env[spec.env] !== undefined && process.env[spec.env] !== '') {
+      value = process.env[spec.env];
+    }
+    setPath(config, key, checkValue(key, spec, value === undefined ? spec.default : value));
+  }
+  return config;
+}
+
+function readFile() {
+  try {
+    return fs.readJsonSync(CONFIG_FILE);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Cannot read ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+function apply(next) {
+  const previous = current;
+  current = next;
+  if (previous) {
+    emitter.emit('change', current, previous);
+  }
+}
+
+// Called once at startup; an invalid configuration is fatal
+function load() {
+  apply(build(readFile()));
+  return current;
+}
+
+// SIGHUP handler; an invalid file keeps the running configuration
+function reload() {
+  try {
+    apply(build(readFile()));
+    console.log(`Configuration reloaded from ${CONFIG_FILE}`);
+  } catch (error) {
+    console.error(`Configuration not reloaded: ${error.message}`);
+  }
+}
+
+function get(key) {
+  if (!current) {
+    load();
+  }
+  return key ? getPath(current, key) : current;
+}
+
+function onChange(listener) {
+  emitter.on('change', listener);
+}
+
+// The settings page: every non-secret key with its current value
+function describe() {
+  return Object.entries(SCHEMA)
+    .filter(([, spec]) => !spec.secret)
+    .map(([key, spec]) => ({
+      key,
+      label: spec.label,
+      type: spec.type,
+      min: spec.min,
+      max: spec.max,
+      value: get(key),
+      restart: Boolean(spec.restart),
+      overriddenBy: spec.env && process.env[spec.env] ? spec.env : null
+    }));
+}
+
+// Save { "<key>": value } changes to the config file and apply them
+function update(changes) {
+  const fileValues = readFile();
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (!SCHEMA[key]) {
+      throw httpError(400, `Unknown setting: ${key}`);
+    }
+    setPath(fileValues, key, value);
+  }
+
+  let next;
+  try {
+    next = build(fileValues);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  const tmpFile = `${CONFIG_FILE}.${process.pid}.tmp`;
+  fs.writeJsonSync(tmpFile, fileValues, { spaces: 2, mode: 0o600 });
+  fs.renameSync(tmpFile, CONFIG_FILE);
+  apply(next);
+  return describe();
+}
+
+module.exports = {
+  CONFIG_FILE,
+  load,
+  reload,
+  get,
+  onChange,
+  describe,
+  update
+};
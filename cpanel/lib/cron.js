@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { run, tryRun } = require('./command');
+const config = require('./config');
+const accounts = require('./accounts');
+const jobs = require('./jobs');
+const { httpError } = require('./errors');
+
+// Cron jobs from user crontabs (read and written with `crontab -u`) and from
+// the files in cron.dDir (/etc/cron.d), whose lines also name the user. A
+// crontab is handled as a list of lines: a change rewrites only the job's own
+// line, so comments, variables and other jobs stay as they are. Disabled jobs
+// are commented out with DISABLED_PREFIX. Job ids hash the source, line
+// number and text, so a change to a crontab edited since it was listed fails
+// with 409 instead of hitting the wrong line.
+const DISABLED_PREFIX = '#disabled# ';
+const SPOOL_DIRS = ['/var/spool/cron/crontabs', '/var/spool/cron'];
+const CRON_D_NAME = /^[a-zA-Z0-9_-]+$/;
+const USER_NAME = /^[a-z_][a-z0-9_.-]*\$?$/i;
+const ENV_LINE = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+const PREVIEW_RUNS = 5;
+const PREVIEW_YEARS = 5;
+const RUN_TIMEOUT = 60 * 60 * 1000;
+const RUN_MAX_OUTPUT = 1024 * 1024;
+
+const FIELDS = [
+  { key: 'minute', label: 'minute', min: 0, max: 59 },
+  { key: 'hour', label: 'hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', label: 'day of month', min: 1, max: 31 },
+  { key: 'month', label: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { key: 'dayOfWeek', label: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SPECIAL_SCHEDULES = {
+  '@reboot': null,
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Writes to one crontab run one after another
+const queues = new Map();
+
+function serialize(source, task) {
+  const previous = queues.get(source) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  queues.set(source, next);
+  next.catch(() => {}).then(() => {
+    if (queues.get(source) === next) queues.delete(source);
+  });
+  return next;
+}
+
+function cronDir() {
+  return config.get('cron.dDir');
+}
+
+// "5", "1-5", "mon-fri", "*/15" or "10-50/10" -> the matching values
+function parseRange(part, field) {
+  const [range, stepText] = part.split('/');
+  const step = stepText === undefined ? 1 : Number(stepText);
+  if (!/^\d+$/.test(stepText === undefined ? '1' : stepText) || step < 1) {
+    throw new Error(`"${stepText}" is not a valid step`);
+  }
+  const value = (text) => {
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (field.key === 'month' ? 1 : 0) : (/^\d+$/.test(text) ? Number(text) : NaN);
+    if (Number.isNaN(number)) {
+      throw new Error(`"${text}" is not a number${field.names ? ' or a name' : ''}`);
+    }
+    if (number < field.min || number > field.max) {
+      throw new Error(`${number} is outside ${field.min}-${field.max}`);
+    }
+    return number;
+  };
+
+  let from = field.min;
+  let to = field.max;
+  if (range !== '*') {
+    const bounds = range.split('-');
+    if (bounds.length > 2) {
+      throw new Error(`"${range}" is not a valid range`);
+    }
+    from = value(bounds[0]);
+    to = bounds.length === 2 ? value(bounds[1]) : (stepText === undefined ? from : field.max);
+    if (to < from) {
+      throw new Error(`${range} runs backwards`);
+    }
+  }
+  const values = [];
+  for (let number = from; number <= to; number += step) {
+    values.push(number);
+  }
+  return values;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  try {
+    for (const part of String(text).split(',')) {
+      parseRange(part, field).forEach(number => values.add(number));
+    }
+  } catch (error) {
+    throw httpError(400, `Invalid ${field.label} "${text}": ${error.message}`);
+  }
+  // Sunday is both 0 and 7
+  if (field.key === 'dayOfWeek' && values.delete(7)) {
+    values.add(0);
+  }
+  return values;
+}
+
+// "*/5 * * * *" or "@daily" -> { special, fields, restricted } (fields is null for @reboot)
+function parseSchedule(schedule) {
+  if (typeof schedule !== 'string' || !schedule.trim()) {
+    throw httpError(400, 'schedule is required');
+  }
+  const text = schedule.trim();
+  if (text.startsWith('@')) {
+    if (!Object.prototype.hasOwnProperty.call(SPECIAL_SCHEDULES, text)) {
+      throw httpError(400, `Unknown schedule ${text}: use ${Object.keys(SPECIAL_SCHEDULES).join(', ')} or five fields`);
+    }
+    return SPECIAL_SCHEDULES[text] ? { ...parseSchedule(SPECIAL_SCHEDULES[text]), special: text } : { special: text, fields: null };
+  }
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw httpError(400, 'A schedule has five fields: minute, hour, day of month, month and day of week');
+  }
+  const fields = {};
+  FIELDS.forEach((field, index) => {
+    fields[field.key] = parseField(parts[index], field);
+  });
+  return {
+    special: null,
+    fields,
+    // With both day fields restricted, cron runs on days matching either
+    restricted: { dayOfMonth: !parts[2].startsWith('*'), dayOfWeek: !parts[4].startsWith('*') }
+  };
+}
+
+function dayMatches(spec, time) {
+  const dayOfMonth = spec.fields.dayOfMonth.has(time.getDate());
+  const dayOfWeek = spec.fields.dayOfWeek.has(time.getDay());
+  if (spec.restricted.dayOfMonth && spec.restricted.dayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+// The next `count` start times in server time, skipping whole months, days
+// and hours that cannot match; empty for @reboot and impossible dates
+function nextRuns(schedule, count = PREVIEW_RUNS, from = new Date()) {
+  const spec = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+  if (!spec.fields) {
+    return [];
+  }
+  const runs = [];
+  const time = new Date(from);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + PREVIEW_YEARS);
+
+  while (runs.length < count && time < limit) {
+    if (!spec.fields.month.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(spec, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!spec.fields.hour.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!spec.fields.minute.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      runs.push(time.toISOString());
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    }
+  }
+  return runs;
+}
+
+// A crontab line -> { schedule, user, command }, or null if it is no job
+function parseJobLine(text, withUser) {
+  const trimmed = text.trim();
+  const fieldCount = (trimmed.startsWith('@') ? 1 : FIELDS.length) + (withUser ? 1 : 0);
+  const parts = trimmed.split(/\s+/);
+  if (!trimmed || trimmed.startsWith('#') || ENV_LINE.test(trimmed) || parts.length <= fieldCount) {
+    return null;
+  }
+  const command = trimmed.replace(new RegExp(`^(\\S+\\s+){${fieldCount}}`), '');
+  return {
+    schedule: parts.slice(0, withUser ? fieldCount - 1 : fieldCount).join(' '),
+    user: withUser ? parts[fieldCount - 1] : null,
+    command
+  };
+}
+
+function jobId(source, index, text) {
+  return crypto.createHash('sha1').update(`${source}\n${index}\n${text}`).digest('hex').slice(0, 16);
+}
+
+// Jobs of one crontab, each with the variables set above it (cron applies
+// them to the jobs that follow)
+function parseCrontab(source, content) {
+  const withUser = source.type === 'file';
+  const lines = content.split('\n');
+  const environment = {};
+  const found = [];
+
+  lines.forEach((text, index) => {
+    const variable = ENV_LINE.exec(text);
+    if (variable) {
+      environment[variable[1]] = variable[2].replace(/^(["'])(.*)\1$/, '$2');
+      return;
+    }
+    const disabled = text.startsWith(DISABLED_PREFIX);
+    const job = parseJobLine(disabled ? text.slice(DISABLED_PREFIX.length) : text, withUser);
+    if (!job) return;
+
+    let error = null;
+    let runs = [];
+    try {
+      runs = nextRuns(job.schedule);
+    } catch (parseError) {
+      // A commented-out line that isn't a valid job is just a comment
+      if (disabled) return;
+      error = parseError.message;
+    }
+    found.push({
+      id: jobId(source.id, index, text),
+      source: source.id,
+      line: index + 1,
+      enabled: !disabled,
+      schedule: job.schedule,
+      user: withUser ? job.user : source.name,
+      command: job.command,
+      nextRuns: disabled ? [] : runs,
+      error,
+      environment: { ...environment }
+    });
+  });
+  return { lines, jobs: found };
+}
+
+// "user:alice" (alice's crontab) or "file:backup" (/etc/cron.d/backup)
+function parseSource(id) {
+  const match = /^(user|file):(.+)$/.exec(typeof id === 'string' ? id : '');
+  if (!match || !(match[1] === 'user' ? USER_NAME : CRON_D_NAME).test(match[2])) {
+    throw httpError(400, 'Invalid source: use "user:<name>" or "file:<cron.d file name>"');
+  }
+  const source = { id, type: match[1], name: match[2] };
+  if (source.type === 'file') {
+    source.path = path.join(cronDir(), source.name);
+  }
+  return source;
+}
+
+async function readSource(source) {
+  if (source.type === 'file') {
+    return fs.readFile(source.path, 'utf8').catch(error => {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    });
+  }
+  try {
+    return (await run('crontab', ['-l', '-u', source.name])).stdout;
+  } catch (error) {
+    // "no crontab for alice"
+    if (/no crontab/i.test(error.stderr || '')) return '';
+    throw httpError(500, (error.stderr && error.stderr.trim()) || error.message);
+  }
+}
+
+async function writeSource(source, content) {
+  const text = content.endsWith('\n') ? content : `${content}\n`;
+  if (source.type === 'file') {
+    // cron skips files that are group or world writable
+    const temporary = `${source.path}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, text, { mode: 0o644 });
+    await fs.rename(temporary, source.path);
+    return;
+  }
+  try {
+    await run('crontab', ['-u', source.name, '-'], { input: text });
+  } catch (error) {
+    throw httpError(400, (error.stderr && error.stderr.trim()) || error.message);
+  }
+}
+
+// Users who have a crontab, and the cron.d files
+async function listSources() {
+  const users = new Set();
+  for (const dir of SPOOL_DIRS) {
+    for (const name of await fs.readdir(dir).catch(() => [])) {
+      const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (stats && stats.isFile() && USER_NAME.test(name)) users.add(name);
+    }
+  }
+  const files = (await fs.readdir(cronDir()).catch(() => [])).filter(name => CRON_D_NAME.test(name));
+  return [
+    ...[...users].sort().map(name => parseSource(`user:${name}`)),
+    ...files.sort().map(name => parseSource(`file:${name}`))
+  ];
+}
+
+function publicView(job) {
+  const { environment, ...view } = job;
+  return view;
+}
+
+async function list() {
+  const sources = await listSources();
+  const found = [];
+  for (const source of sources) {
+    found.push(...parseCrontab(source, await readSource(source)).jobs.map(publicView));
+  }
+  return {
+    sources: sources.map(source => ({ id: source.id, type: source.type, name: source.name, path: source.path || null })),
+    jobs: found
+  };
+}
+
+async function findJob(id) {
+  for (const source of await listSources()) {
+    const content = await readSource(source);
+    const { lines, jobs: found } = parseCrontab(source, content);
+    const job = found.find(item => item.id === id);
+    if (job) {
+      return { source, lines, job };
+    }
+  }
+  throw httpError(409, 'Cron job not found; the crontab may have changed, reload the list');
+}
+
+// The crontab line for a job, checking every part of it
+async function renderLine(source, { schedule, user, command, enabled = true }) {
+  parseSchedule(schedule);
+  if (typeof command !== 'string' || !command.trim() || /[\0\r\n]/.test(command)) {
+    throw httpError(400, 'command must be a single line of text');
+  }
+  const parts = [schedule.trim().split(/\s+/).join(' ')];
+  if (source.type === 'file') {
+    if (typeof user !== 'string' || !USER_NAME.test(user) || (await accounts.uidFor(user)) === null) {
+      throw httpError(400, `Unknown user: ${user}`);
+    }
+    parts.push(user);
+  }
+  parts.push(command.trim());
+  return `${enabled ? '' : DISABLED_PREFIX}${parts.join(' ')}`;
+}
+
+async function create(fields = {}) {
+  const source = parseSource(fields.source);
+  if (source.type === 'user' && (await accounts.uidFor(source.name)) === null) {
+    throw httpError(400, `Unknown user: ${source.name}`);
+  }
+  const line = await renderLine(source, fields);
+  return serialize(source.id, async () => {
+    const lines = (await readSource(source)).split('\n');
+    // Keep the final newline last
+    const end = lines.length > 0 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+    lines.splice(end, 0, line);
+    await writeSource(source, lines.join('\n'));
+    const { jobs: found } = parseCrontab(source, lines.join('\n'));
+    return publicView(found.find(job => job.line === end + 1));
+  });
+}
+
+// Change any of schedule, user, command and enabled; the rest stays
+async function update(id, changes = {}) {
+  const { source } = await findJob(id);
+  return serialize(source.id, async () => {
+    const { lines, job } = await findJob(id);
+    const line = await renderLine(source, {
+      schedule: changes.schedule !== undefined ? changes.schedule : job.schedule,
+      user: changes.user !== undefined ? changes.user : job.user,
+      command: changes.command !== undefined ? changes.command : job.command,
+      enabled: changes.enabled !== undefined ? Boolean(changes.enabled) : job.enabled
+    });
+    lines[job.line - 1] = line;
+    await writeSource(source, lines.join('\n'));
+    return publicView(parseCrontab(source, lines.join('\n')).jobs.find(item => item.line === job.line));
+  });
+}
+
+async function remove(id) {
+  const { source } = await findJob(id);
+  await serialize(source.id, async () => {
+    const { lines, job } = await findJob(id);
+    lines.splice(job.line - 1, 1);
+    await writeSource(source, lines.join('\n'));
+  });
+}
+
+// Like cron: an unescaped % ends the command, the rest (with % as newlines)
+// is its standard input
+function splitCommand(command) {
+  const parts = command.split(/(?<!\\)%/).map(part => part.replace(/\\%/g, '%'));
+  return { command: parts[0], input: parts.length > 1 ? parts.slice(1).join('\n') : undefined };
+}
+
+async function homeOf(user) {
+  const result = await tryRun('getent', ['passwd', user], { timeout: 10 * 1000 });
+  const fields = result ? result.stdout.trim().split(':') : [];
+  return fields[5] || '/';
+}
+
+// Run a job now, as its user and with cron's environment, in a background
+// job whose result holds the exit code and output
+async function runNow(user, id) {
+  const { job } = await findJob(id);
+  const home = await homeOf(job.user);
+  const env = {
+    PATH: '/usr/bin:/bin',
+    SHELL: '/bin/sh',
+    HOME: home,
+    LOGNAME: job.user,
+    USER: job.user,
+    ...job.environment
+  };
+  const { command, input } = splitCommand(job.command);
+  // `env -i` sets cron's environment after runuser, which is looked up on the panel's PATH
+  const shellArgs = ['env', '-i', ...Object.entries(env).map(([name, value]) => `${name}=${value}`), env.SHELL, '-c', command];
+  const [program, ...args] = job.user === 'root' ? shellArgs : ['runuser', '-u', job.user, '--', ...shellArgs];
+
+  return jobs.start(user, 'cron', `Run cron job: ${command}`, async context => {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await run(program, args, {
+        cwd: await fs.pathExists(home) ? home : '/',
+        input: input === undefined ? '' : input,
+        timeout: RUN_TIMEOUT,
+        maxOutput: RUN_MAX_OUTPUT,
+        signal: context.signal
+      });
+    } catch (error) {
+      if (error.cancelled || typeof error.code !== 'number') {
+        throw error;
+      }
+      result = error;
+    }
+    return {
+      command: job.command,
+      user: job.user,
+      exitCode: result.code,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      duration: Date.now() - startedAt
+    };
+  });
+}
+
+module.exports = {
+  nextRuns,
+  list,
+  create,
+  update,
+  remove,
+  runNow
+};
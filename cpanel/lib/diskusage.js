@@ -0,0 +1,190 @@
+const path = require('path');
+const fs = require('fs-extra');
+const jail = require('./jail');
+const jobs = require('./jobs');
+const { httpError } = require('./errors');
+
+// Directory size scans (like `du`), run as background jobs. A scan walks a
+// folder without following symlinks, stays on the folder's filesystem unless
+// crossFilesystems is set, counts hard-linked files once and skips protected
+// paths. The result is a size tree keeping the TOP_CHILDREN biggest entries
+// of each folder down to MAX_DEPTH levels (the rest are summed up as
+// "other"), plus the largest files found. Results are cached in memory; a
+// folder inside a cached scan is answered from it.
+const TOP_CHILDREN = 20;
+const MAX_DEPTH = 6;
+const LARGEST_FILES = 20;
+const MAX_CACHED = 20;
+
+// Real path + crossFilesystems -> scan result
+const cache = new Map();
+
+function cacheKey(realPath, crossFilesystems) {
+  return `${crossFilesystems ? 'all' : 'one'}:${realPath}`;
+}
+
+// Space used on disk, as du reports it; apparent size where blocks are unknown
+function diskUsage(stats) {
+  return typeof stats.blocks === 'number' ? stats.blocks * 512 : stats.size;
+}
+
+function keepLargestFiles(state, file) {
+  const largest = state.largestFiles;
+  if (largest.length === LARGEST_FILES && file.size <= largest[largest.length - 1].size) return;
+  largest.push(file);
+  largest.sort((a, b) => b.size - a.size);
+  largest.length = Math.min(largest.length, LARGEST_FILES);
+}
+
+async function scanDir(dir, shownPath, depth, state, context) {
+  if (context.signal.aborted) {
+    throw new Error('Cancelled');
+  }
+  const node = { name: path.basename(shownPath) || '/', path: shownPath, isDirectory: true, size: 0, files: 0, dirs: 0, children: [] };
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    node.unreadable = true;
+    return node;
+  }
+
+  for (const name of names) {
+    const file = path.join(dir, name);
+    if (jail.isProtected(file)) continue;
+    const stats = await fs.lstat(file).catch(() => null);
+    if (!stats) continue;
+    state.scanned++;
+    const shown = path.join(shownPath, name);
+
+    if (stats.isDirectory()) {
+      node.dirs++;
+      if (!state.crossFilesystems && stats.dev !== state.dev) {
+        node.children.push({ name, path: shown, isDirectory: true, size: 0, files: 0, dirs: 0, children: null, mountPoint: true });
+        continue;
+      }
+      const child = await scanDir(file, shown, depth + 1, state, context);
+      child.size += diskUsage(stats);
+      node.size += child.size;
+      node.files += child.files;
+      node.dirs += child.dirs;
+      node.children.push(child);
+    } else {
+      // Hard links share their blocks; count them for the first name only
+      const id = `${stats.dev}:${stats.ino}`;
+      const size = stats.nlink > 1 && state.seen.has(id) ? 0 : diskUsage(stats);
+      if (stats.nlink > 1) state.seen.add(id);
+      node.size += size;
+      node.files++;
+      node.children.push({ name, path: shown, isDirectory: false, size });
+      if (stats.isFile() && size > 0) {
+        keepLargestFiles(state, { path: shown, size, modified: stats.mtime });
+      }
+    }
+    context.progress(state.scanned, 0, `${state.scanned} entries scanned`);
+  }
+
+  // Keep the biggest entries; deeper than MAX_DEPTH only the totals remain
+  node.children.sort((a, b) => b.size - a.size);
+  const rest = node.children.splice(TOP_CHILDREN);
+  node.other = { count: rest.length, size: rest.reduce((sum, child) => sum + child.size, 0) };
+  if (depth >= MAX_DEPTH) {
+    node.children.forEach(child => {
+      if (child.isDirectory) child.children = null;
+    });
+  }
+  return node;
+}
+
+function publicView(result, tree = result.tree, largestFiles = result.largestFiles) {
+  return {
+    path: tree.path,
+    crossFilesystems: result.crossFilesystems,
+    scannedAt: result.scannedAt,
+    duration: result.duration,
+    scanned: result.scanned,
+    tree,
+    largestFiles
+  };
+}
+
+function remember(key, result) {
+  cache.delete(key);
+  cache.set(key, result);
+  while (cache.size > MAX_CACHED) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+async function scan(user, requested, { crossFilesystems = false } = {}) {
+  const start = await jail.resolve(user, requested);
+  const stats = await fs.stat(start).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw httpError(400, `${requested} is not a directory`);
+  }
+  const shownPath = path.resolve('/', requested);
+
+  return jobs.start(user, 'diskusage', `Disk usage of ${shownPath}`, async context => {
+    const startedAt = Date.now();
+    const state = { scanned: 0, dev: stats.dev, crossFilesystems: Boolean(crossFilesystems), seen: new Set(), largestFiles: [] };
+    const tree = await scanDir(start, shownPath, 0, state, context);
+    const result = {
+      path: shownPath,
+      realPath: start,
+      crossFilesystems: state.crossFilesystems,
+      scannedAt: new Date().toISOString(),
+      duration: Date.now() - startedAt,
+      scanned: state.scanned,
+      tree,
+      largestFiles: state.largestFiles
+    };
+    remember(cacheKey(start, state.crossFilesystems), result);
+    return { path: shownPath, size: tree.size, files: tree.files, dirs: tree.dirs, scannedAt: result.scannedAt };
+  });
+}
+
+// The cached tree for a folder: from a scan of the folder itself, or of a
+// parent folder whose tree still has this folder's children
+async function get(user, requested, { crossFilesystems = false } = {}) {
+  const target = await jail.resolve(user, requested);
+  const exact = cache.get(cacheKey(target, Boolean(crossFilesystems)));
+  if (exact) {
+    return publicView(exact);
+  }
+
+  for (const result of [...cache.values()].reverse()) {
+    if (result.crossFilesystems !== Boolean(crossFilesystems) || !jail.isWithin(target, result.realPath)) continue;
+    let node = result.tree;
+    for (const part of path.relative(result.realPath, target).split('/')) {
+      node = node && node.children ? node.children.find(child => child.isDirectory && child.name === part) : null;
+    }
+    if (node && node.children) {
+      return publicView(result, node, result.largestFiles.filter(file => file.path.startsWith(node.path + '/')));
+    }
+  }
+  throw httpError(404, `${requested} has not been scanned yet`);
+}
+
+// Cached scans the user may still see
+async function list(user) {
+  const results = [];
+  for (const result of cache.values()) {
+    const allowed = await jail.resolve(user, result.realPath).then(() => true, () => false);
+    if (allowed) {
+      results.push({
+        path: result.path,
+        crossFilesystems: result.crossFilesystems,
+        scannedAt: result.scannedAt,
+        size: result.tree.size,
+        files: result.tree.files
+      });
+    }
+  }
+  return results.reverse();
+}
+
+module.exports = {
+  scan,
+  get,
+  list
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const jail = require('./jail');
+const config = require('./config');
+const { httpError } = require('./errors');
+
+// Reading and saving text files for the in-browser editor. Saves are
+// conditional on the ETag the editor loaded, so concurrent edits conflict
+// instead of silently overwriting each other.
+const BINARY_SNIFF_BYTES = 8192;
+
+function etagFor(buffer) {
+  return `"${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}"`;
+}
+
+function maxSize() {
+  return config.get('editor.maxFileSizeKB') * 1024;
+}
+
+function isBinary(buffer) {
+  if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    return true;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+// An unguessable name next to `target`, created with 'wx' and then renamed
+// over it, so nothing planted at a predictable path is ever written through
+function tempName(target) {
+  return path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(8).toString('hex')}.tmp`);
+}
+
+// Copy `target` to "<name>.bak". The backup path is jailed like any other,
+// and an existing symlink there is refused rather than written through
+async function writeBackup(user, target, stats) {
+  const backupFile = await jail.resolve(user, `${target}.bak`, { follow: false });
+  const existing = await fs.lstat(backupFile).catch(() => null);
+  if (existing && existing.isSymbolicLink()) {
+    throw httpError(403, `Access denied: ${path.basename(backupFile)} is a symlink`);
+  }
+  if (existing && !existing.isFile()) {
+    throw httpError(409, `${path.basename(backupFile)} exists and is not a regular file`);
+  }
+  const tmpFile = tempName(backupFile);
+  try {
+    await fs.copyFile(target, tmpFile, fs.constants.COPYFILE_EXCL);
+    await fs.utimes(tmpFile, stats.atime, stats.mtime);
+    await fs.rename(tmpFile, backupFile);
+  } catch (error) {
+    await fs.remove(tmpFile).catch(() => {});
+    throw error;
+  }
+}
+
+async function statFile(target, requested) {
+  const stats = await fs.stat(target).catch(() => null);
+  if (!stats) {
+    throw httpError(404, `${requested} does not exist`);
+  }
+  if (!stats.isFile()) {
+    throw httpError(400, `${requested} is not a regular file`);
+  }
+  return stats;
+}
+
+async function readText(user, requested) {
+  const target = await jail.resolve(user, requested);
+  const stats = await statFile(target, requested);
+  if (stats.size > maxSize()) {
+    throw httpError(413, `${requested} is larger than the editor limit of ${config.get('editor.maxFileSizeKB')} KB`);
+  }
+  const buffer = await fs.readFile(target);
+  if (isBinary(buffer)) {
+    throw httpError(415, `${requested} is a binary file and cannot be edited`);
+  }
+  return {
+    path: requested,
+    content: buffer.toString('utf8'),
+    etag: etagFor(buffer),
+    size: stats.size,
+    mtime: stats.mtime
+  };
+}
+
+// ifMatch is the ETag the client loaded; a mismatch answers 412 with the
+// file's current ETag and mtime so the editor can offer to overwrite or reload
+async function writeText(user, requested, content, { ifMatch, backup = false } = {}) {
+  if (typeof content !== 'string') {
+    throw httpError(400, 'content must be a string');
+  }
+  const data = Buffer.from(content, 'utf8');
+  if (data.length > maxSize()) {
+    throw httpError(413, `Content is larger than the editor limit of ${config.get('editor.maxFileSizeKB')} KB`);
+  }
+  if (!ifMatch) {
+    throw httpError(428, 'An If-Match header with the ETag of the loaded file is required');
+  }
+
+  const target = await jail.resolve(user, requested);
+  const stats = await statFile(target, requested);
+  const current = await fs.readFile(target);
+  if (ifMatch !== '*' && ifMatch !== etagFor(current)) {
+    const error = httpError(412, `${requested} was changed on disk after you opened it`);
+    error.etag = etagFor(current);
+    error.mtime = stats.mtime;
+    throw error;
+  }
+
+  if (backup) {
+    await writeBackup(user, target, stats);
+  }
+
+  // Write next to the original and rename over it, keeping mode and owner
+  const tmpFile = tempName(target);
+  try {
+    await fs.writeFile(tmpFile, data, { mode: stats.mode & 0o7777, flag: 'wx' });
+    await fs.chmod(tmpFile, stats.mode & 0o7777);
+    if (process.getuid && process.getuid() === 0) {
+      await fs.chown(tmpFile, stats.uid, stats.gid);
+    }
+    await fs.rename(tmpFile, target);
+  } catch (error) {
+    await fs.remove(tmpFile).catch(() => {});
+    throw error;
+  }
+
+  const saved = await fs.stat(target);
+  return { path: requested, etag: etagFor(data), size: saved.size, mtime: saved.mtime, backup: backup ? `${requested}.bak` : null };
+}
+
+module.exports = {
+  readText,
+  writeText
+};
@@ -0,0 +1,10 @@
+// Errors thrown from lib/ carry the HTTP status the route handler should answer with
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  httpError
+};
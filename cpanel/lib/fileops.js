@@ -0,0 +1,345 @@
+const path = require('path');
+const fs = require('fs-extra');
+const jail = require('./jail');
+const accounts = require('./accounts');
+const { httpError } = require('./errors');
+
+// File manager operations. Every path goes through the jail; sources are
+// resolved without following a final symlink so the link itself is moved.
+const OVERWRITE_POLICIES = ['fail', 'overwrite', 'skip', 'rename'];
+
+function checkName(name) {
+  if (typeof name !== 'string' || !name || name === '.' || name === '..' ||
+      name.length > 255 || /[/\0]/.test(name)) {
+    throw httpError(400, 'Invalid name');
+  }
+  return name;
+}
+
+function checkPolicy(policy = 'fail') {
+  if (!OVERWRITE_POLICIES.includes(policy)) {
+    throw httpError(400, `Invalid overwrite policy: use one of ${OVERWRITE_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+async function mkdir(user, dirPath, { recursive = true } = {}) {
+  const target = await jail.resolve(user, dirPath);
+  if (await fs.pathExists(target)) {
+    throw httpError(409, `${dirPath} already exists`);
+  }
+  if (recursive) {
+    await fs.mkdirp(target);
+  } else {
+    await fs.mkdir(target);
+  }
+  return target;
+}
+
+// Create an empty file; never truncates an existing one
+async function touch(user, filePath) {
+  const target = await jail.resolve(user, filePath);
+  try {
+    const handle = await fs.open(target, 'wx');
+    await fs.close(handle);
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw httpError(409, `${filePath} already exists`);
+    }
+    throw error;
+  }
+  return target;
+}
+
+async function rename(user, filePath, newName) {
+  const source = await jail.resolve(user, filePath, { follow: false });
+  jail.assertRemovable(user, source);
+  const target = await jail.resolve(user, path.join(path.dirname(source), checkName(newName)), { follow: false });
+  if (await fs.pathExists(target)) {
+    throw httpError(409, `${newName} already exists`);
+  }
+  await fs.rename(source, target);
+  return target;
+}
+
+// "site.conf" -> "site (2).conf", "site (3).conf", ... until the name is free
+async function freeName(target) {
+  const ext = path.extname(target);
+  const base = target.slice(0, target.length - ext.length);
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    if (!(await fs.pathExists(candidate))) {
+      return candidate;
+    }
+  }
+}
+
+async function transferOne(user, sourcePath, destinationDir, { mode, overwrite }) {
+  const source = await jail.resolve(user, sourcePath, { follow: false });
+  // A copy of such a folder would make the protected files reachable in the target
+  if (jail.containsProtected(source)) {
+    throw httpError(403, `Access denied: ${sourcePath} contains protected system paths`);
+  }
+  if (mode === 'move') {
+    jail.assertRemovable(user, source);
+  }
+  let target = await jail.resolve(user, path.join(destinationDir, path.basename(source)), { follow: false });
+  if (target === source) {
+    if (mode === 'move') {
+      return { source: sourcePath, target, status: 'skipped' };
+    }
+    target = await freeName(target);
+  }
+  if (target.startsWith(source + '/')) {
+    throw httpError(400, `Cannot ${mode} ${sourcePath} into itself`);
+  }
+
+  if (await fs.pathExists(target)) {
+    switch (overwrite) {
+      case 'skip':
+        return { source: sourcePath, target, status: 'skipped' };
+      case 'rename':
+        target = await freeName(target);
+        break;
+      case 'overwrite':
+        jail.assertRemovable(user, target);
+        await fs.remove(target);
+        break;
+      default:
+        throw httpError(409, `${path.basename(target)} already exists in ${destinationDir}`);
+    }
+  }
+
+  if (mode === 'move') {
+    await fs.move(source, target);
+  } else {
+    await fs.copy(source, target, { errorOnExist: true, overwrite: false, dereference: false, preserveTimestamps: true });
+  }
+  return { source: sourcePath, target, status: 'done' };
+}
+
+// Move or copy several entries into one directory. Each entry gets its own
+// result so one conflict doesn't abort the rest of a multi-select.
+async function transfer(user, sources, destination, { mode, overwrite }) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw httpError(400, 'No source paths given');
+  }
+  checkPolicy(overwrite);
+  const destinationDir = await jail.resolve(user, destination);
+  const stats = await fs.stat(destinationDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw httpError(400, `${destination} is not a directory`);
+  }
+
+  const results = [];
+  for (const sourcePath of sources) {
+    try {
+      results.push(await transferOne(user, sourcePath, destinationDir, { mode, overwrite }));
+    } catch (error) {
+      results.push({ source: sourcePath, status: 'error', error: error.message, code: error.status || 500 });
+    }
+  }
+  return results;
+}
+
+// Listing
+
+// "rwxr-xr-x", with s/S and t/T for the special bits like ls -l
+function permissionString(mode) {
+  const triplet = (shift, special, specialChar) => {
+    const bits = (mode >> shift) & 7;
+    const execute = bits & 1;
+    let last = execute ? 'x' : '-';
+    if (mode & special) {
+      last = execute ? specialChar : specialChar.toUpperCase();
+    }
+    return (bits & 4 ? 'r' : '-') + (bits & 2 ? 'w' : '-') + last;
+  };
+  return triplet(6, 0o4000, 's') + triplet(3, 0o2000, 's') + triplet(0, 0o1000, 't');
+}
+
+// Symlinks show their target's type, mode and owner (what chmod/chown change)
+async function describeEntry(dir, name, owners) {
+  const fullPath = path.join(dir, name);
+  const linkStats = await fs.lstat(fullPath);
+  const isSymlink = linkStats.isSymbolicLink();
+  const stats = isSymlink ? await fs.stat(fullPath).catch(() => linkStats) : linkStats;
+  return {
+    name,
+    isDirectory: stats.isDirectory(),
+    size: stats.size,
+    modified: stats.mtime,
+    mode: (stats.mode & 0o7777).toString(8).padStart(4, '0'),
+    permissions: permissionString(stats.mode),
+    owner: owners.user(stats.uid),
+    group: owners.group(stats.gid),
+    isSymlink,
+    linkTarget: isSymlink ? await fs.readlink(fullPath) : null,
+    brokenLink: isSymlink && stats === linkStats,
+    executable: stats.isFile() && (stats.mode & 0o111) !== 0
+  };
+}
+
+async function list(dir) {
+  const [entries, owners] = await Promise.all([fs.readdir(dir), accounts.names()]);
+  const described = await Promise.all(entries.map(name => describeEntry(dir, name, owners).catch(() => null)));
+  // Entries removed while the folder was being read are left out
+  return described.filter(Boolean);
+}
+
+// Permissions and ownership
+
+const WHO_BITS = {
+  u: { shift: 6, special: 0o4000 },
+  g: { shift: 3, special: 0o2000 },
+  o: { shift: 0, special: 0o1000 }
+};
+
+// Parse a numeric ("755", "0644", "2775") or symbolic ("u+x,go-w", "a=rX")
+// mode into a function (currentMode, isDirectory) -> newMode
+function parseMode(spec) {
+  const value = typeof spec === 'number' ? String(spec) : spec;
+  if (typeof value !== 'string' || !value) {
+    throw httpError(400, 'A mode is required');
+  }
+  if (/^[0-7]{3,4}$/.test(value)) {
+    const mode = parseInt(value, 8);
+    return () => mode;
+  }
+
+  const clauses = value.split(',').map(clause => {
+    const match = /^([ugoa]*)([-+=])([rwxXst]*)$/.exec(clause);
+    if (!match) {
+      throw httpError(400, `Invalid mode "${value}": use octal (e.g. 755) or symbolic (e.g. u+x,go-w)`);
+    }
+    const who = !match[1] || match[1].includes('a') ? 'ugo' : match[1];
+    return { who: [...new Set(who)], op: match[2], perms: match[3] };
+  });
+
+  return (mode, isDirectory) => clauses.reduce((current, { who, op, perms }) => {
+    let result = current;
+    for (const name of who) {
+      const { shift, special } = WHO_BITS[name];
+      let bits = 0;
+      if (perms.includes('r')) bits |= 4 << shift;
+      if (perms.includes('w')) bits |= 2 << shift;
+      if (perms.includes('x') || (perms.includes('X') && (isDirectory || (current & 0o111)))) bits |= 1 << shift;
+      if (perms.includes('s') && name !== 'o') bits |= special;
+      if (perms.includes('t') && name === 'o') bits |= special;
+
+      if (op === '+') {
+        result |= bits;
+      } else if (op === '-') {
+        result &= ~bits;
+      } else {
+        result = (result & ~((7 << shift) | special)) | bits;
+      }
+    }
+    return result;
+  }, mode);
+}
+
+function notPermitted(error, requested) {
+  if (error.code === 'EPERM' || error.code === 'EACCES') {
+    return httpError(403, `Not permitted to change ${requested}`);
+  }
+  return error;
+}
+
+// Visit target and, when recursive, everything below it without following
+// symlinks; visit(file, stats) gets lstat results for entries below the top
+async function walk(target, recursive, visit) {
+  const stats = await fs.stat(target);
+  let count = 0;
+  await visit(target, stats);
+  count++;
+  if (!recursive || !stats.isDirectory()) {
+    return count;
+  }
+
+  const pending = [target];
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    for (const name of await fs.readdir(dir)) {
+      const child = path.join(dir, name);
+      const childStats = await fs.lstat(child);
+      await visit(child, childStats);
+      count++;
+      if (childStats.isDirectory()) {
+        pending.push(child);
+      }
+    }
+  }
+  return count;
+}
+
+async function resolveForChange(user, requested, recursive) {
+  const target = await jail.resolve(user, requested);
+  const stats = await fs.stat(target).catch(() => null);
+  if (!stats) {
+    throw httpError(404, `${requested} does not exist`);
+  }
+  if (recursive && stats.isDirectory() && jail.containsProtected(target)) {
+    throw httpError(403, `Access denied: ${requested} contains protected system paths`);
+  }
+  return target;
+}
+
+async function chmod(user, requested, spec, { recursive = false } = {}) {
+  const newMode = parseMode(spec);
+  const target = await resolveForChange(user, requested, recursive);
+  try {
+    const changed = await walk(target, recursive, async (file, stats) => {
+      // A symlink's own mode is meaningless; chmod would change its target instead
+      if (!stats.isSymbolicLink()) {
+        await fs.chmod(file, newMode(stats.mode & 0o7777, stats.isDirectory()));
+      }
+    });
+    return { changed };
+  } catch (error) {
+    throw notPermitted(error, requested);
+  }
+}
+
+async function chown(user, requested, { owner, group } = {}, { recursive = false } = {}) {
+  if (!owner && !group) {
+    throw httpError(400, 'An owner or a group is required');
+  }
+  // -1 leaves that id unchanged
+  let uid = -1;
+  let gid = -1;
+  if (owner) {
+    uid = await accounts.uidFor(owner);
+    if (uid === null) {
+      throw httpError(400, `Unknown user: ${owner}`);
+    }
+  }
+  if (group) {
+    gid = await accounts.gidFor(group);
+    if (gid === null) {
+      throw httpError(400, `Unknown group: ${group}`);
+    }
+  }
+
+  const target = await resolveForChange(user, requested, recursive);
+  try {
+    const changed = await walk(target, recursive, async (file, stats) => {
+      await (stats.isSymbolicLink() ? fs.lchown(file, uid, gid) : fs.chown(file, uid, gid));
+    });
+    return { changed };
+  } catch (error) {
+    throw notPermitted(error, requested);
+  }
+}
+
+module.exports = {
+  OVERWRITE_POLICIES,
+  freeName,
+  list,
+  chmod,
+  chown,
+  mkdir,
+  touch,
+  rename,
+  transfer
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const fs = require('fs-extra');
+const store = require('./store');
+const config = require('./config');
+const { httpError } = require('./errors');
+
+// File manager access is limited to allowed roots, configured per role and
+// optionally overridden per user in the files.roots setting:
+//   { "roles": { "operator": ["/home", "/var/www"] }, "users": { "alice": ["/home/alice"] } }
+
+// Never readable or writable through the file manager, whatever the roots say
+const PROTECTED_PATHS = [
+  '/etc/shadow',
+  '/etc/shadow-',
+  '/etc/gshadow',
+  '/etc/gshadow-',
+  '/etc/sudoers',
+  '/etc/sudoers.d',
+  '/root/.ssh',
+  '/proc',
+  '/sys',
+  '/dev',
+  '/boot',
+  path.resolve(store.DATA_DIR),
+  path.resolve(config.CONFIG_FILE)
+];
+
+function isWithin(child, parent) {
+  return child === parent || parent === '/' || child.startsWith(parent + '/');
+}
+
+function allowedRoots(user) {
+  const roots = config.get('files.roots');
+  const configured = roots.users[user.username] || roots.roles[user.role] || [];
+  return configured.map(root => path.resolve(root));
+}
+
+function isProtected(target) {
+  return PROTECTED_PATHS.some(protectedPath => isWithin(target, protectedPath));
+}
+
+function containsProtected(target) {
+  return PROTECTED_PATHS.some(protectedPath => isWithin(protectedPath, target));
+}
+
+// Resolve symlinks in the longest existing prefix of target; the rest of the
+// path (about to be created) is appended unchanged
+async function realpathOfExisting(target) {
+  try {
+    return await fs.realpath(target);
+  } catch (error) {
+    if (error.code !== 'ENOENT' || target === '/') {
+      throw error;
+    }
+    return path.join(await realpathOfExisting(path.dirname(target)), path.basename(target));
+  }
+}
+
+function assertAllowed(target, roots, requested) {
+  if (isProtected(target)) {
+    throw httpError(403, `Access denied: ${requested} is a protected system path`);
+  }
+  if (!roots.some(root => isWithin(target, root))) {
+    throw httpError(403, `Access denied: ${requested} is outside your allowed folders`);
+  }
+}
+
+// Map a client-supplied path to the real path to operate on, or throw 403.
+// With follow: false the final component is not dereferenced, so deleting or
+// renaming a symlink acts on the link itself rather than its target.
+async function resolve(user, requested, { follow = true } = {}) {
+  if (typeof requested !== 'string' || requested.includes('\0')) {
+    throw httpError(400, 'Invalid path');
+  }
+  const target = path.resolve('/', requested);
+  const roots = allowedRoots(user);
+  assertAllowed(target, roots, requested);
+
+  const realRoots = await Promise.all(roots.map(root => realpathOfExisting(root)));
+  const real = follow || target === '/'
+    ? await realpathOfExisting(target)
+    : path.join(await realpathOfExisting(path.dirname(target)), path.basename(target));
+  if (real !== target) {
+    // A symlink somewhere along the way; the destination must be allowed too
+    assertAllowed(real, realRoots, requested);
+  }
+  return real;
+}
+
+// Extra check before deleting: refuse an allowed root itself and any
+// directory that contains a protected path
+function assertRemovable(user, target) {
+  if (allowedRoots(user).includes(target) || target === '/') {
+    throw httpError(403, `Access denied: ${target} is a root folder and cannot be removed`);
+  }
+  if (containsProtected(target)) {
+    throw httpError(403, `Access denied: ${target} contains protected system paths`);
+  }
+}
+
+module.exports = {
+  isWithin,
+  isProtected,
+  containsProtected,
+  allowedRoots,
+  resolve,
+  assertRemovable
+};
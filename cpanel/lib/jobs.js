@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { httpError } = require('./errors');
+
+// Background jobs for operations that outlive an HTTP request (archiving,
+// extraction, search, ...). A job belongs to the user who started it; every
+// state change is emitted as an 'update' event and partial results as 'data'
+// events, which server.js forwards to that user's sockets. Finished jobs are
+// kept for a while so a reloaded page can still show how they ended.
+const KEEP_FINISHED = 60 * 60 * 1000;
+const MAX_FINISHED = 100;
+const PROGRESS_INTERVAL = 250;
+
+const emitter = new EventEmitter();
+const jobs = new Map();
+
+function publicView(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    owner: job.owner,
+    description: job.description,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    result: job.result,
+    error: job.error,
+    errorStatus: job.errorStatus,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function emitUpdate(job) {
+  job.lastEmit = Date.now();
+  emitter.emit('update', publicView(job));
+}
+
+function prune() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt);
+  const cutoff = Date.now() - KEEP_FINISHED;
+  finished.forEach((job, index) => {
+    if (job.finishedAt.getTime() < cutoff || index < finished.length - MAX_FINISHED) {
+      jobs.delete(job.id);
+    }
+  });
+}
+
+// Start `task(context)` in the background and return the job right away.
+// The task reports progress with context.progress(done, total, message),
+// streams partial results with context.send(data), checks context.signal
+// to stop early and resolves with the job result.
+function start(user, type, description, task) {
+  prune();
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type,
+    owner: user.username,
+    description,
+    status: 'running',
+    progress: { done: 0, total: 0, percent: 0 },
+    message: '',
+    result: null,
+    error: null,
+    errorStatus: null,
+    startedAt: new Date(),
+    finishedAt: null,
+    controller: new AbortController(),
+    lastEmit: 0
+  };
+  jobs.set(job.id, job);
+
+  const context = {
+    signal: job.controller.signal,
+    progress(done, total, message) {
+      job.progress = { done, total, percent: total > 0 ? Math.min(100, Math.floor((done / total) * 100)) : 0 };
+      if (message !== undefined) {
+        job.message = message;
+      }
+      // Progress can fire thousands of times a second; throttle what goes out
+      if (Date.now() - job.lastEmit >= PROGRESS_INTERVAL) {
+        emitUpdate(job);
+      }
+    },
+    send(data) {
+      emitter.emit('data', publicView(job), data);
+    }
+  };
+
+  const finish = (status, fields) => {
+    Object.assign(job, { status, finishedAt: new Date() }, fields);
+    emitUpdate(job);
+  };
+
+  emitUpdate(job);
+  Promise.resolve()
+    .then(() => task(context))
+    .then(result => {
+      if (job.controller.signal.aborted) {
+        finish('cancelled', { message: 'Cancelled' });
+      } else {
+        finish('done', { result, progress: { ...job.progress, percent: 100 } });
+      }
+    })
+    .catch(error => {
+      if (job.controller.signal.aborted) {
+        finish('cancelled', { message: 'Cancelled' });
+      } else {
+        finish('failed', { error: error.message, errorStatus: error.status || 500 });
+      }
+    });
+
+  return publicView(job);
+}
+
+function ownJob(user, id) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== user.username) {
+    throw httpError(404, 'Job not found');
+  }
+  return job;
+}
+
+function list(user) {
+  prune();
+  return [...jobs.values()]
+    .filter(job => job.owner === user.username)
+    .map(publicView);
+}
+
+function get(user, id) {
+  return publicView(ownJob(user, id));
+}
+
+function cancel(user, id) {
+  const job = ownJob(user, id);
+  if (job.status !== 'running') {
+    throw httpError(409, `Job already ${job.status}`);
+  }
+  job.message = 'Cancelling...';
+  job.controller.abort();
+  emitUpdate(job);
+  return publicView(job);
+}
+
+function onUpdate(listener) {
+  emitter.on('update', listener);
+}
+
+function onData(listener) {
+  emitter.on('data', listener);
+}
+
+module.exports = {
+  start,
+  list,
+  get,
+  cancel,
+  onUpdate,
+  onData
+};
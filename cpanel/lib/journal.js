@@ -0,0 +1,119 @@
+const { run } = require('./command');
+const validate = require('./validate');
+const { httpError } = require('./errors');
+
+// A unit's journal through `journalctl -o json`. Pages go from the newest
+// entry backwards; the cursor of the last entry of a page fetches the next
+// (older) one. follow() streams new entries until its signal is aborted.
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const FOLLOW_TIMEOUT = 6 * 60 * 60 * 1000;
+const PRIORITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+// MESSAGE is an array of bytes when it isn't valid UTF-8
+function text(value) {
+  if (Array.isArray(value)) {
+    return Buffer.from(value).toString();
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function parseEntry(line) {
+  let fields;
+  try {
+    fields = JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+  const priority = Number(fields.PRIORITY);
+  return {
+    cursor: fields.__CURSOR,
+    time: new Date(Number(fields.__REALTIME_TIMESTAMP) / 1000).toISOString(),
+    priority: Number.isInteger(priority) ? priority : 6,
+    identifier: text(fields.SYSLOG_IDENTIFIER || fields._COMM),
+    pid: fields._PID ? Number(text(fields._PID)) : null,
+    message: text(fields.MESSAGE)
+  };
+}
+
+function optionalTime(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw httpError(400, `Invalid ${label}: expected a date`);
+  }
+  // journalctl takes "@<seconds since the epoch>"
+  return `@${Math.floor(time / 1000)}`;
+}
+
+function filterArgs({ priority, since, until }) {
+  const args = [];
+  if (priority !== undefined && priority !== null && priority !== '') {
+    args.push(`--priority=${validate.integer(priority, 'priority', 0, PRIORITIES.length - 1)}`);
+  }
+  const sinceArg = optionalTime(since, 'since');
+  const untilArg = optionalTime(until, 'until');
+  if (sinceArg) args.push(`--since=${sinceArg}`);
+  if (untilArg) args.push(`--until=${untilArg}`);
+  return args;
+}
+
+// Newest first; `cursor` continues after the last entry of the previous page
+async function entries(unit, { cursor, limit = DEFAULT_LIMIT, priority, since, until } = {}) {
+  validate.unitName(unit);
+  const count = validate.integer(limit, 'limit', 1, MAX_LIMIT);
+  const args = ['-u', unit, '-o', 'json', '--no-pager', '--quiet', '--reverse', '-n', String(count), ...filterArgs({ priority, since, until })];
+  if (cursor) {
+    if (typeof cursor !== 'string' || /[\0\n]/.test(cursor)) {
+      throw httpError(400, 'Invalid cursor');
+    }
+    args.push(`--after-cursor=${cursor}`);
+  }
+
+  let stdout;
+  try {
+    ({ stdout } = await run('journalctl', args));
+  } catch (error) {
+    throw httpError(500, (error.stderr && error.stderr.trim()) || error.message);
+  }
+  const page = stdout.split('\n').map(parseEntry).filter(Boolean);
+  return {
+    entries: page,
+    next: page.length === count ? page[page.length - 1].cursor : null
+  };
+}
+
+// Stream new entries to onEntries(entries) until `signal` is aborted; a
+// chunk of output may end in the middle of a line
+async function follow(unit, onEntries, signal) {
+  validate.unitName(unit);
+  let partial = '';
+  const onStdout = (chunk) => {
+    const lines = (partial + chunk.toString()).split('\n');
+    partial = lines.pop();
+    const parsed = lines.map(parseEntry).filter(Boolean);
+    if (parsed.length > 0) {
+      onEntries(parsed);
+    }
+  };
+
+  try {
+    await run('journalctl', ['-u', unit, '-o', 'json', '--no-pager', '--quiet', '-f', '-n', '0'], {
+      timeout: FOLLOW_TIMEOUT,
+      bufferStdout: false,
+      onStdout,
+      signal
+    });
+  } catch (error) {
+    if (!error.cancelled) {
+      throw httpError(500, (error.stderr && error.stderr.trim()) || error.message);
+    }
+  }
+}
+
+module.exports = {
+  entries,
+  follow
+};
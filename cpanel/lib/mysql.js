@@ -0,0 +1,330 @@
+const fs = require('fs-extra');
+const mysql = require('mysql2/promise');
+const { createConnection, Types } = require('mysql2');
+const config = require('./config');
+const { httpError } = require('./errors');
+
+// MySQL/MariaDB administration through the mysql2 driver, connected as the
+// mysql.user account from the configuration: over mysql.socket when it
+// exists (root often authenticates by socket only), else to mysql.host. The
+// pool is rebuilt when the settings change. Identifiers are escaped by the
+// driver; charsets, collations and privileges are checked against known
+// lists because they cannot be passed as parameters.
+const SYSTEM_DATABASES = ['information_schema', 'performance_schema', 'mysql', 'sys'];
+const SYSTEM_USERS = ['mariadb.sys', 'mysql.sys', 'mysql.session', 'mysql.infoschema'];
+const PRIVILEGES = [
+  'ALL PRIVILEGES', 'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'INDEX', 'ALTER',
+  'CREATE TEMPORARY TABLES', 'LOCK TABLES', 'EXECUTE', 'CREATE VIEW', 'SHOW VIEW',
+  'CREATE ROUTINE', 'ALTER ROUTINE', 'EVENT', 'TRIGGER', 'REFERENCES'
+];
+const DATABASE_NAME = /^[A-Za-z0-9_$]{1,64}$/;
+const USER_NAME = /^[A-Za-z0-9_.-]{1,80}$/;
+const HOST_NAME = /^[A-Za-z0-9_.%:-]{1,255}$/;
+const DEFAULT_CHARSET = 'utf8mb4';
+
+let pool = null;
+
+config.onChange(() => {
+  if (pool) {
+    pool.end().catch(() => {});
+    pool = null;
+  }
+});
+
+async function connectionOptions() {
+  const settings = config.get('mysql');
+  const connection = await fs.pathExists(settings.socket)
+    ? { socketPath: settings.socket }
+    : { host: settings.host, port: settings.port };
+  return {
+    ...connection,
+    user: settings.user,
+    password: settings.password || undefined,
+    connectTimeout: 10 * 1000,
+    supportBigNumbers: true
+  };
+}
+
+async function getPool() {
+  if (!pool) {
+    pool = mysql.createPool({ ...(await connectionOptions()), connectionLimit: 4 });
+  }
+  return pool;
+}
+
+// Driver errors -> HTTP errors with the server's own message
+function dbError(error) {
+  if (['ECONNREFUSED', 'ENOENT', 'ETIMEDOUT', 'EHOSTUNREACH', 'PROTOCOL_CONNECTION_LOST'].includes(error.code)) {
+    return httpError(503, `MySQL is not reachable: ${error.message}`);
+  }
+  if (error.code === 'ER_ACCESS_DENIED_ERROR' || error.code === 'ER_ACCESS_DENIED_NO_PASSWORD_ERROR') {
+    return httpError(503, `MySQL refused the configured admin account: ${error.message}`);
+  }
+  if (error.code === 'ER_DB_CREATE_EXISTS') {
+    return httpError(409, error.message);
+  }
+  if (['ER_DB_DROP_EXISTS', 'ER_BAD_DB_ERROR', 'ER_NONEXISTING_GRANT'].includes(error.code)) {
+    return httpError(404, error.message);
+  }
+  // CREATE USER for an existing account, DROP USER for a missing one
+  if (error.code === 'ER_CANNOT_USER') {
+    return httpError(409, error.message);
+  }
+  return httpError(error.status || 500, error.message);
+}
+
+async function query(sql, params = []) {
+  try {
+    const [rows] = await (await getPool()).query(sql, params);
+    return rows;
+  } catch (error) {
+    throw dbError(error);
+  }
+}
+
+function databaseName(value) {
+  if (typeof value !== 'string' || !DATABASE_NAME.test(value)) {
+    throw httpError(400, 'Invalid database name: use up to 64 letters, digits, "_" or "$"');
+  }
+  return value;
+}
+
+function account(username, host = 'localhost') {
+  if (typeof username !== 'string' || !USER_NAME.test(username)) {
+    throw httpError(400, 'Invalid user name: use letters, digits, ".", "_" or "-"');
+  }
+  if (typeof host !== 'string' || !HOST_NAME.test(host)) {
+    throw httpError(400, 'Invalid host: use a host name, an IP address, "%" or "localhost"');
+  }
+  return { username, host };
+}
+
+// In GRANT, "_" and "%" in a database name are wildcards; escape them to
+// name exactly one database
+function grantTarget(database) {
+  return `${mysql.escapeId(databaseName(database).replace(/[_%]/g, '\\$&'))}.*`;
+}
+
+function privilegeList(privileges) {
+  const list = (Array.isArray(privileges) ? privileges : [privileges])
+    .map(privilege => String(privilege || '').trim().toUpperCase());
+  if (list.length === 0 || list.some(privilege => !PRIVILEGES.includes(privilege))) {
+    throw httpError(400, `Invalid privileges: use ${PRIVILEGES.join(', ')}`);
+  }
+  return list.includes('ALL PRIVILEGES') ? ['ALL PRIVILEGES'] : [...new Set(list)];
+}
+
+async function status() {
+  const [row] = await query('SELECT VERSION() AS version');
+  return { version: row.version };
+}
+
+// Character sets with their collations, for the create form and validation
+async function charsets() {
+  const rows = await query(
+    'SELECT CHARACTER_SET_NAME AS charset, COLLATION_NAME AS collation, IS_DEFAULT AS isDefault ' +
+    'FROM information_schema.COLLATIONS WHERE CHARACTER_SET_NAME IS NOT NULL ORDER BY CHARACTER_SET_NAME, COLLATION_NAME'
+  );
+  const sets = new Map();
+  for (const row of rows) {
+    if (!sets.has(row.charset)) {
+      sets.set(row.charset, { charset: row.charset, defaultCollation: null, collations: [] });
+    }
+    const set = sets.get(row.charset);
+    set.collations.push(row.collation);
+    if (row.isDefault === 'Yes') {
+      set.defaultCollation = row.collation;
+    }
+  }
+  return [...sets.values()];
+}
+
+// Every schema with its charset, collation, table count and size (data + indexes)
+async function listDatabases() {
+  const rows = await query(
+    'SELECT s.SCHEMA_NAME AS name, s.DEFAULT_CHARACTER_SET_NAME AS charset, s.DEFAULT_COLLATION_NAME AS collation, ' +
+    'COUNT(t.TABLE_NAME) AS tables, COALESCE(SUM(t.DATA_LENGTH + t.INDEX_LENGTH), 0) AS size ' +
+    'FROM information_schema.SCHEMATA s LEFT JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = s.SCHEMA_NAME ' +
+    'GROUP BY s.SCHEMA_NAME, s.DEFAULT_CHARACTER_SET_NAME, s.DEFAULT_COLLATION_NAME ORDER BY s.SCHEMA_NAME'
+  );
+  return rows.map(row => ({
+    name: row.name,
+    charset: row.charset,
+    collation: row.collation,
+    tables: Number(row.tables),
+    size: Number(row.size),
+    system: SYSTEM_DATABASES.includes(row.name)
+  }));
+}
+
+async function createDatabase({ name, charset = DEFAULT_CHARSET, collation } = {}) {
+  databaseName(name);
+  const set = (await charsets()).find(item => item.charset === charset);
+  if (!set) {
+    throw httpError(400, `Unknown character set: ${charset}`);
+  }
+  const chosen = collation || set.defaultCollation;
+  if (!set.collations.includes(chosen)) {
+    throw httpError(400, `Collation ${chosen} does not belong to ${charset}`);
+  }
+  await query(`CREATE DATABASE ${mysql.escapeId(name)} CHARACTER SET ${set.charset} COLLATE ${chosen}`);
+  return { name, charset: set.charset, collation: chosen };
+}
+
+async function dropDatabase(name) {
+  databaseName(name);
+  if (SYSTEM_DATABASES.includes(name.toLowerCase())) {
+    throw httpError(403, `${name} is a system database`);
+  }
+  await query(`DROP DATABASE ${mysql.escapeId(name)}`);
+}
+
+// "my\_db" from SCHEMA_PRIVILEGES -> "my_db"
+function unescapeSchema(value) {
+  return value.replace(/\\([_%])/g, '$1');
+}
+
+// Accounts with their database-level privileges ({ database: [privileges] })
+async function listUsers() {
+  const [users, grants] = await Promise.all([
+    query('SELECT User AS username, Host AS host FROM mysql.user ORDER BY User, Host'),
+    query('SELECT GRANTEE AS grantee, TABLE_SCHEMA AS db, PRIVILEGE_TYPE AS privilege FROM information_schema.SCHEMA_PRIVILEGES')
+  ]);
+  return users.map(user => {
+    const grantee = `'${user.username}'@'${user.host}'`;
+    const databases = {};
+    for (const grant of grants.filter(item => item.grantee === grantee)) {
+      const db = unescapeSchema(grant.db);
+      databases[db] = databases[db] || [];
+      databases[db].push(grant.privilege);
+    }
+    return {
+      username: user.username,
+      host: user.host,
+      system: SYSTEM_USERS.includes(user.username) || user.username === '',
+      grants: databases
+    };
+  });
+}
+
+async function createUser({ username, host = 'localhost', password } = {}) {
+  account(username, host);
+  if (typeof password !== 'string' || password.length < 8) {
+    throw httpError(400, 'The password must be at least 8 characters');
+  }
+  await query('CREATE USER ?@? IDENTIFIED BY ?', [username, host, password]);
+  return { username, host };
+}
+
+async function dropUser(username, host) {
+  account(username, host);
+  if (username === config.get('mysql.user') || SYSTEM_USERS.includes(username)) {
+    throw httpError(403, `${username} is used by the panel or by MySQL itself`);
+  }
+  await query('DROP USER ?@?', [username, host]);
+}
+
+async function grant(username, host, database, privileges) {
+  account(username, host);
+  const list = privilegeList(privileges);
+  await query(`GRANT ${list.join(', ')} ON ${grantTarget(database)} TO ?@?`, [username, host]);
+}
+
+// Without privileges, everything on the database is revoked
+async function revoke(username, host, database, privileges) {
+  account(username, host);
+  const list = privileges === undefined || (Array.isArray(privileges) && privileges.length === 0)
+    ? ['ALL PRIVILEGES']
+    : privilegeList(privileges);
+  await query(`REVOKE ${list.join(', ')} ON ${grantTarget(database)} FROM ?@?`, [username, host]);
+}
+
+// BLOBs as hex; dates already arrive as the server prints them (dateStrings)
+function consoleValue(value) {
+  return Buffer.isBuffer(value) ? `0x${value.toString('hex')}` : value;
+}
+
+// The first result of one statement: its columns and up to maxRows rows,
+// or the affected row count when it returns no rows
+function consoleStatement(connection, sql, timeout, maxRows) {
+  return new Promise((resolve, reject) => {
+    const result = { columns: null, rows: [], rowCount: 0, affectedRows: null, truncated: false };
+    connection.query({ sql, timeout })
+      .on('fields', fields => {
+        if (fields && !result.columns) {
+          result.columns = fields.map(field => ({ name: field.name, type: Types[field.columnType] || String(field.columnType) }));
+        }
+      })
+      .on('result', (row, index) => {
+        if (!Array.isArray(row)) {
+          if (!result.columns && result.affectedRows === null) {
+            result.affectedRows = row.affectedRows;
+          }
+          return;
+        }
+        if (index !== 0) {
+          return;
+        }
+        result.rowCount++;
+        if (result.rows.length < maxRows) {
+          result.rows.push(row.map(consoleValue));
+        } else {
+          result.truncated = true;
+        }
+      })
+      .on('error', reject)
+      .on('end', () => resolve(result));
+  });
+}
+
+// One statement from the SQL console, on a connection of its own to
+// `database` (the driver refuses several statements at once). Read-only
+// mode runs it in a READ ONLY transaction, which closing the connection
+// rolls back. A statement still running after `timeout` ms is killed.
+async function execute(database, sql, { readOnly = false, timeout, maxRows }) {
+  databaseName(database);
+  const connection = createConnection({
+    ...(await connectionOptions()),
+    database,
+    rowsAsArray: true,
+    dateStrings: true,
+    bigNumberStrings: true
+  });
+  connection.on('error', () => {});
+  try {
+    if (readOnly) {
+      await consoleStatement(connection, 'SET SESSION TRANSACTION READ ONLY', timeout, 0);
+      await consoleStatement(connection, 'START TRANSACTION READ ONLY', timeout, 0);
+    }
+    return await consoleStatement(connection, sql, timeout, maxRows);
+  } catch (error) {
+    if (error.code === 'PROTOCOL_SEQUENCE_TIMEOUT') {
+      // The driver only drops the connection; the server would keep going
+      await query(`KILL QUERY ${Number(connection.threadId)}`).catch(() => {});
+      throw httpError(408, `The statement exceeded the ${timeout / 1000} s timeout and was stopped`);
+    }
+    if (error.code === 'ER_CANT_EXECUTE_IN_READ_ONLY_TRANSACTION') {
+      throw httpError(403, `Read-only mode: ${error.message}`);
+    }
+    const failure = dbError(error);
+    // Anything else the server rejected is a problem with the statement
+    throw failure.status === 500 && error.sqlState ? httpError(400, error.message) : failure;
+  } finally {
+    connection.destroy();
+  }
+}
+
+module.exports = {
+  PRIVILEGES,
+  status,
+  charsets,
+  listDatabases,
+  createDatabase,
+  dropDatabase,
+  listUsers,
+  createUser,
+  dropUser,
+  grant,
+  revoke,
+  execute
+};
@@ -0,0 +1,351 @@
+const fs = require('fs-extra');
+const { Pool, Client, Query, types, escapeIdentifier, escapeLiteral } = require('pg');
+const config = require('./config');
+const { httpError } = require('./errors');
+
+// PostgreSQL administration through the pg driver, connected as the
+// postgres.user role from the configuration to its maintenance database:
+// through the socket directory postgres.socketDir when it exists, else to
+// postgres.host. The pool is rebuilt when the settings change. Names go
+// through escapeIdentifier; encodings and privileges are checked against
+// fixed lists since they cannot be passed as parameters.
+const MAINTENANCE_DATABASE = 'postgres';
+const DATABASE_PRIVILEGES = ['ALL PRIVILEGES', 'CONNECT', 'CREATE', 'TEMPORARY'];
+const ENCODINGS = ['UTF8', 'LATIN1', 'LATIN2', 'LATIN9', 'WIN1252', 'SQL_ASCII', 'EUC_JP', 'EUC_KR', 'EUC_CN'];
+const NAME = /^[A-Za-z_][A-Za-z0-9_$-]{0,62}$/;
+
+let pool = null;
+
+config.onChange(() => {
+  if (pool) {
+    pool.end().catch(() => {});
+    pool = null;
+  }
+});
+
+async function connectionOptions() {
+  const settings = config.get('postgres');
+  // A directory as host makes pg use the Unix socket in it
+  const host = await fs.pathExists(settings.socketDir) ? settings.socketDir : settings.host;
+  return {
+    host,
+    port: settings.port,
+    user: settings.user,
+    password: settings.password || undefined,
+    connectionTimeoutMillis: 10 * 1000
+  };
+}
+
+async function getPool() {
+  if (!pool) {
+    pool = new Pool({ ...(await connectionOptions()), database: MAINTENANCE_DATABASE, max: 4 });
+    // Idle clients can fail when the server restarts; the next query reconnects
+    pool.on('error', () => {});
+  }
+  return pool;
+}
+
+// SQLSTATE codes and connection failures -> HTTP errors with the server's own message
+const SQLSTATE_STATUS = {
+  '42P04': 409, // duplicate_database
+  '42710': 409, // duplicate_object (role)
+  '55006': 409, // object_in_use (database with connections)
+  '2BP01': 409, // dependent_objects_still_exist (role owning objects)
+  '3D000': 404, // invalid_catalog_name
+  '42704': 404, // undefined_object
+  '22023': 400, // invalid_parameter_value
+  '42501': 403 // insufficient_privilege
+};
+
+function dbError(error) {
+  if (['ECONNREFUSED', 'ENOENT', 'ETIMEDOUT', 'EHOSTUNREACH'].includes(error.code) || /timeout/i.test(error.message)) {
+    return httpError(503, `PostgreSQL is not reachable: ${error.message}`);
+  }
+  // invalid_password, invalid_authorization_specification (e.g. failed peer auth)
+  if (error.code === '28P01' || error.code === '28000') {
+    return httpError(503, `PostgreSQL refused the configured admin role: ${error.message}`);
+  }
+  return httpError(SQLSTATE_STATUS[error.code] || error.status || 500, error.message);
+}
+
+async function query(sql, params = []) {
+  try {
+    return (await (await getPool()).query(sql, params)).rows;
+  } catch (error) {
+    throw dbError(error);
+  }
+}
+
+function checkName(value, label) {
+  if (typeof value !== 'string' || !NAME.test(value)) {
+    throw httpError(400, `Invalid ${label}: start with a letter or "_", then letters, digits, "_", "$" or "-" (63 at most)`);
+  }
+  return value;
+}
+
+function privilegeList(privileges) {
+  const list = (Array.isArray(privileges) ? privileges : [privileges])
+    .map(privilege => String(privilege || '').trim().toUpperCase());
+  if (list.length === 0 || list.some(privilege => !DATABASE_PRIVILEGES.includes(privilege))) {
+    throw httpError(400, `Invalid privileges: use ${DATABASE_PRIVILEGES.join(', ')}`);
+  }
+  return list.includes('ALL PRIVILEGES') ? ['ALL PRIVILEGES'] : [...new Set(list)];
+}
+
+async function status() {
+  const [row] = await query('SHOW server_version');
+  return { version: row.server_version };
+}
+
+// Sizes only for databases the admin role may connect to
+async function listDatabases() {
+  const rows = await query(
+    'SELECT d.datname AS name, pg_get_userbyid(d.datdba) AS owner, pg_encoding_to_char(d.encoding) AS encoding, ' +
+    "d.datcollate AS collate, d.datistemplate AS template, CASE WHEN has_database_privilege(d.datname, 'CONNECT') " +
+    'THEN pg_database_size(d.datname) END AS size FROM pg_database d ORDER BY d.datname'
+  );
+  return rows.map(row => ({
+    name: row.name,
+    owner: row.owner,
+    encoding: row.encoding,
+    collate: row.collate,
+    size: row.size === null ? null : Number(row.size),
+    system: row.template || row.name === MAINTENANCE_DATABASE
+  }));
+}
+
+// Tables, views, sequences and the like outside the system schemas; the
+// size alone cannot tell an empty database from a populated one
+async function relationCount(database) {
+  checkName(database, 'database name');
+  const client = new Client({ ...(await connectionOptions()), database });
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    const { rows } = await client.query(
+      'SELECT count(*)::int AS count FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace ' +
+      "WHERE n.nspname <> 'information_schema' AND n.nspname !~ '^pg_' AND c.relkind IN ('r', 'p', 'v', 'm', 'S', 'f')"
+    );
+    return rows[0].count;
+  } catch (error) {
+    throw dbError(error);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+// A new database from template0, so any encoding can be chosen
+async function createDatabase({ name, owner, encoding = 'UTF8' } = {}) {
+  checkName(name, 'database name');
+  if (!ENCODINGS.includes(encoding)) {
+    throw httpError(400, `Invalid encoding: use ${ENCODINGS.join(', ')}`);
+  }
+  const ownerClause = owner ? ` OWNER ${escapeIdentifier(checkName(owner, 'owner'))}` : '';
+  await query(`CREATE DATABASE ${escapeIdentifier(name)}${ownerClause} ENCODING ${escapeLiteral(encoding)} TEMPLATE template0`);
+  return { name, owner: owner || config.get('postgres.user'), encoding };
+}
+
+async function dropDatabase(name) {
+  checkName(name, 'database name');
+  const database = (await listDatabases()).find(item => item.name === name);
+  if (database && database.system) {
+    throw httpError(403, `${name} is a system database`);
+  }
+  await query(`DROP DATABASE ${escapeIdentifier(name)}`);
+}
+
+// Roles (without the predefined pg_* ones) and their database privileges
+async function listRoles() {
+  const [roles, grants] = await Promise.all([
+    query(
+      'SELECT rolname AS name, rolcanlogin AS login, rolsuper AS superuser, rolcreatedb AS createdb, ' +
+      "rolcreaterole AS createrole, rolconnlimit AS connection_limit FROM pg_roles WHERE rolname !~ '^pg_' ORDER BY rolname"
+    ),
+    query(
+      'SELECT d.datname AS database, pg_get_userbyid(a.grantee) AS role, a.privilege_type AS privilege ' +
+      'FROM pg_database d, aclexplode(d.datacl) a WHERE a.grantee <> 0 AND a.grantee <> d.datdba'
+    )
+  ]);
+  return roles.map(role => {
+    const databases = {};
+    for (const grant of grants.filter(item => item.role === role.name)) {
+      databases[grant.database] = databases[grant.database] || [];
+      databases[grant.database].push(grant.privilege);
+    }
+    return {
+      name: role.name,
+      login: role.login,
+      superuser: role.superuser,
+      createdb: role.createdb,
+      createrole: role.createrole,
+      connectionLimit: role.connection_limit,
+      grants: databases
+    };
+  });
+}
+
+async function createRole({ name, password, login = true, createdb = false } = {}) {
+  checkName(name, 'role name');
+  const options = [login ? 'LOGIN' : 'NOLOGIN', createdb ? 'CREATEDB' : 'NOCREATEDB'];
+  if (password !== undefined && password !== '') {
+    if (typeof password !== 'string' || password.length < 8) {
+      throw httpError(400, 'The password must be at least 8 characters');
+    }
+    options.push(`PASSWORD ${escapeLiteral(password)}`);
+  } else if (login) {
+    throw httpError(400, 'A role that can log in needs a password');
+  }
+  await query(`CREATE ROLE ${escapeIdentifier(name)} ${options.join(' ')}`);
+  return { name, login: Boolean(login), createdb: Boolean(createdb) };
+}
+
+async function dropRole(name) {
+  checkName(name, 'role name');
+  if (name === config.get('postgres.user') || name === 'postgres') {
+    throw httpError(403, `${name} is used by the panel or by PostgreSQL itself`);
+  }
+  await query(`DROP ROLE ${escapeIdentifier(name)}`);
+}
+
+async function grant(role, database, privileges) {
+  const list = privilegeList(privileges);
+  await query(`GRANT ${list.join(', ')} ON DATABASE ${escapeIdentifier(checkName(database, 'database name'))} TO ${escapeIdentifier(checkName(role, 'role name'))}`);
+}
+
+// Without privileges, everything on the database is revoked
+async function revoke(role, database, privileges) {
+  const list = privileges === undefined || (Array.isArray(privileges) && privileges.length === 0)
+    ? ['ALL PRIVILEGES']
+    : privilegeList(privileges);
+  await query(`REVOKE ${list.join(', ')} ON DATABASE ${escapeIdentifier(checkName(database, 'database name'))} FROM ${escapeIdentifier(checkName(role, 'role name'))}`);
+}
+
+// Client connections other than the panel's own
+async function connections() {
+  const rows = await query(
+    'SELECT pid, usename AS user, datname AS database, client_addr AS client, application_name AS application, ' +
+    'state, backend_start AS connected_at, query_start AS query_started_at, left(query, 500) AS query ' +
+    "FROM pg_stat_activity WHERE backend_type = 'client backend' AND pid <> pg_backend_pid() ORDER BY backend_start"
+  );
+  return rows.map(row => ({
+    pid: row.pid,
+    user: row.user,
+    database: row.database,
+    client: row.client || 'local socket',
+    application: row.application,
+    state: row.state,
+    connectedAt: row.connected_at,
+    queryStartedAt: row.query_started_at,
+    query: row.query
+  }));
+}
+
+async function terminate(pid) {
+  const id = Number(pid);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw httpError(400, 'Invalid connection id');
+  }
+  const [row] = await query('SELECT pg_terminate_backend($1) AS terminated', [id]);
+  if (!row.terminated) {
+    throw httpError(404, `No connection with id ${id}`);
+  }
+}
+
+// date, time, timestamp, timestamptz, timetz and bytea stay as the server
+// prints them instead of becoming time-zone-shifted Dates and Buffers
+const CONSOLE_TEXT_TYPES = [1082, 1083, 1114, 1184, 1266, 17];
+
+function consoleTypeParser(oid, format) {
+  return CONSOLE_TEXT_TYPES.includes(oid) ? value => value : types.getTypeParser(oid, format);
+}
+
+// The result of one statement: its columns and up to maxRows rows, or the
+// affected row count when it returns no rows. The extended protocol
+// refuses several statements at once.
+function consoleStatement(client, sql, maxRows) {
+  return new Promise((resolve, reject) => {
+    const result = { columns: null, rows: [], rowCount: 0, affectedRows: null, truncated: false };
+    const statement = new Query({
+      text: sql,
+      queryMode: 'extended',
+      rowMode: 'array',
+      types: { getTypeParser: consoleTypeParser }
+    });
+    statement.on('row', row => {
+      result.rowCount++;
+      if (result.rows.length < maxRows) {
+        result.rows.push(row);
+      } else {
+        result.truncated = true;
+      }
+    });
+    statement.on('error', reject);
+    statement.on('end', ended => {
+      if (ended.fields.length > 0) {
+        result.columns = ended.fields.map(field => ({ name: field.name, typeId: field.dataTypeID }));
+      } else {
+        result.affectedRows = ended.rowCount;
+      }
+      resolve(result);
+    });
+    client.query(statement);
+  });
+}
+
+// One statement from the SQL console, on a connection of its own to
+// `database` with statement_timeout set to `timeout` ms. Read-only mode
+// runs it in a READ ONLY transaction, which closing the connection rolls
+// back.
+async function execute(database, sql, { readOnly = false, timeout, maxRows }) {
+  checkName(database, 'database name');
+  const client = new Client({ ...(await connectionOptions()), database, statement_timeout: timeout });
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    if (readOnly) {
+      await client.query('BEGIN READ ONLY');
+    }
+    const result = await consoleStatement(client, sql, maxRows);
+    if (result.columns) {
+      const { rows } = await client.query(
+        'SELECT oid, format_type(oid, NULL) AS type FROM pg_type WHERE oid = ANY($1)',
+        [result.columns.map(column => column.typeId)]
+      );
+      result.columns = result.columns.map(column => ({
+        name: column.name,
+        type: (rows.find(row => row.oid === column.typeId) || {}).type || String(column.typeId)
+      }));
+    }
+    return result;
+  } catch (error) {
+    if (error.code === '57014') { // query_canceled, here by statement_timeout
+      throw httpError(408, `The statement exceeded the ${timeout / 1000} s timeout and was stopped`);
+    }
+    if (error.code === '25006') { // read_only_sql_transaction
+      throw httpError(403, `Read-only mode: ${error.message}`);
+    }
+    const failure = dbError(error);
+    // Anything else the server rejected is a problem with the statement
+    throw failure.status === 500 && /^[0-9A-Z]{5}$/.test(error.code || '') ? httpError(400, error.message) : failure;
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+module.exports = {
+  DATABASE_PRIVILEGES,
+  ENCODINGS,
+  status,
+  listDatabases,
+  relationCount,
+  createDatabase,
+  dropDatabase,
+  listRoles,
+  createRole,
+  dropRole,
+  grant,
+  revoke,
+  connections,
+  terminate,
+  execute
+};
@@ -0,0 +1,124 @@
+// Permissions are "<family>:<level>" strings, e.g. "vms:write". A role may
+// grant a whole family with "<family>:*" or everything with "*".
+const ROLES = {
+  admin: {
+    description: 'Full access, including panel users',
+    permissions: ['*']
+  },
+  operator: {
+    description: 'Manage files, services, cron jobs, databases, VMs, networks and backups',
+    permissions: [
+      'system:read',
+      'files:read',
+      'files:write',
+      'services:*',
+      'cron:*',
+      'databases:*',
+      'vms:*',
+      'networks:*',
+      'backups:*',
+      'debug:read'
+    ]
+  },
+  viewer: {
+    description: 'Read-only access to the dashboard, services, databases, VMs and networks',
+    permissions: [
+      'system:read',
+      'services:read',
+      'databases:read',
+      'vms:read',
+      'networks:read',
+      'backups:read'
+    ]
+  }
+};
+
+const DEFAULT_ROLE = 'viewer';
+
+// Every permission a route can require; API token scopes are picked from these
+const SCOPES = [
+  'system:read',
+  'files:read',
+  'files:write',
+  'files:purge',
+  'services:read',
+  'services:write',
+  'cron:read',
+  'cron:write',
+  'databases:read',
+  'databases:write',
+  'vms:read',
+  'vms:write',
+  'networks:read',
+  'networks:write',
+  'backups:read',
+  'backups:write',
+  'debug:read',
+  'users:read',
+  'users:write',
+  'audit:read',
+  'settings:read',
+  'settings:write'
+];
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function permissionsFor(role) {
+  return isValidRole(role) ? ROLES[role].permissions : [];
+}
+
+function hasPermission(permissions, required) {
+  const [family] = required.split(':');
+  return permissions.some(granted =>
+    granted === '*' || granted === required || granted === `${family}:*`
+  );
+}
+
+function scopesFor(role) {
+  return SCOPES.filter(scope => hasPermission(permissionsFor(role), scope));
+}
+
+function listRoles() {
+  return Object.entries(ROLES).map(([name, role]) => ({
+    name,
+    description: role.description,
+    permissions: role.permissions
+  }));
+}
+
+// Whether the request may use `permission`; API token requests (req.token)
+// are limited to both the role and the token scopes. Unauthenticated
+// requests may use nothing.
+function allows(req, permission) {
+  if (!req.user) {
+    return false;
+  }
+  return hasPermission(permissionsFor(req.user.role), permission) &&
+    (!req.token || hasPermission(req.token.scopes, permission));
+}
+
+// Route middleware; runs after requireAuth has set req.user
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!allows(req, permission)) {
+      return res.status(403).json({ error: `Permission denied: ${permission} required` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_ROLE,
+  isValidRole,
+  permissionsFor,
+  hasPermission,
+  scopesFor,
+  listRoles,
+  allows,
+  requirePermission
+};
@@ -0,0 +1,329 @@
+const path = require('path');
+const fs = require('fs-extra');
+const jail = require('./jail');
+const jobs = require('./jobs');
+const { run } = require('./command');
+const { httpError } = require('./errors');
+
+// Recursive file search from a folder, run as a background job. Hits are
+// streamed to the client in small batches (job 'data' events) until the
+// walk ends or `limit` hits were found. Symlinks are listed but never
+// followed, and protected paths are skipped. Content matching, and name
+// matching in regex mode, is done by grep, which skips binary files (-I)
+// and can't be stalled by a pathological regular expression the way a
+// JavaScript RegExp on the event loop can. Globs are translated to simple
+// anchored RegExps and matched in place.
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_PATTERN_LENGTH = 500;
+const CONTENT_BATCH = 50;
+const NAME_BATCH = 500;
+const MATCHES_PER_FILE = 3;
+const SNIPPET_LENGTH = 200;
+const SEND_INTERVAL = 200;
+const GREP_TIMEOUT = 10 * 60 * 1000;
+
+const NAME_MODES = ['glob', 'regex'];
+const CONTENT_MODES = ['text', 'regex'];
+const TYPES = ['any', 'file', 'directory'];
+
+// "*.conf", "site-?.log", "[a-c]*" -> anchored RegExp on the file name
+function globToRegExp(glob, flags) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\/[\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+function pattern(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > MAX_PATTERN_LENGTH || value.includes('\0')) {
+    throw httpError(400, `Invalid ${label}`);
+  }
+  return value;
+}
+
+function optionalNumber(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw httpError(400, `Invalid ${label}`);
+  }
+  return number;
+}
+
+function optionalDate(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw httpError(400, `Invalid ${label}: expected a date`);
+  }
+  return time;
+}
+
+function checkOptions(options) {
+  const caseSensitive = Boolean(options.caseSensitive);
+  const nameMode = options.nameMode || 'glob';
+  const contentMode = options.contentMode || 'text';
+  const type = options.type || 'any';
+  if (!NAME_MODES.includes(nameMode) || !CONTENT_MODES.includes(contentMode) || !TYPES.includes(type)) {
+    throw httpError(400, 'Invalid search mode or type');
+  }
+
+  const name = pattern(options.name, 'name pattern');
+  const content = pattern(options.content, 'content pattern');
+  if (content && type === 'directory') {
+    throw httpError(400, 'Only files can be searched by content');
+  }
+
+  let nameMatcher = null;
+  if (name && nameMode === 'glob') {
+    try {
+      nameMatcher = globToRegExp(name, caseSensitive ? '' : 'i');
+    } catch (error) {
+      throw httpError(400, `Invalid name pattern: ${error.message}`);
+    }
+  }
+
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : optionalNumber(options.limit, 'limit');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(400, `Invalid limit: expected a whole number between 1 and ${MAX_LIMIT}`);
+  }
+
+  return {
+    name,
+    nameMode,
+    nameMatcher,
+    content,
+    contentMode,
+    caseSensitive,
+    type,
+    minSize: optionalNumber(options.minSize, 'minimum size'),
+    maxSize: optionalNumber(options.maxSize, 'maximum size'),
+    modifiedAfter: optionalDate(options.modifiedAfter, 'modified after'),
+    modifiedBefore: optionalDate(options.modifiedBefore, 'modified before'),
+    limit
+  };
+}
+
+function matchesFilters(name, stats, options) {
+  if (options.type === 'file' && !stats.isFile()) return false;
+  if (options.type === 'directory' && !stats.isDirectory()) return false;
+  if (options.nameMatcher && !options.nameMatcher.test(name)) return false;
+  if (options.minSize !== null && stats.size < options.minSize) return false;
+  if (options.maxSize !== null && stats.size > options.maxSize) return false;
+  if (options.modifiedAfter !== null && stats.mtimeMs < options.modifiedAfter) return false;
+  if (options.modifiedBefore !== null && stats.mtimeMs > options.modifiedBefore) return false;
+  return true;
+}
+
+// grep -E over NUL-separated names (-z); returns the names that matched
+async function grepNames(names, options, signal) {
+  const args = ['-z', '-E'];
+  if (!options.caseSensitive) args.push('-i');
+  args.push('-e', options.name);
+
+  let stdout;
+  try {
+    ({ stdout } = await run('grep', args, {
+      input: names.map(name => `${name}\0`).join(''),
+      timeout: GREP_TIMEOUT,
+      signal
+    }));
+  } catch (error) {
+    if (error.cancelled || error.timedOut || ![1, 2].includes(error.code)) throw error;
+    // 1: nothing matched; 2: the pattern is invalid
+    if (error.code === 2) {
+      throw httpError(400, `Invalid name pattern: ${error.stderr.trim()}`);
+    }
+    stdout = '';
+  }
+  return new Set(stdout.split('\0'));
+}
+
+// grep -Z prints "file\0line:text" for each matching line
+async function grepFiles(files, options, signal) {
+  const args = ['-I', '-n', '-H', '-Z', '-s', '-m', String(MATCHES_PER_FILE)];
+  if (!options.caseSensitive) args.push('-i');
+  args.push(options.contentMode === 'regex' ? '-E' : '-F', '-e', options.content, '--', ...files);
+
+  let stdout;
+  try {
+    ({ stdout } = await run('grep', args, { timeout: GREP_TIMEOUT, maxOutput: 100 * 1024 * 1024, signal }));
+  } catch (error) {
+    if (error.cancelled || error.timedOut || ![1, 2].includes(error.code)) throw error;
+    // 1: nothing matched; 2: some files were unreadable, or the pattern is invalid
+    if (error.code === 2 && error.stderr.trim()) {
+      throw httpError(400, `Invalid content pattern: ${error.stderr.trim()}`);
+    }
+    stdout = error.stdout;
+  }
+
+  const matches = new Map();
+  for (const line of stdout.split('\n')) {
+    const separator = line.indexOf('\0');
+    const match = separator === -1 ? null : /^(\d+):([\s\S]*)$/.exec(line.slice(separator + 1));
+    if (!match) continue;
+    const file = line.slice(0, separator);
+    if (!matches.has(file)) matches.set(file, []);
+    matches.get(file).push({ line: Number(match[1]), text: match[2].slice(0, SNIPPET_LENGTH) });
+  }
+  return matches;
+}
+
+async function runSearch(start, requested, options, context) {
+  const state = { scanned: 0, found: 0, truncated: false, pending: [], lastSend: 0 };
+  let named = [];
+  let candidates = [];
+
+  const flush = (force) => {
+    if (state.pending.length > 0 && (force || Date.now() - state.lastSend >= SEND_INTERVAL)) {
+      context.send({ hits: state.pending });
+      state.pending = [];
+      state.lastSend = Date.now();
+    }
+  };
+
+  // Report paths under the folder the user asked for, not its resolved real path
+  const addHit = (file, stats, matches) => {
+    if (state.found >= options.limit) {
+      state.truncated = true;
+      return;
+    }
+    state.found++;
+    state.pending.push({
+      path: path.join(requested, path.relative(start, file)),
+      name: path.basename(file),
+      isDirectory: stats.isDirectory(),
+      isSymlink: stats.isSymbolicLink(),
+      size: stats.size,
+      modified: stats.mtime,
+      matches: matches || []
+    });
+    flush(false);
+  };
+
+  const searchContents = async () => {
+    const batch = candidates;
+    candidates = [];
+    const matches = await grepFiles(batch.map(candidate => candidate.file), options, context.signal);
+    for (const candidate of batch) {
+      if (matches.has(candidate.file) && !state.truncated) {
+        addHit(candidate.file, candidate.stats, matches.get(candidate.file));
+      }
+    }
+  };
+
+  // An entry that passed every filter, the name included
+  const accept = async (entry) => {
+    if (!options.content) {
+      addHit(entry.file, entry.stats);
+    } else if (entry.stats.isFile()) {
+      candidates.push(entry);
+      if (candidates.length >= CONTENT_BATCH) {
+        await searchContents();
+      }
+    }
+  };
+
+  const matchNames = async () => {
+    const batch = named;
+    named = [];
+    const matched = await grepNames(batch.map(entry => entry.name), options, context.signal);
+    for (const entry of batch) {
+      if (state.truncated) break;
+      if (matched.has(entry.name)) {
+        await accept(entry);
+      }
+    }
+  };
+
+  const pending = [start];
+  while (pending.length > 0 && !state.truncated) {
+    if (context.signal.aborted) {
+      throw new Error('Cancelled');
+    }
+    const dir = pending.pop();
+    const names = (await fs.readdir(dir).catch(() => [])).sort();
+    const subdirs = [];
+    for (const name of names) {
+      const file = path.join(dir, name);
+      if (jail.isProtected(file)) continue;
+      const stats = await fs.lstat(file).catch(() => null);
+      if (!stats) continue;
+      state.scanned++;
+
+      if (stats.isDirectory()) {
+        subdirs.push(file);
+      }
+      if (!matchesFilters(name, stats, options)) continue;
+
+      if (options.name && options.nameMode === 'regex') {
+        named.push({ file, stats, name });
+        if (named.length >= NAME_BATCH) {
+          await matchNames();
+        }
+      } else {
+        await accept({ file, stats });
+      }
+      if (state.truncated) break;
+    }
+    // Depth first, in name order
+    pending.push(...subdirs.reverse());
+    context.progress(state.scanned, 0, `${state.scanned} entries scanned, ${state.found} found`);
+  }
+  if (named.length > 0 && !state.truncated) {
+    await matchNames();
+  }
+  if (candidates.length > 0 && !state.truncated) {
+    await searchContents();
+  }
+
+  flush(true);
+  return { found: state.found, scanned: state.scanned, truncated: state.truncated };
+}
+
+async function search(user, options = {}) {
+  const checked = checkOptions(options);
+  if (!checked.name && !checked.content && checked.type === 'any' && checked.minSize === null &&
+      checked.maxSize === null && checked.modifiedAfter === null && checked.modifiedBefore === null) {
+    throw httpError(400, 'Give a name or content pattern, or at least one filter');
+  }
+  if (checked.name && checked.nameMode === 'regex') {
+    // Reject a bad pattern now rather than from inside the job
+    await grepNames([], checked);
+  }
+  const start = await jail.resolve(user, options.path);
+  const stats = await fs.stat(start).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw httpError(400, `${options.path} is not a directory`);
+  }
+
+  const what = [checked.name, checked.content && `"${checked.content}"`].filter(Boolean).join(' containing ');
+  const description = `Search ${options.path}${what ? ` for ${what}` : ''}`;
+  const requested = path.resolve('/', options.path);
+  return jobs.start(user, 'search', description, context => runSearch(start, requested, checked, context));
+}
+
+module.exports = {
+  search
+};
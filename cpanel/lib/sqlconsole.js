@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const config = require('./config');
+const store = require('./store');
+const mysql = require('./mysql');
+const postgres = require('./postgres');
+const { csvField } = require('./audit');
+const { httpError } = require('./errors');
+
+// SQL console: one statement at a time against a MySQL or PostgreSQL
+// database, through the engine modules, with sql.timeoutSeconds and
+// sql.maxRows from the configuration. Results stay in memory for a while
+// so they can be paged and exported without running the statement again;
+// only the user who ran a statement can read its result. Each panel user
+// has a history of their last statements in sql-history.json.
+const ENGINES = { mysql, postgres };
+const HISTORY_FILE = 'sql-history.json';
+const HISTORY_SIZE = 50;
+const RESULT_TTL = 15 * 60 * 1000;
+const MAX_RESULTS = 20;
+const MAX_SQL_LENGTH = 100 * 1024;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const results = new Map();
+const history = store.readJson(HISTORY_FILE, { users: {} }).users;
+
+function saveHistory() {
+  store.writeJson(HISTORY_FILE, { users: history });
+}
+
+function remember(username, entry) {
+  history[username] = [entry, ...(history[username] || [])].slice(0, HISTORY_SIZE);
+  saveHistory();
+}
+
+// Drop expired results, then the oldest ones beyond MAX_RESULTS
+function pruneResults() {
+  const now = Date.now();
+  for (const [id, result] of results) {
+    if (now - result.createdAt > RESULT_TTL) {
+      results.delete(id);
+    }
+  }
+  while (results.size > MAX_RESULTS) {
+    results.delete(results.keys().next().value);
+  }
+}
+
+function getResult(id, username) {
+  pruneResults();
+  const result = results.get(id);
+  if (!result || result.username !== username) {
+    throw httpError(404, 'Result not found or expired; run the statement again');
+  }
+  return result;
+}
+
+function pageSizeFrom(value) {
+  const size = parseInt(value, 10) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+function pageOf(result, page, pageSize) {
+  const size = pageSizeFrom(pageSize);
+  const pages = Math.max(Math.ceil(result.rows.length / size), 1);
+  const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages);
+  return {
+    page: current,
+    pageSize: size,
+    pages,
+    rows: result.rows.slice((current - 1) * size, current * size)
+  };
+}
+
+function summary(result) {
+  return {
+    id: result.id,
+    engine: result.engine,
+    database: result.database,
+    readOnly: result.readOnly,
+    columns: result.columns,
+    rowCount: result.rowCount,
+    affectedRows: result.affectedRows,
+    truncated: result.truncated,
+    maxRows: result.maxRows,
+    duration: result.duration
+  };
+}
+
+async function run(username, { engine, database, sql, readOnly = false, pageSize } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(ENGINES, engine)) {
+    throw httpError(400, `Unknown engine: use ${Object.keys(ENGINES).join(' or ')}`);
+  }
+  if (typeof sql !== 'string' || !sql.trim()) {
+    throw httpError(400, 'sql is required');
+  }
+  if (sql.length > MAX_SQL_LENGTH) {
+    throw httpError(413, `Statements are limited to ${MAX_SQL_LENGTH / 1024} KB`);
+  }
+  const timeout = config.get('sql.timeoutSeconds') * 1000;
+  const maxRows = config.get('sql.maxRows');
+  const entry = {
+    id: crypto.randomUUID(),
+    engine,
+    database,
+    sql,
+    readOnly: Boolean(readOnly),
+    executedAt: new Date().toISOString()
+  };
+  const started = Date.now();
+
+  let outcome;
+  try {
+    outcome = await ENGINES[engine].execute(database, sql, { readOnly: Boolean(readOnly), timeout, maxRows });
+  } catch (error) {
+    remember(username, { ...entry, duration: Date.now() - started, error: error.message });
+    throw error;
+  }
+
+  const result = {
+    ...entry,
+    ...outcome,
+    username,
+    maxRows,
+    duration: Date.now() - started,
+    createdAt: Date.now()
+  };
+  remember(username, {
+    ...entry,
+    duration: result.duration,
+    rowCount: result.columns ? result.rowCount : null,
+    affectedRows: result.affectedRows
+  });
+  if (result.columns) {
+    results.set(result.id, result);
+    pruneResults();
+  }
+  return { ...summary(result), ...(result.columns ? pageOf(result, 1, pageSize) : {}) };
+}
+
+function page(id, username, pageNumber, pageSize) {
+  const result = getResult(id, username);
+  return { ...summary(result), ...pageOf(result, pageNumber, pageSize) };
+}
+
+// Column names made unique ("id", "id_2") so JSON objects keep every column
+function jsonKeys(columns) {
+  const seen = new Map();
+  return columns.map(column => {
+    const count = (seen.get(column.name) || 0) + 1;
+    seen.set(column.name, count);
+    return count === 1 ? column.name : `${column.name}_${count}`;
+  });
+}
+
+// { filename, type, body } for a CSV or JSON download of the kept rows
+function exportResult(id, username, format) {
+  const result = getResult(id, username);
+  const filename = `${result.database}-${result.executedAt.slice(0, 19).replace(/:/g, '-')}.${format}`;
+  if (format === 'csv') {
+    const lines = [
+      result.columns.map(column => csvField(column.name)).join(','),
+      ...result.rows.map(row => row.map(value => csvField(value)).join(','))
+    ];
+    return { filename, type: 'text/csv', body: lines.join('\n') + '\n' };
+  }
+  if (format === 'json') {
+    const keys = jsonKeys(result.columns);
+    const rows = result.rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index]])));
+    return { filename, type: 'application/json', body: JSON.stringify(rows, null, 2) };
+  }
+  throw httpError(400, 'format must be csv or json');
+}
+
+function listHistory(username) {
+  return history[username] || [];
+}
+
+function clearHistory(username) {
+  delete history[username];
+  saveHistory();
+}
+
+module.exports = {
+  run,
+  page,
+  exportResult,
+  listHistory,
+  clearHistory
+};
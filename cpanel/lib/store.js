@@ -0,0 +1,38 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Panel state (users, sessions, tokens...) lives outside public/ so it is never served
+const DATA_DIR = process.env.CPANEL_DATA_DIR || path.join(__dirname, '..', 'data');
+
+fs.ensureDirSync(DATA_DIR, { mode: 0o700 });
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+function readJson(name, fallback) {
+  const file = dataPath(name);
+  try {
+    return fs.readJsonSync(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written store
+function writeJson(name, value) {
+  const file = dataPath(name);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeJsonSync(tmpFile, value, { spaces: 2, mode: 0o600 });
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,171 @@
+const { run } = require('./command');
+const validate = require('./validate');
+const { httpError } = require('./errors');
+
+// Service units through systemctl: listing (every unit, loaded or not, with
+// its enablement state), actions and the `systemctl show` details view.
+const UNIT_ACTIONS = ['start', 'stop', 'restart', 'reload', 'enable', 'disable', 'mask', 'unmask'];
+const PAST_TENSE = {
+  start: 'started',
+  stop: 'stopped',
+  restart: 'restarted',
+  reload: 'reloaded',
+  enable: 'enabled',
+  disable: 'disabled',
+  mask: 'masked',
+  unmask: 'unmasked'
+};
+
+const DEPENDENCY_PROPERTIES = {
+  Requires: 'requires',
+  Wants: 'wants',
+  BindsTo: 'bindsTo',
+  PartOf: 'partOf',
+  Conflicts: 'conflicts',
+  After: 'after',
+  Before: 'before',
+  RequiredBy: 'requiredBy',
+  WantedBy: 'wantedBy'
+};
+
+const DETAIL_PROPERTIES = [
+  'Id', 'Description', 'LoadState', 'ActiveState', 'SubState', 'UnitFileState', 'Result',
+  'FragmentPath', 'DropInPaths', 'MainPID', 'ExecMainStatus', 'MemoryCurrent', 'CPUUsageNSec',
+  'TasksCurrent', 'NRestarts', 'Restart', 'User', 'ActiveEnterTimestamp', 'InactiveEnterTimestamp',
+  ...Object.keys(DEPENDENCY_PROPERTIES)
+];
+
+// Values systemctl prints for "nothing": unset, or the UINT64_MAX sentinel
+const UNSET_VALUES = ['', '[not set]', 'n/a', '18446744073709551615'];
+
+// Non-zero exits carry systemctl's own explanation on stderr
+async function systemctl(args) {
+  try {
+    return (await run('systemctl', args)).stdout;
+  } catch (error) {
+    throw httpError(error.status || 500, (error.stderr && error.stderr.trim()) || error.message);
+  }
+}
+
+// --plain --no-legend lines: "nginx.service loaded active running A high performance web server"
+function parseUnits(stdout) {
+  return stdout.split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(parts => parts[0].endsWith('.service') && parts.length >= 4)
+    .map(parts => ({
+      name: parts[0],
+      load: parts[1],
+      active: parts[2],
+      sub: parts[3],
+      description: parts.slice(4).join(' ')
+    }));
+}
+
+// "nginx.service enabled enabled" -> nginx.service => enabled
+function parseUnitFiles(stdout) {
+  return new Map(stdout.split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(parts => parts[0].endsWith('.service') && parts.length >= 2)
+    .map(parts => [parts[0], parts[1]]));
+}
+
+// "Key=value" lines
+function parseProperties(stdout) {
+  const values = {};
+  for (const line of stdout.split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      values[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+  return values;
+}
+
+function unset(value) {
+  return value === undefined || UNSET_VALUES.includes(value);
+}
+
+function numberOrNull(value) {
+  return unset(value) ? null : Number(value);
+}
+
+function list(value) {
+  return unset(value) ? [] : value.split(/\s+/).filter(Boolean);
+}
+
+async function listServices() {
+  const [units, unitFiles] = await Promise.all([
+    systemctl(['list-units', '--type=service', '--all', '--no-pager', '--plain', '--no-legend']),
+    systemctl(['list-unit-files', '--type=service', '--no-pager', '--plain', '--no-legend'])
+  ]);
+  const states = parseUnitFiles(unitFiles);
+  const services = new Map();
+
+  for (const unit of parseUnits(units)) {
+    // Instances (getty@tty1.service) are enabled through their template
+    const template = unit.name.replace(/@[^.]*\.service$/, '@.service');
+    services.set(unit.name, { ...unit, enabled: states.get(unit.name) || states.get(template) || null });
+  }
+  // Installed but never loaded, e.g. disabled services nothing depends on
+  for (const [name, enabled] of states) {
+    if (!services.has(name) && !name.endsWith('@.service')) {
+      services.set(name, { name, load: 'not-loaded', active: 'inactive', sub: 'dead', description: '', enabled });
+    }
+  }
+  return [...services.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function failedServices() {
+  const stdout = await systemctl(['list-units', '--type=service', '--state=failed', '--no-pager', '--plain', '--no-legend']);
+  return parseUnits(stdout).map(unit => unit.name);
+}
+
+async function details(name) {
+  validate.unitName(name);
+  const values = parseProperties(await systemctl(['show', name, '--no-pager', `--property=${DETAIL_PROPERTIES.join(',')}`]));
+  if (values.LoadState === 'not-found') {
+    throw httpError(404, `Unit ${name} not found`);
+  }
+
+  const dependencies = {};
+  for (const [property, key] of Object.entries(DEPENDENCY_PROPERTIES)) {
+    dependencies[key] = list(values[property]);
+  }
+  return {
+    name: values.Id,
+    description: values.Description,
+    load: values.LoadState,
+    active: values.ActiveState,
+    sub: values.SubState,
+    enabled: unset(values.UnitFileState) ? null : values.UnitFileState,
+    result: values.Result,
+    fragmentPath: unset(values.FragmentPath) ? null : values.FragmentPath,
+    dropInPaths: list(values.DropInPaths),
+    mainPid: numberOrNull(values.MainPID) || null,
+    exitStatus: numberOrNull(values.ExecMainStatus),
+    memory: numberOrNull(values.MemoryCurrent),
+    cpuNanoseconds: numberOrNull(values.CPUUsageNSec),
+    tasks: numberOrNull(values.TasksCurrent),
+    restarts: numberOrNull(values.NRestarts),
+    restartPolicy: unset(values.Restart) ? null : values.Restart,
+    user: unset(values.User) ? null : values.User,
+    activeSince: unset(values.ActiveEnterTimestamp) ? null : values.ActiveEnterTimestamp,
+    inactiveSince: unset(values.InactiveEnterTimestamp) ? null : values.InactiveEnterTimestamp,
+    dependencies
+  };
+}
+
+async function control(name, action) {
+  validate.unitName(name);
+  validate.oneOf(action, UNIT_ACTIONS);
+  await systemctl([action, name]);
+  return `Service ${name} ${PAST_TENSE[action]} successfully`;
+}
+
+module.exports = {
+  UNIT_ACTIONS,
+  listServices,
+  failedServices,
+  details,
+  control
+};
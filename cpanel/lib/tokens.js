@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const store = require('./store');
+const roles = require('./roles');
+const { httpError } = require('./errors');
+
+const TOKENS_FILE = 'tokens.json';
+const TOKEN_PATTERN = /^cpt_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const MAX_EXPIRY_DAYS = 365;
+
+let tokens = store.readJson(TOKENS_FILE, { tokens: [] }).tokens;
+let lastUsedDirty = false;
+
+function save() {
+  lastUsedDirty = false;
+  store.writeJson(TOKENS_FILE, { tokens });
+}
+
+// lastUsedAt changes on every request; write it out once a minute instead
+setInterval(() => {
+  if (lastUsedDirty) {
+    save();
+  }
+}, 60 * 1000).unref();
+
+function hashToken(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function toPublic(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    owner: token.owner,
+    scopes: token.scopes,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    lastUsedAt: token.lastUsedAt || null,
+    lastUsedIp: token.lastUsedIp || null
+  };
+}
+
+function isExpired(token) {
+  return Date.parse(token.expiresAt) <= Date.now();
+}
+
+function listTokens(owner) {
+  return tokens.filter(t => t.owner === owner).map(t => ({ ...toPublic(t), expired: isExpired(t) }));
+}
+
+// The secret is returned exactly once; only its hash is stored
+function createToken({ owner, role, name, scopes, expiresInDays }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+    throw httpError(400, 'Token name is required (max 64 characters)');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw httpError(400, 'At least one scope is required');
+  }
+  const allowed = roles.scopesFor(role);
+  const invalid = scopes.filter(scope => !allowed.includes(scope));
+  if (invalid.length > 0) {
+    throw httpError(400, `Scopes not available to your role: ${invalid.join(', ')}`);
+  }
+  const days = parseInt(expiresInDays, 10);
+  if (!(days >= 1 && days <= MAX_EXPIRY_DAYS)) {
+    throw httpError(400, `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const value = `cpt_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+  const token = {
+    id,
+    name: name.trim(),
+    owner,
+    scopes: [...new Set(scopes)],
+    hash: hashToken(value),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+  };
+  tokens.push(token);
+  save();
+  return { token: value, ...toPublic(token) };
+}
+
+function revokeToken(id, owner) {
+  const token = tokens.find(t => t.id === id && t.owner === owner);
+  if (!token) {
+    throw httpError(404, 'Token not found');
+  }
+  tokens = tokens.filter(t => t !== token);
+  save();
+}
+
+function revokeUserTokens(owner) {
+  const remaining = tokens.filter(t => t.owner !== owner);
+  if (remaining.length !== tokens.length) {
+    tokens = remaining;
+    save();
+  }
+}
+
+// Returns the token record for a valid, unexpired bearer value, null otherwise
+function verifyToken(value, ip) {
+  const match = TOKEN_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const token = tokens.find(t => t.id === match[1]);
+  if (!token || isExpired(token)) {
+    return null;
+  }
+  const expected = Buffer.from(token.hash, 'hex');
+  const actual = Buffer.from(hashToken(value), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  token.lastUsedAt = new Date().toISOString();
+  token.lastUsedIp = ip;
+  lastUsedDirty = true;
+  return toPublic(token);
+}
+
+module.exports = {
+  MAX_EXPIRY_DAYS,
+  listTokens,
+  createToken,
+  revokeToken,
+  revokeUserTokens,
+  verifyToken
+};
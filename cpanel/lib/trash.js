@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const store = require('./store');
+const jail = require('./jail');
+const config = require('./config');
+const jobs = require('./jobs');
+const { freeName } = require('./fileops');
+const { httpError } = require('./errors');
+
+// Recycle bin for the file manager. Deleting moves the entry into the data
+// directory (data/trash/<id>, with <id>.json recording where it came from,
+// who deleted it and when), from where it can be restored or purged. Items
+// older than trash.maxAgeDays are purged, and the oldest go first once the
+// trash holds more than trash.maxSizeMB; an item larger than that is refused
+// rather than purged right away. A move within the filesystem of the data
+// directory is a rename and done at once; across filesystems it is a copy,
+// which runs as a job. Users see the items they deleted; with `all`
+// (files:purge) every item is visible.
+const TRASH_DIR = store.dataPath('trash');
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+const RESTORE_POLICIES = ['fail', 'overwrite', 'rename'];
+
+fs.ensureDirSync(TRASH_DIR, { mode: 0o700 });
+
+// Items being moved in or out, which cleanup must leave alone
+const busy = new Set();
+
+function metaFile(id) {
+  return path.join(TRASH_DIR, `${id}.json`);
+}
+
+function dataFile(id) {
+  return path.join(TRASH_DIR, id);
+}
+
+function publicView(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    path: item.path,
+    isDirectory: item.isDirectory,
+    size: item.size,
+    deletedBy: item.deletedBy,
+    deletedAt: item.deletedAt
+  };
+}
+
+async function readItem(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return null;
+  }
+  return fs.readJson(metaFile(id)).catch(() => null);
+}
+
+async function readAll() {
+  const names = await fs.readdir(TRASH_DIR);
+  const items = await Promise.all(names
+    .filter(name => name.endsWith('.json'))
+    .map(name => readItem(name.slice(0, -'.json'.length))));
+  return items.filter(Boolean);
+}
+
+async function findItem(user, id, { all = false } = {}) {
+  const item = await readItem(id);
+  if (!item || busy.has(id) || (!all && item.deletedBy !== user.username)) {
+    throw httpError(404, 'Trash item not found');
+  }
+  return item;
+}
+
+async function purgeItem(id) {
+  await fs.remove(dataFile(id));
+  await fs.remove(metaFile(id));
+}
+
+// Bytes used by a file or directory tree, symlinks counted as themselves
+async function entrySize(target) {
+  const stats = await fs.lstat(target).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    return stats ? stats.size : 0;
+  }
+  let total = 0;
+  for (const name of await fs.readdir(target).catch(() => [])) {
+    total += await entrySize(path.join(target, name));
+  }
+  return total;
+}
+
+function cancelled() {
+  return Object.assign(new Error('Cancelled'), { cancelled: true });
+}
+
+function megabytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Whether moving `source` into `directory` is a rename rather than a copy
+async function sameFilesystem(source, directory) {
+  const [sourceStats, directoryStats] = await Promise.all([fs.lstat(source), fs.stat(directory)]);
+  return sourceStats.dev === directoryStats.dev;
+}
+
+// Move `source` to `target`. Without a job context, or within a filesystem,
+// this is fs.move; otherwise a copy reporting progress against `total`
+// bytes, which stops when the job is cancelled, followed by removing the source
+async function moveEntry(source, target, context, total) {
+  if (!context || await sameFilesystem(source, path.dirname(target))) {
+    await fs.move(source, target);
+    return;
+  }
+  let done = 0;
+  const filter = async file => {
+    if (context.signal.aborted) {
+      throw cancelled();
+    }
+    const stats = await fs.lstat(file);
+    if (!stats.isDirectory()) {
+      done += stats.size;
+      context.progress(done, total, `${megabytes(done)} of ${megabytes(total)} moved`);
+    }
+    return true;
+  };
+  try {
+    await fs.copy(source, target, { errorOnExist: true, overwrite: false, filter });
+  } catch (error) {
+    await fs.remove(target).catch(() => {});
+    throw error;
+  }
+  await fs.remove(source);
+}
+
+// Describe an already resolved and checked path as a trash item; refuses
+// entries the trash could not hold
+async function newItem(user, fullPath) {
+  const stats = await fs.lstat(fullPath).catch(() => null);
+  if (!stats) {
+    throw httpError(404, `${fullPath} does not exist`);
+  }
+  const size = await entrySize(fullPath);
+  const maxSize = config.get('trash.maxSizeMB') * 1024 * 1024;
+  if (size > maxSize) {
+    throw httpError(413, `${fullPath} (${megabytes(size)}) is larger than the trash (${megabytes(maxSize)}); delete it permanently instead`);
+  }
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    name: path.basename(fullPath),
+    path: fullPath,
+    isDirectory: stats.isDirectory(),
+    size,
+    deletedBy: user.username,
+    deletedAt: new Date().toISOString()
+  };
+}
+
+// Move an item's entry into the trash
+async function trashEntry(item, context) {
+  busy.add(item.id);
+  try {
+    await fs.writeJson(metaFile(item.id), item, { mode: 0o600 });
+    await moveEntry(item.path, dataFile(item.id), context, item.size);
+  } catch (error) {
+    await fs.remove(metaFile(item.id)).catch(() => {});
+    throw error;
+  } finally {
+    busy.delete(item.id);
+  }
+}
+
+// Run `task` right away when every move is a rename; otherwise as a job.
+// Resolves with { result } or { job }
+async function runMoves(user, description, renames, task) {
+  if (renames) {
+    return { result: await task(null) };
+  }
+  return { job: jobs.start(user, 'trash', description, task) };
+}
+
+async function remove(user, requested) {
+  const fullPath = await jail.resolve(user, requested, { follow: false });
+  jail.assertRemovable(user, fullPath);
+  const item = await newItem(user, fullPath);
+  return runMoves(user, `Move ${fullPath} to the trash`, await sameFilesystem(fullPath, TRASH_DIR), async context => {
+    await trashEntry(item, context);
+    await cleanup();
+    return { item: publicView(item) };
+  });
+}
+
+// Delete without going through the trash
+async function removePermanently(user, requested) {
+  const fullPath = await jail.resolve(user, requested, { follow: false });
+  jail.assertRemovable(user, fullPath);
+  await fs.remove(fullPath);
+}
+
+async function list(user, { all = false } = {}) {
+  const items = await readAll();
+  return items
+    .filter(item => !busy.has(item.id) && (all || item.deletedBy === user.username))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map(publicView);
+}
+
+// Put an item back where it was deleted from. If something new is there now,
+// `overwrite` decides: fail (409), overwrite (the current entry goes to the
+// trash in its place) or rename (restore as "name (2)"). Like remove(),
+// resolves with { result } or, when files are copied, with { job }
+async function restore(user, id, { overwrite = 'fail', all = false } = {}) {
+  if (!RESTORE_POLICIES.includes(overwrite)) {
+    throw httpError(400, `Invalid overwrite policy: use one of ${RESTORE_POLICIES.join(', ')}`);
+  }
+  const item = await findItem(user, id, { all });
+  // The roots may have changed since the item was deleted
+  let target = await jail.resolve(user, item.path, { follow: false });
+
+  let displaced = null;
+  if (await fs.lstat(target).catch(() => null)) {
+    if (overwrite === 'rename') {
+      target = await freeName(target);
+    } else if (overwrite === 'overwrite') {
+      jail.assertRemovable(user, target);
+      displaced = await newItem(user, target);
+    } else {
+      throw httpError(409, `${item.path} already exists`);
+    }
+  }
+
+  await fs.mkdirp(path.dirname(target));
+  const renames = await sameFilesystem(dataFile(id), path.dirname(target)) &&
+    (!displaced || await sameFilesystem(target, TRASH_DIR));
+  busy.add(id);
+  return runMoves(user, `Restore ${item.path} from the trash`, renames, async context => {
+    try {
+      if (displaced) {
+        await trashEntry(displaced, context);
+      }
+      await moveEntry(dataFile(id), target, context, item.size);
+      await fs.remove(metaFile(id));
+    } finally {
+      busy.delete(id);
+    }
+    await cleanup();
+    return { item: { ...publicView(item), restoredTo: target } };
+  });
+}
+
+async function purge(user, id, { all = false } = {}) {
+  await findItem(user, id, { all });
+  await purgeItem(id);
+}
+
+// Purge every visible item; returns how many were removed
+async function empty(user, { all = false } = {}) {
+  const items = await list(user, { all });
+  for (const item of items) {
+    await purgeItem(item.id);
+  }
+  return items.length;
+}
+
+// Apply trash.maxAgeDays and trash.maxSizeMB, and drop halves of items left
+// behind by a crash (data without a description or the other way round)
+async function cleanup() {
+  const cutoff = Date.now() - config.get('trash.maxAgeDays') * 24 * 60 * 60 * 1000;
+  const maxSize = config.get('trash.maxSizeMB') * 1024 * 1024;
+  const items = (await readAll())
+    .filter(item => !busy.has(item.id))
+    .sort((a, b) => a.deletedAt.localeCompare(b.deletedAt));
+
+  let total = items.reduce((sum, item) => sum + item.size, 0);
+  for (const item of items) {
+    const missing = !(await fs.lstat(dataFile(item.id)).catch(() => null));
+    if (!missing && Date.parse(item.deletedAt) >= cutoff && total <= maxSize) continue;
+    await purgeItem(item.id).catch(() => {});
+    total -= item.size;
+  }
+
+  for (const name of await fs.readdir(TRASH_DIR).catch(() => [])) {
+    if (ID_PATTERN.test(name) && !busy.has(name) && !(await fs.pathExists(metaFile(name)))) {
+      await fs.remove(dataFile(name)).catch(() => {});
+    }
+  }
+}
+
+cleanup().catch(() => {});
+setInterval(() => cleanup().catch(() => {}), CLEANUP_INTERVAL).unref();
+
+module.exports = {
+  RESTORE_POLICIES,
+  remove,
+  removePermanently,
+  list,
+  restore,
+  purge,
+  empty
+};
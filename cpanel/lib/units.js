@@ -0,0 +1,272 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { run } = require('./command');
+const config = require('./config');
+const accounts = require('./accounts');
+const systemd = require('./systemd');
+const validate = require('./validate');
+const { httpError } = require('./errors');
+
+// Custom systemd units in services.unitDir (/etc/systemd/system). Services
+// created from the panel form start with MANAGED_MARKER and may be deleted
+// here; any unit in the directory may be edited raw, and every unit can get
+// drop-in overrides (<unit>.d/<name>.conf). Each write is checked with
+// `systemd-analyze verify` and rolled back if it fails, then followed by a
+// daemon-reload.
+const MANAGED_MARKER = '# Managed by VPS Control Panel';
+const UNIT_TYPES = ['service', 'socket', 'timer', 'path', 'target'];
+const RESTART_POLICIES = ['no', 'on-success', 'on-failure', 'on-abnormal', 'on-abort', 'always'];
+const MAX_CONTENT = 64 * 1024;
+const SERVICE_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.@-]{0,100}$/;
+const DROP_IN_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,100}$/;
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function unitDir() {
+  return config.get('services.unitDir');
+}
+
+function unitFileName(value) {
+  validate.unitName(value);
+  if (!UNIT_TYPES.includes(path.extname(value).slice(1))) {
+    throw httpError(400, `Unit names must end in ${UNIT_TYPES.map(type => `.${type}`).join(', ')}`);
+  }
+  return value;
+}
+
+function dropInName(value) {
+  if (typeof value !== 'string' || !DROP_IN_NAME.test(value.replace(/\.conf$/, ''))) {
+    throw httpError(400, 'Invalid drop-in name: use letters, digits, ".", "_" or "-"');
+  }
+  return value.endsWith('.conf') ? value : `${value}.conf`;
+}
+
+// One line of a unit file; newlines would let a value add directives of its own
+function singleLine(value, label, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw httpError(400, `${label} is required`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || /[\0-\x1f\x7f]/.test(value)) {
+    throw httpError(400, `Invalid ${label}: a single line of text is expected`);
+  }
+  return value.trim();
+}
+
+function matching(value, pattern, label, hint) {
+  const text = singleLine(value === undefined || value === null ? value : String(value), label);
+  if (text !== null && !pattern.test(text)) {
+    throw httpError(400, `Invalid ${label}: ${hint}`);
+  }
+  return text;
+}
+
+function checkContent(content) {
+  if (typeof content !== 'string' || content.includes('\0')) {
+    throw httpError(400, 'content must be text');
+  }
+  if (Buffer.byteLength(content) > MAX_CONTENT) {
+    throw httpError(413, `Unit files are limited to ${MAX_CONTENT / 1024} KB`);
+  }
+  return content.endsWith('\n') ? content : `${content}\n`;
+}
+
+// Environment="KEY=value" with quotes and backslashes escaped
+function environmentLines(environment) {
+  const lines = typeof environment === 'string' ? environment.split('\n').filter(line => line.trim()) : environment;
+  const entries = Array.isArray(lines)
+    ? lines.map(line => String(line).trim().split(/=(.*)/s).slice(0, 2))
+    : Object.entries(lines || {});
+  return entries.map(([name, value = '']) => {
+    if (!ENV_NAME.test(name)) {
+      throw httpError(400, `Invalid environment variable name: ${name}`);
+    }
+    const text = singleLine(String(value), `value of ${name}`) || '';
+    return `Environment="${name}=${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  });
+}
+
+// Unit file text for the "new service" form
+async function renderService(form) {
+  const execStart = singleLine(form.execStart, 'ExecStart', { required: true });
+  if (!execStart.startsWith('/')) {
+    throw httpError(400, 'ExecStart must start with the absolute path of the program');
+  }
+  const workingDirectory = singleLine(form.workingDirectory, 'WorkingDirectory');
+  if (workingDirectory !== null) {
+    validate.absolutePath(workingDirectory, 'WorkingDirectory');
+  }
+  const user = singleLine(form.user, 'User');
+  if (user !== null && (await accounts.uidFor(user)) === null) {
+    throw httpError(400, `Unknown user: ${user}`);
+  }
+  const restart = form.restart || 'on-failure';
+  validate.oneOf(restart, RESTART_POLICIES, 'restart policy');
+
+  const service = [
+    'Type=simple',
+    `ExecStart=${execStart}`,
+    workingDirectory && `WorkingDirectory=${workingDirectory}`,
+    user && `User=${user}`,
+    ...environmentLines(form.environment),
+    `Restart=${restart}`,
+    form.restartSec !== undefined && form.restartSec !== '' && `RestartSec=${validate.integer(form.restartSec, 'RestartSec', 0, 3600)}`,
+    form.memoryMax && `MemoryMax=${matching(form.memoryMax, /^(\d+[KMGT]?|infinity)$/, 'MemoryMax', 'e.g. 512M, 2G or infinity')}`,
+    form.cpuQuota && `CPUQuota=${matching(form.cpuQuota, /^\d+%$/, 'CPUQuota', 'a percentage such as 50% or 200%')}`,
+    form.tasksMax && `TasksMax=${matching(form.tasksMax, /^(\d+|infinity)$/, 'TasksMax', 'a number or infinity')}`,
+    form.limitNofile && `LimitNOFILE=${matching(form.limitNofile, /^(\d+|infinity)$/, 'LimitNOFILE', 'a number or infinity')}`
+  ].filter(Boolean);
+
+  return [
+    MANAGED_MARKER,
+    '[Unit]',
+    `Description=${singleLine(form.description, 'Description') || form.name}`,
+    'After=network.target',
+    '',
+    '[Service]',
+    ...service,
+    '',
+    '[Install]',
+    'WantedBy=multi-user.target',
+    ''
+  ].join('\n');
+}
+
+async function daemonReload() {
+  await run('systemctl', ['daemon-reload']);
+}
+
+// Write `content` to `file`, verify `unitFile` with it in place and put the
+// previous content back (or remove the file) if verification fails
+async function writeVerified(file, content, unitFile) {
+  const previous = await fs.readFile(file, 'utf8').catch(() => null);
+  await fs.mkdirp(path.dirname(file));
+  await fs.writeFile(file, content, { mode: 0o644 });
+  try {
+    await run('systemd-analyze', ['verify', unitFile], { timeout: 30 * 1000 });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      if (previous === null) {
+        await fs.remove(file);
+      } else {
+        await fs.writeFile(file, previous, { mode: 0o644 });
+      }
+      const output = `${error.stderr || ''}${error.stdout || ''}`.trim();
+      throw httpError(400, `Unit file rejected by systemd-analyze verify:\n${output || error.message}`);
+    }
+    // systemd-analyze is missing; systemd itself will report problems on load
+  }
+  await daemonReload();
+}
+
+async function readDropIns(unit) {
+  const dir = path.join(unitDir(), `${unit}.d`);
+  const names = await fs.readdir(dir).catch(() => []);
+  return Promise.all(names
+    .filter(name => name.endsWith('.conf'))
+    .sort()
+    .map(async name => ({ name, path: path.join(dir, name), content: await fs.readFile(path.join(dir, name), 'utf8') })));
+}
+
+// Links in the unit directory are aliases, enablement or masks (-> /dev/null)
+async function assertNotLink(file, unit) {
+  const stats = await fs.lstat(file).catch(() => null);
+  if (stats && stats.isSymbolicLink()) {
+    throw httpError(409, `${unit} is a link (an alias or a masked unit) and cannot be edited`);
+  }
+}
+
+async function get(unit) {
+  unitFileName(unit);
+  const file = path.join(unitDir(), unit);
+  const stats = await fs.lstat(file).catch(() => null);
+  const content = stats && stats.isFile() ? await fs.readFile(file, 'utf8') : null;
+  return {
+    unit,
+    path: file,
+    // Units shipped by packages live elsewhere; only drop-ins can change them here
+    editable: content !== null,
+    managed: content !== null && content.startsWith(MANAGED_MARKER),
+    content,
+    dropIns: await readDropIns(unit)
+  };
+}
+
+async function createService(form = {}) {
+  const name = matching(form.name, SERVICE_NAME, 'service name', 'use letters, digits, ".", "_", "@" or "-"');
+  if (!name) {
+    throw httpError(400, 'service name is required');
+  }
+  const unit = name.endsWith('.service') ? name : `${name}.service`;
+  const file = path.join(unitDir(), unit);
+  if (await fs.pathExists(file)) {
+    throw httpError(409, `${unit} already exists`);
+  }
+  await writeVerified(file, await renderService({ ...form, name: unit.replace(/\.service$/, '') }), file);
+
+  if (form.enable) {
+    await systemd.control(unit, 'enable');
+  }
+  if (form.start) {
+    await systemd.control(unit, 'start');
+  }
+  return get(unit);
+}
+
+// Create or replace a unit file in the unit directory
+async function saveUnit(unit, content) {
+  unitFileName(unit);
+  const file = path.join(unitDir(), unit);
+  await assertNotLink(file, unit);
+  await writeVerified(file, checkContent(content), file);
+  return get(unit);
+}
+
+// Verified together with the unit file it changes, wherever that lives
+async function saveDropIn(unit, name, content) {
+  unitFileName(unit);
+  const file = path.join(unitDir(), `${unit}.d`, dropInName(name));
+  const { fragmentPath } = await systemd.details(unit);
+  if (!fragmentPath) {
+    throw httpError(404, `${unit} has no unit file to override`);
+  }
+  await assertNotLink(file, name);
+  await writeVerified(file, checkContent(content), fragmentPath);
+  return get(unit);
+}
+
+async function removeDropIn(unit, name) {
+  unitFileName(unit);
+  const file = path.join(unitDir(), `${unit}.d`, dropInName(name));
+  if (!(await fs.pathExists(file))) {
+    throw httpError(404, `Drop-in ${name} not found`);
+  }
+  await fs.remove(file);
+  await daemonReload();
+  return get(unit);
+}
+
+// Only units created from the panel; they are stopped and disabled first
+async function removeUnit(unit) {
+  const current = await get(unit);
+  if (!current.managed) {
+    throw httpError(403, `${unit} was not created from the panel and cannot be deleted here`);
+  }
+  await systemd.control(unit, 'stop').catch(() => {});
+  await systemd.control(unit, 'disable');
+  await fs.remove(current.path);
+  await fs.remove(path.join(unitDir(), `${unit}.d`));
+  await daemonReload();
+  await run('systemctl', ['reset-failed', unit]).catch(() => {});
+}
+
+module.exports = {
+  RESTART_POLICIES,
+  get,
+  createService,
+  saveUnit,
+  saveDropIn,
+  removeDropIn,
+  removeUnit
+};
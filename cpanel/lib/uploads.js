@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const store = require('./store');
+const jail = require('./jail');
+const config = require('./config');
+const { httpError } = require('./errors');
+
+// Resumable uploads. A client creates an upload for a destination path and
+// size, sends the file in CHUNK_SIZE pieces with their byte offset, and
+// completes it once every byte has arrived. Partial data lives in the data
+// directory (data/uploads/<id>.part, with <id>.json describing it), so an
+// upload survives dropped connections, page reloads and panel restarts.
+//
+// Checksums: each chunk may carry X-Chunk-SHA256, and complete() may be given
+// the SHA-256 of the concatenated chunk digests (in order), which is checked
+// against the assembled file before it is moved into place.
+const UPLOADS_DIR = store.dataPath('uploads');
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+fs.ensureDirSync(UPLOADS_DIR, { mode: 0o700 });
+
+// Chunk writes in progress, so two requests never write the same upload at once
+const busy = new Set();
+
+function metaFile(id) {
+  return path.join(UPLOADS_DIR, `${id}.json`);
+}
+
+function partFile(id) {
+  return path.join(UPLOADS_DIR, `${id}.part`);
+}
+
+function publicView(upload) {
+  return {
+    id: upload.id,
+    path: upload.path,
+    size: upload.size,
+    received: upload.received,
+    chunkSize: CHUNK_SIZE,
+    createdAt: upload.createdAt,
+    updatedAt: upload.updatedAt
+  };
+}
+
+async function readUpload(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return null;
+  }
+  return fs.readJson(metaFile(id)).catch(() => null);
+}
+
+async function saveUpload(upload) {
+  upload.updatedAt = new Date().toISOString();
+  const tmpFile = `${metaFile(upload.id)}.tmp`;
+  await fs.writeJson(tmpFile, upload, { mode: 0o600 });
+  await fs.rename(tmpFile, metaFile(upload.id));
+}
+
+async function removeUpload(id) {
+  await fs.remove(partFile(id));
+  await fs.remove(metaFile(id));
+}
+
+async function ownUpload(user, id) {
+  const upload = await readUpload(id);
+  if (!upload || upload.owner !== user.username) {
+    throw httpError(404, 'Upload not found');
+  }
+  return upload;
+}
+
+async function listOwn(user) {
+  const names = await fs.readdir(UPLOADS_DIR);
+  const uploads = await Promise.all(names
+    .filter(name => name.endsWith('.json'))
+    .map(name => readUpload(name.slice(0, -'.json'.length))));
+  return uploads.filter(upload => upload && upload.owner === user.username);
+}
+
+async function checkTarget(user, requested, overwrite) {
+  const target = await jail.resolve(user, requested);
+  const stats = await fs.stat(target).catch(() => null);
+  if (stats && (stats.isDirectory() || !overwrite)) {
+    throw httpError(409, `${requested} already exists`);
+  }
+  return target;
+}
+
+// Starting the same file (destination, size and modification time) again
+// returns the existing upload, so the client can resume from `received`
+async function create(user, { path: requested, size, lastModified = null, overwrite = false }) {
+  const maxSize = config.get('uploads.resumableMaxFileSizeMB') * 1024 * 1024;
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw httpError(400, 'size must be a whole number of bytes');
+  }
+  if (size > maxSize) {
+    throw httpError(413, `Files larger than ${config.get('uploads.resumableMaxFileSizeMB')} MB cannot be uploaded`);
+  }
+  await checkTarget(user, requested, overwrite);
+
+  const existing = (await listOwn(user)).find(upload =>
+    upload.path === requested && upload.size === size && upload.lastModified === lastModified);
+  if (existing) {
+    return publicView(existing);
+  }
+
+  const upload = {
+    id: crypto.randomBytes(16).toString('hex'),
+    owner: user.username,
+    path: requested,
+    size,
+    lastModified,
+    overwrite: Boolean(overwrite),
+    received: 0,
+    createdAt: new Date().toISOString()
+  };
+  await fs.writeFile(partFile(upload.id), Buffer.alloc(0), { mode: 0o600 });
+  await saveUpload(upload);
+  return publicView(upload);
+}
+
+async function status(user, id) {
+  return publicView(await ownUpload(user, id));
+}
+
+async function list(user) {
+  return (await listOwn(user)).map(publicView);
+}
+
+// Chunks are written in order; resending the chunk before `received` (the
+// reply to it was lost) is fine, skipping ahead is a 409 with the right offset
+async function writeChunk(user, id, offset, data, checksum) {
+  const upload = await ownUpload(user, id);
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw httpError(400, 'Send the chunk as an application/octet-stream body');
+  }
+  if (!Number.isSafeInteger(offset) || offset < 0 || offset > upload.received) {
+    const error = httpError(409, `Expected a chunk at offset ${upload.received}`);
+    error.received = upload.received;
+    throw error;
+  }
+  if (offset + data.length > upload.size) {
+    throw httpError(400, 'Chunk runs past the end of the file');
+  }
+  if (checksum && crypto.createHash('sha256').update(data).digest('hex') !== checksum.toLowerCase()) {
+    throw httpError(400, 'Chunk checksum mismatch; send it again');
+  }
+  if (busy.has(id)) {
+    throw httpError(409, 'Another chunk of this upload is being written');
+  }
+
+  busy.add(id);
+  try {
+    const handle = await fs.open(partFile(id), 'r+');
+    try {
+      await fs.write(handle, data, 0, data.length, offset);
+      await fs.ftruncate(handle, offset + data.length);
+    } finally {
+      await fs.close(handle);
+    }
+    upload.received = offset + data.length;
+    await saveUpload(upload);
+  } finally {
+    busy.delete(id);
+  }
+  return publicView(upload);
+}
+
+// SHA-256 over the digests of the file's CHUNK_SIZE pieces, as the client computes it
+async function chunkedChecksum(file) {
+  const outer = crypto.createHash('sha256');
+  let inner = crypto.createHash('sha256');
+  let filled = 0;
+  for await (let buffer of fs.createReadStream(file, { highWaterMark: 1024 * 1024 })) {
+    while (buffer.length > 0) {
+      const take = Math.min(buffer.length, CHUNK_SIZE - filled);
+      inner.update(buffer.subarray(0, take));
+      filled += take;
+      buffer = buffer.subarray(take);
+      if (filled === CHUNK_SIZE) {
+        outer.update(inner.digest());
+        inner = crypto.createHash('sha256');
+        filled = 0;
+      }
+    }
+  }
+  if (filled > 0) {
+    outer.update(inner.digest());
+  }
+  return outer.digest('hex');
+}
+
+async function complete(user, id, { checksum } = {}) {
+  const upload = await ownUpload(user, id);
+  if (upload.received !== upload.size) {
+    const error = httpError(409, `Only ${upload.received} of ${upload.size} bytes have been received`);
+    error.received = upload.received;
+    throw error;
+  }
+  if (busy.has(id)) {
+    throw httpError(409, 'A chunk of this upload is still being written');
+  }
+
+  const actual = await chunkedChecksum(partFile(id));
+  if (checksum && actual !== checksum.toLowerCase()) {
+    // The data on disk is not what the client sent; start over
+    await removeUpload(id);
+    throw httpError(422, 'Checksum mismatch: the uploaded file is corrupt, please upload it again');
+  }
+
+  // Roots or the destination may have changed since the upload started
+  const target = await checkTarget(user, upload.path, upload.overwrite);
+  await fs.mkdirp(path.dirname(target));
+  // A replaced file keeps its mode; a new one is 0644
+  const existing = await fs.stat(target).catch(() => null);
+  await fs.chmod(partFile(id), existing ? existing.mode & 0o7777 : 0o644);
+  await fs.move(partFile(id), target, { overwrite: upload.overwrite });
+  await fs.remove(metaFile(id));
+  return { path: upload.path, size: upload.size, checksum: actual };
+}
+
+async function cancel(user, id) {
+  await ownUpload(user, id);
+  await removeUpload(id);
+}
+
+// Drop uploads nobody has sent a chunk to within uploads.staleHours
+async function cleanup() {
+  const cutoff = Date.now() - config.get('uploads.staleHours') * 60 * 60 * 1000;
+  const names = await fs.readdir(UPLOADS_DIR).catch(() => []);
+  for (const name of names) {
+    const id = name.split('.')[0];
+    const upload = await readUpload(id);
+    if (upload && !busy.has(id) && Date.parse(upload.updatedAt) < cutoff) {
+      await removeUpload(id).catch(() => {});
+    } else if (!upload && ID_PATTERN.test(id)) {
+      // A .part without its description (crash between the two writes)
+      const stats = await fs.stat(path.join(UPLOADS_DIR, name)).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) {
+        await fs.remove(path.join(UPLOADS_DIR, name)).catch(() => {});
+      }
+    }
+  }
+}
+
+cleanup().catch(() => {});
+setInterval(() => cleanup().catch(() => {}), CLEANUP_INTERVAL).unref();
+
+module.exports = {
+  CHUNK_SIZE,
+  create,
+  status,
+  list,
+  writeChunk,
+  complete,
+  cancel
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const store = require('./store');
+const roles = require('./roles');
+const totp = require('./totp');
+const { httpError } = require('./errors');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const USERS_FILE = 'users.json';
+const USERNAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+const TOTP_ISSUER = 'VPS Control Panel';
+const RECOVERY_CODE_COUNT = 10;
+
+let users = store.readJson(USERS_FILE, { users: [] }).users;
+
+// Accounts created before roles existed had full access; keep it that way
+users.forEach(user => {
+  if (!user.role) {
+    user.role = 'admin';
+  }
+});
+
+function save() {
+  store.writeJson(USERS_FILE, { users });
+}
+
+// Strip secrets before a user record leaves this module
+function toPublic(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    twoFactorEnabled: Boolean(user.totp && user.totp.enabled),
+    recoveryCodesRemaining: user.totp && user.totp.enabled ? user.totp.recoveryCodes.length : 0,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+    lastLoginAt: user.lastLoginAt || null
+  };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function findUser(username) {
+  return users.find(u => u.username === username);
+}
+
+function getUser(username) {
+  const user = findUser(username);
+  return user ? toPublic(user) : null;
+}
+
+function listUsers() {
+  return users.map(toPublic);
+}
+
+function validateRole(role) {
+  if (!roles.isValidRole(role)) {
+    throw httpError(400, `Invalid role: ${role}`);
+  }
+}
+
+function countAdmins() {
+  return users.filter(u => u.role === 'admin').length;
+}
+
+async function createUser({ username, password, role = roles.DEFAULT_ROLE }) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw httpError(400, 'Invalid username');
+  }
+  if (findUser(username)) {
+    throw httpError(409, `User ${username} already exists`);
+  }
+  validatePassword(password);
+  validateRole(role);
+
+  const now = new Date().toISOString();
+  const user = {
+    username,
+    passwordHash: await hashPassword(password),
+    role,
+    createdAt: now,
+    updatedAt: now
+  };
+  users.push(user);
+  save();
+  return toPublic(user);
+}
+
+function deleteUser(username) {
+  const user = findUser(username);
+  if (!user) {
+    throw httpError(404, `User ${username} not found`);
+  }
+  if (user.role === 'admin' && countAdmins() === 1) {
+    throw httpError(400, 'Cannot delete the last admin');
+  }
+  users = users.filter(u => u.username !== username);
+  save();
+}
+
+function setRole(username, role) {
+  const user = findUser(username);
+  if (!user) {
+    throw httpError(404, `User ${username} not found`);
+  }
+  validateRole(role);
+  if (user.role === 'admin' && role !== 'admin' && countAdmins() === 1) {
+    throw httpError(400, 'Cannot demote the last admin');
+  }
+  user.role = role;
+  user.updatedAt = new Date().toISOString();
+  save();
+  return toPublic(user);
+}
+
+async function setPassword(username, password) {
+  const user = findUser(username);
+  if (!user) {
+    throw httpError(404, `User ${username} not found`);
+  }
+  validatePassword(password);
+  user.passwordHash = await hashPassword(password);
+  user.updatedAt = new Date().toISOString();
+  save();
+}
+
+async function checkPassword(username, password) {
+  const user = findUser(username);
+  return Boolean(user) && typeof password === 'string' && verifyPassword(password, user.passwordHash);
+}
+
+// Returns the public user on success, null otherwise. Unknown users still pay
+// for a hash so response timing does not reveal which usernames exist.
+async function authenticate(username, password) {
+  const user = findUser(username);
+  if (typeof password !== 'string') {
+    return null;
+  }
+  if (!user) {
+    await hashPassword(password);
+    return null;
+  }
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  user.lastLoginAt = new Date().toISOString();
+  save();
+  return toPublic(user);
+}
+
+// Two-factor authentication (TOTP)
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+function generateRecoveryCodes(user) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  user.totp.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+}
+
+function requireUser(username) {
+  const user = findUser(username);
+  if (!user) {
+    throw httpError(404, `User ${username} not found`);
+  }
+  return user;
+}
+
+// Step 1: generate a secret that only becomes active once a code is confirmed
+function beginTotpEnrollment(username) {
+  const user = requireUser(username);
+  if (user.totp && user.totp.enabled) {
+    throw httpError(400, 'Two-factor authentication is already enabled');
+  }
+  const secret = totp.generateSecret();
+  user.totp = { enabled: false, pendingSecret: secret, recoveryCodes: [] };
+  save();
+  return { secret, otpauthUri: totp.otpauthUri(secret, username, TOTP_ISSUER) };
+}
+
+// Step 2: prove the authenticator app works; returns the one-time recovery codes
+function confirmTotpEnrollment(username, code) {
+  const user = requireUser(username);
+  if (!user.totp || !user.totp.pendingSecret) {
+    throw httpError(400, 'Start two-factor enrollment first');
+  }
+  const counter = totp.verify(user.totp.pendingSecret, code);
+  if (counter === null) {
+    throw httpError(400, 'Invalid authentication code');
+  }
+  user.totp = {
+    enabled: true,
+    secret: user.totp.pendingSecret,
+    lastCounter: counter,
+    recoveryCodes: []
+  };
+  const recoveryCodes = generateRecoveryCodes(user);
+  user.updatedAt = new Date().toISOString();
+  save();
+  return recoveryCodes;
+}
+
+function disableTotp(username) {
+  const user = requireUser(username);
+  delete user.totp;
+  user.updatedAt = new Date().toISOString();
+  save();
+}
+
+// Accepts a current TOTP code (each code only once) or an unused recovery code
+function verifySecondFactor(username, code) {
+  const user = findUser(username);
+  if (!user || !user.totp || !user.totp.enabled || typeof code !== 'string') {
+    return null;
+  }
+  const counter = totp.verify(user.totp.secret, code, user.totp.lastCounter);
+  if (counter !== null) {
+    user.totp.lastCounter = counter;
+    save();
+    return 'totp';
+  }
+  const hash = hashRecoveryCode(code);
+  const index = user.totp.recoveryCodes.indexOf(hash);
+  if (index !== -1) {
+    user.totp.recoveryCodes.splice(index, 1);
+    save();
+    return 'recovery';
+  }
+  return null;
+}
+
+function regenerateRecoveryCodes(username, code) {
+  const user = requireUser(username);
+  if (!user.totp || !user.totp.enabled) {
+    throw httpError(400, 'Two-factor authentication is not enabled');
+  }
+  // Only an authenticator code will do: checking it through verifySecondFactor
+  // would use up a recovery code before refusing it
+  const counter = totp.verify(user.totp.secret, code, user.totp.lastCounter);
+  if (counter === null) {
+    throw httpError(400, 'Invalid authentication code');
+  }
+  user.totp.lastCounter = counter;
+  const recoveryCodes = generateRecoveryCodes(user);
+  save();
+  return recoveryCodes;
+}
+
+// First start: create an admin account so the panel is never left open
+async function ensureDefaultAdmin() {
+  if (users.length > 0) {
+    return;
+  }
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  await createUser({ username: 'admin', password, role: 'admin' });
+  console.log('🔐 Created initial panel user "admin"');
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`🔐 Generated password: ${password} (change it after logging in)`);
+  }
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  createUser,
+  deleteUser,
+  setRole,
+  setPassword,
+  authenticate,
+  checkPassword,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  ensureDefaultAdmin
+};
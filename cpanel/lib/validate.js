@@ -0,0 +1,61 @@
+const path = require('path');
+const { httpError } = require('./errors');
+
+// Strict schemas for identifiers that end up as command arguments. Nothing
+// may start with "-" so a value can never be read as an option.
+const VM_NAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+const NETWORK_NAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+const UNIT_NAME = /^[a-zA-Z0-9_][a-zA-Z0-9:_.@-]{0,250}$/;
+
+function vmName(value) {
+  if (typeof value !== 'string' || !VM_NAME.test(value)) {
+    throw httpError(400, 'Invalid VM name: use letters, digits, ".", "_" or "-" (max 64 characters)');
+  }
+  return value;
+}
+
+function networkName(value) {
+  if (typeof value !== 'string' || !NETWORK_NAME.test(value)) {
+    throw httpError(400, 'Invalid network name: use letters, digits, ".", "_" or "-" (max 64 characters)');
+  }
+  return value;
+}
+
+function unitName(value) {
+  if (typeof value !== 'string' || !UNIT_NAME.test(value)) {
+    throw httpError(400, 'Invalid unit name');
+  }
+  return value;
+}
+
+// Absolute, normalized path with no control characters
+function absolutePath(value, label = 'path') {
+  if (typeof value !== 'string' || !value || /[\0-\x1f\x7f]/.test(value) || !path.isAbsolute(value)) {
+    throw httpError(400, `Invalid ${label}: an absolute path is required`);
+  }
+  return path.normalize(value);
+}
+
+function integer(value, label, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw httpError(400, `Invalid ${label}: expected a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function oneOf(value, allowed, label = 'action') {
+  if (!allowed.includes(value)) {
+    throw httpError(400, `Invalid ${label}`);
+  }
+  return value;
+}
+
+module.exports = {
+  vmName,
+  networkName,
+  unitName,
+  absolutePath,
+  integer,
+  oneOf
+};
@@ -1,44 +1,192 @@
 // Global variables
 let socket;
 let currentPath = '/';
+let fileRoots = [];
 let selectedFiles = [];
+let fileClipboard = null;
+let searchJobId = null;
+let searchBuffer = null;
+let diskUsagePath = '/';
+let diskUsageJobId = null;
+let allServices = [];
+let logsUnit = null;
+let logsNext = null;
+let unitEditorUnit = null;
+let cronJobs = [];
+let cronSources = [];
+let cronEditing = null;
+let cronPreviewTimer = null;
+let mysqlData = null;
+let mysqlCharsets = [];
+let postgresData = null;
+let grantTarget = null;
+let sqlTarget = null;
+let sqlResult = null;
+let sqlHistory = [];
+let fileToReveal = null;
+let permissionsTarget = null;
+let systemAccounts = null;
+let fileEditor = null;
+let editorFile = null;
+const backgroundJobs = new Map();
+const jobRetries = new Map();
 let performanceChart;
 let systemData = {};
 let vmTemplates = [];
 let currentVmConsole = null;
+let currentUser = null;
+let currentPermissions = [];
+let panelRoles = [];
+let panelDefaults = {};
+let panelSettings = [];
 
-// Initialize the application
+// Initialize the application once we know who is logged in
 document.addEventListener('DOMContentLoaded', function() {
-    initializeSocket();
-    initializeNavigation();
-    initializeDashboard();
-    initializeFileManager();
-    initializeServices();
-    initializeDatabases();
-    initializeVMs();
-    initializeBackup();
-    initializeLogs();
-    initializeModals();
+    checkSession().then(() => {
+        initializeSocket();
+        initializeNavigation();
+        initializeDashboard();
+        initializeFileManager();
+        initializeEditor();
+        initializeServices();
+        initializeCron();
+        initializeDatabases();
+        initializeVMs();
+        initializeBackup();
+        initializeLogs();
+        initializeAccount();
+        initializeUsers();
+        initializeAudit();
+        initializeSettings();
+        initializeModals();
+    });
 });
 
+// Authentication
+function checkSession() {
+    return apiJson('/api/auth/session')
+        .then(data => {
+            currentUser = data.user;
+            currentPermissions = data.permissions;
+            panelDefaults = data.defaults;
+            document.getElementById('current-username').textContent = `${currentUser.username} (${currentUser.role})`;
+            applyPermissions();
+            displayTwoFactorStatus();
+        });
+}
+
+// Mirrors the server's check: exact permission, "<family>:*" or "*"
+function can(permission) {
+    const family = permission.split(':')[0];
+    return currentPermissions.some(granted =>
+        granted === '*' || granted === permission || granted === `${family}:*`
+    );
+}
+
+// Hide static controls the current role may not use; dynamic ones check can() when rendered
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        if (!can(element.getAttribute('data-permission'))) {
+            element.style.display = 'none';
+        }
+    });
+}
+
+function redirectToLogin() {
+    window.location.href = '/login.html';
+}
+
+function logout() {
+    apiFetch('/api/auth/logout', { method: 'POST' })
+        .finally(redirectToLogin);
+}
+
+// fetch wrapper: an expired or missing session sends the user to the login page
+function apiFetch(url, options) {
+    return fetch(url, Object.assign({ credentials: 'same-origin' }, options))
+        .then(response => {
+            if (response.status === 401) {
+                redirectToLogin();
+                throw new Error('Authentication required');
+            }
+            return response;
+        });
+}
+
+// Like apiFetch, but parses the JSON body and rejects with the server's error message
+function apiJson(url, options) {
+    return apiFetch(url, options)
+        .then(response => response.json().then(data => {
+            if (!response.ok) {
+                throw Object.assign(new Error(data.error || `Request failed (${response.status})`), { status: response.status });
+            }
+            return data;
+        }));
+}
+
+function jsonRequest(method, body) {
+    return {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    };
+}
+
 // Socket.IO connection
 function initializeSocket() {
     socket = io();
     
     socket.on('connect', function() {
         console.log('Connected to server');
+        // Pick up jobs started before a page reload or reconnect
+        loadJobs();
+        if (logsUnit) {
+            updateLogsFollow();
+        }
     });
     
     socket.on('systemUpdate', function(data) {
         updateSystemStats(data);
     });
     
+    socket.on('jobUpdate', function(job) {
+        handleJobUpdate(job);
+    });
+    
+    socket.on('jobData', function(message) {
+        handleJobData(message);
+    });
+    
+    socket.on('failedUnits', function(data) {
+        updateFailedUnits(data.units);
+    });
+    
+    socket.on('journalEntries', function(data) {
+        handleJournalEntries(data);
+    });
+    
+    socket.on('journalEnded', function(data) {
+        handleJournalEnded(data);
+    });
+    
     socket.on('error', function(error) {
         showAlert('error', error.message);
     });
     
-    socket.on('disconnect', function() {
+    socket.on('connect_error', function(error) {
+        if (error.message === 'Unauthorized') {
+            redirectToLogin();
+        }
+    });
+    
+    socket.on('disconnect', function(reason) {
         console.log('Disconnected from server');
+        // The server drops sockets whose session ended; confirm and go to login
+        if (reason === 'io server disconnect') {
+            checkSession().catch(() => {});
+        }
     });
 }
 
@@ -82,6 +230,9 @@ function loadSectionData(section) {
         case 'services':
             loadServices();
             break;
+        case 'cron':
+            loadCron();
+            break;
         case 'databases':
             loadDatabases();
             break;
@@ -92,6 +243,21 @@ function loadSectionData(section) {
         case 'logs':
             loadLogs();
             break;
+        case 'users':
+            loadUsers();
+            break;
+        case 'backup':
+            loadBackups();
+            break;
+        case 'audit':
+            loadAudit();
+            break;
+        case 'settings':
+            loadSettings();
+            break;
+        case 'account':
+            loadTokens();
+            break;
     }
 }
 
@@ -142,7 +308,7 @@ function initializeDashboard() {
 }
 
 function loadSystemInfo() {
-    fetch('/api/system')
+    apiFetch('/api/system')
         .then(response => response.json())
         .then(data => {
             systemData = data;
@@ -208,7 +374,7 @@ function updateSystemStats(data) {
 }
 
 function loadProcesses() {
-    fetch('/api/processes')
+    apiFetch('/api/processes')
         .then(response => response.json())
         .then(data => {
             displayProcesses(data.list.slice(0, 10)); // Show top 10 processes
@@ -242,23 +408,110 @@ function initializeFileManager() {
     uploadBtn.addEventListener('click', showUploadModal);
     newFolderBtn.addEventListener('click', showNewFolderModal);
     deleteBtn.addEventListener('click', deleteSelectedFiles);
+    document.getElementById('new-file-btn').addEventListener('click', createEmptyFile);
+    document.getElementById('paste-btn').addEventListener('click', () => pasteFiles(currentPath));
+    document.getElementById('search-btn').addEventListener('click', showSearchModal);
+    document.getElementById('trash-btn').addEventListener('click', showTrashModal);
+    document.getElementById('diskusage-btn').addEventListener('click', () => showDiskUsageModal(currentPath));
+    document.getElementById('analyze-disk-btn').addEventListener('click', analyzeDiskUsage);
+    // Files and folders dragged in from the desktop are uploaded to the open folder
+    const fileList = document.getElementById('file-list');
+    fileList.addEventListener('dragover', (e) => {
+        if (!can('files:write') || !e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        fileList.classList.add('drop-target');
+    });
+    fileList.addEventListener('dragleave', (e) => {
+        if (!fileList.contains(e.relatedTarget)) fileList.classList.remove('drop-target');
+    });
+    fileList.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        fileList.classList.remove('drop-target');
+        collectDroppedItems(e.dataTransfer)
+            .then(items => {
+                if (items.length > 0) uploadItems(items, currentPath);
+            })
+            .catch(error => {
+                showAlert('error', 'Failed to read dropped files: ' + error.message);
+            });
+    });
+    document.getElementById('file-list').addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showFileContextMenu(e, null, currentPath);
+    });
+    document.addEventListener('click', hideFileContextMenu);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideFileContextMenu();
+    });
+    window.addEventListener('scroll', hideFileContextMenu, true);
+    document.getElementById('file-root-select').addEventListener('change', (e) => loadFiles(e.target.value));
     
-    // Load initial files
-    loadFiles('/');
+    // Load initial files, starting at the first folder the user may access
+    if (can('files:read')) {
+        loadFileRoots();
+    }
+}
+
+function loadFileRoots() {
+    apiJson('/api/files/roots')
+        .then(data => {
+            fileRoots = data.roots;
+            displayFileRoots();
+            if (fileRoots.length > 0) {
+                loadFiles(fileRoots[0]);
+            } else {
+                document.getElementById('file-list').innerHTML = '<p>No folders are available to your account.</p>';
+            }
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load file roots: ' + error.message);
+        });
+}
+
+function displayFileRoots() {
+    const select = document.getElementById('file-root-select');
+    select.innerHTML = '';
+    fileRoots.forEach(root => {
+        const option = document.createElement('option');
+        option.value = root;
+        option.textContent = root;
+        select.appendChild(option);
+    });
+    select.style.display = fileRoots.length > 1 ? '' : 'none';
+}
+
+// The allowed root a path lives under (the longest match)
+function fileRootFor(filePath) {
+    return fileRoots
+        .filter(root => root === '/' || filePath === root || filePath.startsWith(root + '/'))
+        .sort((a, b) => b.length - a.length)[0] || '/';
+}
+
+function fileUrl(filePath) {
+    return '/api/files' + filePath.split('/').map(encodeURIComponent).join('/');
 }
 
 function loadFiles(path) {
+    if (fileRoots.length === 0) {
+        return;
+    }
+    if (path !== currentPath) {
+        selectedFiles = [];
+        updateDeleteButton();
+    }
     currentPath = path;
     updateBreadcrumb(path);
+    document.getElementById('file-root-select').value = fileRootFor(path);
     
-    fetch(`/api/files/${path}`)
-        .then(response => response.json())
+    apiJson(fileUrl(path))
         .then(data => {
             displayFiles(data);
         })
         .catch(error => {
             console.error('Error loading files:', error);
-            showAlert('error', 'Failed to load files');
+            showAlert('error', 'Failed to load files: ' + error.message);
         });
 }
 
@@ -266,8 +519,9 @@ function displayFiles(files) {
     const container = document.getElementById('file-list');
     container.innerHTML = '';
     
-    // Add parent directory link
-    if (currentPath !== '/') {
+    // Add parent directory link (not above the allowed root)
+    if (currentPath !== fileRootFor(currentPath)) {
+        const parentPath = currentPath.split('/').slice(0, -1).join('/') || '/';
         const parentItem = document.createElement('div');
         parentItem.className = 'file-item';
         parentItem.innerHTML = `
@@ -280,60 +534,122 @@ function displayFiles(files) {
             </div>
         `;
         parentItem.addEventListener('click', () => {
-            const parentPath = currentPath.split('/').slice(0, -1).join('/') || '/';
             loadFiles(parentPath);
         });
+        makeDropTarget(parentItem, parentPath);
         container.appendChild(parentItem);
     }
     
     // Add files and directories
     files.forEach(file => {
+        const filePath = path.join(currentPath, file.name);
         const fileItem = document.createElement('div');
         fileItem.className = 'file-item';
+        let icon = file.isDirectory ? 'folder' : (file.executable ? 'terminal' : 'file');
+        if (file.isSymlink) icon = 'link';
         fileItem.innerHTML = `
             <div class="file-icon ${file.isDirectory ? 'folder' : 'file'}">
-                <i class="fas fa-${file.isDirectory ? 'folder' : 'file'}"></i>
+                <i class="fas fa-${icon}"></i>
             </div>
             <div class="file-info">
-                <div class="file-name">${file.name}</div>
+                <div class="file-name"></div>
                 <div class="file-details">
                     ${file.isDirectory ? 'Directory' : formatFileSize(file.size)} • 
-                    ${new Date(file.modified).toLocaleDateString()}
+                    ${new Date(file.modified).toLocaleDateString()} • 
+                    <span class="file-mode" title="${file.mode}">${file.permissions}</span> 
+                    <span class="file-owner"></span>
+                    <span class="file-link"></span>
                 </div>
             </div>
         `;
+        fileItem.querySelector('.file-name').textContent = file.name;
+        fileItem.querySelector('.file-owner').textContent = `${file.owner}:${file.group}`;
+        if (file.isSymlink) {
+            fileItem.querySelector('.file-link').textContent = `→ ${file.linkTarget}${file.brokenLink ? ' (broken)' : ''}`;
+        }
+        if (file.name === fileToReveal) {
+            fileItem.classList.add('revealed');
+            setTimeout(() => fileItem.scrollIntoView({ block: 'center' }), 0);
+        }
         
         fileItem.addEventListener('click', (e) => {
             if (e.ctrlKey || e.metaKey) {
                 toggleFileSelection(fileItem, file);
             } else {
-                if (file.isDirectory) {
-                    loadFiles(path.join(currentPath, file.name));
-                } else {
-                    // Download file
-                    window.open(`/api/files/${path.join(currentPath, file.name)}`);
-                }
+                openFile(file, filePath);
             }
         });
         
+        fileItem.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            showFileContextMenu(e, file, filePath);
+        });
+        
+        // Drag items onto a folder (or the breadcrumb) to move them; hold Ctrl to copy
+        if (can('files:write')) {
+            fileItem.draggable = true;
+            fileItem.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-cpanel-paths', JSON.stringify(actionPaths(file, filePath)));
+                e.dataTransfer.effectAllowed = 'copyMove';
+            });
+            if (file.isDirectory) {
+                makeDropTarget(fileItem, filePath);
+            }
+        }
+        
         container.appendChild(fileItem);
     });
+    fileToReveal = null;
+}
+
+// Folders open in the list, text files in the editor; binary or very large files are downloaded
+function openFile(file, filePath) {
+    if (file.isDirectory) {
+        loadFiles(filePath);
+        return;
+    }
+    
+    fetchFileContent(filePath)
+        .then(({ response, data }) => {
+            if (response.status === 413 || response.status === 415) {
+                window.open(fileUrl(filePath));
+            } else if (!response.ok) {
+                throw new Error(data.error);
+            } else {
+                showEditor(data);
+            }
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to open file: ' + error.message);
+        });
 }
 
+// Breadcrumb starts at the allowed root the path is under, not at "/"
 function updateBreadcrumb(path) {
     const container = document.getElementById('path-breadcrumb');
-    const parts = path.split('/').filter(part => part);
+    const root = fileRootFor(path);
+    const parts = path.slice(root.length).split('/').filter(part => part);
     
-    container.innerHTML = '<span class="path-item active" data-path="/">/</span>';
+    container.innerHTML = '';
+    const rootItem = document.createElement('span');
+    rootItem.className = 'path-item active';
+    rootItem.textContent = root;
+    rootItem.setAttribute('data-path', root);
+    rootItem.addEventListener('click', () => loadFiles(root));
+    makeDropTarget(rootItem, root);
+    container.appendChild(rootItem);
     
-    let currentPath = '';
+    let itemPath = root;
     parts.forEach(part => {
-        currentPath += '/' + part;
+        itemPath = (itemPath === '/' ? '' : itemPath) + '/' + part;
+        const target = itemPath;
         const item = document.createElement('span');
         item.className = 'path-item';
         item.textContent = part;
-        item.setAttribute('data-path', currentPath);
-        item.addEventListener('click', () => loadFiles(currentPath));
+        item.setAttribute('data-path', target);
+        item.addEventListener('click', () => loadFiles(target));
+        makeDropTarget(item, target);
         container.appendChild(item);
     });
 }
@@ -355,127 +671,2362 @@ function updateDeleteButton() {
     deleteBtn.disabled = selectedFiles.length === 0;
 }
 
+// Actions on a selected item apply to the whole selection, otherwise just to that item
+function actionPaths(file, filePath) {
+    if (selectedFiles.some(f => f.name === file.name)) {
+        return selectedFiles.map(f => path.join(currentPath, f.name));
+    }
+    return [filePath];
+}
+
+function makeDropTarget(element, targetPath) {
+    if (!can('files:write')) return;
+    
+    element.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('application/x-cpanel-paths')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = e.ctrlKey ? 'copy' : 'move';
+        element.classList.add('drop-target');
+    });
+    element.addEventListener('dragleave', () => {
+        element.classList.remove('drop-target');
+    });
+    element.addEventListener('drop', (e) => {
+        e.preventDefault();
+        element.classList.remove('drop-target');
+        const sources = JSON.parse(e.dataTransfer.getData('application/x-cpanel-paths'))
+            .filter(source => source !== targetPath);
+        if (sources.length > 0) {
+            transferFiles(e.ctrlKey ? 'copy' : 'move', sources, targetPath);
+        }
+    });
+}
+
+function showFileContextMenu(e, file, filePath) {
+    const paths = file ? actionPaths(file, filePath) : [];
+    const writable = can('files:write');
+    const items = [];
+    
+    if (file) {
+        if (file.isDirectory) {
+            items.push({ icon: 'folder-open', label: 'Open', action: () => openFile(file, filePath) });
+        } else {
+            items.push({ icon: 'edit', label: 'Edit', action: () => openFile(file, filePath) });
+            items.push({ icon: 'download', label: 'Download', action: () => window.open(fileUrl(filePath)) });
+        }
+        if (writable) {
+            if (paths.length === 1) {
+                items.push({ icon: 'i-cursor', label: 'Rename', action: () => renameFile(filePath) });
+            }
+            items.push({ icon: 'cut', label: paths.length > 1 ? `Cut ${paths.length} items` : 'Cut', action: () => setFileClipboard('move', paths) });
+            items.push({ icon: 'copy', label: paths.length > 1 ? `Copy ${paths.length} items` : 'Copy', action: () => setFileClipboard('copy', paths) });
+            if (paths.length === 1) {
+                items.push({ icon: 'key', label: 'Permissions', action: () => showPermissionsModal(file, filePath) });
+            }
+            items.push({ icon: 'file-archive', label: paths.length > 1 ? `Compress ${paths.length} items` : 'Compress', action: () => compressFiles(paths) });
+            if (!file.isDirectory && paths.length === 1 && archiveExtension(file.name)) {
+                items.push({ icon: 'box-open', label: 'Extract', action: () => extractArchive(filePath) });
+            }
+            if (file.isDirectory && fileClipboard) {
+                items.push({ icon: 'paste', label: 'Paste into folder', action: () => pasteFiles(filePath) });
+            }
+            items.push({ icon: 'trash', label: paths.length > 1 ? `Delete ${paths.length} items` : 'Delete', danger: true, action: () => deleteFiles(paths) });
+            if (can('files:purge')) {
+                items.push({ icon: 'times-circle', label: 'Delete permanently', danger: true, action: () => deleteFiles(paths, true) });
+            }
+        }
+    } else if (writable) {
+        items.push({ icon: 'folder-plus', label: 'New Folder', action: showNewFolderModal });
+        items.push({ icon: 'file-medical', label: 'New File', action: createEmptyFile });
+        if (fileClipboard) {
+            items.push({ icon: 'paste', label: 'Paste', action: () => pasteFiles(currentPath) });
+        }
+    }
+    
+    if (items.length === 0) return;
+    
+    const menu = document.getElementById('file-context-menu');
+    menu.innerHTML = '';
+    items.forEach(item => {
+        const entry = document.createElement('div');
+        entry.className = 'context-menu-item' + (item.danger ? ' danger' : '');
+        entry.innerHTML = `<i class="fas fa-${item.icon}"></i> <span></span>`;
+        entry.querySelector('span').textContent = item.label;
+        entry.addEventListener('click', () => {
+            hideFileContextMenu();
+            item.action();
+        });
+        menu.appendChild(entry);
+    });
+    
+    menu.style.display = 'block';
+    menu.style.left = `${Math.min(e.clientX, window.innerWidth - menu.offsetWidth - 10)}px`;
+    menu.style.top = `${Math.min(e.clientY, window.innerHeight - menu.offsetHeight - 10)}px`;
+}
+
+function hideFileContextMenu() {
+    document.getElementById('file-context-menu').style.display = 'none';
+}
+
+function setFileClipboard(mode, paths) {
+    fileClipboard = { mode, paths };
+    const pasteBtn = document.getElementById('paste-btn');
+    pasteBtn.style.display = '';
+    pasteBtn.querySelector('span').textContent = `Paste (${paths.length})`;
+    showAlert('info', `${paths.length} item(s) ${mode === 'move' ? 'cut' : 'copied'}; open the destination folder and paste`);
+}
+
+function pasteFiles(destination) {
+    if (!fileClipboard) return;
+    
+    const { mode, paths } = fileClipboard;
+    transferFiles(mode, paths, destination).then(() => {
+        // Cut items only paste once; copied ones can be pasted again
+        if (mode === 'move') {
+            fileClipboard = null;
+            document.getElementById('paste-btn').style.display = 'none';
+        }
+    });
+}
+
+// Move or copy into a folder. On name conflicts the user picks replace, keep both or skip.
+function transferFiles(mode, sources, destination, overwrite = 'fail') {
+    return apiFetch(`/api/files/${mode}`, jsonRequest('POST', { sources, destination, overwrite }))
+        .then(response => response.json())
+        .then(data => {
+            if (!data.results) {
+                throw new Error(data.error);
+            }
+            
+            const done = data.results.filter(result => result.status === 'done');
+            const conflicts = data.results.filter(result => result.code === 409);
+            const failed = data.results.filter(result => result.status === 'error' && result.code !== 409);
+            
+            failed.forEach(result => showAlert('error', `${result.source}: ${result.error}`));
+            if (done.length > 0) {
+                showAlert('success', `${mode === 'move' ? 'Moved' : 'Copied'} ${done.length} item(s) to ${destination}`);
+            }
+            
+            if (conflicts.length > 0 && overwrite === 'fail') {
+                const names = conflicts.map(result => result.source.split('/').pop()).join(', ');
+                let policy = null;
+                if (confirm(`These already exist in ${destination}: ${names}\n\nReplace them?`)) {
+                    policy = 'overwrite';
+                } else if (confirm('Keep both, adding a number to the new names?')) {
+                    policy = 'rename';
+                }
+                if (policy) {
+                    return transferFiles(mode, conflicts.map(result => result.source), destination, policy);
+                }
+            }
+        })
+        .catch(error => {
+            showAlert('error', `Failed to ${mode} files: ${error.message}`);
+        })
+        .finally(() => {
+            selectedFiles = [];
+            updateDeleteButton();
+            loadFiles(currentPath);
+        });
+}
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz', '.tar.xz', '.txz'];
+
+function archiveExtension(name) {
+    const lower = name.toLowerCase();
+    return ARCHIVE_EXTENSIONS.filter(extension => lower.endsWith(extension))
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+function compressFiles(paths) {
+    const suggested = paths.length === 1 ? `${paths[0].split('/').pop()}.zip` : 'archive.zip';
+    const name = prompt('Archive name (.zip, .tar.gz or .tgz):', suggested);
+    if (!name) return;
+    
+    apiJson('/api/files/compress', jsonRequest('POST', { sources: paths, destination: path.join(currentPath, name) }))
+        .then(data => trackJob(data.job))
+        .catch(error => {
+            showAlert('error', 'Failed to compress: ' + error.message);
+        });
+}
+
+function extractArchive(filePath, destination, overwrite = false) {
+    if (!destination) {
+        const name = filePath.split('/').pop();
+        const suggested = path.join(currentPath, name.slice(0, name.length - archiveExtension(name).length));
+        destination = prompt('Extract into folder:', suggested);
+        if (!destination) return;
+    }
+    
+    apiJson('/api/files/extract', jsonRequest('POST', { path: filePath, destination, overwrite }))
+        .then(data => trackJob(data.job, overwrite ? null : () => extractArchive(filePath, destination, true)))
+        .catch(error => {
+            showAlert('error', 'Failed to extract: ' + error.message);
+        });
+}
+
+function renameFile(filePath) {
+    const currentName = filePath.split('/').pop();
+    const newName = prompt('New name:', currentName);
+    if (!newName || newName === currentName) return;
+    
+    apiJson('/api/files/rename', jsonRequest('POST', { path: filePath, newName }))
+        .then(() => {
+            showAlert('success', 'Renamed successfully');
+            loadFiles(currentPath);
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to rename: ' + error.message);
+        });
+}
+
+function createEmptyFile() {
+    const name = prompt('File name:');
+    if (!name) return;
+    
+    apiJson('/api/files/touch', jsonRequest('POST', { path: path.join(currentPath, name) }))
+        .then(() => {
+            showAlert('success', 'File created successfully');
+            loadFiles(currentPath);
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to create file: ' + error.message);
+        });
+}
+
 function deleteSelectedFiles() {
-    if (selectedFiles.length === 0) return;
+    deleteFiles(selectedFiles.map(file => path.join(currentPath, file.name)));
+}
+
+// Deleted files go to the trash unless `permanent` (files:purge only). Moves
+// to another filesystem run as jobs; items too large for the trash (413) can
+// be deleted permanently instead
+function deleteFiles(paths, permanent) {
+    if (paths.length === 0) return;
     
-    if (confirm(`Are you sure you want to delete ${selectedFiles.length} item(s)?`)) {
-        const deletePromises = selectedFiles.map(file => {
-            const filePath = path.join(currentPath, file.name);
-            return fetch(`/api/files/${filePath}`, { method: 'DELETE' });
+    const question = permanent
+        ? `Permanently delete ${paths.length} item(s)? This cannot be undone.`
+        : `Move ${paths.length} item(s) to the trash?`;
+    if (confirm(question)) {
+        const deletePromises = paths.map(filePath => {
+            return apiJson(fileUrl(filePath) + (permanent ? '?permanent=true' : ''), { method: 'DELETE' })
+                .then(data => {
+                    if (data.job) trackJob(data.job);
+                    return Boolean(data.job);
+                })
+                .catch(error => {
+                    if (error.status === 413 && !permanent && can('files:purge') &&
+                        confirm(`${error.message}.\n\nDelete it permanently? This cannot be undone.`)) {
+                        return apiJson(fileUrl(filePath) + '?permanent=true', { method: 'DELETE' });
+                    }
+                    throw error;
+                });
         });
         
         Promise.all(deletePromises)
-            .then(() => {
-                showAlert('success', 'Files deleted successfully');
+            .then(moving => {
+                showAlert('success', permanent ? 'Files deleted permanently'
+                    : moving.includes(true) ? 'Moving files to the trash' : 'Files moved to trash');
                 loadFiles(currentPath);
                 selectedFiles = [];
                 updateDeleteButton();
             })
             .catch(error => {
-                showAlert('error', 'Failed to delete files');
+                showAlert('error', 'Failed to delete files: ' + error.message);
+                loadFiles(currentPath);
             });
     }
 }
 
-// Services functionality
-function initializeServices() {
-    const refreshBtn = document.getElementById('refresh-services-btn');
-    refreshBtn.addEventListener('click', loadServices);
+// Trash
+function showTrashModal() {
+    document.getElementById('trash-modal').style.display = 'block';
+    loadTrash();
 }
 
-function loadServices() {
-    fetch('/api/services')
-        .then(response => response.json())
-        .then(data => {
-            displayServices(data);
-        })
+function hideTrashModal() {
+    document.getElementById('trash-modal').style.display = 'none';
+}
+
+function loadTrash() {
+    apiJson('/api/trash')
+        .then(data => displayTrash(data.items))
         .catch(error => {
-            console.error('Error loading services:', error);
-            showAlert('error', 'Failed to load services');
+            showAlert('error', 'Failed to load trash: ' + error.message);
         });
 }
 
-function displayServices(services) {
-    const container = document.getElementById('services-list');
+function displayTrash(items) {
+    const container = document.getElementById('trash-list');
     container.innerHTML = '';
+    document.getElementById('empty-trash-btn').disabled = items.length === 0;
     
-    services.forEach(service => {
-        const serviceItem = document.createElement('div');
-        serviceItem.className = 'service-item';
-        serviceItem.innerHTML = `
-            <div class="service-info">
-                <div class="service-name">${service.name}</div>
-                <div class="service-description">${service.description}</div>
-            </div>
-            <div class="service-status">
-                <span class="status-badge status-${service.active}">${service.active}</span>
+    if (items.length === 0) {
+        container.innerHTML = '<p>The trash is empty.</p>';
+        return;
+    }
+    
+    items.forEach(item => {
+        const trashItem = document.createElement('div');
+        trashItem.className = 'trash-item';
+        trashItem.innerHTML = `
+            <div class="trash-info">
+                <div class="trash-name"><i class="fas fa-${item.isDirectory ? 'folder' : 'file'}"></i> <span></span></div>
+                <div class="trash-details"></div>
             </div>
-            <div class="service-actions">
-                <button class="btn btn-sm btn-primary" onclick="controlService('${service.name}', 'restart')">
-                    <i class="fas fa-redo"></i>
+            <div class="trash-actions">
+                <button class="btn btn-sm btn-primary restore-btn">
+                    <i class="fas fa-undo"></i> Restore
                 </button>
-                <button class="btn btn-sm btn-${service.active === 'active' ? 'danger' : 'primary'}" 
-                        onclick="controlService('${service.name}', '${service.active === 'active' ? 'stop' : 'start'}')">
-                    <i class="fas fa-${service.active === 'active' ? 'stop' : 'play'}"></i>
+                <button class="btn btn-sm btn-danger purge-btn">
+                    <i class="fas fa-times"></i> Delete
                 </button>
             </div>
         `;
-        container.appendChild(serviceItem);
+        trashItem.querySelector('.trash-name span').textContent = item.name;
+        trashItem.querySelector('.trash-details').textContent =
+            `${item.path} • ${formatFileSize(item.size)} • deleted by ${item.deletedBy} ${new Date(item.deletedAt).toLocaleString()}`;
+        trashItem.querySelector('.restore-btn').addEventListener('click', () => restoreTrashItem(item));
+        trashItem.querySelector('.purge-btn').addEventListener('click', () => purgeTrashItem(item));
+        container.appendChild(trashItem);
     });
 }
 
-function controlService(serviceName, action) {
-    fetch(`/api/services/${serviceName}/${action}`, { method: 'POST' })
-        .then(response => response.json())
+function restoreTrashItem(item, overwrite) {
+    apiJson(`/api/trash/${encodeURIComponent(item.id)}/restore`, jsonRequest('POST', { overwrite }))
         .then(data => {
-            showAlert('success', data.message);
-            loadServices();
+            if (data.job) {
+                trackJob(data.job);
+                loadTrash();
+                return;
+            }
+            showAlert('success', `Restored ${data.item.restoredTo}`);
+            loadTrash();
+            loadFiles(currentPath);
         })
         .catch(error => {
-            showAlert('error', 'Failed to control service');
+            if (error.status === 409 && !overwrite && confirm(`${error.message}\n\nRestore it under a new name instead?`)) {
+                restoreTrashItem(item, 'rename');
+            } else {
+                showAlert('error', 'Failed to restore: ' + error.message);
+            }
         });
 }
 
-// Databases functionality
-function initializeDatabases() {
-    const refreshBtn = document.getElementById('refresh-databases-btn');
-    refreshBtn.addEventListener('click', loadDatabases);
+function purgeTrashItem(item) {
+    if (!confirm(`Permanently delete ${item.name}? This cannot be undone.`)) return;
+    
+    apiJson(`/api/trash/${encodeURIComponent(item.id)}`, { method: 'DELETE' })
+        .then(() => loadTrash())
+        .catch(error => {
+            showAlert('error', 'Failed to delete: ' + error.message);
+        });
 }
 
-function loadDatabases() {
-    fetch('/api/databases')
-        .then(response => response.json())
+function emptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+    
+    apiJson('/api/trash', { method: 'DELETE' })
         .then(data => {
-            displayDatabases(data);
+            showAlert('success', data.message);
+            loadTrash();
         })
         .catch(error => {
-            console.error('Error loading databases:', error);
-            showAlert('error', 'Failed to load databases');
+            showAlert('error', 'Failed to empty trash: ' + error.message);
         });
 }
 
-function displayDatabases(databases) {
-    const container = document.getElementById('databases-list');
-    container.innerHTML = '';
+// File search functionality
+function showSearchModal() {
+    document.getElementById('search-path').textContent = currentPath;
+    document.getElementById('search-modal').style.display = 'block';
+    document.getElementById('search-name').focus();
+}
+
+function hideSearchModal() {
+    document.getElementById('search-modal').style.display = 'none';
+}
+
+function startSearch() {
+    const value = id => document.getElementById(id).value.trim();
+    const kilobytes = id => (value(id) === '' ? undefined : Number(value(id)) * 1024);
+    const options = {
+        path: currentPath,
+        name: value('search-name'),
+        nameMode: value('search-name-mode'),
+        content: value('search-content'),
+        contentMode: value('search-content-mode'),
+        caseSensitive: document.getElementById('search-case').checked,
+        type: value('search-type'),
+        minSize: kilobytes('search-min-size'),
+        maxSize: kilobytes('search-max-size'),
+        modifiedAfter: value('search-after') || undefined,
+        // Include the whole "before" day
+        modifiedBefore: value('search-before') ? `${value('search-before')}T23:59:59.999` : undefined
+    };
+    
+    if (searchJobId) {
+        cancelJob(searchJobId);
+    }
+    searchJobId = null;
+    document.getElementById('search-results').innerHTML = '';
+    document.getElementById('search-summary').textContent = 'Searching...';
     
-    if (databases.length === 0) {
-        container.innerHTML = '<p>No databases found or database services not running.</p>';
+    // Hits can arrive over the socket before the response with the job id
+    searchBuffer = [];
+    apiJson('/api/files/search', jsonRequest('POST', options))
+        .then(data => {
+            const buffered = searchBuffer;
+            searchBuffer = null;
+            searchJobId = data.job.id;
+            document.getElementById('stop-search-btn').style.display = '';
+            buffered.forEach(handleJobData);
+            trackJob(data.job);
+            updateSearchSummary(backgroundJobs.get(data.job.id));
+        })
+        .catch(error => {
+            searchBuffer = null;
+            document.getElementById('search-summary').textContent = '';
+            showAlert('error', 'Failed to search: ' + error.message);
+        });
+}
+
+function stopSearch() {
+    if (searchJobId) {
+        cancelJob(searchJobId);
+    }
+}
+
+function handleJobData(message) {
+    if (searchBuffer && message.type === 'search') {
+        searchBuffer.push(message);
         return;
     }
+    if (message.id !== searchJobId || !message.data.hits) return;
     
-    databases.forEach(db => {
-        const dbItem = document.createElement('div');
-        dbItem.className = 'database-item';
-        dbItem.innerHTML = `
-            <div class="database-info">
-                <div class="database-name">${db.name}</div>
-                <div class="database-type">${db.type}</div>
-            </div>
+    const container = document.getElementById('search-results');
+    message.data.hits.forEach(hit => {
+        const item = document.createElement('div');
+        item.className = 'search-hit';
+        item.innerHTML = `
+            <div class="search-hit-name"><i class="fas fa-${hit.isDirectory ? 'folder' : 'file'}"></i> <span></span></div>
+            <div class="search-hit-path"></div>
         `;
-        container.appendChild(dbItem);
+        item.querySelector('.search-hit-name span').textContent = hit.name;
+        item.querySelector('.search-hit-path').textContent = `${hit.path} • ${hit.isDirectory ? 'Directory' : formatFileSize(hit.size)} • ${new Date(hit.modified).toLocaleString()}`;
+        hit.matches.forEach(match => {
+            const line = document.createElement('div');
+            line.className = 'search-hit-line';
+            line.textContent = `${match.line}: ${match.text}`;
+            item.appendChild(line);
+        });
+        item.addEventListener('click', () => revealFile(hit.path));
+        container.appendChild(item);
     });
 }
 
+// Summary line for the running or finished search
+function updateSearchSummary(job) {
+    const summary = document.getElementById('search-summary');
+    if (job.status === 'running') {
+        summary.textContent = job.message || 'Searching...';
+        return;
+    }
+    
+    document.getElementById('stop-search-btn').style.display = 'none';
+    searchJobId = null;
+    if (job.status === 'done') {
+        const { found, scanned, truncated } = job.result;
+        summary.textContent = `${found} found in ${scanned} entries scanned${truncated ? ` (stopped at ${found} results; narrow the search to see more)` : ''}`;
+    } else if (job.status === 'failed') {
+        summary.textContent = job.error;
+    } else {
+        summary.textContent = `Stopped. ${job.message}`;
+    }
+}
+
+// Open the folder containing a search hit and highlight it
+function revealFile(filePath) {
+    const parts = filePath.split('/');
+    fileToReveal = parts.pop();
+    hideSearchModal();
+    loadFiles(parts.join('/') || '/');
+}
+
+// Disk usage analyzer
+function showDiskUsageModal(dirPath) {
+    document.getElementById('diskusage-modal').style.display = 'block';
+    loadDiskUsage(dirPath);
+}
+
+function hideDiskUsageModal() {
+    document.getElementById('diskusage-modal').style.display = 'none';
+}
+
+// Opened from the dashboard disk card: the file manager's first folder
+function analyzeDiskUsage() {
+    document.querySelector('.nav-item[data-section="files"]').click();
+    showDiskUsageModal(fileRoots[0] || '/');
+}
+
+function loadDiskUsage(dirPath) {
+    diskUsagePath = dirPath;
+    document.getElementById('diskusage-path').textContent = dirPath;
+    document.getElementById('diskusage-up-btn').disabled = dirPath === '/';
+    const cross = document.getElementById('diskusage-cross').checked;
+    
+    apiJson(`/api/diskusage?path=${encodeURIComponent(dirPath)}&crossFilesystems=${cross}`)
+        .then(data => displayDiskUsage(data))
+        .catch(error => {
+            displayDiskUsage(null);
+            if (error.status !== 404) {
+                showAlert('error', 'Failed to load disk usage: ' + error.message);
+            }
+        });
+}
+
+function displayDiskUsage(data) {
+    const bars = document.getElementById('diskusage-bars');
+    const largest = document.getElementById('diskusage-largest');
+    bars.innerHTML = '';
+    largest.innerHTML = '';
+    
+    if (!data) {
+        if (!diskUsageJobId) {
+            document.getElementById('diskusage-status').textContent = 'Not scanned yet. Click "Scan" to measure this folder.';
+        }
+        return;
+    }
+    
+    const tree = data.tree;
+    if (!diskUsageJobId) {
+        document.getElementById('diskusage-status').textContent =
+            `${formatFileSize(tree.size)} in ${tree.files} files and ${tree.dirs} folders • scanned ${new Date(data.scannedAt).toLocaleString()} (${(data.duration / 1000).toFixed(1)}s)`;
+    }
+    
+    const rows = tree.children.slice();
+    if (tree.other.count > 0) {
+        rows.push({ name: `${tree.other.count} other entries`, size: tree.other.size, other: true });
+    }
+    rows.forEach(entry => {
+        const percent = tree.size > 0 ? (entry.size / tree.size) * 100 : 0;
+        const row = document.createElement('div');
+        row.className = 'du-row' + (entry.other ? '' : ' du-link');
+        row.innerHTML = `
+            <div class="du-name"><i class="fas fa-${entry.other ? 'ellipsis-h' : entry.isDirectory ? 'folder' : 'file'}"></i> <span></span></div>
+            <div class="du-bar"><div class="du-bar-fill" style="width: ${percent.toFixed(1)}%"></div></div>
+            <div class="du-size"></div>
+        `;
+        row.querySelector('.du-name span').textContent = entry.mountPoint ? `${entry.name} (other filesystem)` : entry.name;
+        row.querySelector('.du-size').textContent = entry.isDirectory
+            ? `${formatFileSize(entry.size)} • ${entry.files} files`
+            : `${formatFileSize(entry.size)}`;
+        if (entry.isDirectory) {
+            row.title = 'Open';
+            row.addEventListener('click', () => loadDiskUsage(entry.path));
+        } else if (!entry.other) {
+            row.title = 'Show in file manager';
+            row.addEventListener('click', () => {
+                hideDiskUsageModal();
+                revealFile(entry.path);
+            });
+        }
+        bars.appendChild(row);
+    });
+    
+    data.largestFiles.forEach(file => {
+        const item = document.createElement('div');
+        item.className = 'du-largest-item';
+        item.textContent = `${formatFileSize(file.size)}  ${file.path}`;
+        item.title = 'Show in file manager';
+        item.addEventListener('click', () => {
+            hideDiskUsageModal();
+            revealFile(file.path);
+        });
+        largest.appendChild(item);
+    });
+}
+
+function startDiskUsageScan() {
+    const cross = document.getElementById('diskusage-cross').checked;
+    
+    apiJson('/api/diskusage/scan', jsonRequest('POST', { path: diskUsagePath, crossFilesystems: cross }))
+        .then(data => {
+            diskUsageJobId = data.job.id;
+            trackJob(data.job);
+            updateDiskUsageStatus(backgroundJobs.get(data.job.id));
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to start scan: ' + error.message);
+        });
+}
+
+function updateDiskUsageStatus(job) {
+    const status = document.getElementById('diskusage-status');
+    document.getElementById('diskusage-scan-btn').disabled = job.status === 'running';
+    if (job.status === 'running') {
+        status.textContent = `Scanning... ${job.message}`;
+        return;
+    }
+    
+    diskUsageJobId = null;
+    if (job.status === 'done') {
+        loadDiskUsage(diskUsagePath);
+    } else {
+        status.textContent = job.status === 'failed' ? job.error : 'Scan cancelled';
+    }
+}
+
+// Permissions and ownership dialog
+function showPermissionsModal(file, filePath) {
+    permissionsTarget = { file, path: filePath };
+    document.getElementById('permissions-path').textContent = filePath;
+    document.getElementById('permissions-mode').value = file.mode.slice(-4).replace(/^0(?=\d{3}$)/, '');
+    document.getElementById('permissions-symbolic').value = '';
+    document.getElementById('permissions-owner').value = file.owner;
+    document.getElementById('permissions-group').value = file.group;
+    document.getElementById('permissions-recursive').checked = false;
+    document.getElementById('permissions-recursive-group').style.display = file.isDirectory ? '' : 'none';
+    syncPermissionCheckboxes();
+    document.getElementById('permissions-modal').style.display = 'block';
+    
+    if (!systemAccounts) {
+        apiJson('/api/files/accounts')
+            .then(data => {
+                systemAccounts = data;
+                fillDatalist('permissions-users', data.users);
+                fillDatalist('permissions-groups', data.groups);
+            })
+            .catch(error => {
+                console.error('Failed to load users and groups:', error);
+            });
+    }
+}
+
+function hidePermissionsModal() {
+    document.getElementById('permissions-modal').style.display = 'none';
+    permissionsTarget = null;
+}
+
+function fillDatalist(id, values) {
+    const datalist = document.getElementById(id);
+    datalist.innerHTML = '';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
+    });
+}
+
+// The checkboxes and the numeric mode always show the same value
+function syncPermissionCheckboxes() {
+    const mode = parseInt(document.getElementById('permissions-mode').value, 8);
+    if (isNaN(mode)) return;
+    document.querySelectorAll('#permissions-form input[data-bit]').forEach(checkbox => {
+        checkbox.checked = (mode & Number(checkbox.dataset.bit)) !== 0;
+    });
+}
+
+function syncPermissionMode() {
+    let mode = 0;
+    document.querySelectorAll('#permissions-form input[data-bit]').forEach(checkbox => {
+        if (checkbox.checked) mode |= Number(checkbox.dataset.bit);
+    });
+    document.getElementById('permissions-mode').value = mode.toString(8).padStart(mode > 0o777 ? 4 : 3, '0');
+}
+
+function savePermissions() {
+    if (!permissionsTarget) return;
+    
+    const { file, path: filePath } = permissionsTarget;
+    const recursive = file.isDirectory && document.getElementById('permissions-recursive').checked;
+    const symbolic = document.getElementById('permissions-symbolic').value.trim();
+    const mode = document.getElementById('permissions-mode').value.trim();
+    const owner = document.getElementById('permissions-owner').value.trim();
+    const group = document.getElementById('permissions-group').value.trim();
+    
+    const requests = [];
+    if (symbolic || parseInt(mode, 8) !== parseInt(file.mode, 8) || recursive) {
+        requests.push(() => apiJson('/api/files/chmod', jsonRequest('POST', { path: filePath, mode: symbolic || mode, recursive })));
+    }
+    const chown = {};
+    if (owner && (owner !== file.owner || recursive)) chown.owner = owner;
+    if (group && (group !== file.group || recursive)) chown.group = group;
+    if (chown.owner || chown.group) {
+        requests.push(() => apiJson('/api/files/chown', jsonRequest('POST', { path: filePath, ...chown, recursive })));
+    }
+    
+    if (requests.length === 0) {
+        hidePermissionsModal();
+        return;
+    }
+    
+    requests.reduce((previous, request) => previous.then(request), Promise.resolve())
+        .then(data => {
+            showAlert('success', recursive ? data.message : 'Permissions updated');
+            hidePermissionsModal();
+            loadFiles(currentPath);
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to change permissions: ' + error.message);
+            loadFiles(currentPath);
+        });
+}
+
+// Background jobs functionality
+function loadJobs() {
+    apiJson('/api/jobs')
+        .then(data => {
+            data.jobs.filter(job => job.status === 'running').forEach(handleJobUpdate);
+        })
+        .catch(error => {
+            console.error('Failed to load jobs:', error);
+        });
+}
+
+function handleJobUpdate(job) {
+    const previous = backgroundJobs.get(job.id);
+    // Updates can overtake the response that started the job; never go back to running
+    if (previous && previous.status !== 'running') return;
+    
+    backgroundJobs.set(job.id, job);
+    displayJobs();
+    if (job.id === searchJobId) {
+        updateSearchSummary(job);
+    }
+    if (job.id === diskUsageJobId) {
+        updateDiskUsageStatus(job);
+    }
+    if (job.status === 'running') return;
+    
+    if (job.type === 'backup' || job.type === 'dbbackup' || job.type === 'backupverify') {
+        loadBackups();
+    }
+    if (job.status === 'done') {
+        showAlert('success', `${job.description}: done`);
+        if (job.type === 'compress' || job.type === 'extract' || job.type === 'trash') {
+            loadFiles(currentPath);
+        }
+        if (job.type === 'trash' && document.getElementById('trash-modal').style.display === 'block') {
+            loadTrash();
+        }
+        if (job.type === 'cron') {
+            showCronOutput(job);
+        }
+        if (job.type === 'dbrestore') {
+            loadDatabases();
+        }
+        if ((job.type === 'dbbackup' || job.type === 'dbrestore') && job.result.warnings) {
+            showAlert('info', `${job.description}: ${job.result.warnings}`);
+        }
+        // Finished jobs stay visible briefly so the full bar is seen
+        setTimeout(() => dismissJob(job.id), 5000);
+    } else if (job.status === 'failed') {
+        const retry = jobRetries.get(job.id);
+        if (retry && job.errorStatus === 409 && confirm(`${job.error}\n\nTry again, replacing existing files?`)) {
+            dismissJob(job.id);
+            retry();
+        } else {
+            showAlert('error', `${job.description}: ${job.error}`);
+        }
+    } else if (job.status === 'cancelled') {
+        showAlert('info', `${job.description}: cancelled`);
+        setTimeout(() => dismissJob(job.id), 5000);
+    }
+}
+
+// Remember how to rerun a job that may fail on existing files
+function trackJob(job, retry) {
+    if (retry) {
+        jobRetries.set(job.id, retry);
+    }
+    handleJobUpdate(job);
+}
+
+function dismissJob(id) {
+    backgroundJobs.delete(id);
+    jobRetries.delete(id);
+    displayJobs();
+}
+
+function cancelJob(id) {
+    apiJson(`/api/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' })
+        .catch(error => {
+            showAlert('error', 'Failed to cancel job: ' + error.message);
+        });
+}
+
+function displayJobs() {
+    const panel = document.getElementById('job-panel');
+    panel.innerHTML = '';
+    
+    backgroundJobs.forEach(job => {
+        const item = document.createElement('div');
+        item.className = `job-item ${job.status}`;
+        item.innerHTML = `
+            <div class="job-item-header">
+                <span class="job-description"></span>
+                <button title="${job.status === 'running' ? 'Cancel' : 'Dismiss'}"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="stat-progress">
+                <div class="progress-bar" style="width: ${job.progress.percent}%"></div>
+            </div>
+            <div class="job-message"></div>
+        `;
+        item.querySelector('.job-description').textContent = job.description;
+        item.querySelector('.job-message').textContent = job.status === 'failed' ? job.error : job.message;
+        item.querySelector('button').addEventListener('click', () => {
+            if (job.status === 'running') {
+                cancelJob(job.id);
+            } else {
+                dismissJob(job.id);
+            }
+        });
+        panel.appendChild(item);
+    });
+}
+
+// Text editor functionality
+function initializeEditor() {
+    document.querySelector('#editor-modal .close').addEventListener('click', closeEditor);
+    document.getElementById('editor-save-btn').addEventListener('click', () => saveEditor());
+    document.getElementById('editor-reload-btn').addEventListener('click', reloadEditor);
+    document.getElementById('editor-modal').addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            e.preventDefault();
+            saveEditor();
+        }
+    });
+    
+    // Fall back to the plain textarea if CodeMirror could not be loaded from the CDN
+    const textarea = document.getElementById('editor-textarea');
+    if (window.CodeMirror) {
+        fileEditor = CodeMirror.fromTextArea(textarea, {
+            lineNumbers: true,
+            indentUnit: 4,
+            readOnly: !can('files:write')
+        });
+        fileEditor.on('change', updateEditorStatus);
+    } else {
+        textarea.readOnly = !can('files:write');
+        textarea.addEventListener('input', updateEditorStatus);
+    }
+}
+
+function editorModeFor(filePath) {
+    const name = filePath.split('/').pop().toLowerCase();
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+    const modes = {
+        js: 'javascript',
+        json: { name: 'javascript', json: true },
+        py: 'python',
+        sh: 'shell',
+        bash: 'shell',
+        xml: 'xml',
+        svg: 'xml',
+        html: 'htmlmixed',
+        htm: 'htmlmixed',
+        css: 'css',
+        yml: 'yaml',
+        yaml: 'yaml',
+        sql: 'sql',
+        md: 'markdown',
+        ini: 'properties',
+        cfg: 'properties',
+        env: 'properties',
+        service: 'properties',
+        timer: 'properties',
+        socket: 'properties'
+    };
+    if (name === 'nginx.conf' || filePath.includes('/nginx/')) {
+        return 'nginx';
+    }
+    if (name.startsWith('.') && !name.slice(1).includes('.') && name.endsWith('rc')) {
+        return 'shell';
+    }
+    return modes[extension] || null;
+}
+
+function getEditorContent() {
+    return fileEditor ? fileEditor.getValue() : document.getElementById('editor-textarea').value;
+}
+
+function isEditorDirty() {
+    return editorFile !== null && getEditorContent() !== editorFile.savedContent;
+}
+
+function updateEditorStatus() {
+    if (!editorFile) return;
+    
+    const status = document.getElementById('editor-status');
+    const dirty = isEditorDirty();
+    status.className = 'editor-status' + (dirty ? ' dirty' : '');
+    status.textContent = `${dirty ? 'Unsaved changes' : 'No changes'} • ${formatFileSize(editorFile.size)} • modified ${new Date(editorFile.mtime).toLocaleString()}`;
+}
+
+function showEditor(file) {
+    editorFile = { path: file.path, etag: file.etag, mtime: file.mtime, size: file.size, savedContent: file.content };
+    document.getElementById('editor-path').textContent = file.path;
+    document.getElementById('editor-modal').style.display = 'block';
+    
+    if (fileEditor) {
+        fileEditor.setOption('mode', editorModeFor(file.path));
+        fileEditor.setValue(file.content);
+        fileEditor.clearHistory();
+        // CodeMirror measures itself, so refresh once the modal is visible
+        fileEditor.refresh();
+        fileEditor.focus();
+    } else {
+        document.getElementById('editor-textarea').value = file.content;
+    }
+    updateEditorStatus();
+}
+
+function fetchFileContent(filePath) {
+    return apiFetch(`/api/files/content?path=${encodeURIComponent(filePath)}`)
+        .then(response => response.json().then(data => ({ response, data })));
+}
+
+function reloadEditor() {
+    if (!editorFile) return;
+    if (isEditorDirty() && !confirm('Discard your unsaved changes and reload the file from disk?')) return;
+    
+    fetchFileContent(editorFile.path)
+        .then(({ response, data }) => {
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            showEditor(data);
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to reload file: ' + error.message);
+        });
+}
+
+// Saves are conditional on the ETag we loaded; on a conflict the user may overwrite with the newer ETag
+function saveEditor(ifMatch) {
+    if (!editorFile || !can('files:write')) return;
+    
+    const content = getEditorContent();
+    apiFetch('/api/files/content', {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'If-Match': ifMatch || editorFile.etag
+        },
+        body: JSON.stringify({
+            path: editorFile.path,
+            content,
+            backup: document.getElementById('editor-backup').checked
+        })
+    })
+    .then(response => response.json().then(data => {
+        if (response.status === 412) {
+            const status = document.getElementById('editor-status');
+            status.className = 'editor-status conflict';
+            status.textContent = `Changed on disk at ${new Date(data.mtime).toLocaleString()} by someone else`;
+            if (confirm(`${editorFile.path} was changed on disk after you opened it.\n\nOverwrite those changes with yours? Cancel keeps your edits open so you can review them or reload.`)) {
+                saveEditor(data.etag);
+            }
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+        
+        Object.assign(editorFile, { etag: data.etag, mtime: data.mtime, size: data.size, savedContent: content });
+        updateEditorStatus();
+        showAlert('success', data.backup ? `File saved; previous version kept as ${data.backup}` : 'File saved successfully');
+        loadFiles(currentPath);
+    }))
+    .catch(error => {
+        showAlert('error', 'Failed to save file: ' + error.message);
+    });
+}
+
+function closeEditor() {
+    if (isEditorDirty() && !confirm('Discard your unsaved changes?')) return;
+    
+    document.getElementById('editor-modal').style.display = 'none';
+    editorFile = null;
+}
+
+// Services functionality
+function initializeServices() {
+    const refreshBtn = document.getElementById('refresh-services-btn');
+    refreshBtn.addEventListener('click', loadServices);
+    document.getElementById('services-filter').addEventListener('change', displayServices);
+    document.getElementById('services-search').addEventListener('input', displayServices);
+    
+    // The badge jumps straight to the failed units
+    document.getElementById('failed-units-badge').addEventListener('click', (e) => {
+        e.stopPropagation();
+        document.getElementById('services-filter').value = 'failed';
+        document.querySelector('.nav-item[data-section="services"]').click();
+    });
+}
+
+function loadServices() {
+    apiJson('/api/services')
+        .then(data => {
+            allServices = data;
+            displayServices();
+        })
+        .catch(error => {
+            console.error('Error loading services:', error);
+            showAlert('error', 'Failed to load services: ' + error.message);
+        });
+}
+
+function serviceMatchesFilter(service, filter) {
+    switch (filter) {
+        case 'running':
+            return service.sub === 'running';
+        case 'failed':
+            return service.active === 'failed';
+        case 'inactive':
+            return service.active === 'inactive';
+        case 'enabled':
+        case 'disabled':
+        case 'masked':
+            return service.enabled === filter;
+        default:
+            return true;
+    }
+}
+
+function displayServices() {
+    const container = document.getElementById('services-list');
+    const filter = document.getElementById('services-filter').value;
+    const search = document.getElementById('services-search').value.trim().toLowerCase();
+    container.innerHTML = '';
+    
+    const services = allServices.filter(service => serviceMatchesFilter(service, filter) &&
+        (!search || `${service.name} ${service.description}`.toLowerCase().includes(search)));
+    if (services.length === 0) {
+        container.innerHTML = '<p>No services match.</p>';
+        return;
+    }
+    
+    services.forEach(service => {
+        const running = service.active === 'active' || service.active === 'activating' || service.active === 'reloading';
+        const serviceItem = document.createElement('div');
+        serviceItem.className = 'service-item';
+        serviceItem.innerHTML = `
+            <div class="service-info">
+                <div class="service-name"></div>
+                <div class="service-description"></div>
+            </div>
+            <div class="service-status">
+                ${service.enabled ? `<span class="status-badge status-unit-file"></span>` : ''}
+                <span class="status-badge status-${service.active}">${service.active}</span>
+            </div>
+            <div class="service-actions">
+                <button class="btn btn-sm btn-secondary logs-btn" title="Logs">
+                    <i class="fas fa-scroll"></i>
+                </button>
+                <button class="btn btn-sm btn-secondary details-btn" title="Details">
+                    <i class="fas fa-info-circle"></i>
+                </button>
+                ${can('services:write') ? `
+                <button class="btn btn-sm btn-primary restart-btn" title="Restart">
+                    <i class="fas fa-redo"></i>
+                </button>
+                <button class="btn btn-sm btn-${running ? 'danger' : 'primary'} toggle-btn" title="${running ? 'Stop' : 'Start'}">
+                    <i class="fas fa-${running ? 'stop' : 'play'}"></i>
+                </button>` : ''}
+            </div>
+        `;
+        serviceItem.querySelector('.service-name').textContent = service.name;
+        serviceItem.querySelector('.service-description').textContent =
+            `${service.description || 'Not loaded'} • ${service.load} / ${service.sub}`;
+        if (service.enabled) {
+            serviceItem.querySelector('.status-unit-file').textContent = service.enabled;
+        }
+        serviceItem.querySelector('.logs-btn').addEventListener('click', () => showServiceLogs(service.name));
+        serviceItem.querySelector('.details-btn').addEventListener('click', () => showServiceDetails(service.name));
+        if (can('services:write')) {
+            serviceItem.querySelector('.restart-btn').addEventListener('click', () => controlService(service.name, 'restart'));
+            serviceItem.querySelector('.toggle-btn').addEventListener('click', () => controlService(service.name, running ? 'stop' : 'start'));
+        }
+        container.appendChild(serviceItem);
+    });
+}
+
+function controlService(serviceName, action) {
+    apiJson(`/api/services/${encodeURIComponent(serviceName)}/${action}`, { method: 'POST' })
+        .then(data => {
+            showAlert('success', data.message);
+            loadServices();
+            if (document.getElementById('service-modal').style.display === 'block') {
+                showServiceDetails(serviceName);
+            }
+        })
+        .catch(error => {
+            showAlert('error', `Failed to ${action} ${serviceName}: ${error.message}`);
+            // The journal usually says why a unit did not come up
+            if (['start', 'restart', 'reload'].includes(action)) {
+                showServiceLogs(serviceName);
+            }
+        });
+}
+
+function showServiceDetails(serviceName) {
+    apiJson(`/api/services/${encodeURIComponent(serviceName)}`)
+        .then(details => {
+            displayServiceDetails(details);
+            document.getElementById('service-modal').style.display = 'block';
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load service details: ' + error.message);
+        });
+}
+
+function hideServiceModal() {
+    document.getElementById('service-modal').style.display = 'none';
+}
+
+function displayServiceDetails(details) {
+    document.getElementById('service-modal-title').textContent = details.name;
+    
+    const properties = [
+        ['Description', details.description],
+        ['State', `${details.load} / ${details.active} (${details.sub})${details.result && details.result !== 'success' ? ` • result: ${details.result}` : ''}`],
+        ['Enabled', details.enabled || '-'],
+        ['Main PID', details.mainPid || '-'],
+        ['Memory', details.memory !== null ? formatFileSize(details.memory) : '-'],
+        ['CPU time', details.cpuNanoseconds !== null ? `${(details.cpuNanoseconds / 1e9).toFixed(2)}s` : '-'],
+        ['Tasks', details.tasks !== null ? details.tasks : '-'],
+        ['Restarts', details.restarts !== null ? `${details.restarts} (policy: ${details.restartPolicy || 'no'})` : '-'],
+        ['Last exit status', details.exitStatus !== null ? details.exitStatus : '-'],
+        ['User', details.user || 'root'],
+        ['Active since', details.activeSince || '-'],
+        ['Inactive since', details.inactiveSince || '-'],
+        ['Unit file', details.fragmentPath || '-'],
+        ['Drop-ins', details.dropInPaths.join(', ') || '-']
+    ];
+    const dependencyLabels = {
+        requires: 'Requires', wants: 'Wants', bindsTo: 'Binds to', partOf: 'Part of', conflicts: 'Conflicts',
+        after: 'After', before: 'Before', requiredBy: 'Required by', wantedBy: 'Wanted by'
+    };
+    Object.entries(dependencyLabels).forEach(([key, label]) => {
+        if (details.dependencies[key].length > 0) {
+            properties.push([label, details.dependencies[key].join(' ')]);
+        }
+    });
+    
+    const table = document.getElementById('service-properties');
+    table.innerHTML = '';
+    properties.forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        row.innerHTML = '<th></th><td></td>';
+        row.querySelector('th').textContent = label;
+        row.querySelector('td').textContent = value;
+        table.appendChild(row);
+    });
+    
+    const actions = document.getElementById('service-modal-actions');
+    actions.innerHTML = '';
+    const logsButton = document.createElement('button');
+    logsButton.className = 'btn btn-sm btn-secondary';
+    logsButton.innerHTML = '<i class="fas fa-scroll"></i> Logs';
+    logsButton.addEventListener('click', () => showServiceLogs(details.name));
+    actions.appendChild(logsButton);
+    if (!can('services:write')) return;
+    const editButton = document.createElement('button');
+    editButton.className = 'btn btn-sm btn-secondary';
+    editButton.innerHTML = '<i class="fas fa-edit"></i> Edit Unit';
+    editButton.addEventListener('click', () => showUnitEditor(details.name));
+    actions.appendChild(editButton);
+    const masked = details.enabled === 'masked';
+    const running = details.active === 'active' || details.active === 'activating' || details.active === 'reloading';
+    [
+        ['start', 'play', !running && !masked],
+        ['stop', 'stop', running],
+        ['restart', 'redo', !masked],
+        ['reload', 'sync', running],
+        ['enable', 'toggle-on', details.enabled !== 'enabled' && !masked],
+        ['disable', 'toggle-off', details.enabled === 'enabled'],
+        ['mask', 'ban', !masked],
+        ['unmask', 'check', masked]
+    ].forEach(([action, icon, available]) => {
+        if (!available) return;
+        const button = document.createElement('button');
+        button.className = `btn btn-sm ${action === 'stop' || action === 'mask' ? 'btn-danger' : 'btn-secondary'}`;
+        button.innerHTML = `<i class="fas fa-${icon}"></i> ${action.charAt(0).toUpperCase() + action.slice(1)}`;
+        button.addEventListener('click', () => {
+            if (action === 'mask' && !confirm(`Mask ${details.name}? It cannot be started, even by other units, until it is unmasked.`)) return;
+            controlService(details.name, action);
+        });
+        actions.appendChild(button);
+    });
+}
+
+// Custom services and unit files
+function showNewServiceModal() {
+    document.getElementById('new-service-form').reset();
+    document.getElementById('new-service-error').style.display = 'none';
+    document.getElementById('new-service-modal').style.display = 'block';
+    document.getElementById('new-service-name').focus();
+}
+
+function hideNewServiceModal() {
+    document.getElementById('new-service-modal').style.display = 'none';
+}
+
+// systemd-analyze output is several lines long; it goes into the dialog
+function showUnitError(elementId, error) {
+    const output = document.getElementById(elementId);
+    output.textContent = error.message;
+    output.style.display = 'block';
+}
+
+function createService() {
+    const value = id => document.getElementById(id).value.trim();
+    const form = {
+        name: value('new-service-name'),
+        description: value('new-service-description'),
+        execStart: value('new-service-exec'),
+        workingDirectory: value('new-service-directory'),
+        user: value('new-service-user'),
+        environment: document.getElementById('new-service-environment').value,
+        restart: value('new-service-restart'),
+        restartSec: value('new-service-restart-sec'),
+        memoryMax: value('new-service-memory'),
+        cpuQuota: value('new-service-cpu'),
+        tasksMax: value('new-service-tasks'),
+        limitNofile: value('new-service-nofile'),
+        enable: document.getElementById('new-service-enable').checked,
+        start: document.getElementById('new-service-start').checked
+    };
+    
+    apiJson('/api/units', jsonRequest('POST', form))
+        .then(data => {
+            showAlert('success', data.message);
+            hideNewServiceModal();
+            loadServices();
+        })
+        .catch(error => {
+            showUnitError('new-service-error', error);
+            // The unit exists once the file is written; only starting it failed
+            if (error.status !== 400 && error.status !== 409) {
+                loadServices();
+            }
+        });
+}
+
+function showUnitEditor(unit) {
+    unitEditorUnit = unit;
+    apiJson(`/api/units/${encodeURIComponent(unit)}`)
+        .then(data => {
+            displayUnitEditor(data);
+            document.getElementById('dropin-name').value = 'override.conf';
+            document.getElementById('dropin-content').value = '';
+            document.getElementById('unit-modal').style.display = 'block';
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load unit file: ' + error.message);
+        });
+}
+
+function hideUnitEditor() {
+    document.getElementById('unit-modal').style.display = 'none';
+    unitEditorUnit = null;
+}
+
+function displayUnitEditor(data) {
+    document.getElementById('unit-modal-title').textContent = `Edit ${data.unit}`;
+    document.getElementById('unit-file-section').style.display = data.editable ? '' : 'none';
+    document.getElementById('unit-readonly-note').style.display = data.editable ? 'none' : '';
+    document.getElementById('unit-path').textContent = data.path;
+    document.getElementById('unit-content').value = data.content || '';
+    document.getElementById('unit-delete-btn').style.display = data.managed ? '' : 'none';
+    document.getElementById('unit-error').style.display = 'none';
+    
+    const list = document.getElementById('unit-dropins');
+    list.innerHTML = '';
+    if (data.dropIns.length === 0) {
+        list.innerHTML = '<p class="unit-note">No overrides.</p>';
+    }
+    data.dropIns.forEach(dropIn => {
+        const item = document.createElement('div');
+        item.className = 'unit-dropin';
+        item.innerHTML = `
+            <span class="unit-dropin-name"></span>
+            <button class="btn btn-sm btn-secondary edit-btn" title="Edit"><i class="fas fa-edit"></i></button>
+            <button class="btn btn-sm btn-danger delete-btn" title="Delete"><i class="fas fa-trash"></i></button>
+        `;
+        item.querySelector('.unit-dropin-name').textContent = dropIn.name;
+        item.querySelector('.edit-btn').addEventListener('click', () => {
+            document.getElementById('dropin-name').value = dropIn.name;
+            document.getElementById('dropin-content').value = dropIn.content;
+        });
+        item.querySelector('.delete-btn').addEventListener('click', () => removeDropIn(dropIn.name));
+        list.appendChild(item);
+    });
+}
+
+function unitChanged(data) {
+    showAlert('success', data.message);
+    if (data.unit) {
+        displayUnitEditor(data.unit);
+    }
+    loadServices();
+}
+
+function saveUnitFile() {
+    const unit = unitEditorUnit;
+    const content = document.getElementById('unit-content').value;
+    apiJson(`/api/units/${encodeURIComponent(unit)}`, jsonRequest('PUT', { content }))
+        .then(unitChanged)
+        .catch(error => showUnitError('unit-error', error));
+}
+
+function deleteUnit() {
+    const unit = unitEditorUnit;
+    if (!confirm(`Stop, disable and delete ${unit}? Its unit file and overrides are removed.`)) return;
+    apiJson(`/api/units/${encodeURIComponent(unit)}`, { method: 'DELETE' })
+        .then(data => {
+            showAlert('success', data.message);
+            hideUnitEditor();
+            hideServiceModal();
+            loadServices();
+        })
+        .catch(error => showUnitError('unit-error', error));
+}
+
+function saveDropIn() {
+    const unit = unitEditorUnit;
+    const name = document.getElementById('dropin-name').value.trim();
+    const content = document.getElementById('dropin-content').value;
+    if (!name) {
+        showAlert('error', 'Enter a name for the override');
+        return;
+    }
+    apiJson(`/api/units/${encodeURIComponent(unit)}/dropins/${encodeURIComponent(name)}`, jsonRequest('PUT', { content }))
+        .then(unitChanged)
+        .catch(error => showUnitError('unit-error', error));
+}
+
+function removeDropIn(name) {
+    const unit = unitEditorUnit;
+    if (!confirm(`Delete the override ${name} of ${unit}?`)) return;
+    apiJson(`/api/units/${encodeURIComponent(unit)}/dropins/${encodeURIComponent(name)}`, { method: 'DELETE' })
+        .then(unitChanged)
+        .catch(error => showUnitError('unit-error', error));
+}
+
+// Service journal viewer
+const PRIORITY_NAMES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+function showServiceLogs(serviceName) {
+    logsUnit = serviceName;
+    document.getElementById('logs-modal-title').textContent = `Logs: ${serviceName}`;
+    document.getElementById('logs-modal').style.display = 'block';
+    loadServiceLogs(true);
+}
+
+function hideServiceLogs() {
+    document.getElementById('logs-modal').style.display = 'none';
+    logsUnit = null;
+    socket.emit('journalUnfollow');
+}
+
+function logFilters() {
+    const value = id => document.getElementById(id).value;
+    return {
+        priority: value('logs-priority'),
+        since: value('logs-since') ? new Date(value('logs-since')).toISOString() : '',
+        until: value('logs-until') ? new Date(value('logs-until')).toISOString() : ''
+    };
+}
+
+// reset: start again from the newest entry, otherwise append the next older page
+function loadServiceLogs(reset) {
+    const unit = logsUnit;
+    const filters = logFilters();
+    const params = new URLSearchParams({ limit: 200 });
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '') params.set(key, value);
+    });
+    if (!reset && logsNext) {
+        params.set('cursor', logsNext);
+    }
+    
+    apiJson(`/api/services/${encodeURIComponent(unit)}/logs?${params}`)
+        .then(data => {
+            if (unit !== logsUnit) return;
+            const container = document.getElementById('logs-entries');
+            if (reset) {
+                container.innerHTML = '';
+                updateLogsFollow();
+            }
+            data.entries.forEach(entry => container.appendChild(logEntryElement(entry)));
+            if (reset && data.entries.length === 0) {
+                container.innerHTML = '<p class="logs-empty">No journal entries match.</p>';
+            }
+            logsNext = data.next;
+            document.getElementById('logs-older-btn').style.display = logsNext ? '' : 'none';
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load logs: ' + error.message);
+        });
+}
+
+function logEntryElement(entry) {
+    const line = document.createElement('div');
+    line.className = `log-entry log-priority-${entry.priority}`;
+    line.textContent = `${new Date(entry.time).toLocaleString()} ${entry.identifier}${entry.pid ? `[${entry.pid}]` : ''}: ${entry.message}`;
+    line.title = PRIORITY_NAMES[entry.priority];
+    return line;
+}
+
+// Live follow runs while the view is open, unless it looks at a fixed time range
+function updateLogsFollow() {
+    const follow = document.getElementById('logs-follow').checked && !document.getElementById('logs-until').value;
+    document.getElementById('logs-status').textContent = follow ? 'Following new entries...' : '';
+    if (follow && logsUnit) {
+        socket.emit('journalFollow', { unit: logsUnit });
+    } else {
+        socket.emit('journalUnfollow');
+    }
+}
+
+function handleJournalEntries(data) {
+    if (data.unit !== logsUnit) return;
+    const container = document.getElementById('logs-entries');
+    const empty = container.querySelector('.logs-empty');
+    if (empty) empty.remove();
+    const priority = document.getElementById('logs-priority').value;
+    data.entries
+        .filter(entry => priority === '' || entry.priority <= Number(priority))
+        .forEach(entry => container.insertBefore(logEntryElement(entry), container.firstChild));
+}
+
+function handleJournalEnded(data) {
+    if (data.unit !== logsUnit) return;
+    document.getElementById('logs-status').textContent = data.error ? `Live follow stopped: ${data.error}` : 'Live follow stopped';
+}
+
+function updateFailedUnits(units) {
+    const badge = document.getElementById('failed-units-badge');
+    badge.textContent = units.length;
+    badge.title = units.join('\n');
+    badge.style.display = units.length > 0 ? '' : 'none';
+}
+
+// Cron functionality
+const CRON_FIELD_IDS = ['cron-minute', 'cron-hour', 'cron-day-of-month', 'cron-month', 'cron-day-of-week'];
+
+function initializeCron() {
+    document.getElementById('refresh-cron-btn').addEventListener('click', loadCron);
+    document.getElementById('new-cron-btn').addEventListener('click', () => showCronModal(null));
+    document.getElementById('cron-source-filter').addEventListener('change', displayCronJobs);
+}
+
+function loadCron() {
+    apiJson('/api/cron')
+        .then(data => {
+            cronJobs = data.jobs;
+            cronSources = data.sources;
+            const filter = document.getElementById('cron-source-filter');
+            const selected = filter.value;
+            filter.innerHTML = '<option value="">All crontabs</option>';
+            cronSources.forEach(source => {
+                const option = document.createElement('option');
+                option.value = source.id;
+                option.textContent = cronSourceLabel(source.id);
+                filter.appendChild(option);
+            });
+            filter.value = cronSources.some(source => source.id === selected) ? selected : '';
+            displayCronJobs();
+        })
+        .catch(error => {
+            console.error('Error loading cron jobs:', error);
+            showAlert('error', 'Failed to load cron jobs: ' + error.message);
+        });
+}
+
+// "user:alice" -> ['user', 'alice']
+function splitCronSource(sourceId) {
+    const separator = sourceId.indexOf(':');
+    return [sourceId.slice(0, separator), sourceId.slice(separator + 1)];
+}
+
+function cronSourceLabel(sourceId) {
+    const [type, name] = splitCronSource(sourceId);
+    return type === 'user' ? `crontab of ${name}` : `/etc/cron.d/${name}`;
+}
+
+function formatCronRun(time) {
+    return new Date(time).toLocaleString(undefined, {
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+function displayCronJobs() {
+    const body = document.getElementById('cron-jobs');
+    const source = document.getElementById('cron-source-filter').value;
+    body.innerHTML = '';
+    
+    const jobs = cronJobs.filter(job => !source || job.source === source);
+    if (jobs.length === 0) {
+        body.innerHTML = '<tr><td colspan="6">No cron jobs.</td></tr>';
+        return;
+    }
+    jobs.forEach(job => {
+        const row = document.createElement('tr');
+        row.className = job.enabled ? '' : 'cron-disabled';
+        row.innerHTML = `
+            <td class="cron-schedule"></td>
+            <td class="cron-command"></td>
+            <td class="cron-user"></td>
+            <td class="cron-source"></td>
+            <td class="cron-next"></td>
+            <td class="cron-actions">
+                ${can('cron:write') ? `
+                <button class="btn btn-sm btn-secondary run-btn" title="Run now"><i class="fas fa-play"></i></button>
+                <button class="btn btn-sm btn-secondary edit-btn" title="Edit"><i class="fas fa-edit"></i></button>
+                <button class="btn btn-sm btn-secondary toggle-btn" title="${job.enabled ? 'Disable' : 'Enable'}">
+                    <i class="fas fa-toggle-${job.enabled ? 'on' : 'off'}"></i>
+                </button>
+                <button class="btn btn-sm btn-danger delete-btn" title="Delete"><i class="fas fa-trash"></i></button>` : ''}
+            </td>
+        `;
+        row.querySelector('.cron-schedule').textContent = job.schedule;
+        row.querySelector('.cron-command').textContent = job.command;
+        row.querySelector('.cron-user').textContent = job.user;
+        row.querySelector('.cron-source').textContent = `${cronSourceLabel(job.source)}:${job.line}`;
+        row.querySelector('.cron-next').textContent = job.error ||
+            (!job.enabled ? 'Disabled' : job.nextRuns.length > 0 ? formatCronRun(job.nextRuns[0]) : job.schedule === '@reboot' ? 'At boot' : 'Never');
+        if (can('cron:write')) {
+            row.querySelector('.run-btn').addEventListener('click', () => runCronJob(job));
+            row.querySelector('.edit-btn').addEventListener('click', () => showCronModal(job));
+            row.querySelector('.toggle-btn').addEventListener('click', () => saveCronChanges(job, { enabled: !job.enabled }));
+            row.querySelector('.delete-btn').addEventListener('click', () => deleteCronJob(job));
+        }
+        body.appendChild(row);
+    });
+}
+
+// Existing crontabs of the chosen kind, as suggestions for the name field
+function updateCronSourceType() {
+    const type = document.getElementById('cron-source-type').value;
+    document.getElementById('cron-source-name-label').textContent = type === 'user' ? 'User:' : 'File Name:';
+    document.getElementById('cron-user-group').style.display = type === 'file' ? '' : 'none';
+    const names = document.getElementById('cron-source-names');
+    names.innerHTML = '';
+    cronSources.filter(source => source.type === type).forEach(source => {
+        const option = document.createElement('option');
+        option.value = source.name;
+        names.appendChild(option);
+    });
+}
+
+function setCronSchedule(schedule) {
+    const preset = document.getElementById('cron-preset');
+    const special = schedule.startsWith('@');
+    if (special && !Array.from(preset.options).some(option => option.value === schedule)) {
+        const option = document.createElement('option');
+        option.value = schedule;
+        option.textContent = schedule;
+        preset.appendChild(option);
+    }
+    preset.value = Array.from(preset.options).some(option => option.value === schedule) ? schedule : '';
+    const parts = special ? ['0', '*', '*', '*', '*'] : schedule.split(/\s+/);
+    CRON_FIELD_IDS.forEach((id, index) => {
+        document.getElementById(id).value = parts[index] || '*';
+    });
+    updateCronFields();
+}
+
+function cronSchedule() {
+    const preset = document.getElementById('cron-preset').value;
+    if (preset.startsWith('@')) return preset;
+    return CRON_FIELD_IDS.map(id => document.getElementById(id).value.trim() || '*').join(' ');
+}
+
+// Special schedules (@daily...) have no fields to edit
+function updateCronFields() {
+    const special = document.getElementById('cron-preset').value.startsWith('@');
+    CRON_FIELD_IDS.forEach(id => {
+        document.getElementById(id).disabled = special;
+    });
+    scheduleCronPreview();
+}
+
+function showCronModal(job) {
+    cronEditing = job;
+    document.getElementById('cron-modal-title').textContent = job ? 'Edit Cron Job' : 'New Cron Job';
+    const [type, name] = job ? splitCronSource(job.source) : ['user', 'root'];
+    document.getElementById('cron-source-type').value = type;
+    document.getElementById('cron-source-name').value = name;
+    document.getElementById('cron-source-type').disabled = Boolean(job);
+    document.getElementById('cron-source-name').disabled = Boolean(job);
+    document.getElementById('cron-user').value = job ? job.user : 'root';
+    document.getElementById('cron-command').value = job ? job.command : '';
+    document.getElementById('cron-enabled').checked = job ? job.enabled : true;
+    updateCronSourceType();
+    setCronSchedule(job ? job.schedule : '0 * * * *');
+    document.getElementById('cron-modal').style.display = 'block';
+}
+
+function hideCronModal() {
+    document.getElementById('cron-modal').style.display = 'none';
+    cronEditing = null;
+}
+
+function scheduleCronPreview() {
+    clearTimeout(cronPreviewTimer);
+    cronPreviewTimer = setTimeout(updateCronPreview, 300);
+}
+
+// The next runs as the server computes them, or what is wrong with a field
+function updateCronPreview() {
+    const schedule = cronSchedule();
+    const preview = document.getElementById('cron-preview');
+    apiJson(`/api/cron/preview?${new URLSearchParams({ schedule })}`)
+        .then(data => {
+            if (schedule !== cronSchedule()) return;
+            preview.className = 'cron-preview';
+            if (data.nextRuns.length === 0) {
+                preview.textContent = schedule === '@reboot' ? 'Runs once each time the server boots.' : 'This schedule never runs.';
+                return;
+            }
+            preview.innerHTML = '<div>Next runs:</div><ul></ul>';
+            data.nextRuns.forEach(time => {
+                const item = document.createElement('li');
+                item.textContent = formatCronRun(time);
+                preview.querySelector('ul').appendChild(item);
+            });
+        })
+        .catch(error => {
+            if (schedule !== cronSchedule()) return;
+            preview.className = 'cron-preview cron-preview-error';
+            preview.textContent = error.message;
+        });
+}
+
+function saveCronJob() {
+    const fields = {
+        schedule: cronSchedule(),
+        command: document.getElementById('cron-command').value,
+        enabled: document.getElementById('cron-enabled').checked
+    };
+    if (document.getElementById('cron-source-type').value === 'file') {
+        fields.user = document.getElementById('cron-user').value.trim();
+    }
+    if (cronEditing) {
+        saveCronChanges(cronEditing, fields);
+        return;
+    }
+    fields.source = `${document.getElementById('cron-source-type').value}:${document.getElementById('cron-source-name').value.trim()}`;
+    apiJson('/api/cron/jobs', jsonRequest('POST', fields))
+        .then(data => {
+            showAlert('success', data.message);
+            hideCronModal();
+            loadCron();
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to create cron job: ' + error.message);
+        });
+}
+
+function saveCronChanges(job, changes) {
+    apiJson(`/api/cron/jobs/${encodeURIComponent(job.id)}`, jsonRequest('PUT', changes))
+        .then(data => {
+            showAlert('success', data.message);
+            hideCronModal();
+            loadCron();
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to save cron job: ' + error.message);
+            if (error.status === 409) loadCron();
+        });
+}
+
+function deleteCronJob(job) {
+    if (!confirm(`Delete this cron job?\n\n${job.schedule} ${job.command}`)) return;
+    apiJson(`/api/cron/jobs/${encodeURIComponent(job.id)}`, { method: 'DELETE' })
+        .then(data => {
+            showAlert('success', data.message);
+            loadCron();
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to delete cron job: ' + error.message);
+            if (error.status === 409) loadCron();
+        });
+}
+
+function runCronJob(job) {
+    apiJson(`/api/cron/jobs/${encodeURIComponent(job.id)}/run`, { method: 'POST' })
+        .then(data => trackJob(data.job))
+        .catch(error => {
+            showAlert('error', 'Failed to run cron job: ' + error.message);
+        });
+}
+
+function showCronOutput(job) {
+    const result = job.result;
+    document.getElementById('cron-output-status').textContent =
+        `${result.command} (as ${result.user}) exited with code ${result.exitCode} after ${(result.duration / 1000).toFixed(1)}s`;
+    const output = [result.stdout, result.stderr].filter(Boolean).join(result.stdout.endsWith('\n') ? '' : '\n');
+    document.getElementById('cron-output').textContent = output || '(no output)';
+    document.getElementById('cron-output-modal').style.display = 'block';
+}
+
+// Databases functionality
+function initializeDatabases() {
+    const refreshBtn = document.getElementById('refresh-databases-btn');
+    refreshBtn.addEventListener('click', loadDatabases);
+    document.getElementById('new-database-btn').addEventListener('click', showDatabaseModal);
+    document.getElementById('new-db-user-btn').addEventListener('click', showDbUserModal);
+    document.getElementById('new-pg-database-btn').addEventListener('click', showPgDatabaseModal);
+    document.getElementById('new-pg-role-btn').addEventListener('click', showPgRoleModal);
+    document.querySelectorAll('.restore-btn').forEach(button => {
+        button.addEventListener('click', () => showRestoreModal(button.getAttribute('data-engine')));
+    });
+}
+
+// Each engine reports on its own; one being down leaves the other usable
+function loadDatabases() {
+    Promise.all([loadMysql(), loadPostgres()]).then(() => {
+        document.getElementById('databases-list').style.display = mysqlData || postgresData ? 'none' : '';
+    });
+}
+
+function loadMysql() {
+    const status = document.getElementById('mysql-status');
+    return apiJson('/api/mysql')
+        .then(data => {
+            mysqlData = data;
+            status.textContent = `MySQL ${data.version}`;
+            displayMysql();
+        })
+        .catch(error => {
+            mysqlData = null;
+            status.textContent = error.status === 503 ? error.message : `MySQL: ${error.message}`;
+            document.getElementById('mysql-panel').style.display = 'none';
+        });
+}
+
+function displayMysql() {
+    document.getElementById('mysql-panel').style.display = '';
+    const writable = can('databases:write');
+    
+    const databases = document.getElementById('mysql-databases');
+    databases.innerHTML = '';
+    mysqlData.databases.forEach(db => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="engine-name"></td>
+            <td class="mysql-charset"></td>
+            <td>${db.tables}</td>
+            <td>${formatFileSize(db.size)}</td>
+            <td class="engine-actions">
+                ${writable ? '<button class="btn btn-sm btn-secondary console-btn" title="SQL console"><i class="fas fa-terminal"></i></button>' : ''}
+                ${writable && !db.system ? '<button class="btn btn-sm btn-danger" title="Drop"><i class="fas fa-trash"></i></button>' : ''}
+            </td>
+        `;
+        row.querySelector('.engine-name').textContent = db.system ? `${db.name} (system)` : db.name;
+        row.querySelector('.mysql-charset').textContent = `${db.charset} / ${db.collation}`;
+        const consoleButton = row.querySelector('.console-btn');
+        if (consoleButton) {
+            consoleButton.addEventListener('click', () => showSqlConsole('mysql', db.name));
+        }
+        const dropButton = row.querySelector('.btn-danger');
+        if (dropButton) {
+            dropButton.addEventListener('click', () => dropDatabase(db));
+        }
+        databases.appendChild(row);
+    });
+    
+    const users = document.getElementById('mysql-users');
+    users.innerHTML = '';
+    mysqlData.users.filter(user => !user.system).forEach(user => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="engine-name"></td>
+            <td class="engine-grants"></td>
+            <td class="engine-actions">
+                ${writable ? `
+                <button class="btn btn-sm btn-secondary grant-btn" title="Grant privileges"><i class="fas fa-key"></i></button>
+                <button class="btn btn-sm btn-danger drop-btn" title="Drop"><i class="fas fa-trash"></i></button>` : ''}
+            </td>
+        `;
+        row.querySelector('.engine-name').textContent = `${user.username}@${user.host}`;
+        const grants = row.querySelector('.engine-grants');
+        const entries = Object.entries(user.grants);
+        if (entries.length === 0) {
+            grants.textContent = 'No database privileges';
+        }
+        entries.forEach(([database, privileges]) => {
+            const grant = document.createElement('div');
+            grant.className = 'engine-grant';
+            grant.innerHTML = '<strong></strong> <span></span>';
+            grant.querySelector('strong').textContent = database;
+            grant.querySelector('span').textContent = privileges.join(', ');
+            if (writable) {
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'btn btn-sm btn-secondary';
+                revokeButton.title = 'Revoke';
+                revokeButton.innerHTML = '<i class="fas fa-times"></i>';
+                revokeButton.addEventListener('click', () => revokeDatabase(user, database));
+                grant.appendChild(revokeButton);
+            }
+            grants.appendChild(grant);
+        });
+        if (writable) {
+            row.querySelector('.grant-btn').addEventListener('click', () => showGrantModal({
+                label: `${user.username}@${user.host}`,
+                url: `${dbUserUrl(user)}/grants`,
+                databases: mysqlData.databases,
+                privileges: mysqlData.privileges
+            }));
+            row.querySelector('.drop-btn').addEventListener('click', () => dropDbUser(user));
+        }
+        users.appendChild(row);
+    });
+}
+
+function databaseRequest(url, options, onDone) {
+    apiJson(url, options)
+        .then(data => {
+            showAlert('success', data.message);
+            if (onDone) onDone();
+            loadDatabases();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function showDatabaseModal() {
+    document.getElementById('database-form').reset();
+    document.getElementById('database-modal').style.display = 'block';
+    const charset = document.getElementById('database-charset');
+    (mysqlCharsets.length > 0 ? Promise.resolve(mysqlCharsets) : apiJson('/api/mysql/charsets'))
+        .then(data => {
+            mysqlCharsets = data;
+            charset.innerHTML = '';
+            mysqlCharsets.forEach(set => {
+                const option = document.createElement('option');
+                option.value = set.charset;
+                option.textContent = set.charset;
+                charset.appendChild(option);
+            });
+            charset.value = mysqlCharsets.some(set => set.charset === 'utf8mb4') ? 'utf8mb4' : charset.value;
+            updateCollations();
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load character sets: ' + error.message);
+        });
+}
+
+function updateCollations() {
+    const set = mysqlCharsets.find(item => item.charset === document.getElementById('database-charset').value);
+    const collation = document.getElementById('database-collation');
+    collation.innerHTML = '';
+    (set ? set.collations : []).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name === set.defaultCollation ? `${name} (default)` : name;
+        collation.appendChild(option);
+    });
+    if (set) collation.value = set.defaultCollation;
+}
+
+function createDatabase() {
+    const body = {
+        name: document.getElementById('database-name').value.trim(),
+        charset: document.getElementById('database-charset').value,
+        collation: document.getElementById('database-collation').value
+    };
+    databaseRequest('/api/mysql/databases', jsonRequest('POST', body), () => {
+        document.getElementById('database-modal').style.display = 'none';
+    });
+}
+
+function dropDatabase(db) {
+    const answer = prompt(`Dropping ${db.name} deletes its ${db.tables} table(s) for good. Type the database name to confirm:`);
+    if (answer === null) return;
+    if (answer !== db.name) {
+        showAlert('error', 'The name did not match; nothing was dropped');
+        return;
+    }
+    databaseRequest(`/api/mysql/databases/${encodeURIComponent(db.name)}`, { method: 'DELETE' });
+}
+
+function showDbUserModal() {
+    document.getElementById('db-user-form').reset();
+    document.getElementById('db-user-modal').style.display = 'block';
+}
+
+function createDbUser() {
+    const body = {
+        username: document.getElementById('db-user-name').value.trim(),
+        host: document.getElementById('db-user-host').value.trim(),
+        password: document.getElementById('db-user-password').value
+    };
+    databaseRequest('/api/mysql/users', jsonRequest('POST', body), () => {
+        document.getElementById('db-user-modal').style.display = 'none';
+    });
+}
+
+function dbUserUrl(user) {
+    return `/api/mysql/users/${encodeURIComponent(user.username)}/${encodeURIComponent(user.host)}`;
+}
+
+function dropDbUser(user) {
+    if (!confirm(`Drop the MySQL user ${user.username}@${user.host}? Applications using it will lose access.`)) return;
+    databaseRequest(dbUserUrl(user), { method: 'DELETE' });
+}
+
+// target: { label, url, databases, privileges } from the engine's panel
+function showGrantModal(target) {
+    grantTarget = target;
+    document.getElementById('grant-modal-title').textContent = `Grant Privileges to ${target.label}`;
+    const database = document.getElementById('grant-database');
+    database.innerHTML = '';
+    target.databases.filter(db => !db.system).forEach(db => {
+        const option = document.createElement('option');
+        option.value = db.name;
+        option.textContent = db.name;
+        database.appendChild(option);
+    });
+    const privileges = document.getElementById('grant-privileges');
+    privileges.innerHTML = '';
+    target.privileges.forEach(privilege => {
+        const label = document.createElement('label');
+        label.innerHTML = '<input type="checkbox"> <span></span>';
+        label.querySelector('input').value = privilege;
+        label.querySelector('input').checked = privilege === 'ALL PRIVILEGES';
+        label.querySelector('span').textContent = privilege;
+        privileges.appendChild(label);
+    });
+    document.getElementById('grant-modal').style.display = 'block';
+}
+
+function grantPrivileges() {
+    const privileges = Array.from(document.querySelectorAll('#grant-privileges input:checked')).map(input => input.value);
+    if (privileges.length === 0) {
+        showAlert('error', 'Pick at least one privilege');
+        return;
+    }
+    const body = { database: document.getElementById('grant-database').value, privileges };
+    databaseRequest(grantTarget.url, jsonRequest('POST', body), () => {
+        document.getElementById('grant-modal').style.display = 'none';
+    });
+}
+
+function revokeDatabase(user, database) {
+    if (!confirm(`Revoke all privileges of ${user.username}@${user.host} on ${database}?`)) return;
+    databaseRequest(`${dbUserUrl(user)}/grants/${encodeURIComponent(database)}`, { method: 'DELETE' });
+}
+
+function loadPostgres() {
+    const status = document.getElementById('postgres-status');
+    return apiJson('/api/postgres')
+        .then(data => {
+            postgresData = data;
+            status.textContent = `PostgreSQL ${data.version}`;
+            displayPostgres();
+        })
+        .catch(error => {
+            postgresData = null;
+            status.textContent = error.status === 503 ? error.message : `PostgreSQL: ${error.message}`;
+            document.getElementById('postgres-panel').style.display = 'none';
+        });
+}
+
+function displayPostgres() {
+    document.getElementById('postgres-panel').style.display = '';
+    const writable = can('databases:write');
+    
+    const databases = document.getElementById('postgres-databases');
+    databases.innerHTML = '';
+    postgresData.databases.forEach(db => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="engine-name"></td>
+            <td class="pg-owner"></td>
+            <td class="pg-encoding"></td>
+            <td>${db.size === null ? '—' : formatFileSize(db.size)}</td>
+            <td class="engine-actions">
+                ${writable ? '<button class="btn btn-sm btn-secondary console-btn" title="SQL console"><i class="fas fa-terminal"></i></button>' : ''}
+                ${writable && !db.system ? '<button class="btn btn-sm btn-danger" title="Drop"><i class="fas fa-trash"></i></button>' : ''}
+            </td>
+        `;
+        row.querySelector('.engine-name').textContent = db.system ? `${db.name} (system)` : db.name;
+        row.querySelector('.pg-owner').textContent = db.owner;
+        row.querySelector('.pg-encoding').textContent = `${db.encoding} / ${db.collate}`;
+        const consoleButton = row.querySelector('.console-btn');
+        if (consoleButton) {
+            consoleButton.addEventListener('click', () => showSqlConsole('postgres', db.name));
+        }
+        const dropButton = row.querySelector('.btn-danger');
+        if (dropButton) {
+            dropButton.addEventListener('click', () => dropPgDatabase(db));
+        }
+        databases.appendChild(row);
+    });
+    
+    const roles = document.getElementById('postgres-roles');
+    roles.innerHTML = '';
+    postgresData.roles.forEach(role => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="engine-name"></td>
+            <td class="pg-attributes"></td>
+            <td class="engine-grants"></td>
+            <td class="engine-actions">
+                ${writable ? `
+                <button class="btn btn-sm btn-secondary grant-btn" title="Grant privileges"><i class="fas fa-key"></i></button>
+                <button class="btn btn-sm btn-danger drop-btn" title="Drop"><i class="fas fa-trash"></i></button>` : ''}
+            </td>
+        `;
+        row.querySelector('.engine-name').textContent = role.name;
+        row.querySelector('.pg-attributes').textContent = [
+            role.superuser && 'superuser',
+            role.login ? 'login' : 'no login',
+            role.createdb && 'create databases',
+            role.createrole && 'create roles',
+            role.connectionLimit >= 0 && `${role.connectionLimit} connections at most`
+        ].filter(Boolean).join(', ');
+        const grants = row.querySelector('.engine-grants');
+        const entries = Object.entries(role.grants);
+        if (entries.length === 0) {
+            grants.textContent = 'No database privileges';
+        }
+        entries.forEach(([database, privileges]) => {
+            const grant = document.createElement('div');
+            grant.className = 'engine-grant';
+            grant.innerHTML = '<strong></strong> <span></span>';
+            grant.querySelector('strong').textContent = database;
+            grant.querySelector('span').textContent = privileges.join(', ');
+            if (writable) {
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'btn btn-sm btn-secondary';
+                revokeButton.title = 'Revoke';
+                revokeButton.innerHTML = '<i class="fas fa-times"></i>';
+                revokeButton.addEventListener('click', () => revokePgDatabase(role, database));
+                grant.appendChild(revokeButton);
+            }
+            grants.appendChild(grant);
+        });
+        if (writable) {
+            row.querySelector('.grant-btn').addEventListener('click', () => showGrantModal({
+                label: role.name,
+                url: `${pgRoleUrl(role)}/grants`,
+                databases: postgresData.databases,
+                privileges: postgresData.privileges
+            }));
+            row.querySelector('.drop-btn').addEventListener('click', () => dropPgRole(role));
+        }
+        roles.appendChild(row);
+    });
+    
+    const connections = document.getElementById('postgres-connections');
+    connections.innerHTML = '';
+    if (postgresData.connections.length === 0) {
+        connections.innerHTML = '<tr><td colspan="8">No other connections</td></tr>';
+    }
+    postgresData.connections.forEach(connection => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${connection.pid}</td>
+            <td class="pg-user"></td>
+            <td class="pg-database"></td>
+            <td class="pg-client"></td>
+            <td class="pg-state"></td>
+            <td>${new Date(connection.connectedAt).toLocaleString()}</td>
+            <td class="pg-query"></td>
+            <td class="engine-actions">
+                ${writable ? '<button class="btn btn-sm btn-danger" title="Terminate"><i class="fas fa-plug"></i></button>' : ''}
+            </td>
+        `;
+        row.querySelector('.pg-user').textContent = connection.user || '';
+        row.querySelector('.pg-database').textContent = connection.database || '';
+        row.querySelector('.pg-client').textContent = connection.application
+            ? `${connection.client} (${connection.application})`
+            : connection.client;
+        row.querySelector('.pg-state').textContent = connection.state || '';
+        row.querySelector('.pg-query').textContent = connection.query || '';
+        row.querySelector('.pg-query').title = connection.query || '';
+        const terminateButton = row.querySelector('.btn-danger');
+        if (terminateButton) {
+            terminateButton.addEventListener('click', () => terminatePgConnection(connection));
+        }
+        connections.appendChild(row);
+    });
+}
+
+function showPgDatabaseModal() {
+    document.getElementById('pg-database-form').reset();
+    const owner = document.getElementById('pg-database-owner');
+    owner.innerHTML = '<option value="">(admin role)</option>';
+    postgresData.roles.filter(role => role.login).forEach(role => {
+        const option = document.createElement('option');
+        option.value = role.name;
+        option.textContent = role.name;
+        owner.appendChild(option);
+    });
+    const encoding = document.getElementById('pg-database-encoding');
+    encoding.innerHTML = '';
+    postgresData.encodings.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        encoding.appendChild(option);
+    });
+    document.getElementById('pg-database-modal').style.display = 'block';
+}
+
+function createPgDatabase() {
+    const body = {
+        name: document.getElementById('pg-database-name').value.trim(),
+        owner: document.getElementById('pg-database-owner').value || undefined,
+        encoding: document.getElementById('pg-database-encoding').value
+    };
+    databaseRequest('/api/postgres/databases', jsonRequest('POST', body), () => {
+        document.getElementById('pg-database-modal').style.display = 'none';
+    });
+}
+
+function dropPgDatabase(db) {
+    const answer = prompt(`Dropping ${db.name} deletes all of its data for good. Type the database name to confirm:`);
+    if (answer === null) return;
+    if (answer !== db.name) {
+        showAlert('error', 'The name did not match; nothing was dropped');
+        return;
+    }
+    databaseRequest(`/api/postgres/databases/${encodeURIComponent(db.name)}`, { method: 'DELETE' });
+}
+
+function showPgRoleModal() {
+    document.getElementById('pg-role-form').reset();
+    document.getElementById('pg-role-modal').style.display = 'block';
+}
+
+function createPgRole() {
+    const body = {
+        name: document.getElementById('pg-role-name').value.trim(),
+        password: document.getElementById('pg-role-password').value,
+        login: document.getElementById('pg-role-login').checked,
+        createdb: document.getElementById('pg-role-createdb').checked
+    };
+    databaseRequest('/api/postgres/roles', jsonRequest('POST', body), () => {
+        document.getElementById('pg-role-modal').style.display = 'none';
+    });
+}
+
+function pgRoleUrl(role) {
+    return `/api/postgres/roles/${encodeURIComponent(role.name)}`;
+}
+
+function dropPgRole(role) {
+    if (!confirm(`Drop the PostgreSQL role ${role.name}? Roles that still own databases cannot be dropped.`)) return;
+    databaseRequest(pgRoleUrl(role), { method: 'DELETE' });
+}
+
+function revokePgDatabase(role, database) {
+    if (!confirm(`Revoke all privileges of ${role.name} on ${database}?`)) return;
+    databaseRequest(`${pgRoleUrl(role)}/grants/${encodeURIComponent(database)}`, { method: 'DELETE' });
+}
+
+function terminatePgConnection(connection) {
+    if (!confirm(`Terminate connection ${connection.pid} of ${connection.user || 'unknown'}? Its open transaction is rolled back.`)) return;
+    databaseRequest(`/api/postgres/connections/${connection.pid}`, { method: 'DELETE' });
+}
+
+// Database restore functionality
+function showRestoreModal(engine) {
+    document.getElementById('restore-form').reset();
+    document.getElementById('restore-title').textContent =
+        `Restore ${engine === 'mysql' ? 'MySQL' : 'PostgreSQL'} Database`;
+    // Only cataloged dumps can be restored, so the list is the whole choice
+    const dumps = document.getElementById('restore-backup');
+    dumps.innerHTML = '';
+    apiJson(`/api/backups?type=database&engine=${engine}&status=completed`)
+        .then(entries => {
+            entries.filter(backup => !backup.missing).forEach(backup => {
+                const option = document.createElement('option');
+                option.value = backup.id;
+                option.textContent = `${backup.source || 'All databases'}, ` +
+                    `${new Date(backup.createdAt).toLocaleString()}, ${formatFileSize(backup.size)}`;
+                option.title = backup.file;
+                dumps.appendChild(option);
+            });
+        })
+        .catch(error => {
+            console.error('Failed to list database backups:', error);
+        });
+    document.getElementById('restore-modal').style.display = 'block';
+}
+
+// The server refuses to overwrite a database with tables until confirmed
+function restoreDatabase(confirmed) {
+    const body = {
+        id: document.getElementById('restore-backup').value,
+        database: document.getElementById('restore-database').value.trim() || undefined,
+        confirm: confirmed
+    };
+    apiJson('/api/backup/restore', jsonRequest('POST', body))
+        .then(data => {
+            document.getElementById('restore-modal').style.display = 'none';
+            trackJob(data.job);
+        })
+        .catch(error => {
+            if (error.status === 409 && !confirmed) {
+                if (confirm(`${error.message}.\n\nTables with the same names are replaced. Restore anyway?`)) {
+                    restoreDatabase(true);
+                }
+                return;
+            }
+            showAlert('error', 'Failed to restore database: ' + error.message);
+        });
+}
+
+// SQL console functionality
+function showSqlConsole(engine, database) {
+    sqlTarget = { engine, database };
+    sqlResult = null;
+    document.getElementById('sql-modal-title').textContent =
+        `SQL Console: ${database} (${engine === 'mysql' ? 'MySQL' : 'PostgreSQL'})`;
+    setSqlStatus('', false);
+    document.getElementById('sql-results').style.display = 'none';
+    document.getElementById('sql-modal').style.display = 'block';
+    document.getElementById('sql-input').focus();
+    loadSqlHistory();
+}
+
+function setSqlStatus(text, failed) {
+    const status = document.getElementById('sql-status');
+    status.textContent = text;
+    status.classList.toggle('sql-error', failed);
+}
+
+// Only the statements run against the open database
+function loadSqlHistory() {
+    apiJson('/api/sql/history')
+        .then(entries => {
+            sqlHistory = entries.filter(entry => entry.engine === sqlTarget.engine && entry.database === sqlTarget.database);
+            const select = document.getElementById('sql-history');
+            select.innerHTML = '<option value="">History…</option>';
+            sqlHistory.forEach((entry, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${new Date(entry.executedAt).toLocaleString()}${entry.error ? ' ✗' : ''} — ${entry.sql.replace(/\s+/g, ' ').slice(0, 80)}`;
+                select.appendChild(option);
+            });
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load query history: ' + error.message);
+        });
+}
+
+function useSqlHistory() {
+    const select = document.getElementById('sql-history');
+    const entry = sqlHistory[select.value];
+    if (entry) {
+        document.getElementById('sql-input').value = entry.sql;
+        document.getElementById('sql-read-only').checked = entry.readOnly;
+    }
+    select.value = '';
+}
+
+function clearSqlHistory() {
+    if (!confirm('Clear your query history for every database?')) return;
+    apiJson('/api/sql/history', { method: 'DELETE' })
+        .then(data => {
+            showAlert('success', data.message);
+            loadSqlHistory();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function runSql() {
+    const sql = document.getElementById('sql-input').value;
+    if (!sql.trim()) return;
+    const runButton = document.getElementById('sql-run-btn');
+    const body = { ...sqlTarget, sql, readOnly: document.getElementById('sql-read-only').checked };
+    runButton.disabled = true;
+    setSqlStatus('Running…', false);
+    apiJson('/api/sql/query', jsonRequest('POST', body))
+        .then(result => {
+            const mode = result.readOnly ? ' • read-only' : '';
+            if (result.columns) {
+                const kept = result.truncated ? `, first ${result.maxRows} kept` : '';
+                setSqlStatus(`${result.rowCount} row(s)${kept} • ${result.duration} ms${mode}`, false);
+                displaySqlResult(result);
+            } else {
+                sqlResult = null;
+                setSqlStatus(`${result.affectedRows === null ? 'Done' : `${result.affectedRows} row(s) affected`} • ${result.duration} ms${mode}`, false);
+                document.getElementById('sql-results').style.display = 'none';
+            }
+        })
+        .catch(error => {
+            setSqlStatus(error.message, true);
+        })
+        .then(() => {
+            runButton.disabled = false;
+            loadSqlHistory();
+        });
+}
+
+function displaySqlResult(result) {
+    sqlResult = result;
+    const head = document.getElementById('sql-results-head');
+    head.innerHTML = '';
+    const headRow = document.createElement('tr');
+    result.columns.forEach(column => {
+        const cell = document.createElement('th');
+        cell.textContent = column.name;
+        cell.title = column.type;
+        headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+    
+    const body = document.getElementById('sql-results-body');
+    body.innerHTML = '';
+    if (result.rows.length === 0) {
+        body.innerHTML = `<tr><td colspan="${result.columns.length}">No rows</td></tr>`;
+    }
+    result.rows.forEach(values => {
+        const row = document.createElement('tr');
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            if (value === null) {
+                cell.textContent = 'NULL';
+                cell.className = 'sql-null';
+            } else {
+                cell.textContent = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    
+    document.getElementById('sql-page').textContent = `Page ${result.page} of ${result.pages}`;
+    document.getElementById('sql-prev-btn').disabled = result.page <= 1;
+    document.getElementById('sql-next-btn').disabled = result.page >= result.pages;
+    document.getElementById('sql-results').style.display = '';
+}
+
+function loadSqlPage(page) {
+    apiJson(`/api/sql/results/${sqlResult.id}?page=${page}`)
+        .then(displaySqlResult)
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function exportSqlResult(format) {
+    window.open(`/api/sql/results/${sqlResult.id}/export?format=${format}`);
+}
+
 // VM Management functionality
 function initializeVMs() {
     const createVmBtn = document.getElementById('create-vm-btn');
@@ -489,7 +3040,7 @@ function initializeVMs() {
 }
 
 function loadVMs() {
-    fetch('/api/vms')
+    apiFetch('/api/vms')
         .then(response => response.json())
         .then(data => {
             updateVirtualizationStatus(data.virtualization);
@@ -531,10 +3082,11 @@ function displayVMs(vms) {
                     <i class="fas fa-desktop"></i>
                 </div>
                 <h3>No Virtual Machines</h3>
+                ${can('vms:write') ? `
                 <p>Create your first virtual machine to get started.</p>
                 <button class="btn btn-primary" onclick="showCreateVmModal()">
                     <i class="fas fa-plus"></i> Create VM
-                </button>
+                </button>` : ''}
             </div>
         `;
         return;
@@ -611,6 +3163,10 @@ function getVmDisk(info) {
 function getVmActionButtons(vmName, state) {
     const buttons = [];
     
+    if (!can('vms:write')) {
+        return '';
+    }
+    
     if (state.toLowerCase() === 'running') {
         buttons.push(`<button class="vm-action-btn warning" onclick="controlVM('${vmName}', 'shutdown')">
             <i class="fas fa-power-off"></i> Shutdown
@@ -639,7 +3195,7 @@ function getVmActionButtons(vmName, state) {
 }
 
 function controlVM(vmName, action) {
-    fetch(`/api/vms/${vmName}/${action}`, { method: 'POST' })
+    apiFetch(`/api/vms/${vmName}/${action}`, { method: 'POST' })
         .then(response => response.json())
         .then(data => {
             showAlert('success', data.message);
@@ -652,7 +3208,7 @@ function controlVM(vmName, action) {
 
 function deleteVM(vmName) {
     if (confirm(`Are you sure you want to delete VM "${vmName}"? This action cannot be undone.`)) {
-        fetch(`/api/vms/${vmName}`, { method: 'DELETE' })
+        apiFetch(`/api/vms/${vmName}`, { method: 'DELETE' })
             .then(response => response.json())
             .then(data => {
                 showAlert('success', data.message);
@@ -665,7 +3221,7 @@ function deleteVM(vmName) {
 }
 
 function loadVmTemplates() {
-    fetch('/api/vm-templates')
+    apiFetch('/api/vm-templates')
         .then(response => response.json())
         .then(templates => {
             vmTemplates = templates;
@@ -689,7 +3245,7 @@ function populateTemplateSelect() {
 }
 
 function loadSystemResources() {
-    fetch('/api/system/resources')
+    apiFetch('/api/system/resources')
         .then(response => response.json())
         .then(data => {
             document.getElementById('available-cores').textContent = data.cpu.cores;
@@ -712,7 +3268,7 @@ function hideCreateVmModal() {
 function openVmConsole(vmName) {
     currentVmConsole = vmName;
     
-    fetch(`/api/vms/${vmName}/console`)
+    apiFetch(`/api/vms/${vmName}/console`)
         .then(response => response.json())
         .then(data => {
             document.getElementById('console-vm-name').textContent = vmName;
@@ -816,90 +3372,795 @@ function createVM() {
         network: document.getElementById('vm-network').value
     };
     
-    if (!formData.name) {
-        showAlert('error', 'Please enter a VM name');
+    if (!formData.name) {
+        showAlert('error', 'Please enter a VM name');
+        return;
+    }
+    
+    apiFetch('/api/vms/create', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(formData)
+    })
+    .then(response => response.json())
+    .then(data => {
+        showAlert('success', data.message);
+        hideCreateVmModal();
+        loadVMs();
+        // Reset form
+        document.getElementById('create-vm-form').reset();
+    })
+    .catch(error => {
+        console.error('VM creation error:', error);
+        let errorMessage = 'Failed to create VM';
+        if (error.details) {
+            errorMessage += ': ' + error.details;
+        }
+        showAlert('error', errorMessage);
+    });
+}
+
+// Backup functionality
+function initializeBackup() {
+    const backupType = document.getElementById('backup-type');
+    const sourceGroup = document.getElementById('source-group');
+    const databaseGroup = document.getElementById('database-group');
+    const createBackupBtn = document.getElementById('create-backup-btn');
+    
+    backupType.addEventListener('change', function() {
+        sourceGroup.style.display = this.value === 'files' ? 'block' : 'none';
+        databaseGroup.style.display = this.value === 'database' ? 'block' : 'none';
+        if (this.value === 'database') {
+            loadBackupDatabases();
+        }
+    });
+    document.getElementById('backup-engine').addEventListener('change', loadBackupDatabases);
+    
+    createBackupBtn.addEventListener('click', createBackup);
+    document.getElementById('refresh-backups-btn').addEventListener('click', loadBackups);
+    ['backup-filter-type', 'backup-filter-status', 'backup-filter-search'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadBackups);
+    });
+    document.getElementById('backup-path').value = panelDefaults.backupPath;
+}
+
+function loadBackupDatabases() {
+    const label = document.getElementById('backup-engine').value === 'mysql' ? 'MySQL' : 'PostgreSQL';
+    const select = document.getElementById('backup-database');
+    select.innerHTML = '<option value="">All databases</option>';
+    apiJson('/api/databases')
+        .then(databases => {
+            databases.filter(db => db.type === label).forEach(db => {
+                const option = document.createElement('option');
+                option.value = db.name;
+                option.textContent = db.name;
+                select.appendChild(option);
+            });
+        })
+        .catch(error => {
+            console.error('Failed to load databases:', error);
+        });
+}
+
+function createBackup() {
+    const type = document.getElementById('backup-type').value;
+    const path = document.getElementById('backup-path').value;
+    const source = document.getElementById('backup-source').value;
+    
+    const data = { type, path };
+    if (type === 'files') {
+        data.source = source;
+    } else {
+        data.engine = document.getElementById('backup-engine').value;
+        data.database = document.getElementById('backup-database').value || undefined;
+        data.compress = document.getElementById('backup-compress').checked;
+    }
+    
+    apiJson('/api/backup', jsonRequest('POST', data))
+    .then(data => {
+        trackJob(data.job);
+        loadBackups();
+    })
+    .catch(error => {
+        showAlert('error', 'Failed to create backup: ' + error.message);
+    });
+}
+
+// The backup catalog
+function loadBackups() {
+    const params = new URLSearchParams();
+    const filters = { type: 'backup-filter-type', status: 'backup-filter-status', search: 'backup-filter-search' };
+    Object.entries(filters).forEach(([name, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) params.set(name, value);
+    });
+    apiJson(`/api/backups?${params}`)
+        .then(displayBackups)
+        .catch(error => {
+            showAlert('error', 'Failed to load backups: ' + error.message);
+        });
+}
+
+function displayBackups(entries) {
+    const container = document.getElementById('backup-entries');
+    container.innerHTML = '';
+    
+    if (entries.length === 0) {
+        container.innerHTML = '<tr><td colspan="10">No backups match these filters.</td></tr>';
+        return;
+    }
+    
+    const badges = { completed: 'status-running', running: 'status-activating', failed: 'status-failed' };
+    entries.forEach(backup => {
+        const finished = backup.status === 'completed' && !backup.missing;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="backup-created"></td>
+            <td class="backup-type"></td>
+            <td class="backup-source"></td>
+            <td><code class="backup-file"></code></td>
+            <td>${backup.size === null ? '—' : formatFileSize(backup.size)}</td>
+            <td>${backup.duration === null ? '—' : `${(backup.duration / 1000).toFixed(1)}s`}</td>
+            <td>
+                <span class="status-badge ${badges[backup.status]}"></span>
+                <div class="backup-error"></div>
+            </td>
+            <td class="backup-creator"></td>
+            <td><code class="backup-checksum"></code> <i class="fas backup-verified"></i></td>
+            <td class="engine-actions">
+                ${finished ? `
+                <button class="btn btn-sm btn-secondary download-btn" title="Download"><i class="fas fa-download"></i></button>
+                <button class="btn btn-sm btn-secondary verify-btn" title="Verify checksum and integrity"><i class="fas fa-check-double"></i></button>` : ''}
+                ${backup.status !== 'running' ? '<button class="btn btn-sm btn-danger delete-btn" title="Delete"><i class="fas fa-trash"></i></button>' : ''}
+            </td>
+        `;
+        const engine = backup.engine === 'mysql' ? 'MySQL' : backup.engine === 'postgres' ? 'PostgreSQL' : null;
+        row.querySelector('.backup-created').textContent = new Date(backup.createdAt).toLocaleString();
+        row.querySelector('.backup-type').textContent = backup.type === 'database' ? `Database${engine ? ` (${engine})` : ''}` : 'Files';
+        row.querySelector('.backup-source').textContent = backup.source || (backup.type === 'database' ? 'All databases' : '—');
+        row.querySelector('.backup-file').textContent = backup.file;
+        row.querySelector('.status-badge').textContent = backup.missing ? 'missing' : backup.status;
+        row.querySelector('.backup-error').textContent = backup.missing ? 'The file no longer exists' : backup.error || '';
+        row.querySelector('.backup-creator').textContent = backup.creator || (backup.imported ? 'imported' : '—');
+        const checksum = row.querySelector('.backup-checksum');
+        checksum.textContent = backup.checksum ? backup.checksum.slice(0, 12) : '—';
+        checksum.title = backup.checksum ? `SHA-256 ${backup.checksum}` : 'Recorded on the first verification';
+        const verified = row.querySelector('.backup-verified');
+        if (backup.verified === true) {
+            verified.classList.add('fa-check-circle', 'backup-ok');
+            verified.title = `Verified ${new Date(backup.verifiedAt).toLocaleString()}`;
+        } else if (backup.verified === false) {
+            verified.classList.add('fa-exclamation-circle', 'backup-bad');
+            verified.title = backup.verifyError;
+        }
+        const downloadButton = row.querySelector('.download-btn');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => window.open(`/api/backups/${encodeURIComponent(backup.id)}/download`));
+            row.querySelector('.verify-btn').addEventListener('click', () => verifyBackup(backup));
+        }
+        const deleteButton = row.querySelector('.delete-btn');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => deleteBackup(backup));
+        }
+        container.appendChild(row);
+    });
+}
+
+function verifyBackup(backup) {
+    apiJson(`/api/backups/${encodeURIComponent(backup.id)}/verify`, { method: 'POST' })
+        .then(data => trackJob(data.job))
+        .catch(error => {
+            showAlert('error', 'Failed to verify backup: ' + error.message);
+        });
+}
+
+function deleteBackup(backup) {
+    const question = backup.missing || backup.status === 'failed'
+        ? `Remove this backup from the catalog?\n\n${backup.file}`
+        : `Delete ${backup.file}? The file is removed for good.`;
+    if (!confirm(question)) return;
+    apiJson(`/api/backups/${encodeURIComponent(backup.id)}`, { method: 'DELETE' })
+        .then(data => {
+            showAlert('success', data.message);
+            loadBackups();
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to delete backup: ' + error.message);
+        });
+}
+
+// Logs functionality
+function initializeLogs() {
+    const refreshBtn = document.getElementById('refresh-logs-btn');
+    refreshBtn.addEventListener('click', loadLogs);
+}
+
+function loadLogs() {
+    const logType = document.getElementById('log-type').value;
+    // This would typically fetch logs from the server
+    // For now, we'll show a placeholder
+    const container = document.getElementById('logs-content');
+    container.innerHTML = `
+        <div>Loading ${logType} logs...</div>
+        <div>This feature requires additional server-side log parsing implementation.</div>
+    `;
+}
+
+// Audit functionality
+function initializeAudit() {
+    document.getElementById('refresh-audit-btn').addEventListener('click', loadAudit);
+}
+
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    const user = document.getElementById('audit-user').value.trim();
+    const type = document.getElementById('audit-type').value;
+    const from = document.getElementById('audit-from').value;
+    const to = document.getElementById('audit-to').value;
+    
+    if (user) params.set('user', user);
+    if (type) params.set('type', type);
+    // datetime-local has no zone; send the browser's local time as an absolute timestamp
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    return params;
+}
+
+function loadAudit() {
+    apiJson(`/api/audit?${getAuditQuery()}`)
+        .then(data => {
+            displayAudit(data);
+        })
+        .catch(error => {
+            console.error('Error loading audit log:', error);
+            showAlert('error', 'Failed to load audit log');
+        });
+}
+
+function displayAudit(entries) {
+    const container = document.getElementById('audit-entries');
+    container.innerHTML = '';
+    
+    if (entries.length === 0) {
+        container.innerHTML = '<tr><td colspan="6">No audit entries match these filters.</td></tr>';
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="audit-time"></td>
+            <td><span class="audit-actor"></span><div class="audit-via"></div></td>
+            <td class="audit-ip"></td>
+            <td><code class="audit-action"></code></td>
+            <td><code class="audit-params"></code></td>
+            <td>
+                <span class="status-badge ${entry.result === 'success' ? 'status-running' : 'status-stopped'}"></span>
+                <div class="audit-error"></div>
+            </td>
+        `;
+        // Everything here may come from request input (even failed logins), so never as HTML
+        row.querySelector('.audit-time').textContent = new Date(entry.timestamp).toLocaleString();
+        row.querySelector('.audit-actor').textContent = entry.actor || '-';
+        row.querySelector('.audit-via').textContent = entry.via;
+        row.querySelector('.audit-ip').textContent = entry.ip;
+        row.querySelector('.audit-action').textContent = `${entry.method} ${entry.path}`;
+        row.querySelector('.audit-params').textContent = JSON.stringify(entry.params);
+        row.querySelector('.status-badge').textContent = entry.status;
+        row.querySelector('.audit-error').textContent = entry.error || '';
+        container.appendChild(row);
+    });
+}
+
+function exportAudit(format) {
+    const params = getAuditQuery();
+    params.set('format', format);
+    params.set('limit', '10000');
+    window.open(`/api/audit?${params}`);
+}
+
+// Settings functionality
+function initializeSettings() {
+    document.getElementById('save-settings-btn').addEventListener('click', saveSettings);
+}
+
+function loadSettings() {
+    apiJson('/api/settings')
+        .then(data => {
+            document.getElementById('settings-file').textContent = data.configFile;
+            displaySettings(data.settings);
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to load settings: ' + error.message);
+        });
+}
+
+function displaySettings(settings) {
+    panelSettings = settings;
+    const container = document.getElementById('settings-list');
+    container.innerHTML = '';
+    
+    settings.forEach((setting, index) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `setting-${index}`;
+        label.textContent = setting.label;
+        group.appendChild(label);
+        
+        let input;
+        if (setting.type === 'roots') {
+            // Structured values are edited as JSON
+            input = document.createElement('textarea');
+            input.rows = 8;
+            input.value = JSON.stringify(setting.value, null, 2);
+            group.classList.add('settings-wide');
+        } else {
+            input = document.createElement('input');
+            input.type = setting.type === 'integer' ? 'number' : 'text';
+            if (setting.type === 'integer') {
+                input.min = setting.min;
+                input.max = setting.max;
+            }
+            input.value = setting.value;
+        }
+        input.id = `setting-${index}`;
+        input.className = 'form-control';
+        input.disabled = Boolean(setting.overriddenBy) || !can('settings:write');
+        group.appendChild(input);
+        
+        const notes = [setting.key];
+        if (setting.overriddenBy) notes.push(`set by the ${setting.overriddenBy} environment variable`);
+        if (setting.restart) notes.push('takes effect after a restart');
+        const note = document.createElement('small');
+        note.className = 'setting-note';
+        note.textContent = notes.join(' • ');
+        group.appendChild(note);
+        
+        container.appendChild(group);
+    });
+}
+
+function saveSettings() {
+    const changes = {};
+    
+    try {
+        panelSettings.forEach((setting, index) => {
+            const input = document.getElementById(`setting-${index}`);
+            if (input.disabled) return;
+            
+            let value = input.value;
+            if (setting.type === 'integer') {
+                value = Number(value);
+            } else if (setting.type === 'roots') {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    throw new Error(`${setting.label}: invalid JSON`);
+                }
+            }
+            if (JSON.stringify(value) !== JSON.stringify(setting.value)) {
+                changes[setting.key] = value;
+            }
+        });
+    } catch (error) {
+        showAlert('error', error.message);
+        return;
+    }
+    
+    if (Object.keys(changes).length === 0) {
+        showAlert('info', 'No settings were changed');
+        return;
+    }
+    
+    apiJson('/api/settings', jsonRequest('PUT', { settings: changes }))
+        .then(data => {
+            displaySettings(data.settings);
+            const needsRestart = data.settings.some(setting => setting.restart && setting.key in changes);
+            showAlert('success', needsRestart ? 'Settings saved; restart the panel to apply all changes' : 'Settings saved');
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to save settings: ' + error.message);
+        });
+}
+
+// Account functionality
+function initializeAccount() {
+    document.getElementById('logout-btn').addEventListener('click', logout);
+    
+    document.getElementById('password-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        changePassword();
+    });
+    
+    document.getElementById('token-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createToken();
+    });
+    
+    document.getElementById('twofa-setup-btn').addEventListener('click', setupTwoFactor);
+    document.getElementById('twofa-enable-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        enableTwoFactor();
+    });
+    document.getElementById('twofa-recovery-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        regenerateRecoveryCodes();
+    });
+    document.getElementById('twofa-disable-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        disableTwoFactor();
+    });
+}
+
+function displayTwoFactorStatus() {
+    const enabled = currentUser.twoFactorEnabled;
+    document.getElementById('twofa-disabled').style.display = enabled ? 'none' : 'block';
+    document.getElementById('twofa-enabled').style.display = enabled ? 'block' : 'none';
+    document.getElementById('twofa-enroll').style.display = 'none';
+    document.getElementById('twofa-recovery-remaining').textContent =
+        `${currentUser.recoveryCodesRemaining} recovery code(s) left`;
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recovery-codes-list').textContent = codes.join('\n');
+    document.getElementById('recovery-codes').style.display = 'block';
+}
+
+function setupTwoFactor() {
+    apiJson('/api/auth/2fa/setup', { method: 'POST' })
+        .then(data => {
+            document.getElementById('twofa-qr').src = data.qrCode;
+            document.getElementById('twofa-secret').textContent = data.secret;
+            document.getElementById('twofa-disabled').style.display = 'none';
+            document.getElementById('twofa-enroll').style.display = 'block';
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function enableTwoFactor() {
+    const code = document.getElementById('twofa-enable-code').value;
+    
+    apiJson('/api/auth/2fa/enable', jsonRequest('POST', { code }))
+        .then(data => {
+            showAlert('success', data.message);
+            document.getElementById('twofa-enable-form').reset();
+            showRecoveryCodes(data.recoveryCodes);
+            return checkSession();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function regenerateRecoveryCodes() {
+    const code = document.getElementById('twofa-recovery-code').value;
+    
+    apiJson('/api/auth/2fa/recovery-codes', jsonRequest('POST', { code }))
+        .then(data => {
+            showAlert('success', data.message);
+            document.getElementById('twofa-recovery-form').reset();
+            showRecoveryCodes(data.recoveryCodes);
+            return checkSession();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function disableTwoFactor() {
+    const password = document.getElementById('twofa-disable-password').value;
+    
+    apiJson('/api/auth/2fa/disable', jsonRequest('POST', { password }))
+        .then(data => {
+            showAlert('success', data.message);
+            document.getElementById('twofa-disable-form').reset();
+            document.getElementById('recovery-codes').style.display = 'none';
+            return checkSession();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function changePassword() {
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    const confirmPassword = document.getElementById('confirm-password').value;
+    
+    if (newPassword !== confirmPassword) {
+        showAlert('error', 'New passwords do not match');
+        return;
+    }
+    
+    apiJson('/api/auth/password', jsonRequest('POST', { currentPassword, newPassword }))
+        .then(data => {
+            showAlert('success', data.message);
+            document.getElementById('password-form').reset();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function loadTokens() {
+    apiJson('/api/tokens')
+        .then(data => {
+            displayTokenScopes(data.availableScopes);
+            displayTokens(data.tokens);
+        })
+        .catch(error => {
+            console.error('Error loading tokens:', error);
+            showAlert('error', 'Failed to load API tokens');
+        });
+}
+
+function displayTokenScopes(scopes) {
+    const container = document.getElementById('token-scopes');
+    const checked = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+    
+    container.innerHTML = scopes.map(scope => `
+        <label class="token-scope">
+            <input type="checkbox" value="${scope}" ${checked.includes(scope) ? 'checked' : ''}> ${scope}
+        </label>
+    `).join('');
+}
+
+function displayTokens(tokens) {
+    const container = document.getElementById('tokens-list');
+    container.innerHTML = '';
+    
+    if (tokens.length === 0) {
+        container.innerHTML = '<p>No API tokens yet.</p>';
+        return;
+    }
+    
+    tokens.forEach(token => {
+        const tokenItem = document.createElement('div');
+        tokenItem.className = 'token-item';
+        tokenItem.innerHTML = `
+            <div class="token-info">
+                <div class="token-name">
+                    <span></span>
+                    ${token.expired ? '<span class="status-badge status-stopped">expired</span>' : ''}
+                </div>
+                <div class="token-details">
+                    <div class="token-scopes"></div>
+                    <div class="token-usage"></div>
+                </div>
+            </div>
+            <button class="btn btn-sm btn-danger revoke-btn">
+                <i class="fas fa-ban"></i> Revoke
+            </button>
+        `;
+        // Names are free text: set as text, never as markup
+        tokenItem.querySelector('.token-name span').textContent = token.name;
+        tokenItem.querySelector('.token-scopes').textContent = token.scopes.join(', ');
+        tokenItem.querySelector('.token-usage').textContent =
+            `Expires ${new Date(token.expiresAt).toLocaleDateString()} • ` +
+            `Last used: ${token.lastUsedAt ? `${new Date(token.lastUsedAt).toLocaleString()} from ${token.lastUsedIp}` : 'never'}`;
+        tokenItem.querySelector('.revoke-btn').addEventListener('click', () => revokeToken(token.id, token.name));
+        container.appendChild(tokenItem);
+    });
+}
+
+function createToken() {
+    const scopes = Array.from(document.querySelectorAll('#token-scopes input:checked')).map(input => input.value);
+    
+    if (scopes.length === 0) {
+        showAlert('error', 'Select at least one scope');
         return;
     }
     
-    fetch('/api/vms/create', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(formData)
-    })
-    .then(response => response.json())
-    .then(data => {
-        showAlert('success', data.message);
-        hideCreateVmModal();
-        loadVMs();
-        // Reset form
-        document.getElementById('create-vm-form').reset();
-    })
-    .catch(error => {
-        console.error('VM creation error:', error);
-        let errorMessage = 'Failed to create VM';
-        if (error.details) {
-            errorMessage += ': ' + error.details;
-        }
-        showAlert('error', errorMessage);
+    apiJson('/api/tokens', jsonRequest('POST', {
+        name: document.getElementById('token-name').value,
+        expiresInDays: parseInt(document.getElementById('token-expiry').value),
+        scopes
+    }))
+        .then(data => {
+            showAlert('success', data.message);
+            document.getElementById('new-token-value').value = data.token.token;
+            document.getElementById('new-token').style.display = 'block';
+            document.getElementById('token-form').reset();
+            document.querySelectorAll('#token-scopes input').forEach(input => { input.checked = false; });
+            loadTokens();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
+}
+
+function copyNewToken() {
+    const input = document.getElementById('new-token-value');
+    navigator.clipboard.writeText(input.value).then(() => {
+        showAlert('success', 'Token copied to clipboard!');
+    }).catch(() => {
+        input.select();
+        document.execCommand('copy');
+        showAlert('success', 'Token copied to clipboard!');
     });
 }
 
-// Backup functionality
-function initializeBackup() {
-    const backupType = document.getElementById('backup-type');
-    const sourceGroup = document.getElementById('source-group');
-    const createBackupBtn = document.getElementById('create-backup-btn');
+function revokeToken(id, name) {
+    if (confirm(`Revoke token "${name}"? Scripts using it will stop working.`)) {
+        apiJson(`/api/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' })
+            .then(data => {
+                showAlert('success', data.message);
+                loadTokens();
+            })
+            .catch(error => {
+                showAlert('error', error.message);
+            });
+    }
+}
+
+// Users functionality
+function initializeUsers() {
+    if (can('users:read')) {
+        loadRoles();
+    }
     
-    backupType.addEventListener('change', function() {
-        sourceGroup.style.display = this.value === 'files' ? 'block' : 'none';
+    document.getElementById('add-user-btn').addEventListener('click', () => showUserModal());
+    document.querySelector('#user-modal .close').addEventListener('click', hideUserModal);
+    
+    document.getElementById('user-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        saveUser();
+    });
+}
+
+function loadUsers() {
+    apiJson('/api/users')
+        .then(data => {
+            displayUsers(data);
+        })
+        .catch(error => {
+            console.error('Error loading users:', error);
+            showAlert('error', 'Failed to load users');
+        });
+}
+
+function loadRoles() {
+    apiJson('/api/roles')
+        .then(data => {
+            panelRoles = data;
+            const select = document.getElementById('user-role');
+            select.innerHTML = '';
+            panelRoles.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role.name;
+                option.textContent = `${role.name} - ${role.description}`;
+                select.appendChild(option);
+            });
+            select.value = 'viewer';
+        })
+        .catch(error => {
+            console.error('Error loading roles:', error);
+        });
+}
+
+function getRoleSelect(user) {
+    const options = panelRoles.map(role =>
+        `<option value="${role.name}" ${role.name === user.role ? 'selected' : ''}>${role.name}</option>`
+    ).join('');
+    return `<select class="form-control role-select" onchange="changeUserRole('${user.username}', this.value)">${options}</select>`;
+}
+
+function displayUsers(users) {
+    const container = document.getElementById('users-list');
+    container.innerHTML = '';
+    
+    users.forEach(user => {
+        const userItem = document.createElement('div');
+        userItem.className = 'user-item';
+        userItem.innerHTML = `
+            <div class="user-info">
+                <div class="user-name">
+                    <i class="fas fa-user"></i> ${user.username}
+                    ${user.twoFactorEnabled ? '<span class="status-badge status-running">2FA</span>' : ''}
+                </div>
+                <div class="user-details">
+                    Last login: ${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'never'}
+                </div>
+            </div>
+            ${can('users:write') ? `
+            <div class="user-actions">
+                ${getRoleSelect(user)}
+                <button class="btn btn-sm btn-secondary" onclick="showUserModal('${user.username}')">
+                    <i class="fas fa-key"></i> Reset Password
+                </button>
+                ${user.twoFactorEnabled ? `
+                <button class="btn btn-sm btn-secondary" onclick="resetUserTwoFactor('${user.username}')">
+                    <i class="fas fa-shield-alt"></i> Reset 2FA
+                </button>` : ''}
+                ${user.username !== currentUser.username ? `
+                <button class="btn btn-sm btn-danger" onclick="deleteUser('${user.username}')">
+                    <i class="fas fa-trash"></i>
+                </button>` : ''}
+            </div>` : `<span class="status-badge">${user.role}</span>`}
+        `;
+        container.appendChild(userItem);
     });
+}
+
+// Without a username the modal creates a user, otherwise it resets that user's password
+function showUserModal(username) {
+    const form = document.getElementById('user-form');
+    form.reset();
+    form.dataset.mode = username ? 'reset' : 'create';
     
-    createBackupBtn.addEventListener('click', createBackup);
+    const usernameInput = document.getElementById('user-username');
+    usernameInput.value = username || '';
+    usernameInput.readOnly = Boolean(username);
+    document.getElementById('user-role-group').style.display = username ? 'none' : 'block';
+    document.getElementById('user-modal-title').textContent = username ? `Reset Password - ${username}` : 'Add User';
+    document.getElementById('user-modal').style.display = 'block';
 }
 
-function createBackup() {
-    const type = document.getElementById('backup-type').value;
-    const path = document.getElementById('backup-path').value;
-    const source = document.getElementById('backup-source').value;
+function hideUserModal() {
+    document.getElementById('user-modal').style.display = 'none';
+}
+
+function saveUser() {
+    const form = document.getElementById('user-form');
+    const username = document.getElementById('user-username').value;
+    const password = document.getElementById('user-password').value;
     
-    const data = { type, path };
-    if (type === 'files') {
-        data.source = source;
-    }
+    const request = form.dataset.mode === 'reset'
+        ? apiJson(`/api/users/${encodeURIComponent(username)}/password`, jsonRequest('POST', { password }))
+        : apiJson('/api/users', jsonRequest('POST', { username, password, role: document.getElementById('user-role').value }));
     
-    fetch('/api/backup', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(data)
-    })
-    .then(response => response.json())
-    .then(data => {
-        showAlert('success', data.message);
-    })
-    .catch(error => {
-        showAlert('error', 'Failed to create backup');
-    });
+    request
+        .then(data => {
+            showAlert('success', data.message);
+            hideUserModal();
+            loadUsers();
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        });
 }
 
-// Logs functionality
-function initializeLogs() {
-    const refreshBtn = document.getElementById('refresh-logs-btn');
-    refreshBtn.addEventListener('click', loadLogs);
+function changeUserRole(username, role) {
+    apiJson(`/api/users/${encodeURIComponent(username)}/role`, jsonRequest('POST', { role }))
+        .then(data => {
+            showAlert('success', data.message);
+        })
+        .catch(error => {
+            showAlert('error', error.message);
+        })
+        .finally(loadUsers);
 }
 
-function loadLogs() {
-    const logType = document.getElementById('log-type').value;
-    // This would typically fetch logs from the server
-    // For now, we'll show a placeholder
-    const container = document.getElementById('logs-content');
-    container.innerHTML = `
-        <div>Loading ${logType} logs...</div>
-        <div>This feature requires additional server-side log parsing implementation.</div>
-    `;
+function resetUserTwoFactor(username) {
+    if (confirm(`Remove two-factor authentication from "${username}"? They will be logged out and can sign in with just their password.`)) {
+        apiJson(`/api/users/${encodeURIComponent(username)}/2fa/reset`, { method: 'POST' })
+            .then(data => {
+                showAlert('success', data.message);
+                loadUsers();
+            })
+            .catch(error => {
+                showAlert('error', error.message);
+            });
+    }
+}
+
+function deleteUser(username) {
+    if (confirm(`Are you sure you want to delete user "${username}"?`)) {
+        apiJson(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' })
+            .then(data => {
+                showAlert('success', data.message);
+                loadUsers();
+            })
+            .catch(error => {
+                showAlert('error', error.message);
+            });
+    }
 }
 
 // Modal functionality
@@ -928,12 +4189,145 @@ function initializeModals() {
         createFolder();
     });
     
+    // Service details modal
+    document.querySelector('#service-modal .close').addEventListener('click', hideServiceModal);
+    
+    // New service and unit editor modals
+    document.getElementById('new-service-btn').addEventListener('click', showNewServiceModal);
+    document.querySelector('#new-service-modal .close').addEventListener('click', hideNewServiceModal);
+    document.getElementById('new-service-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createService();
+    });
+    document.querySelector('#unit-modal .close').addEventListener('click', hideUnitEditor);
+    document.getElementById('unit-save-btn').addEventListener('click', saveUnitFile);
+    document.getElementById('unit-delete-btn').addEventListener('click', deleteUnit);
+    document.getElementById('dropin-save-btn').addEventListener('click', saveDropIn);
+    
+    // Cron modals
+    document.querySelector('#cron-modal .close').addEventListener('click', hideCronModal);
+    document.getElementById('cron-source-type').addEventListener('change', updateCronSourceType);
+    document.getElementById('cron-preset').addEventListener('change', () => {
+        const preset = document.getElementById('cron-preset').value;
+        if (preset && !preset.startsWith('@')) {
+            setCronSchedule(preset);
+        } else {
+            updateCronFields();
+        }
+    });
+    CRON_FIELD_IDS.forEach(id => document.getElementById(id).addEventListener('input', () => {
+        document.getElementById('cron-preset').value = '';
+        scheduleCronPreview();
+    }));
+    document.getElementById('cron-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        saveCronJob();
+    });
+    document.querySelector('#cron-output-modal .close').addEventListener('click', () => {
+        document.getElementById('cron-output-modal').style.display = 'none';
+    });
+    
+    // Database modals
+    ['database-modal', 'db-user-modal', 'grant-modal', 'pg-database-modal', 'pg-role-modal', 'restore-modal'].forEach(id => {
+        document.querySelector(`#${id} .close`).addEventListener('click', () => {
+            document.getElementById(id).style.display = 'none';
+        });
+    });
+    document.getElementById('database-charset').addEventListener('change', updateCollations);
+    document.getElementById('database-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createDatabase();
+    });
+    document.getElementById('db-user-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createDbUser();
+    });
+    document.getElementById('grant-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        grantPrivileges();
+    });
+    document.getElementById('pg-database-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createPgDatabase();
+    });
+    document.getElementById('pg-role-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createPgRole();
+    });
+    document.getElementById('restore-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        restoreDatabase(false);
+    });
+    
+    // SQL console modal
+    document.querySelector('#sql-modal .close').addEventListener('click', () => {
+        document.getElementById('sql-modal').style.display = 'none';
+    });
+    document.getElementById('sql-run-btn').addEventListener('click', runSql);
+    document.getElementById('sql-input').addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+            e.preventDefault();
+            runSql();
+        }
+    });
+    document.getElementById('sql-history').addEventListener('change', useSqlHistory);
+    document.getElementById('sql-clear-history-btn').addEventListener('click', clearSqlHistory);
+    document.getElementById('sql-prev-btn').addEventListener('click', () => loadSqlPage(sqlResult.page - 1));
+    document.getElementById('sql-next-btn').addEventListener('click', () => loadSqlPage(sqlResult.page + 1));
+    document.getElementById('sql-export-csv-btn').addEventListener('click', () => exportSqlResult('csv'));
+    document.getElementById('sql-export-json-btn').addEventListener('click', () => exportSqlResult('json'));
+    
+    // Service logs modal
+    document.querySelector('#logs-modal .close').addEventListener('click', hideServiceLogs);
+    document.getElementById('logs-older-btn').addEventListener('click', () => loadServiceLogs(false));
+    document.getElementById('logs-follow').addEventListener('change', updateLogsFollow);
+    ['logs-priority', 'logs-since', 'logs-until'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => loadServiceLogs(true));
+    });
+    
+    // Disk usage modal
+    document.querySelector('#diskusage-modal .close').addEventListener('click', hideDiskUsageModal);
+    document.getElementById('diskusage-scan-btn').addEventListener('click', startDiskUsageScan);
+    document.getElementById('diskusage-cross').addEventListener('change', () => loadDiskUsage(diskUsagePath));
+    document.getElementById('diskusage-up-btn').addEventListener('click', () => {
+        loadDiskUsage(diskUsagePath.replace(/\/[^/]+$/, '') || '/');
+    });
+    document.getElementById('diskusage-open-btn').addEventListener('click', () => {
+        hideDiskUsageModal();
+        loadFiles(diskUsagePath);
+    });
+    
+    // Trash modal
+    document.querySelector('#trash-modal .close').addEventListener('click', hideTrashModal);
+    document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
+    
+    // Search modal
+    document.querySelector('#search-modal .close').addEventListener('click', hideSearchModal);
+    document.getElementById('stop-search-btn').addEventListener('click', stopSearch);
+    document.getElementById('search-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        startSearch();
+    });
+    
+    // Permissions modal
+    document.querySelector('#permissions-modal .close').addEventListener('click', hidePermissionsModal);
+    document.getElementById('permissions-mode').addEventListener('input', syncPermissionCheckboxes);
+    document.querySelectorAll('#permissions-form input[data-bit]').forEach(checkbox => {
+        checkbox.addEventListener('change', syncPermissionMode);
+    });
+    document.getElementById('permissions-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        savePermissions();
+    });
+    
     // VM Console modal
     document.querySelector('#vm-console-modal .close').addEventListener('click', hideVmConsoleModal);
     
     // Close modals when clicking outside
     window.addEventListener('click', function(e) {
-        if (e.target.classList.contains('modal')) {
+        if (e.target.id === 'editor-modal') {
+            closeEditor();
+        } else if (e.target.classList.contains('modal')) {
             e.target.style.display = 'none';
         }
     });
@@ -957,34 +4351,228 @@ function hideNewFolderModal() {
     document.getElementById('folder-modal').style.display = 'none';
 }
 
+// Resumable uploads: every file is sent in chunks, so a dropped connection
+// only retries the current chunk and re-adding the same file resumes it
+const UPLOAD_RETRIES = 5;
+
 function uploadFile() {
-    const fileInput = document.getElementById('file-input');
     const uploadPath = document.getElementById('upload-path').value;
+    const fileInput = document.getElementById('file-input');
+    const folderInput = document.getElementById('folder-input');
+    const items = [...fileInput.files].map(file => ({ file, relativePath: file.name }))
+        .concat([...folderInput.files].map(file => ({ file, relativePath: file.webkitRelativePath || file.name })));
     
-    if (!fileInput.files[0]) {
-        showAlert('error', 'Please select a file to upload');
+    if (items.length === 0) {
+        showAlert('error', 'Please select files or a folder to upload');
         return;
     }
     
-    const formData = new FormData();
-    formData.append('file', fileInput.files[0]);
-    formData.append('path', uploadPath);
+    fileInput.value = '';
+    folderInput.value = '';
+    uploadItems(items, uploadPath);
+}
+
+// Files and folders dragged in from the desktop
+function collectDroppedItems(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Promise.resolve([...dataTransfer.files].map(file => ({ file, relativePath: file.name })));
+    }
+    return Promise.all(entries.map(entry => readDroppedEntry(entry, ''))).then(lists => lists.flat());
+}
+
+function readDroppedEntry(entry, prefix) {
+    if (entry.isFile) {
+        return new Promise((resolve, reject) => entry.file(resolve, reject))
+            .then(file => [{ file, relativePath: prefix + file.name }]);
+    }
     
-    fetch('/api/files/upload', {
-        method: 'POST',
-        body: formData
-    })
-    .then(response => response.json())
-    .then(data => {
-        showAlert('success', 'File uploaded successfully');
-        hideUploadModal();
+    // readEntries returns the directory in batches until it returns an empty one
+    const reader = entry.createReader();
+    const children = [];
+    const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        .then(batch => {
+            if (batch.length === 0) return children;
+            children.push(...batch);
+            return readBatch();
+        });
+    return readBatch()
+        .then(list => Promise.all(list.map(child => readDroppedEntry(child, `${prefix}${entry.name}/`))))
+        .then(lists => lists.flat());
+}
+
+function uploadItems(items, destination) {
+    document.getElementById('upload-path').value = destination;
+    document.getElementById('upload-modal').style.display = 'block';
+    
+    const rows = items.map(item => addUploadRow(item));
+    let succeeded = 0;
+    
+    // One file at a time keeps the bandwidth on the file that is furthest along
+    items.reduce((previous, item, index) => previous.then(() => {
+        if (item.cancelled) return;
+        return uploadOne(item, destination, rows[index])
+            .then(() => {
+                succeeded++;
+                setUploadRow(rows[index], 100, 'Done', 'done');
+            })
+            .catch(error => {
+                setUploadRow(rows[index], null, item.cancelled ? 'Cancelled' : error.message, 'failed');
+            });
+    }), Promise.resolve())
+    .then(() => {
+        if (succeeded > 0) {
+            showAlert('success', `Uploaded ${succeeded} of ${items.length} file(s) to ${destination}`);
+        }
         loadFiles(currentPath);
-    })
-    .catch(error => {
-        showAlert('error', 'Failed to upload file');
     });
 }
 
+function addUploadRow(item) {
+    const row = document.createElement('div');
+    row.className = 'upload-item';
+    row.innerHTML = `
+        <div class="upload-item-header">
+            <span class="upload-name"></span>
+            <button type="button" title="Cancel"><i class="fas fa-times"></i></button>
+        </div>
+        <div class="stat-progress">
+            <div class="progress-bar"></div>
+        </div>
+        <div class="upload-status">Waiting</div>
+    `;
+    row.querySelector('.upload-name').textContent = item.relativePath;
+    row.querySelector('button').addEventListener('click', () => {
+        item.cancelled = true;
+        if (item.uploadId) {
+            apiFetch(`/api/uploads/${item.uploadId}`, { method: 'DELETE' }).catch(() => {});
+        }
+        setUploadRow(row, null, 'Cancelled', 'failed');
+    });
+    document.getElementById('upload-queue').appendChild(row);
+    return row;
+}
+
+function setUploadRow(row, percent, status, state) {
+    if (percent !== null) {
+        row.querySelector('.progress-bar').style.width = `${percent}%`;
+    }
+    row.querySelector('.upload-status').textContent = status;
+    if (state) {
+        row.className = `upload-item ${state}`;
+        row.querySelector('button').style.display = 'none';
+    }
+}
+
+function uploadOne(item, destination, row, overwrite = false) {
+    const filePath = path.join(destination, item.relativePath);
+    const file = item.file;
+    
+    return apiJson('/api/uploads', jsonRequest('POST', { path: filePath, size: file.size, lastModified: file.lastModified, overwrite }))
+        .catch(error => {
+            if (error.status === 409 && !overwrite && confirm(`${filePath} already exists. Replace it?`)) {
+                return apiJson('/api/uploads', jsonRequest('POST', { path: filePath, size: file.size, lastModified: file.lastModified, overwrite: true }));
+            }
+            throw error;
+        })
+        .then(upload => {
+            item.uploadId = upload.id;
+            if (upload.received > 0) {
+                setUploadRow(row, Math.floor((upload.received / file.size) * 100), `Resuming at ${formatFileSize(upload.received)}`);
+            }
+            return sendChunks(item, upload, row, 0, []);
+        })
+        .then(digests => {
+            const body = {};
+            return checksumOf(digests).then(checksum => {
+                if (checksum) body.checksum = checksum;
+                setUploadRow(row, 100, 'Verifying...');
+                return apiJson(`/api/uploads/${item.uploadId}/complete`, jsonRequest('POST', body));
+            });
+        });
+}
+
+// Walks the file chunk by chunk from the start: chunks the server already has
+// are only hashed (for the final checksum), the rest are sent
+function sendChunks(item, upload, row, offset, digests) {
+    const file = item.file;
+    if (item.cancelled) {
+        return Promise.reject(new Error('Cancelled'));
+    }
+    if (offset >= file.size) {
+        return Promise.resolve(digests);
+    }
+    
+    const end = Math.min(offset + upload.chunkSize, file.size);
+    return file.slice(offset, end).arrayBuffer()
+        .then(buffer => sha256Hex(buffer).then(digest => {
+            digests[offset / upload.chunkSize] = digest;
+            if (end <= upload.received) {
+                return end;
+            }
+            return putChunk(item.uploadId, offset, buffer, digest, 0).then(result => {
+                setUploadRow(row, Math.floor((result.received / file.size) * 100), `${formatFileSize(result.received)} of ${formatFileSize(file.size)}`);
+                return result.received;
+            });
+        }))
+        .then(next => {
+            if (next !== end) {
+                // The server wants a different offset; realign to its chunk boundary
+                upload.received = next;
+                next = Math.floor(next / upload.chunkSize) * upload.chunkSize;
+            }
+            return sendChunks(item, upload, row, next, digests);
+        });
+}
+
+function putChunk(id, offset, buffer, digest, attempt) {
+    const headers = { 'Content-Type': 'application/octet-stream' };
+    if (digest) headers['X-Chunk-SHA256'] = digest;
+    
+    return apiFetch(`/api/uploads/${id}/chunks?offset=${offset}`, { method: 'PUT', headers, body: buffer })
+        .then(response => response.json().then(data => {
+            if (response.status === 409 && data.received !== undefined) {
+                return data;
+            }
+            if (!response.ok) {
+                throw Object.assign(new Error(data.error), { status: response.status });
+            }
+            return data;
+        }))
+        .catch(error => {
+            // Network failures and server errors are retried with a growing pause
+            const retryable = !error.status || error.status >= 500 || (error.status === 400 && /checksum/i.test(error.message));
+            if (!retryable || attempt >= UPLOAD_RETRIES) throw error;
+            return new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt)))
+                .then(() => putChunk(id, offset, buffer, digest, attempt + 1));
+        });
+}
+
+// crypto.subtle only exists on HTTPS (or localhost); without it uploads skip checksums
+function sha256Hex(buffer) {
+    if (!window.crypto || !window.crypto.subtle) {
+        return Promise.resolve(null);
+    }
+    return window.crypto.subtle.digest('SHA-256', buffer)
+        .then(hash => [...new Uint8Array(hash)].map(byte => byte.toString(16).padStart(2, '0')).join(''));
+}
+
+// SHA-256 over the concatenated chunk digests, matching the server's check
+function checksumOf(digests) {
+    if (digests.length === 0 || digests.some(digest => !digest)) {
+        return sha256Hex(new ArrayBuffer(0)).then(empty => (digests.length === 0 ? empty : null));
+    }
+    const bytes = new Uint8Array(digests.length * 32);
+    digests.forEach((digest, index) => {
+        for (let i = 0; i < 32; i++) {
+            bytes[index * 32 + i] = parseInt(digest.substr(i * 2, 2), 16);
+        }
+    });
+    return sha256Hex(bytes.buffer);
+}
+
 function createFolder() {
     const folderName = document.getElementById('folder-name').value;
     const folderPath = document.getElementById('folder-path').value;
@@ -994,10 +4582,16 @@ function createFolder() {
         return;
     }
     
-    // This would typically make an API call to create the folder
-    // For now, we'll show a success message
-    showAlert('success', 'Folder creation feature requires additional server implementation');
-    hideNewFolderModal();
+    apiJson('/api/files/mkdir', jsonRequest('POST', { path: path.join(folderPath, folderName) }))
+        .then(() => {
+            showAlert('success', 'Folder created successfully');
+            hideNewFolderModal();
+            document.getElementById('folder-name').value = '';
+            loadFiles(currentPath);
+        })
+        .catch(error => {
+            showAlert('error', 'Failed to create folder: ' + error.message);
+        });
 }
 
 // Utility functions
@@ -1026,11 +4620,9 @@ function showAlert(type, message) {
     }, 5000);
 }
 
-// Path utility function
-function path() {
-    return {
-        join: (...parts) => {
-            return parts.filter(part => part).join('/').replace(/\/+/g, '/');
-        }
-    };
-}
+// Path utility
+const path = {
+    join: (...parts) => {
+        return parts.filter(part => part).join('/').replace(/\/+/g, '/');
+    }
+};
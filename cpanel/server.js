@@ -7,12 +7,51 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const si = require('systeminformation');
 const fs = require('fs-extra');
-const { exec, spawn } = require('child_process');
 const multer = require('multer');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const auth = require('./lib/auth');
+const users = require('./lib/users');
+const roles = require('./lib/roles');
+const tokens = require('./lib/tokens');
+const QRCode = require('qrcode');
+const audit = require('./lib/audit');
+const { run, tryRun, recentInvocations } = require('./lib/command');
+const validate = require('./lib/validate');
+const { httpError } = require('./lib/errors');
+const jail = require('./lib/jail');
+const fileops = require('./lib/fileops');
+const editor = require('./lib/editor');
+const accounts = require('./lib/accounts');
+const archives = require('./lib/archives');
+const jobs = require('./lib/jobs');
+const search = require('./lib/search');
+const trash = require('./lib/trash');
+const diskusage = require('./lib/diskusage');
+const systemd = require('./lib/systemd');
+const journal = require('./lib/journal');
+const units = require('./lib/units');
+const cron = require('./lib/cron');
+const mysql = require('./lib/mysql');
+const postgres = require('./lib/postgres');
+const sqlConsole = require('./lib/sqlconsole');
+const backups = require('./lib/backups');
+const uploads = require('./lib/uploads');
+const config = require('./lib/config');
+const { requirePermission } = roles;
+
+// Refuse to start with an invalid configuration file
+try {
+  config.load();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// `kill -HUP <pid>` re-reads the configuration file
+process.on('SIGHUP', config.reload);
 
 const app = express();
+// "/API/users" must not reach "/api/users" past checks that compare paths as written
+app.set('case sensitive routing', true);
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
@@ -21,7 +60,7 @@ const io = socketIo(server, {
   }
 });
 
-const PORT = process.env.PORT || 8080;
+const PORT = config.get('server.port');
 
 // Security middleware
 app.use(helmet({
@@ -34,231 +73,1222 @@ app.use(helmet({
       connectSrc: ["'self'", "ws:", "wss:"]
     }
   }
-}));
+}));
+
+// Recognise API tokens first so the limiter can count them separately
+app.use(auth.identifyToken);
+
+// Rate limiting; the limiters are rebuilt when the configuration changes.
+// Upload chunks don't count: a large file alone would use up the window.
+const UPLOAD_CHUNK_PATH = /^\/api\/uploads\/[a-f0-9]+\/chunks$/;
+
+function buildLimiter() {
+  return rateLimit({
+    windowMs: config.get('rateLimit.windowMinutes') * 60 * 1000,
+    max: config.get('rateLimit.max'), // limit each IP (or API token) to this many requests per window
+    keyGenerator: (req) => req.token ? `token:${req.token.id}` : req.ip,
+    skip: (req) => req.method === 'PUT' && UPLOAD_CHUNK_PATH.test(req.path)
+  });
+}
+
+let limiter = buildLimiter();
+app.use((req, res, next) => limiter(req, res, next));
+
+app.use(cors());
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Record every state-changing API request (including logins) in the audit log
+app.use(audit.auditTrail);
+
+// Stricter limit for password guessing; successful logins don't count
+function buildLoginLimiter() {
+  return rateLimit({
+    windowMs: config.get('rateLimit.windowMinutes') * 60 * 1000,
+    max: config.get('rateLimit.loginMax'),
+    skipSuccessfulRequests: true,
+    message: { error: 'Too many login attempts, please try again later' }
+  });
+}
+
+let loginLimiterInstance = buildLoginLimiter();
+const loginLimiter = (req, res, next) => loginLimiterInstance(req, res, next);
+
+config.onChange((current, previous) => {
+  if (JSON.stringify(current.rateLimit) !== JSON.stringify(previous.rateLimit)) {
+    limiter = buildLimiter();
+    loginLimiterInstance = buildLoginLimiter();
+  }
+});
+
+// Authentication endpoints
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  const { username, password } = req.body;
+  
+  try {
+    const user = await users.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    // With 2FA the session stays useless until /api/auth/login/2fa succeeds
+    const secondFactorPending = user.twoFactorEnabled;
+    const session = auth.createSession(user.username, req, { secondFactorPending });
+    auth.setSessionCookie(req, res, session);
+    res.json(secondFactorPending ? { twoFactorRequired: true } : { user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/login/2fa', loginLimiter, (req, res) => {
+  const pending = auth.getPendingSession(req);
+  if (!pending) {
+    return res.status(401).json({ error: 'Login expired, please sign in again' });
+  }
+  
+  const result = auth.completeSecondFactor(pending, req.body.code, req);
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+  
+  auth.setSessionCookie(req, res, result.session);
+  res.json({ user: users.getUser(result.session.username), method: result.method });
+});
+
+// Everything except the login page and its assets requires a session.
+// Lowercased so the check holds even if routes match case-insensitively.
+function isProtectedPath(requestPath) {
+  const lowered = requestPath.toLowerCase();
+  return lowered.startsWith('/api/') || /^\/(simple-)?vnc/.test(lowered);
+}
+
+app.use((req, res, next) => {
+  if (!isProtectedPath(req.path)) {
+    return next();
+  }
+  auth.requireAuth(req, res, next);
+});
+
+app.post('/api/auth/logout', auth.requireSession, (req, res) => {
+  auth.endSession(req.session.id, 'logout');
+  auth.clearSessionCookie(res);
+  res.json({ message: 'Logged out' });
+});
+
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    user: req.user,
+    permissions: roles.permissionsFor(req.user.role),
+    idleTimeout: auth.idleTimeout(),
+    defaults: {
+      backupPath: config.get('backups.defaultPath')
+    }
+  });
+});
+
+app.post('/api/auth/password', auth.requireSession, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  
+  try {
+    if (!(await users.checkPassword(req.user.username, currentPassword))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    await users.setPassword(req.user.username, newPassword);
+    auth.endUserSessions(req.user.username, 'password changed', req.session.id);
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Two-factor authentication endpoints
+app.post('/api/auth/2fa/setup', auth.requireSession, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = users.beginTotpEnrollment(req.user.username);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/enable', auth.requireSession, (req, res) => {
+  try {
+    const recoveryCodes = users.confirmTotpEnrollment(req.user.username, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', auth.requireSession, (req, res) => {
+  try {
+    const recoveryCodes = users.regenerateRecoveryCodes(req.user.username, req.body.code);
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/disable', auth.requireSession, async (req, res) => {
+  try {
+    if (!(await users.checkPassword(req.user.username, req.body.password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+    users.disableTotp(req.user.username);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Panel user management endpoints
+app.get('/api/users', requirePermission('users:read'), (req, res) => {
+  res.json(users.listUsers());
+});
+
+app.get('/api/roles', requirePermission('users:read'), (req, res) => {
+  res.json(roles.listRoles());
+});
+
+app.post('/api/users', requirePermission('users:write'), async (req, res) => {
+  const { username, password, role } = req.body;
+  
+  try {
+    const user = await users.createUser({ username, password, role });
+    res.json({ message: `User ${username} created successfully`, user });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users/:username/password', requirePermission('users:write'), async (req, res) => {
+  const { username } = req.params;
+  
+  try {
+    await users.setPassword(username, req.body.password);
+    auth.endUserSessions(username, 'password reset', req.session && req.session.id);
+    res.json({ message: `Password for ${username} reset successfully` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users/:username/role', requirePermission('users:write'), (req, res) => {
+  const { username } = req.params;
+  
+  try {
+    const user = users.setRole(username, req.body.role);
+    res.json({ message: `${username} is now ${user.role}`, user });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// For users who lost their authenticator and recovery codes
+app.post('/api/users/:username/2fa/reset', requirePermission('users:write'), (req, res) => {
+  const { username } = req.params;
+  
+  try {
+    users.disableTotp(username);
+    auth.endUserSessions(username, '2fa reset', req.session && req.session.id);
+    res.json({ message: `Two-factor authentication reset for ${username}` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', requirePermission('users:write'), (req, res) => {
+  const { username } = req.params;
+  
+  if (username === req.user.username) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  
+  try {
+    users.deleteUser(username);
+    auth.endUserSessions(username, 'user removed');
+    tokens.revokeUserTokens(username);
+    res.json({ message: `User ${username} deleted successfully` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API token endpoints
+// Tokens are managed from an interactive session only, so a token can
+// neither list nor revoke its owner's other tokens
+app.get('/api/tokens', auth.requireSession, (req, res) => {
+  res.json({
+    tokens: tokens.listTokens(req.user.username),
+    availableScopes: roles.scopesFor(req.user.role),
+    maxExpiryDays: tokens.MAX_EXPIRY_DAYS
+  });
+});
+
+app.post('/api/tokens', auth.requireSession, (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  
+  try {
+    const token = tokens.createToken({
+      owner: req.user.username,
+      role: req.user.role,
+      name,
+      scopes,
+      expiresInDays
+    });
+    res.json({ message: `Token ${token.name} created`, token });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', auth.requireSession, (req, res) => {
+  try {
+    tokens.revokeToken(req.params.id, req.user.username);
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Audit log endpoint
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  const { user, type, from, to, format } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 500, 10000);
+  
+  try {
+    const entries = await audit.query({ user, type, from, to, limit });
+    
+    if (format === 'csv' || format === 'json') {
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.attachment(filename);
+      return format === 'csv' ? res.type('text/csv').send(audit.toCsv(entries)) : res.send(JSON.stringify(entries, null, 2));
+    }
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Settings endpoints
+app.get('/api/settings', requirePermission('settings:read'), (req, res) => {
+  res.json({ settings: config.describe(), configFile: config.CONFIG_FILE });
+});
+
+app.put('/api/settings', requirePermission('settings:write'), (req, res) => {
+  try {
+    res.json({ settings: config.update(req.body.settings) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+
+// File upload configuration
+// The client sends the "path" field before the file, so req.body.path is
+// already parsed when multer asks for the destination
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = req.body.path || jail.allowedRoots(req.user)[0] || '/';
+    jail.resolve(req.user, uploadPath)
+      .then(resolved => fs.ensureDir(resolved).then(() => {
+        file.uploadDirectory = resolved;
+        cb(null, resolved);
+      }))
+      .catch(cb);
+  },
+  // The name goes through the jail too ("shadow" uploaded into /etc), and
+  // an existing symlink is never written through
+  filename: (req, file, cb) => {
+    const name = path.basename(file.originalname || '');
+    if (!name || name === '.' || name === '..') {
+      return cb(httpError(400, 'Invalid file name'));
+    }
+    jail.resolve(req.user, path.join(file.uploadDirectory, name), { follow: false })
+      .then(target => fs.lstat(target).catch(() => null).then(stats => {
+        if (stats && stats.isSymbolicLink()) {
+          throw httpError(403, `Access denied: ${name} is a symlink`);
+        }
+        cb(null, path.basename(target));
+      }))
+      .catch(cb);
+  }
+});
+
+function buildUpload() {
+  return multer({
+    storage: storage,
+    limits: { fileSize: config.get('uploads.maxFileSizeMB') * 1024 * 1024 }
+  });
+}
+
+let upload = buildUpload();
+config.onChange(() => {
+  upload = buildUpload();
+});
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// System information endpoints
+app.get('/api/system', requirePermission('system:read'), async (req, res) => {
+  try {
+    const [cpu, memory, disk, network, os] = await Promise.all([
+      si.cpu(),
+      si.mem(),
+      si.fsSize(),
+      si.networkInterfaces(),
+      si.osInfo()
+    ]);
+    
+    res.json({
+      cpu,
+      memory,
+      disk,
+      network,
+      os
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/processes', requirePermission('system:read'), async (req, res) => {
+  try {
+    const processes = await si.processes();
+    res.json(processes);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// File management endpoints
+app.get('/api/files/roots', requirePermission('files:read'), (req, res) => {
+  res.json({ roots: jail.allowedRoots(req.user) });
+});
+
+// System users and groups for the ownership dialog
+app.get('/api/files/accounts', requirePermission('files:read'), async (req, res) => {
+  try {
+    res.json(await accounts.list());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Text editor: load a file with its ETag, save it back with If-Match
+app.get('/api/files/content', requirePermission('files:read'), async (req, res) => {
+  try {
+    const file = await editor.readText(req.user, req.query.path);
+    res.set('ETag', file.etag).json(file);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/files/content', requirePermission('files:write'), async (req, res) => {
+  const { path: filePath, content, backup } = req.body;
+  
+  try {
+    const saved = await editor.writeText(req.user, filePath, content, { ifMatch: req.get('If-Match'), backup: Boolean(backup) });
+    res.set('ETag', saved.etag).json({ message: 'File saved successfully', ...saved });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, etag: error.etag, mtime: error.mtime });
+  }
+});
+
+app.get('/api/files/*', requirePermission('files:read'), async (req, res) => {
+  try {
+    const fullPath = await jail.resolve(req.user, req.params[0]);
+    const stats = fs.statSync(fullPath);
+    if (stats.isDirectory()) {
+      res.json(await fileops.list(fullPath));
+    } else {
+      res.download(fullPath);
+    }
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/files/upload', requirePermission('files:write'), (req, res) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+    res.json({ message: 'File uploaded successfully', file: req.file });
+  });
+});
+
+app.post('/api/files/mkdir', requirePermission('files:write'), async (req, res) => {
+  try {
+    await fileops.mkdir(req.user, req.body.path, { recursive: req.body.recursive !== false });
+    res.json({ message: 'Folder created successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/files/touch', requirePermission('files:write'), async (req, res) => {
+  try {
+    await fileops.touch(req.user, req.body.path);
+    res.json({ message: 'File created successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/files/rename', requirePermission('files:write'), async (req, res) => {
+  try {
+    await fileops.rename(req.user, req.body.path, req.body.newName);
+    res.json({ message: 'Renamed successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: { path, mode: "755" | "u+x,go-w", recursive }
+app.post('/api/files/chmod', requirePermission('files:write'), async (req, res) => {
+  const { path: filePath, mode, recursive } = req.body;
+  
+  try {
+    const result = await fileops.chmod(req.user, filePath, mode, { recursive: Boolean(recursive) });
+    res.json({ message: `Permissions changed on ${result.changed} item(s)`, ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: { path, owner, group, recursive }; owner and group are names or numeric ids
+app.post('/api/files/chown', requirePermission('files:write'), async (req, res) => {
+  const { path: filePath, owner, group, recursive } = req.body;
+  
+  try {
+    const result = await fileops.chown(req.user, filePath, { owner, group }, { recursive: Boolean(recursive) });
+    res.json({ message: `Ownership changed on ${result.changed} item(s)`, ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: { sources: [...], destination: "/dir", overwrite: "fail" | "overwrite" | "skip" | "rename" }
+// Answers with one result per source; the status is an error only if every source failed
+for (const mode of ['move', 'copy']) {
+  app.post(`/api/files/${mode}`, requirePermission('files:write'), async (req, res) => {
+    const { sources, destination, overwrite } = req.body;
+    
+    try {
+      const results = await fileops.transfer(req.user, sources, destination, { mode, overwrite });
+      const failed = results.filter(result => result.status === 'error');
+      if (failed.length === results.length) {
+        return res.status(failed[0].code).json({ error: failed[0].error, results });
+      }
+      res.json({ results });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+}
+
+// Resumable upload endpoints: create, send chunks, check progress, complete
+app.get('/api/uploads', requirePermission('files:write'), async (req, res) => {
+  try {
+    res.json({ uploads: await uploads.list(req.user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/uploads', requirePermission('files:write'), async (req, res) => {
+  const { path: filePath, size, lastModified, overwrite } = req.body;
+  
+  try {
+    res.json(await uploads.create(req.user, { path: filePath, size, lastModified, overwrite: Boolean(overwrite) }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/uploads/:id', requirePermission('files:write'), async (req, res) => {
+  try {
+    res.json(await uploads.status(req.user, req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: the raw bytes starting at ?offset=; optional X-Chunk-SHA256 header
+app.put('/api/uploads/:id/chunks', requirePermission('files:write'),
+  express.raw({ type: 'application/octet-stream', limit: uploads.CHUNK_SIZE }), async (req, res) => {
+    // The upload's create and complete requests are audited; its chunks are not
+    req.skipAudit = true;
+    try {
+      res.json(await uploads.writeChunk(req.user, req.params.id, Number(req.query.offset), req.body, req.get('X-Chunk-SHA256')));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message, received: error.received });
+    }
+  });
+
+app.post('/api/uploads/:id/complete', requirePermission('files:write'), async (req, res) => {
+  try {
+    const file = await uploads.complete(req.user, req.params.id, { checksum: req.body.checksum });
+    res.json({ message: 'File uploaded successfully', ...file });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, received: error.received });
+  }
+});
+
+app.delete('/api/uploads/:id', requirePermission('files:write'), async (req, res) => {
+  try {
+    await uploads.cancel(req.user, req.params.id);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Recursive search from `path`; hits arrive over the socket as jobData events
+app.post('/api/files/search', requirePermission('files:read'), async (req, res) => {
+  try {
+    const job = await search.search(req.user, req.body);
+    res.status(202).json({ message: 'Search started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Archives are built and unpacked in the background; both answer 202 with the job
+app.post('/api/files/compress', requirePermission('files:write'), async (req, res) => {
+  try {
+    const job = await archives.compress(req.user, req.body.sources, req.body.destination);
+    res.status(202).json({ message: 'Compression started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/files/extract', requirePermission('files:write'), async (req, res) => {
+  const { path: archivePath, destination, overwrite } = req.body;
+  
+  try {
+    const job = await archives.extract(req.user, archivePath, destination, { overwrite: Boolean(overwrite) });
+    res.status(202).json({ message: 'Extraction started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Deleted entries go to the trash; ?permanent=true skips it (files:purge only).
+// A move across filesystems is a copy and answers 202 with the job
+app.delete('/api/files/*', requirePermission('files:write'), async (req, res) => {
+  try {
+    if (req.query.permanent === 'true') {
+      if (!roles.allows(req, 'files:purge')) {
+        return res.status(403).json({ error: 'Permission denied: files:purge required' });
+      }
+      await trash.removePermanently(req.user, req.params[0]);
+      return res.json({ message: 'File deleted permanently' });
+    }
+    const { result, job } = await trash.remove(req.user, req.params[0]);
+    if (job) {
+      return res.status(202).json({ message: 'Moving to trash', job });
+    }
+    res.json({ message: 'File moved to trash', item: result.item });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Trash endpoints: your own deletions, or everyone's with files:purge
+app.get('/api/trash', requirePermission('files:write'), async (req, res) => {
+  try {
+    res.json({ items: await trash.list(req.user, { all: roles.allows(req, 'files:purge') }) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/trash/:id/restore', requirePermission('files:write'), async (req, res) => {
+  try {
+    const { result, job } = await trash.restore(req.user, req.params.id, {
+      overwrite: req.body.overwrite,
+      all: roles.allows(req, 'files:purge')
+    });
+    if (job) {
+      return res.status(202).json({ message: 'Restoring', job });
+    }
+    res.json({ message: 'Restored', item: result.item });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/trash/:id', requirePermission('files:write'), async (req, res) => {
+  try {
+    await trash.purge(req.user, req.params.id, { all: roles.allows(req, 'files:purge') });
+    res.json({ message: 'Deleted permanently' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/trash', requirePermission('files:write'), async (req, res) => {
+  try {
+    const purged = await trash.empty(req.user, { all: roles.allows(req, 'files:purge') });
+    res.json({ message: `${purged} item(s) deleted permanently`, purged });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Disk usage endpoints: scans run as jobs, results are cached and served by path
+app.post('/api/diskusage/scan', requirePermission('files:read'), async (req, res) => {
+  try {
+    const job = await diskusage.scan(req.user, req.body.path, { crossFilesystems: req.body.crossFilesystems === true });
+    res.status(202).json({ message: 'Scan started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/diskusage/scans', requirePermission('files:read'), async (req, res) => {
+  try {
+    res.json({ scans: await diskusage.list(req.user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/diskusage', requirePermission('files:read'), async (req, res) => {
+  try {
+    res.json(await diskusage.get(req.user, req.query.path, { crossFilesystems: req.query.crossFilesystems === 'true' }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Background job endpoints (each user sees only their own jobs)
+// The permissions each kind of job is started with; a request, an API token
+// in particular, only sees and cancels the jobs it could have started
+const JOB_PERMISSIONS = {
+  search: ['files:read'],
+  diskusage: ['files:read'],
+  compress: ['files:write'],
+  extract: ['files:write'],
+  trash: ['files:write'],
+  cron: ['cron:write'],
+  backup: ['backups:write'],
+  dbbackup: ['backups:write'],
+  backupverify: ['backups:write'],
+  dbrestore: ['backups:write', 'databases:write']
+};
+
+// Job types missing from the table are left to admin sessions
+function jobPermissions(job) {
+  return JOB_PERMISSIONS[job.type] || ['*'];
+}
+
+function mayAccessJob(req, job) {
+  return jobPermissions(job).every(permission => roles.allows(req, permission));
+}
+
+function accessibleJob(req, id) {
+  const job = jobs.get(req.user, id);
+  if (!mayAccessJob(req, job)) {
+    throw httpError(403, `Permission denied: ${jobPermissions(job).join(' and ')} required`);
+  }
+  return job;
+}
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobs.list(req.user).filter(job => mayAccessJob(req, job)) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    res.json(accessibleJob(req, req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    accessibleJob(req, req.params.id);
+    res.json({ message: 'Cancelling job', job: jobs.cancel(req.user, req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Service management endpoints
+// Every service unit, running or not, with its load/active/sub and enabled state
+app.get('/api/services', requirePermission('services:read'), async (req, res) => {
+  try {
+    res.json(await systemd.listServices());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/services/failed', requirePermission('services:read'), async (req, res) => {
+  try {
+    res.json({ units: await systemd.failedServices() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/services/:service', requirePermission('services:read'), async (req, res) => {
+  try {
+    res.json(await systemd.details(req.params.service));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Journal pages, newest first: ?cursor=&limit=&priority=0-7&since=&until=
+app.get('/api/services/:service/logs', requirePermission('services:read'), async (req, res) => {
+  try {
+    res.json(await journal.entries(req.params.service, req.query));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// start, stop, restart, reload, enable, disable, mask or unmask
+app.post('/api/services/:service/:action', requirePermission('services:write'), async (req, res) => {
+  try {
+    const message = await systemd.control(req.params.service, req.params.action);
+    res.json({ message });
+    sendFailedUnits();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Custom unit endpoints: unit files in services.unitDir and drop-in overrides.
+// Every write is verified with systemd-analyze and followed by daemon-reload.
+app.get('/api/units/:unit', requirePermission('services:read'), async (req, res) => {
+  try {
+    res.json(await units.get(req.params.unit));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/units', requirePermission('services:write'), async (req, res) => {
+  try {
+    const unit = await units.createService(req.body);
+    res.status(201).json({ message: `Service ${unit.unit} created`, unit });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/units/:unit', requirePermission('services:write'), async (req, res) => {
+  try {
+    const unit = await units.saveUnit(req.params.unit, req.body.content);
+    res.json({ message: `${unit.unit} saved and reloaded`, unit });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/units/:unit', requirePermission('services:write'), async (req, res) => {
+  try {
+    await units.removeUnit(req.params.unit);
+    res.json({ message: `${req.params.unit} stopped, disabled and deleted` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/units/:unit/dropins/:name', requirePermission('services:write'), async (req, res) => {
+  try {
+    const unit = await units.saveDropIn(req.params.unit, req.params.name, req.body.content);
+    res.json({ message: `Override ${req.params.name} saved and reloaded`, unit });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/units/:unit/dropins/:name', requirePermission('services:write'), async (req, res) => {
+  try {
+    const unit = await units.removeDropIn(req.params.unit, req.params.name);
+    res.json({ message: `Override ${req.params.name} removed`, unit });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cron endpoints: jobs from user crontabs and cron.dDir
+app.get('/api/cron', requirePermission('cron:read'), async (req, res) => {
+  try {
+    res.json(await cron.list());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/cron/preview', requirePermission('cron:read'), (req, res) => {
+  try {
+    res.json({ nextRuns: cron.nextRuns(req.query.schedule) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/cron/jobs', requirePermission('cron:write'), async (req, res) => {
+  try {
+    const job = await cron.create(req.body);
+    res.status(201).json({ message: 'Cron job created', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/cron/jobs/:id', requirePermission('cron:write'), async (req, res) => {
+  try {
+    const job = await cron.update(req.params.id, req.body);
+    res.json({ message: 'Cron job saved', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/cron/jobs/:id', requirePermission('cron:write'), async (req, res) => {
+  try {
+    await cron.remove(req.params.id);
+    res.json({ message: 'Cron job deleted' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/cron/jobs/:id/run', requirePermission('cron:write'), async (req, res) => {
+  try {
+    const job = await cron.runNow(req.user, req.params.id);
+    res.status(202).json({ message: 'Cron job started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Database management endpoints
+// Both engines side by side; one that is not reachable contributes nothing
+app.get('/api/databases', requirePermission('databases:read'), async (req, res) => {
+  const [mysqlDatabases, postgresDatabases] = await Promise.all([
+    mysql.listDatabases().catch(() => []),
+    postgres.listDatabases().catch(() => [])
+  ]);
+  res.json([
+    ...mysqlDatabases
+      .filter(db => !db.system)
+      .map(db => ({ name: db.name, type: 'MySQL', size: db.size, tables: db.tables })),
+    ...postgresDatabases
+      .filter(db => !db.system)
+      .map(db => ({ name: db.name, type: 'PostgreSQL', size: db.size, owner: db.owner }))
+  ]);
+});
+
+// MySQL/MariaDB management endpoints
+app.get('/api/mysql', requirePermission('databases:read'), async (req, res) => {
+  try {
+    const [status, databases, users] = await Promise.all([mysql.status(), mysql.listDatabases(), mysql.listUsers()]);
+    res.json({ ...status, databases, users, privileges: mysql.PRIVILEGES });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/mysql/charsets', requirePermission('databases:read'), async (req, res) => {
+  try {
+    res.json(await mysql.charsets());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/mysql/databases', requirePermission('databases:write'), async (req, res) => {
+  try {
+    const database = await mysql.createDatabase(req.body);
+    res.status(201).json({ message: `Database ${database.name} created`, database });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/mysql/databases/:name', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await mysql.dropDatabase(req.params.name);
+    res.json({ message: `Database ${req.params.name} dropped` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/mysql/users', requirePermission('databases:write'), async (req, res) => {
+  try {
+    const user = await mysql.createUser(req.body);
+    res.status(201).json({ message: `User ${user.username}@${user.host} created`, user });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/mysql/users/:username/:host', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await mysql.dropUser(req.params.username, req.params.host);
+    res.json({ message: `User ${req.params.username}@${req.params.host} dropped` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/mysql/users/:username/:host/grants', requirePermission('databases:write'), async (req, res) => {
+  try {
+    const { database, privileges } = req.body;
+    await mysql.grant(req.params.username, req.params.host, database, privileges);
+    res.json({ message: `Privileges on ${database} granted to ${req.params.username}@${req.params.host}` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Revokes everything on the database unless `privileges` names some
+app.delete('/api/mysql/users/:username/:host/grants/:database', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await mysql.revoke(req.params.username, req.params.host, req.params.database, req.body.privileges);
+    res.json({ message: `Privileges on ${req.params.database} revoked from ${req.params.username}@${req.params.host}` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// PostgreSQL management endpoints
+app.get('/api/postgres', requirePermission('databases:read'), async (req, res) => {
+  try {
+    const [status, databases, roles, connections] = await Promise.all([
+      postgres.status(), postgres.listDatabases(), postgres.listRoles(), postgres.connections()
+    ]);
+    res.json({ ...status, databases, roles, connections, privileges: postgres.DATABASE_PRIVILEGES, encodings: postgres.ENCODINGS });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/postgres/databases', requirePermission('databases:write'), async (req, res) => {
+  try {
+    const database = await postgres.createDatabase(req.body);
+    res.status(201).json({ message: `Database ${database.name} created`, database });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/postgres/databases/:name', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await postgres.dropDatabase(req.params.name);
+    res.json({ message: `Database ${req.params.name} dropped` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+app.post('/api/postgres/roles', requirePermission('databases:write'), async (req, res) => {
+  try {
+    const role = await postgres.createRole(req.body);
+    res.status(201).json({ message: `Role ${role.name} created`, role });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
-app.use(limiter);
 
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.delete('/api/postgres/roles/:role', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await postgres.dropRole(req.params.role);
+    res.json({ message: `Role ${req.params.role} dropped` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+app.post('/api/postgres/roles/:role/grants', requirePermission('databases:write'), async (req, res) => {
+  try {
+    const { database, privileges } = req.body;
+    await postgres.grant(req.params.role, database, privileges);
+    res.json({ message: `Privileges on ${database} granted to ${req.params.role}` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-// File upload configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = req.body.path || '/tmp';
-    fs.ensureDirSync(uploadPath);
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname);
+// Revokes everything on the database unless `privileges` names some
+app.delete('/api/postgres/roles/:role/grants/:database', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await postgres.revoke(req.params.role, req.params.database, req.body.privileges);
+    res.json({ message: `Privileges on ${req.params.database} revoked from ${req.params.role}` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
+app.delete('/api/postgres/connections/:pid', requirePermission('databases:write'), async (req, res) => {
+  try {
+    await postgres.terminate(req.params.pid);
+    res.json({ message: `Connection ${req.params.pid} terminated` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// SQL console endpoints; statements run as the engines' admin accounts, so
+// even read-only mode needs databases:write
+app.post('/api/sql/query', requirePermission('databases:write'), async (req, res) => {
+  try {
+    res.json(await sqlConsole.run(req.user.username, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-// System information endpoints
-app.get('/api/system', async (req, res) => {
+app.get('/api/sql/results/:id', requirePermission('databases:write'), (req, res) => {
   try {
-    const [cpu, memory, disk, network, os] = await Promise.all([
-      si.cpu(),
-      si.mem(),
-      si.fsSize(),
-      si.networkInterfaces(),
-      si.osInfo()
-    ]);
-    
-    res.json({
-      cpu,
-      memory,
-      disk,
-      network,
-      os
-    });
+    res.json(sqlConsole.page(req.params.id, req.user.username, req.query.page, req.query.pageSize));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.get('/api/processes', async (req, res) => {
+app.get('/api/sql/results/:id/export', requirePermission('databases:write'), (req, res) => {
   try {
-    const processes = await si.processes();
-    res.json(processes);
+    const { filename, type, body } = sqlConsole.exportResult(req.params.id, req.user.username, req.query.format);
+    res.attachment(filename);
+    res.type(type).send(body);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// File management endpoints
-app.get('/api/files/*', (req, res) => {
-  const filePath = req.params[0];
-  const fullPath = path.resolve(filePath);
+app.get('/api/sql/history', requirePermission('databases:write'), (req, res) => {
+  res.json(sqlConsole.listHistory(req.user.username));
+});
+
+app.delete('/api/sql/history', requirePermission('databases:write'), (req, res) => {
+  sqlConsole.clearHistory(req.user.username);
+  res.json({ message: 'Query history cleared' });
+});
+
+// Backup endpoints
+// Backups run in the background and answer 202 with the job; the finished
+// backup is in the catalog (and in the job's result)
+app.post('/api/backup', requirePermission('backups:write'), async (req, res) => {
+  const { type } = req.body;
   
   try {
-    const stats = fs.statSync(fullPath);
-    if (stats.isDirectory()) {
-      const files = fs.readdirSync(fullPath).map(file => {
-        const fileStats = fs.statSync(path.join(fullPath, file));
-        return {
-          name: file,
-          isDirectory: fileStats.isDirectory(),
-          size: fileStats.size,
-          modified: fileStats.mtime
-        };
-      });
-      res.json(files);
-    } else {
-      res.download(fullPath);
+    const backupPath = req.body.path || config.get('backups.defaultPath');
+    let job;
+    
+    switch (type) {
+      case 'files':
+        job = await backups.backupFiles(req.user, {
+          source: req.body.source || '/home',
+          directory: backupPath
+        });
+        break;
+      case 'database':
+        job = await backups.backupDatabase(req.user, {
+          engine: req.body.engine || 'mysql',
+          database: req.body.database || null,
+          compress: req.body.compress !== false,
+          directory: backupPath
+        });
+        break;
+      default:
+        return res.status(400).json({ error: 'Invalid backup type' });
     }
+    
+    res.status(202).json({ message: 'Backup started', job });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.post('/api/files/upload', upload.single('file'), (req, res) => {
-  res.json({ message: 'File uploaded successfully', file: req.file });
+app.get('/api/backups', requirePermission('backups:read'), async (req, res) => {
+  try {
+    const { type, engine, status, search } = req.query;
+    res.json(await backups.list({ type, engine, status, search }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-app.delete('/api/files/*', (req, res) => {
-  const filePath = req.params[0];
-  const fullPath = path.resolve(filePath);
-  
+// A backup holds everything it was taken from, so downloading one takes the write permission
+app.get('/api/backups/:id/download', requirePermission('backups:write'), async (req, res) => {
   try {
-    fs.removeSync(fullPath);
-    res.json({ message: 'File deleted successfully' });
+    res.download(await backups.backupFile(req.user, req.params.id));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Service management endpoints
-app.get('/api/services', (req, res) => {
-  exec('systemctl list-units --type=service --state=running --no-pager', (error, stdout) => {
-    if (error) {
-      res.status(500).json({ error: error.message });
-      return;
-    }
-    
-    const services = stdout.split('\n')
-      .filter(line => line.includes('.service'))
-      .map(line => {
-        const parts = line.trim().split(/\s+/);
-        return {
-          name: parts[0],
-          load: parts[1],
-          active: parts[2],
-          sub: parts[3],
-          description: parts.slice(4).join(' ')
-        };
-      });
-    
-    res.json(services);
-  });
+app.post('/api/backups/:id/verify', requirePermission('backups:write'), async (req, res) => {
+  try {
+    const job = await backups.verify(req.user, req.params.id);
+    res.status(202).json({ message: 'Verification started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-app.post('/api/services/:service/:action', (req, res) => {
-  const { service, action } = req.params;
-  const validActions = ['start', 'stop', 'restart', 'reload'];
-  
-  if (!validActions.includes(action)) {
-    return res.status(400).json({ error: 'Invalid action' });
+app.delete('/api/backups/:id', requirePermission('backups:write'), async (req, res) => {
+  try {
+    const backup = await backups.remove(req.user, req.params.id);
+    res.json({ message: `Deleted ${backup.file}` });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-  
-  exec(`systemctl ${action} ${service}`, (error, stdout, stderr) => {
-    if (error) {
-      res.status(500).json({ error: stderr || error.message });
-      return;
-    }
-    res.json({ message: `Service ${service} ${action}ed successfully` });
-  });
 });
 
-// Database management endpoints
-app.get('/api/databases', (req, res) => {
-  // Check for MySQL/MariaDB
-  exec('mysql -e "SHOW DATABASES;" 2>/dev/null', (mysqlError, mysqlStdout) => {
-    if (!mysqlError) {
-      const databases = mysqlStdout.split('\n')
-        .filter(line => line && !line.includes('Database') && !line.includes('information_schema') && !line.includes('performance_schema'))
-        .map(db => ({ name: db.trim(), type: 'MySQL' }));
-      return res.json(databases);
-    }
-    
-    // Check for PostgreSQL
-    exec('psql -l 2>/dev/null', (pgError, pgStdout) => {
-      if (!pgError) {
-        const databases = pgStdout.split('\n')
-          .filter(line => line.includes('|'))
-          .slice(1, -1)
-          .map(line => {
-            const parts = line.split('|');
-            return { name: parts[0].trim(), type: 'PostgreSQL' };
-          });
-        return res.json(databases);
-      }
-      
-      res.json([]);
+// A restore writes to the databases, so it needs both permissions
+app.post('/api/backup/restore', requirePermission('backups:write'), requirePermission('databases:write'), async (req, res) => {
+  try {
+    const job = await backups.restoreDatabase(req.user, {
+      id: req.body.id,
+      engine: req.body.engine,
+      database: req.body.database || null,
+      confirm: req.body.confirm === true
     });
-  });
-});
-
-// Backup endpoints
-app.post('/api/backup', (req, res) => {
-  const { type, path: backupPath } = req.body;
-  
-  let command;
-  switch (type) {
-    case 'files':
-      command = `tar -czf ${backupPath}/backup_$(date +%Y%m%d_%H%M%S).tar.gz ${req.body.source || '/home'}`;
-      break;
-    case 'database':
-      command = `mysqldump --all-databases > ${backupPath}/db_backup_$(date +%Y%m%d_%H%M%S).sql`;
-      break;
-    default:
-      return res.status(400).json({ error: 'Invalid backup type' });
+    res.status(202).json({ message: 'Restore started', job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-  
-  exec(command, (error, stdout, stderr) => {
-    if (error) {
-      res.status(500).json({ error: stderr || error.message });
-      return;
-    }
-    res.json({ message: 'Backup completed successfully' });
-  });
 });
 
 // VM Management endpoints
-app.get('/api/vms', async (req, res) => {
+app.get('/api/vms', requirePermission('vms:read'), async (req, res) => {
   try {
     // Check if KVM/QEMU is available
-    const { stdout: vmsOutput } = await execAsync('virsh list --all --name 2>/dev/null || echo "KVM not available"');
+    const list = await tryRun('virsh', ['list', '--all', '--name']);
     
-    if (vmsOutput.includes('KVM not available')) {
+    if (!list) {
       return res.json({ vms: [], virtualization: 'none' });
     }
     
-    const vmNames = vmsOutput.trim().split('\n').filter(name => name);
+    const vmNames = list.stdout.trim().split('\n').filter(name => name);
     const vms = [];
     
     for (const vmName of vmNames) {
       try {
-        const { stdout: vmInfo } = await execAsync(`virsh dominfo ${vmName}`);
-        const { stdout: vmState } = await execAsync(`virsh domstate ${vmName}`);
+        const { stdout: vmInfo } = await run('virsh', ['dominfo', vmName]);
+        const { stdout: vmState } = await run('virsh', ['domstate', vmName]);
         
         const vm = {
           name: vmName,
@@ -267,12 +1297,8 @@ app.get('/api/vms', async (req, res) => {
         };
         
         // Get VM resource usage
-        try {
-          const { stdout: vmStats } = await execAsync(`virsh domstats ${vmName} --cpu --balloon --block --network 2>/dev/null || echo ""`);
-          vm.stats = vmStats;
-        } catch (e) {
-          vm.stats = '';
-        }
+        const stats = await tryRun('virsh', ['domstats', vmName, '--cpu', '--balloon', '--block', '--network']);
+        vm.stats = stats ? stats.stdout : '';
         
         vms.push(vm);
       } catch (e) {
@@ -286,17 +1312,14 @@ app.get('/api/vms', async (req, res) => {
   }
 });
 
-app.post('/api/vms/:vmName/:action', async (req, res) => {
+app.post('/api/vms/:vmName/:action', requirePermission('vms:write'), async (req, res) => {
   const { vmName, action } = req.params;
   const validActions = ['start', 'stop', 'shutdown', 'reboot', 'suspend', 'resume'];
   
-  if (!validActions.includes(action)) {
-    return res.status(400).json({ error: 'Invalid action' });
-  }
-  
   try {
-    const command = `virsh ${action} ${vmName}`;
-    const { stdout, stderr } = await execAsync(command);
+    validate.oneOf(action, validActions);
+    validate.vmName(vmName);
+    const { stderr } = await run('virsh', [action, vmName]);
     
     if (stderr && !stderr.includes('Domain') && !stderr.includes('started') && !stderr.includes('stopped')) {
       throw new Error(stderr);
@@ -304,15 +1327,25 @@ app.post('/api/vms/:vmName/:action', async (req, res) => {
     
     res.json({ message: `VM ${vmName} ${action}ed successfully` });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.post('/api/vms/create', async (req, res) => {
-  const { name, memory, cpus, diskSize, osType, network, template } = req.body;
+app.post('/api/vms/create', requirePermission('vms:write'), async (req, res) => {
+  const { osType, network, template } = req.body;
+  
+  let name, memory, cpus, diskSize;
+  try {
+    name = validate.vmName(req.body.name);
+    memory = validate.integer(req.body.memory, 'memory (MB)', 128, 1024 * 1024);
+    cpus = validate.integer(req.body.cpus, 'CPU count', 1, 256);
+    diskSize = validate.integer(req.body.diskSize, 'disk size (GB)', 1, 64 * 1024);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
   
   try {
-    const vmPath = `/var/lib/libvirt/images/${name}.qcow2`;
+    const vmPath = path.join(config.get('vms.imagesDir'), `${name}.qcow2`);
     
     // Method 1: Try to create VM with cloud image (if available)
     try {
@@ -339,30 +1372,32 @@ app.post('/api/vms/create', async (req, res) => {
 });
 
 async function createVMWithCloudImage(name, memory, cpus, diskSize, vmPath) {
-  const cloudImagePath = `/var/lib/libvirt/images/cloud-images/`;
+  const cloudImagePath = config.get('vms.cloudImagesDir');
   
   // Ensure cloud images directory exists
-  await execAsync(`mkdir -p ${cloudImagePath}`);
+  await fs.ensureDir(cloudImagePath);
   
   // Check and start default network
   await ensureDefaultNetwork();
   
   // Download cloud image if not exists (Ubuntu 22.04 as default)
-  const cloudImage = `${cloudImagePath}ubuntu-22.04-server-cloudimg-amd64.img`;
+  const cloudImage = path.join(cloudImagePath, 'ubuntu-22.04-server-cloudimg-amd64.img');
   if (!fs.existsSync(cloudImage)) {
     console.log('Downloading Ubuntu 22.04 cloud image...');
-    await execAsync(`wget -O ${cloudImage} https://cloud-images.ubuntu.com/releases/22.04/release/ubuntu-22.04-server-cloudimg-amd64.img`);
+    await run('wget', ['-O', cloudImage, 'https://cloud-images.ubuntu.com/releases/22.04/release/ubuntu-22.04-server-cloudimg-amd64.img'], {
+      timeout: 30 * 60 * 1000
+    });
   }
   
   // Create a copy of the cloud image for this VM
-  await execAsync(`cp ${cloudImage} ${vmPath}`);
+  await fs.copy(cloudImage, vmPath);
   
   // Resize the disk to the requested size
-  await execAsync(`qemu-img resize ${vmPath} ${diskSize}G`);
+  await run('qemu-img', ['resize', vmPath, `${diskSize}G`]);
   
   // Create cloud-init configuration
-  const cloudInitDir = `/var/lib/libvirt/images/${name}-cloud-init`;
-  await execAsync(`mkdir -p ${cloudInitDir}`);
+  const cloudInitDir = path.join(config.get('vms.imagesDir'), `${name}-cloud-init`);
+  await fs.ensureDir(cloudInitDir);
   
   // Create user-data file
   const userData = `#cloud-config
@@ -394,19 +1429,30 @@ local-hostname: ${name}
   fs.writeFileSync(`${cloudInitDir}/meta-data`, metaData);
   
   // Create cloud-init ISO
-  await execAsync(`genisoimage -output ${cloudInitDir}.iso -volid cidata -joliet -rock ${cloudInitDir}/user-data ${cloudInitDir}/meta-data`);
+  await run('genisoimage', ['-output', `${cloudInitDir}.iso`, '-volid', 'cidata', '-joliet', '-rock', `${cloudInitDir}/user-data`, `${cloudInitDir}/meta-data`]);
   
   // Create the VM
-  const command = `virt-install --name ${name} --memory ${memory} --vcpus ${cpus} --disk path=${vmPath},format=qcow2 --disk path=${cloudInitDir}.iso,device=cdrom --network network=default --graphics vnc --noautoconsole --import --os-variant ubuntu22.04`;
+  const args = [
+    '--name', name,
+    '--memory', String(memory),
+    '--vcpus', String(cpus),
+    '--disk', `path=${vmPath},format=qcow2`,
+    '--disk', `path=${cloudInitDir}.iso,device=cdrom`,
+    '--network', 'network=default',
+    '--graphics', `vnc,listen=${config.get('vms.vncListen')}`,
+    '--noautoconsole',
+    '--import',
+    '--os-variant', 'ubuntu22.04'
+  ];
   
-  console.log(`Creating VM with cloud image: ${command}`);
-  const { stdout, stderr } = await execAsync(command);
+  console.log(`Creating VM with cloud image: virt-install ${args.join(' ')}`);
+  await run('virt-install', args, { timeout: 10 * 60 * 1000 });
 }
 
 async function ensureDefaultNetwork() {
   try {
     // Check if default network exists
-    const { stdout: networks } = await execAsync('virsh net-list --all');
+    const { stdout: networks } = await run('virsh', ['net-list', '--all']);
     
     if (!networks.includes('default')) {
       console.log('Default network not found, creating it...');
@@ -427,19 +1473,19 @@ async function ensureDefaultNetwork() {
       
       const networkFile = '/tmp/default-network.xml';
       fs.writeFileSync(networkFile, defaultNetworkXml);
-      await execAsync(`virsh net-define ${networkFile}`);
-      await execAsync(`rm -f ${networkFile}`);
+      await run('virsh', ['net-define', networkFile]);
+      await fs.remove(networkFile);
     }
     
     // Check if network is already active
-    const { stdout: activeNetworks } = await execAsync('virsh net-list');
+    const { stdout: activeNetworks } = await run('virsh', ['net-list']);
     if (activeNetworks.includes('default')) {
       console.log('Default network is already active');
       return; // Network is already active, no need to start it
     }
     
     // Start the default network only if it's not active
-    await execAsync('virsh net-start default');
+    await run('virsh', ['net-start', 'default']);
     console.log('Default network is now active');
     
   } catch (error) {
@@ -453,8 +1499,8 @@ async function ensureDefaultNetwork() {
     
     // Try alternative network setup
     try {
-      await execAsync('virsh net-autostart default');
-      await execAsync('virsh net-start default');
+      await run('virsh', ['net-autostart', 'default']);
+      await run('virsh', ['net-start', 'default']);
     } catch (altError) {
       console.log('Alternative network setup also failed:', altError.message);
       
@@ -473,6 +1519,8 @@ async function createSimpleVM(name, memory, cpus, diskSize, vmPath) {
   // Ensure default network is available
   await ensureDefaultNetwork();
   
+  const vncListen = config.get('vms.vncListen');
+  
   // Create a simple VM definition without installation media
   const vmXml = `<?xml version='1.0' encoding='utf-8'?>
 <domain type='kvm'>
@@ -515,8 +1563,8 @@ async function createSimpleVM(name, memory, cpus, diskSize, vmPath) {
     <console type='pty'>
       <target type='serial' port='0'/>
     </console>
-    <graphics type='vnc' port='-1' autoport='yes' listen='0.0.0.0'>
-      <listen type='address' address='0.0.0.0'/>
+    <graphics type='vnc' port='-1' autoport='yes' listen='${vncListen}'>
+      <listen type='address' address='${vncListen}'/>
     </graphics>
     <video>
       <model type='qxl' ram='65536' vram='65536' vgamem='16384' heads='1' primary='yes'/>
@@ -526,47 +1574,78 @@ async function createSimpleVM(name, memory, cpus, diskSize, vmPath) {
 </domain>`;
 
   // Create the disk image
-  await execAsync(`qemu-img create -f qcow2 ${vmPath} ${diskSize}G`);
+  await run('qemu-img', ['create', '-f', 'qcow2', vmPath, `${diskSize}G`]);
   
   // Save VM definition to file
   const xmlFile = `/tmp/${name}.xml`;
   fs.writeFileSync(xmlFile, vmXml);
   
   // Define the VM
-  await execAsync(`virsh define ${xmlFile}`);
+  await run('virsh', ['define', xmlFile]);
   
   // Clean up
-  await execAsync(`rm -f ${xmlFile}`);
+  await fs.remove(xmlFile);
   
   console.log(`Simple VM ${name} created successfully`);
 }
 
-app.delete('/api/vms/:vmName', async (req, res) => {
+app.delete('/api/vms/:vmName', requirePermission('vms:write'), async (req, res) => {
   const { vmName } = req.params;
   
   try {
+    validate.vmName(vmName);
+    
     // Destroy VM if running
-    await execAsync(`virsh destroy ${vmName} 2>/dev/null || true`);
+    await tryRun('virsh', ['destroy', vmName]);
     
     // Undefine VM
-    await execAsync(`virsh undefine ${vmName}`);
+    await run('virsh', ['undefine', vmName]);
     
     // Remove disk image
-    const diskPath = `/var/lib/libvirt/images/${vmName}.qcow2`;
-    await execAsync(`rm -f ${diskPath}`);
+    const diskPath = path.join(config.get('vms.imagesDir'), `${vmName}.qcow2`);
+    await fs.remove(diskPath);
     
     res.json({ message: `VM ${vmName} deleted successfully` });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.get('/api/vms/:vmName/console', async (req, res) => {
+// Public address of this host: the external IP if it can be looked up,
+// otherwise the first local address
+async function getServerIP() {
+  for (const url of ['ifconfig.me', 'ipinfo.io/ip']) {
+    const lookup = await tryRun('curl', ['-s', '--max-time', '5', url], { timeout: 10000 });
+    const address = lookup ? lookup.stdout.trim() : '';
+    if (/^[0-9a-fA-F.:]+$/.test(address)) {
+      return address;
+    }
+  }
+  const local = await tryRun('hostname', ['-I']);
+  return (local && local.stdout.trim().split(/\s+/)[0]) || 'localhost';
+}
+
+// `netstat -tlnp` lines for listening TCP sockets whose port passes the filter
+async function listeningSockets(portFilter) {
+  const netstat = await tryRun('netstat', ['-tlnp']);
+  if (!netstat) {
+    return [];
+  }
+  return netstat.stdout.split('\n').filter(line => {
+    const localAddress = line.trim().split(/\s+/)[3] || '';
+    const port = localAddress.slice(localAddress.lastIndexOf(':') + 1);
+    return /^\d+$/.test(port) && portFilter(parseInt(port));
+  });
+}
+
+app.get('/api/vms/:vmName/console', requirePermission('vms:write'), async (req, res) => {
   const { vmName } = req.params;
   
   try {
+    validate.vmName(vmName);
+    
     // Get VNC connection info
-    const { stdout: vncDisplay } = await execAsync(`virsh vncdisplay ${vmName}`);
+    const { stdout: vncDisplay } = await run('virsh', ['vncdisplay', vmName]);
     const display = vncDisplay.trim();
     
     // Extract port number and handle :0 case
@@ -581,27 +1660,13 @@ app.get('/api/vms/:vmName/console', async (req, res) => {
     }
     
     // Get server IP address - try multiple methods
-    let serverIP = 'localhost';
-    try {
-      // Try to get external IP first
-      const { stdout: externalIP } = await execAsync('curl -s ifconfig.me || curl -s ipinfo.io/ip || echo ""');
-      if (externalIP && externalIP.trim() && !externalIP.includes('curl:')) {
-        serverIP = externalIP.trim();
-      } else {
-        // Fallback to local IP
-        const { stdout: localIP } = await execAsync('hostname -I | awk \'{print $1}\'');
-        serverIP = localIP.trim() || 'localhost';
-      }
-    } catch (e) {
-      // Final fallback
-      serverIP = 'localhost';
-    }
+    const serverIP = await getServerIP();
     
     // Get the actual VNC port from libvirt
     let actualVncPort = port;
     try {
       // Try to get the actual VNC port from libvirt
-      const { stdout: vncPortInfo } = await execAsync(`virsh domdisplay ${vmName}`);
+      const { stdout: vncPortInfo } = await run('virsh', ['domdisplay', vmName]);
       if (vncPortInfo && vncPortInfo.trim()) {
         const portMatch = vncPortInfo.match(/:(\d+)/);
         if (portMatch) {
@@ -611,13 +1676,13 @@ app.get('/api/vms/:vmName/console', async (req, res) => {
       }
       
       // Alternative method: check if VNC is actually listening on the port
-      const { stdout: netstatOutput } = await execAsync(`netstat -tlnp 2>/dev/null | grep :${actualVncPort} || echo ""`);
-      if (!netstatOutput.trim()) {
+      const vncSockets = await listeningSockets(port => port >= 5900 && port < 5905);
+      const isListening = (testPort) => vncSockets.some(line => line.includes(`:${testPort} `));
+      if (!isListening(actualVncPort)) {
         // If port is not listening, try the next few ports
         for (let i = 0; i < 5; i++) {
           const testPort = (5900 + i).toString();
-          const { stdout: testOutput } = await execAsync(`netstat -tlnp 2>/dev/null | grep :${testPort} || echo ""`);
-          if (testOutput.trim()) {
+          if (isListening(testPort)) {
             actualVncPort = testPort;
             break;
           }
@@ -637,12 +1702,12 @@ app.get('/api/vms/:vmName/console', async (req, res) => {
       message: 'Console information retrieved'
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get console info: ' + error.message });
+    res.status(error.status || 500).json({ error: 'Failed to get console info: ' + error.message });
   }
 });
 
 // Web VNC viewer endpoint
-app.get('/vnc/:vmName', (req, res) => {
+app.get('/vnc/:vmName', requirePermission('vms:write'), (req, res) => {
   const { vmName } = req.params;
   
   // Serve the VNC console HTML file
@@ -650,19 +1715,21 @@ app.get('/vnc/:vmName', (req, res) => {
 });
 
 // VNC server setup endpoint
-app.post('/api/vms/:vmName/setup-vnc', async (req, res) => {
+app.post('/api/vms/:vmName/setup-vnc', requirePermission('vms:write'), async (req, res) => {
   const { vmName } = req.params;
   
   try {
+    validate.vmName(vmName);
+    
     // Check if VM is running
-    const { stdout: vmState } = await execAsync(`virsh domstate ${vmName}`);
+    const { stdout: vmState } = await run('virsh', ['domstate', vmName]);
     
     if (!vmState.includes('running')) {
       return res.status(400).json({ error: 'VM is not running. Please start the VM first.' });
     }
     
     // Get VNC display info
-    const { stdout: vncDisplay } = await execAsync(`virsh vncdisplay ${vmName}`);
+    const { stdout: vncDisplay } = await run('virsh', ['vncdisplay', vmName]);
     const display = vncDisplay.trim();
     
     // Extract port number
@@ -672,18 +1739,7 @@ app.post('/api/vms/:vmName/setup-vnc', async (req, res) => {
     }
     
     // Get server IP
-    let serverIP = 'localhost';
-    try {
-      const { stdout: externalIP } = await execAsync('curl -s ifconfig.me || curl -s ipinfo.io/ip || echo ""');
-      if (externalIP && externalIP.trim() && !externalIP.includes('curl:')) {
-        serverIP = externalIP.trim();
-      } else {
-        const { stdout: localIP } = await execAsync('hostname -I | awk \'{print $1}\'');
-        serverIP = localIP.trim() || 'localhost';
-      }
-    } catch (e) {
-      serverIP = 'localhost';
-    }
+    const serverIP = await getServerIP();
     
     res.json({
       success: true,
@@ -696,17 +1752,19 @@ app.post('/api/vms/:vmName/setup-vnc', async (req, res) => {
     });
     
   } catch (error) {
-    res.status(500).json({ error: 'Failed to setup VNC: ' + error.message });
+    res.status(error.status || 500).json({ error: 'Failed to setup VNC: ' + error.message });
   }
 });
 
 // VNC proxy endpoint - serves VNC content through the web server
-app.get('/vnc-proxy/:vmName', async (req, res) => {
+app.get('/vnc-proxy/:vmName', requirePermission('vms:write'), async (req, res) => {
   const { vmName } = req.params;
   
   try {
+    validate.vmName(vmName);
+    
     // Get VNC info
-    const { stdout: vncDisplay } = await execAsync(`virsh vncdisplay ${vmName}`);
+    const { stdout: vncDisplay } = await run('virsh', ['vncdisplay', vmName]);
     const display = vncDisplay.trim();
     let port = display.replace(':', '');
     if (port === '0') {
@@ -784,7 +1842,7 @@ app.get('/vnc-proxy/:vmName', async (req, res) => {
     res.send(vncViewerHTML);
     
   } catch (error) {
-    res.status(500).send(`
+    res.status(error.status || 500).send(`
       <html>
         <body style="color: white; background: #000; text-align: center; padding: 50px;">
           <h2>VNC Error</h2>
@@ -797,9 +1855,15 @@ app.get('/vnc-proxy/:vmName', async (req, res) => {
 });
 
 // Alternative VNC viewer with inline HTML (backup)
-app.get('/vnc-inline/:vmName', (req, res) => {
+app.get('/vnc-inline/:vmName', requirePermission('vms:write'), (req, res) => {
   const { vmName } = req.params;
   
+  try {
+    validate.vmName(vmName);
+  } catch (error) {
+    return res.status(error.status).send(error.message);
+  }
+  
   // Serve a simple VNC web viewer page
   const vncViewerHtml = `
 <!DOCTYPE html>
@@ -988,7 +2052,7 @@ app.get('/vnc-inline/:vmName', (req, res) => {
 });
 
 // VM Templates endpoint
-app.get('/api/vm-templates', async (req, res) => {
+app.get('/api/vm-templates', requirePermission('vms:read'), async (req, res) => {
   try {
     const templates = [
       {
@@ -1036,7 +2100,7 @@ app.get('/api/vm-templates', async (req, res) => {
 });
 
 // System resources for VM allocation
-app.get('/api/system/resources', async (req, res) => {
+app.get('/api/system/resources', requirePermission('system:read'), async (req, res) => {
   try {
     const [cpu, memory, disk] = await Promise.all([
       si.cpu(),
@@ -1072,9 +2136,9 @@ app.get('/api/system/resources', async (req, res) => {
 });
 
 // Network management endpoints
-app.get('/api/networks', async (req, res) => {
+app.get('/api/networks', requirePermission('networks:read'), async (req, res) => {
   try {
-    const { stdout: networksOutput } = await execAsync('virsh net-list --all');
+    const { stdout: networksOutput } = await run('virsh', ['net-list', '--all']);
     const networks = [];
     
     const lines = networksOutput.split('\n').slice(2); // Skip header lines
@@ -1098,30 +2162,21 @@ app.get('/api/networks', async (req, res) => {
   }
 });
 
-app.post('/api/networks/:networkName/:action', async (req, res) => {
+app.post('/api/networks/:networkName/:action', requirePermission('networks:write'), async (req, res) => {
   const { networkName, action } = req.params;
   const validActions = ['start', 'stop', 'destroy', 'autostart', 'undefine'];
   
-  if (!validActions.includes(action)) {
-    return res.status(400).json({ error: 'Invalid action' });
-  }
-  
   try {
-    let command;
-    if (action === 'autostart') {
-      command = `virsh net-autostart ${networkName}`;
-    } else {
-      command = `virsh net-${action} ${networkName}`;
-    }
-    
-    const { stdout, stderr } = await execAsync(command);
+    validate.oneOf(action, validActions);
+    validate.networkName(networkName);
+    await run('virsh', [`net-${action}`, networkName]);
     res.json({ message: `Network ${networkName} ${action}ed successfully` });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.post('/api/networks/create-default', async (req, res) => {
+app.post('/api/networks/create-default', requirePermission('networks:write'), async (req, res) => {
   try {
     await ensureDefaultNetwork();
     res.json({ message: 'Default network created and started successfully' });
@@ -1131,7 +2186,7 @@ app.post('/api/networks/create-default', async (req, res) => {
 });
 
 // VNC port debug endpoint
-app.get('/api/debug/vnc-ports', async (req, res) => {
+app.get('/api/debug/vnc-ports', requirePermission('debug:read'), async (req, res) => {
   try {
     const debug = {
       timestamp: new Date().toISOString(),
@@ -1141,45 +2196,28 @@ app.get('/api/debug/vnc-ports', async (req, res) => {
     };
     
     // Check for listening VNC ports
-    try {
-      const { stdout: netstatOutput } = await execAsync('netstat -tlnp 2>/dev/null | grep -E ":(59[0-9][0-9]|60[0-9][0-9])" || echo ""');
-      if (netstatOutput.trim()) {
-        debug.listeningPorts = netstatOutput.trim().split('\n').map(line => {
-          const parts = line.trim().split(/\s+/);
-          return {
-            port: parts[3].split(':')[1],
-            status: parts[5] || 'unknown'
-          };
-        });
-      }
-    } catch (e) {
-      debug.listeningPorts = [];
-    }
+    const vncSockets = await listeningSockets(port => port >= 5900 && port < 6100);
+    debug.listeningPorts = vncSockets.map(line => {
+      const parts = line.trim().split(/\s+/);
+      return {
+        port: parts[3].slice(parts[3].lastIndexOf(':') + 1),
+        status: parts[5] || 'unknown'
+      };
+    });
     
     // Get libvirt VMs and their VNC info
-    try {
-      const { stdout: vmsOutput } = await execAsync('virsh list --all --name 2>/dev/null || echo ""');
-      const vmNames = vmsOutput.trim().split('\n').filter(name => name);
+    const list = await tryRun('virsh', ['list', '--all', '--name']);
+    const vmNames = list ? list.stdout.trim().split('\n').filter(name => name) : [];
+    
+    for (const vmName of vmNames) {
+      const vncDisplay = await tryRun('virsh', ['vncdisplay', vmName]);
+      const domDisplay = await tryRun('virsh', ['domdisplay', vmName]);
       
-      for (const vmName of vmNames) {
-        try {
-          const { stdout: vncDisplay } = await execAsync(`virsh vncdisplay ${vmName} 2>/dev/null || echo ""`);
-          const { stdout: domDisplay } = await execAsync(`virsh domdisplay ${vmName} 2>/dev/null || echo ""`);
-          
-          debug.libvirtVMs.push({
-            name: vmName,
-            vncDisplay: vncDisplay.trim(),
-            domDisplay: domDisplay.trim()
-          });
-        } catch (e) {
-          debug.libvirtVMs.push({
-            name: vmName,
-            error: e.message
-          });
-        }
-      }
-    } catch (e) {
-      debug.libvirtVMs = [];
+      debug.libvirtVMs.push({
+        name: vmName,
+        vncDisplay: vncDisplay ? vncDisplay.stdout.trim() : '',
+        domDisplay: domDisplay ? domDisplay.stdout.trim() : ''
+      });
     }
     
     res.json(debug);
@@ -1189,22 +2227,9 @@ app.get('/api/debug/vnc-ports', async (req, res) => {
 });
 
 // Get server IP endpoint
-app.get('/api/server-ip', async (req, res) => {
+app.get('/api/server-ip', requirePermission('system:read'), async (req, res) => {
   try {
-    let serverIP = 'localhost';
-    try {
-      // Try to get external IP first
-      const { stdout: externalIP } = await execAsync('curl -s ifconfig.me || curl -s ipinfo.io/ip || echo ""');
-      if (externalIP && externalIP.trim() && !externalIP.includes('curl:')) {
-        serverIP = externalIP.trim();
-      } else {
-        // Fallback to local IP
-        const { stdout: localIP } = await execAsync('hostname -I | awk \'{print $1}\'');
-        serverIP = localIP.trim() || 'localhost';
-      }
-    } catch (e) {
-      serverIP = 'localhost';
-    }
+    const serverIP = await getServerIP();
     
     res.json({ 
       serverIP: serverIP,
@@ -1217,7 +2242,7 @@ app.get('/api/server-ip', async (req, res) => {
 });
 
 // Debug endpoint for VM setup
-app.get('/api/debug/vm-setup', async (req, res) => {
+app.get('/api/debug/vm-setup', requirePermission('debug:read'), async (req, res) => {
   try {
     const debug = {
       timestamp: new Date().toISOString(),
@@ -1243,63 +2268,19 @@ app.get('/api/debug/vm-setup', async (req, res) => {
     };
     
     // Check virtualization tools
-    try {
-      await execAsync('virsh --version');
-      debug.virtualization.virsh = true;
-    } catch (e) {
-      debug.virtualization.virsh = false;
-    }
-    
-    try {
-      await execAsync('virt-install --version');
-      debug.virtualization.virtInstall = true;
-    } catch (e) {
-      debug.virtualization.virtInstall = false;
-    }
-    
-    try {
-      await execAsync('qemu-img --version');
-      debug.virtualization.qemuImg = true;
-    } catch (e) {
-      debug.virtualization.qemuImg = false;
-    }
-    
-    try {
-      await execAsync('genisoimage --version');
-      debug.virtualization.genisoimage = true;
-    } catch (e) {
-      debug.virtualization.genisoimage = false;
-    }
-    
-    try {
-      await execAsync('wget --version');
-      debug.virtualization.wget = true;
-    } catch (e) {
-      debug.virtualization.wget = false;
-    }
+    debug.virtualization.virsh = Boolean(await tryRun('virsh', ['--version']));
+    debug.virtualization.virtInstall = Boolean(await tryRun('virt-install', ['--version']));
+    debug.virtualization.qemuImg = Boolean(await tryRun('qemu-img', ['--version']));
+    debug.virtualization.genisoimage = Boolean(await tryRun('genisoimage', ['--version']));
+    debug.virtualization.wget = Boolean(await tryRun('wget', ['--version']));
     
     // Check permissions
-    try {
-      await execAsync('test -w /var/lib/libvirt');
-      debug.permissions.libvirtDir = true;
-    } catch (e) {
-      debug.permissions.libvirtDir = false;
-    }
-    
-    try {
-      await execAsync('test -w /var/lib/libvirt/images');
-      debug.permissions.imagesDir = true;
-    } catch (e) {
-      debug.permissions.imagesDir = false;
-    }
+    const isWritable = (dir) => fs.access(dir, fs.constants.W_OK).then(() => true, () => false);
+    debug.permissions.libvirtDir = await isWritable('/var/lib/libvirt');
+    debug.permissions.imagesDir = await isWritable(config.get('vms.imagesDir'));
     
     // Check services
-    try {
-      await execAsync('systemctl is-active libvirtd');
-      debug.services.libvirtd = true;
-    } catch (e) {
-      debug.services.libvirtd = false;
-    }
+    debug.services.libvirtd = Boolean(await tryRun('systemctl', ['is-active', 'libvirtd']));
     
     res.json(debug);
   } catch (error) {
@@ -1307,57 +2288,161 @@ app.get('/api/debug/vm-setup', async (req, res) => {
   }
 });
 
+// Recent external command invocations (newest first)
+app.get('/api/debug/commands', requirePermission('debug:read'), (req, res) => {
+  res.json({ commands: recentInvocations() });
+});
+
 // WebSocket connection for real-time updates
+io.use(auth.requireSocketAuth);
+
+// Drop live sockets as soon as their session is logged out or expires
+auth.onSessionEnd((session) => {
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.data.sessionId === session.id) {
+      socket.disconnect(true);
+    }
+  }
+});
+
+async function sendSystemUpdate(socket) {
+  try {
+    const [cpu, memory, disk] = await Promise.all([
+      si.currentLoad(),
+      si.mem(),
+      si.fsSize()
+    ]);
+    
+    socket.emit('systemUpdate', {
+      cpu: cpu.currentload,
+      memory: {
+        used: memory.used,
+        total: memory.total,
+        percentage: (memory.used / memory.total) * 100
+      },
+      disk: disk.map(d => ({
+        fs: d.fs,
+        used: d.used,
+        total: d.size,
+        percentage: (d.used / d.size) * 100
+      }))
+    });
+  } catch (error) {
+    socket.emit('error', { message: error.message });
+  }
+}
+
+function startSystemUpdates(socket) {
+  clearInterval(socket.data.updateInterval);
+  socket.data.updateInterval = setInterval(() => sendSystemUpdate(socket), config.get('monitoring.intervalSeconds') * 1000);
+}
+
+// Pick up a changed update interval on connected sockets too
+config.onChange((current, previous) => {
+  if (current.monitoring.intervalSeconds !== previous.monitoring.intervalSeconds) {
+    for (const socket of io.of('/').sockets.values()) {
+      startSystemUpdates(socket);
+    }
+  }
+});
+
+// Failed service units, for the sidebar badge of users who can see services
+const FAILED_UNITS_INTERVAL = 30 * 1000;
+
+function canSeeServices(socket) {
+  return roles.hasPermission(roles.permissionsFor(socket.data.user.role), 'services:read');
+}
+
+async function sendFailedUnits(socket) {
+  const sockets = socket ? [socket] : [...io.of('/').sockets.values()];
+  const targets = sockets.filter(canSeeServices);
+  if (targets.length === 0) return;
+  try {
+    const units = await systemd.failedServices();
+    targets.forEach(target => target.emit('failedUnits', { units }));
+  } catch (error) {
+    // No systemd here; leave the badge hidden
+  }
+}
+
+setInterval(() => sendFailedUnits(), FAILED_UNITS_INTERVAL).unref();
+
+// Live journal of one unit per socket, while its logs view is open. The
+// journalctl process is stopped on unfollow, on a new follow and on disconnect.
+function stopJournalFollow(socket) {
+  if (socket.data.journalFollow) {
+    socket.data.journalFollow.abort();
+    socket.data.journalFollow = null;
+  }
+}
+
+function followJournal(socket, unit) {
+  stopJournalFollow(socket);
+  if (!canSeeServices(socket)) {
+    socket.emit('journalEnded', { unit, error: 'Permission denied: services:read required' });
+    return;
+  }
+  const controller = new AbortController();
+  socket.data.journalFollow = controller;
+  journal.follow(unit, entries => socket.emit('journalEntries', { unit, entries }), controller.signal)
+    .then(() => null, error => error.message)
+    .then(error => {
+      if (socket.data.journalFollow === controller) {
+        socket.data.journalFollow = null;
+      }
+      if (!controller.signal.aborted) {
+        socket.emit('journalEnded', { unit, error });
+      }
+    });
+}
+
+// Job progress goes to every socket of the user who started the job
+jobs.onUpdate((job) => {
+  io.to(`user:${job.owner}`).emit('jobUpdate', job);
+});
+
+jobs.onData((job, data) => {
+  io.to(`user:${job.owner}`).emit('jobData', { id: job.id, type: job.type, data });
+});
+
 io.on('connection', (socket) => {
   console.log('Client connected');
+  socket.join(`user:${socket.data.user.username}`);
   
-  // Send system info every 5 seconds
-  const interval = setInterval(async () => {
-    try {
-      const [cpu, memory, disk] = await Promise.all([
-        si.currentLoad(),
-        si.mem(),
-        si.fsSize()
-      ]);
-      
-      socket.emit('systemUpdate', {
-        cpu: cpu.currentload,
-        memory: {
-          used: memory.used,
-          total: memory.total,
-          percentage: (memory.used / memory.total) * 100
-        },
-        disk: disk.map(d => ({
-          fs: d.fs,
-          used: d.used,
-          total: d.size,
-          percentage: (d.used / d.size) * 100
-        }))
-      });
-    } catch (error) {
-      socket.emit('error', { message: error.message });
-    }
-  }, 5000);
+  // Send system info every monitoring.intervalSeconds
+  startSystemUpdates(socket);
+  sendFailedUnits(socket);
+  
+  socket.on('journalFollow', (data) => followJournal(socket, data && data.unit));
+  socket.on('journalUnfollow', () => stopJournalFollow(socket));
   
   socket.on('disconnect', () => {
     console.log('Client disconnected');
-    clearInterval(interval);
+    clearInterval(socket.data.updateInterval);
+    stopJournalFollow(socket);
   });
 });
 
 // Error handling middleware
+// Body parser errors (too large, malformed) are safe to show as they are
 app.use((error, req, res, next) => {
+  if (error.expose && error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
   console.error(error.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // Start server
-server.listen(PORT, () => {
+users.ensureDefaultAdmin().then(() => server.listen(PORT, () => {
   console.log(`🚀 VPS Control Panel running on http://localhost:${PORT}`);
   console.log(`📊 Dashboard: http://localhost:${PORT}`);
   console.log(`🔧 System monitoring enabled`);
   console.log(`📁 File manager ready`);
   console.log(`⚙️  Service management active`);
+})).catch(error => {
+  console.error(`Cannot start the panel: ${error.message}`);
+  process.exit(1);
 });
 
 module.exports = app;
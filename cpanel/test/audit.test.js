@@ -0,0 +1,73 @@
+require('./setup');
+const { EventEmitter } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../lib/audit');
+
+// Run a request through auditTrail and "send" the response
+function audited({ method = 'POST', path, body = {}, user = null, status = 200 }) {
+  const req = { method, path, originalUrl: path, params: {}, body, user, ip: '127.0.0.1', baseUrl: '' };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: status,
+    json(payload) {
+      return payload;
+    }
+  });
+  audit.auditTrail(req, res, () => {});
+  res.json(status >= 400 ? { error: 'refused' } : {});
+  res.emit('finish');
+}
+
+// The log is written through a stream; wait until `count` entries are readable
+async function entries(count, filters = {}) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const found = await audit.query({ ...filters, limit: 10000 });
+    if (found.length >= count) {
+      return found;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`expected ${count} audit entries`);
+}
+
+test('anonymous requests are never attributed to the username in their body', async () => {
+  audited({ path: '/api/users', body: { username: 'admin', password: 'x' }, status: 401 });
+  audited({ path: '/api/auth/login', body: { username: 'admin', password: 'wrong' }, status: 401 });
+  audited({ path: '/api/files/etc', user: { username: 'alice' } });
+
+  const [own, login, forged] = await entries(3);
+  assert.equal(own.actor, 'alice');
+  assert.equal(own.via, 'session');
+  assert.equal(login.actor, 'admin');
+  assert.equal(login.result, 'failure');
+  assert.equal(forged.actor, null);
+  assert.equal(forged.via, 'anonymous');
+  assert.equal(forged.params.password, '[redacted]');
+});
+
+test('reads are not audited', async () => {
+  const before = (await entries(0)).length;
+  audited({ method: 'GET', path: '/api/users', user: { username: 'alice' } });
+  audited({ path: '/api/users', user: { username: 'alice' } });
+  assert.equal((await entries(before + 1)).length, before + 1);
+});
+
+test('query returns the newest entries first, up to the limit', async () => {
+  for (let index = 0; index < 5; index++) {
+    audited({ path: `/api/vms/vm${index}/start`, user: { username: 'bob' } });
+  }
+  await entries(5, { user: 'bob' });
+  const newest = await audit.query({ user: 'bob', limit: 2 });
+  assert.deepEqual(newest.map(entry => entry.path), ['/api/vms/vm4/start', '/api/vms/vm3/start']);
+  assert.ok(newest.every(entry => entry.type === 'vms'));
+});
+
+test('CSV cells that a spreadsheet would run as formulas are prefixed', () => {
+  assert.equal(audit.csvField('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(audit.csvField('+1+2'), "'+1+2");
+  assert.equal(audit.csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(audit.csvField('-12.5'), '-12.5');
+  assert.equal(audit.csvField(-3), '-3');
+  assert.equal(audit.csvField('a,b'), '"a,b"');
+  assert.equal(audit.csvField(null), '');
+});
@@ -0,0 +1,88 @@
+const { runMiddleware } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth');
+const users = require('../lib/users');
+const tokens = require('../lib/tokens');
+
+function request({ method = 'GET', headers = {}, accepts = 'json' } = {}) {
+  return { method, headers, ip: '127.0.0.1', accepts: () => accepts };
+}
+
+function withSession(session) {
+  return request({ headers: { cookie: `cpanel.sid=${session.id}` } });
+}
+
+// identifyToken then requireAuth, as server.js chains them
+function authenticate(req) {
+  runMiddleware(auth.identifyToken, req);
+  return runMiddleware(auth.requireAuth, req);
+}
+
+test.before(async () => {
+  await users.createUser({ username: 'alice', password: 'correct horse', role: 'operator' });
+});
+
+test('requireAuth answers 401 to API requests without credentials', () => {
+  const { next, res } = authenticate(request());
+  assert.equal(next, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('requireAuth sends browsers without a session to the login page', () => {
+  const { next, res } = authenticate(request({ accepts: 'html' }));
+  assert.equal(next, false);
+  assert.equal(res.redirectedTo, '/login.html');
+});
+
+test('requireAuth accepts a live session and sets the user', () => {
+  const session = auth.createSession('alice', request());
+  const req = withSession(session);
+  const { next } = authenticate(req);
+  assert.equal(next, true);
+  assert.equal(req.user.username, 'alice');
+  assert.equal(req.session.id, session.id);
+  assert.equal(runMiddleware(auth.requireSession, req).next, true);
+});
+
+test('requireAuth refuses ended sessions and unknown cookies', () => {
+  const session = auth.createSession('alice', request());
+  auth.endSession(session.id, 'logout');
+  assert.equal(authenticate(withSession(session)).res.statusCode, 401);
+  assert.equal(authenticate(request({ headers: { cookie: 'cpanel.sid=forged' } })).res.statusCode, 401);
+});
+
+test('a session waiting for its second factor grants nothing', () => {
+  const session = auth.createSession('alice', request(), { secondFactorPending: true });
+  const { next, res } = authenticate(withSession(session));
+  assert.equal(next, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(auth.getPendingSession(withSession(session)).id, session.id);
+});
+
+test('sessions of a deleted user stop working', async () => {
+  await users.createUser({ username: 'bob', password: 'correct horse', role: 'viewer' });
+  const session = auth.createSession('bob', request());
+  users.deleteUser('bob');
+  assert.equal(authenticate(withSession(session)).res.statusCode, 401);
+});
+
+test('requireAuth accepts a valid bearer token, which is not a session', () => {
+  const created = tokens.createToken({ owner: 'alice', role: 'operator', name: 'ci', scopes: ['files:read'], expiresInDays: 1 });
+  const req = request({ headers: { authorization: `Bearer ${created.token}` } });
+  const { next } = authenticate(req);
+  assert.equal(next, true);
+  assert.equal(req.user.username, 'alice');
+  assert.deepEqual(req.token.scopes, ['files:read']);
+
+  const { res } = runMiddleware(auth.requireSession, req);
+  assert.equal(res.statusCode, 403);
+});
+
+test('requireAuth refuses a bad bearer token even with a valid session', () => {
+  const session = auth.createSession('alice', request());
+  const req = request({ headers: { cookie: `cpanel.sid=${session.id}`, authorization: 'Bearer cpt_bogus' } });
+  const { next, res } = authenticate(req);
+  assert.equal(next, false);
+  assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,112 @@
+const path = require('path');
+const fs = require('fs');
+const { dir, writeConfig } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const home = path.join(dir, 'home');
+const backupDir = path.join(dir, 'backups');
+for (const name of ['alice/site', 'alice/backups', 'bob/backups']) {
+  fs.mkdirSync(path.join(home, name), { recursive: true });
+}
+fs.mkdirSync(backupDir, { recursive: true });
+fs.writeFileSync(path.join(home, 'alice', 'site', 'index.html'), 'hello');
+// Left by the panel before the catalog existed; imported on the first listing
+fs.writeFileSync(path.join(backupDir, 'backup_20240101_000000.tar.gz'), 'old');
+
+const roots = { alice: [path.join(home, 'alice')], bob: [path.join(home, 'bob')] };
+writeConfig({ files: { roots: { users: roots } }, backups: { defaultPath: backupDir } });
+
+const backups = require('../lib/backups');
+const config = require('../lib/config');
+const jobs = require('../lib/jobs');
+
+const alice = { username: 'alice', role: 'operator' };
+const bob = { username: 'bob', role: 'operator' };
+const admin = { username: 'admin', role: 'admin' };
+
+function status(code) {
+  return error => error.status === code;
+}
+
+async function finished(user, job) {
+  for (let attempt = 0; attempt < 500; attempt++) {
+    const current = jobs.get(user, job.id);
+    if (current.status !== 'running') {
+      return current;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`job ${job.id} did not finish`);
+}
+
+async function backUpSite(user = alice) {
+  const job = await backups.backupFiles(user, {
+    source: path.join(home, 'alice', 'site'),
+    directory: path.join(home, 'alice', 'backups')
+  });
+  const done = await finished(user, job);
+  assert.equal(done.status, 'done', done.error);
+  return done.result.backup;
+}
+
+test('backupFiles jails the source and the target directory', async () => {
+  await assert.rejects(backups.backupFiles(bob, {
+    source: path.join(home, 'alice', 'site'),
+    directory: path.join(home, 'bob', 'backups')
+  }), status(403));
+  await assert.rejects(backups.backupFiles(alice, {
+    source: path.join(home, 'alice', 'site'),
+    directory: path.join(home, 'bob', 'backups')
+  }), status(403));
+  await assert.rejects(backups.backupFiles(admin, { source: '/etc', directory: backupDir }), status(403));
+  await assert.rejects(backups.backupFiles(admin, { source: dir, directory: backupDir }), status(403));
+});
+
+test('a backup is cataloged with its creator', async () => {
+  const backup = await backUpSite();
+  assert.equal(backup.creator, 'alice');
+  assert.equal(backup.status, 'completed');
+  assert.match(backup.checksum, /^[a-f0-9]{64}$/);
+  assert.ok(backup.file.startsWith(path.join(home, 'alice', 'backups') + path.sep));
+});
+
+test('only the creator and admins can download, verify or delete a backup', async () => {
+  const backup = await backUpSite();
+  assert.equal(await backups.backupFile(alice, backup.id), backup.file);
+  assert.equal(await backups.backupFile(admin, backup.id), backup.file);
+  await assert.rejects(backups.backupFile(bob, backup.id), status(403));
+  await assert.rejects(backups.verify(bob, backup.id), status(403));
+  await assert.rejects(backups.remove(bob, backup.id), status(403));
+  await assert.rejects(backups.restoreDatabase(bob, { id: backup.id }), status(403));
+  assert.ok(fs.existsSync(backup.file));
+
+  const verified = await finished(alice, await backups.verify(alice, backup.id));
+  assert.equal(verified.status, 'done', verified.error);
+  await assert.rejects(backups.restoreDatabase(alice, { id: backup.id }), status(400));
+
+  await backups.remove(alice, backup.id);
+  assert.ok(!fs.existsSync(backup.file));
+  await assert.rejects(backups.backupFile(alice, backup.id), status(404));
+});
+
+test('imported backups are for admins only', async () => {
+  const imported = (await backups.list({ type: 'files' })).find(entry => entry.imported);
+  assert.equal(imported.creator, null);
+  await assert.rejects(backups.backupFile(alice, imported.id), status(403));
+  assert.equal(await backups.backupFile(admin, imported.id), path.join(backupDir, 'backup_20240101_000000.tar.gz'));
+});
+
+test('a backup outside the creator\'s allowed folders is out of reach', async () => {
+  const backup = await backUpSite();
+  writeConfig({ files: { roots: { users: { ...roots, alice: [path.join(home, 'alice', 'site')] } } }, backups: { defaultPath: backupDir } });
+  config.reload();
+  try {
+    await assert.rejects(backups.backupFile(alice, backup.id), status(403));
+    await assert.rejects(backups.remove(alice, backup.id), status(403));
+    assert.equal(await backups.backupFile(admin, backup.id), backup.file);
+  } finally {
+    writeConfig({ files: { roots: { users: roots } }, backups: { defaultPath: backupDir } });
+    config.reload();
+  }
+});
@@ -0,0 +1,91 @@
+const path = require('path');
+const fs = require('fs');
+const { dir, writeConfig } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const root = path.join(dir, 'home', 'alice');
+const outside = path.join(dir, 'elsewhere');
+fs.mkdirSync(root, { recursive: true });
+fs.mkdirSync(outside, { recursive: true });
+fs.writeFileSync(path.join(outside, 'victim.conf'), 'untouched');
+fs.symlinkSync(path.join(outside, 'victim.conf'), path.join(root, 'linked.conf'));
+writeConfig({ files: { roots: { users: { alice: [root] } } }, editor: { maxFileSizeKB: 1 } });
+
+const editor = require('../lib/editor');
+
+const alice = { username: 'alice', role: 'operator' };
+const admin = { username: 'admin', role: 'admin' };
+
+function status(code) {
+  return error => error.status === code;
+}
+
+function file(name, content) {
+  const target = path.join(root, name);
+  fs.writeFileSync(target, content);
+  return target;
+}
+
+test('readText returns the content with an ETag', async () => {
+  const target = file('app.conf', 'port = 80\n');
+  const loaded = await editor.readText(alice, target);
+  assert.equal(loaded.content, 'port = 80\n');
+  assert.match(loaded.etag, /^"[a-f0-9]{32}"$/);
+});
+
+test('readText refuses what the jail, size or encoding rule out', async () => {
+  await assert.rejects(editor.readText(alice, path.join(outside, 'victim.conf')), status(403));
+  await assert.rejects(editor.readText(alice, path.join(root, 'linked.conf')), status(403));
+  await assert.rejects(editor.readText(admin, '/etc/shadow'), status(403));
+  await assert.rejects(editor.readText(alice, path.join(root, 'missing.txt')), status(404));
+  await assert.rejects(editor.readText(alice, file('big.txt', 'x'.repeat(2048))), status(413));
+  await assert.rejects(editor.readText(alice, file('image.bin', Buffer.from([0x89, 0x50, 0x00, 0x01]))), status(415));
+});
+
+test('writeText saves only against the ETag that was loaded', async () => {
+  const target = file('site.conf', 'v1\n');
+  fs.chmodSync(target, 0o640);
+  const { etag } = await editor.readText(alice, target);
+
+  await assert.rejects(editor.writeText(alice, target, 'v2\n', {}), status(428));
+  const saved = await editor.writeText(alice, target, 'v2\n', { ifMatch: etag });
+  assert.equal(fs.readFileSync(target, 'utf8'), 'v2\n');
+  assert.equal(fs.statSync(target).mode & 0o777, 0o640);
+
+  await assert.rejects(editor.writeText(alice, target, 'v3\n', { ifMatch: etag }), error => error.status === 412 && error.etag === saved.etag);
+  await editor.writeText(alice, target, 'v3\n', { ifMatch: '*' });
+  assert.equal(fs.readFileSync(target, 'utf8'), 'v3\n');
+  // No temporary files left behind
+  assert.deepEqual(fs.readdirSync(root).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('writeText refuses targets outside the roots', async () => {
+  await assert.rejects(editor.writeText(alice, path.join(outside, 'victim.conf'), 'owned', { ifMatch: '*' }), status(403));
+  await assert.rejects(editor.writeText(alice, path.join(root, 'linked.conf'), 'owned', { ifMatch: '*' }), status(403));
+  assert.equal(fs.readFileSync(path.join(outside, 'victim.conf'), 'utf8'), 'untouched');
+});
+
+test('the backup copy is written next to the file', async () => {
+  const target = file('backed.conf', 'original\n');
+  const result = await editor.writeText(alice, target, 'changed\n', { ifMatch: '*', backup: true });
+  assert.equal(result.backup, `${target}.bak`);
+  assert.equal(fs.readFileSync(`${target}.bak`, 'utf8'), 'original\n');
+
+  // An older backup is replaced
+  await editor.writeText(alice, target, 'again\n', { ifMatch: '*', backup: true });
+  assert.equal(fs.readFileSync(`${target}.bak`, 'utf8'), 'changed\n');
+});
+
+test('a symlink planted at the backup path is not written through', async () => {
+  const target = file('planted.conf', 'mine\n');
+  fs.symlinkSync(path.join(outside, 'victim.conf'), `${target}.bak`);
+  await assert.rejects(editor.writeText(alice, target, 'new\n', { ifMatch: '*', backup: true }), status(403));
+  assert.equal(fs.readFileSync(path.join(outside, 'victim.conf'), 'utf8'), 'untouched');
+  assert.equal(fs.readFileSync(target, 'utf8'), 'mine\n');
+
+  // Even one pointing inside the roots
+  fs.unlinkSync(`${target}.bak`);
+  fs.symlinkSync(path.join(root, 'app.conf'), `${target}.bak`);
+  await assert.rejects(editor.writeText(alice, target, 'new\n', { ifMatch: '*', backup: true }), status(403));
+});
@@ -0,0 +1,94 @@
+const path = require('path');
+const fs = require('fs');
+const { dir, writeConfig } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const root = path.join(dir, 'home', 'alice');
+const outside = path.join(dir, 'elsewhere');
+fs.mkdirSync(path.join(root, 'site'), { recursive: true });
+fs.mkdirSync(outside, { recursive: true });
+fs.writeFileSync(path.join(root, 'site', 'index.html'), 'hello');
+fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+fs.symlinkSync(outside, path.join(root, 'escape'));
+writeConfig({ files: { roots: { users: { alice: [root] } } } });
+
+const fileops = require('../lib/fileops');
+
+const alice = { username: 'alice', role: 'operator' };
+const admin = { username: 'admin', role: 'admin' };
+
+function status(code) {
+  return error => error.status === code;
+}
+
+test('mkdir and touch work inside the roots only', async () => {
+  assert.equal(await fileops.mkdir(alice, path.join(root, 'a', 'b')), path.join(root, 'a', 'b'));
+  await assert.rejects(fileops.mkdir(alice, path.join(root, 'a', 'b')), status(409));
+  await assert.rejects(fileops.mkdir(alice, path.join(outside, 'new')), status(403));
+  await assert.rejects(fileops.mkdir(alice, path.join(root, 'escape', 'new')), status(403));
+
+  await fileops.touch(alice, path.join(root, 'empty.txt'));
+  await assert.rejects(fileops.touch(alice, path.join(root, 'site', 'index.html')), status(409));
+  assert.equal(fs.readFileSync(path.join(root, 'site', 'index.html'), 'utf8'), 'hello');
+  await assert.rejects(fileops.touch(admin, '/etc/shadow-'), status(403));
+});
+
+test('rename keeps the entry in its folder and refuses roots', async () => {
+  await fileops.touch(alice, path.join(root, 'old.txt'));
+  assert.equal(await fileops.rename(alice, path.join(root, 'old.txt'), 'new.txt'), path.join(root, 'new.txt'));
+  await assert.rejects(fileops.rename(alice, path.join(root, 'new.txt'), '../../elsewhere/x'), status(400));
+  await assert.rejects(fileops.rename(alice, path.join(root, 'new.txt'), 'site'), status(409));
+  await assert.rejects(fileops.rename(alice, root, 'other'), status(403));
+});
+
+test('copy and move stay inside the roots', async () => {
+  const [fromOutside] = await fileops.transfer(alice, [path.join(outside, 'secret.txt')], root, { mode: 'copy' });
+  assert.equal(fromOutside.status, 'error');
+  assert.equal(fromOutside.code, 403);
+  await assert.rejects(
+    fileops.transfer(alice, [path.join(root, 'site')], outside, { mode: 'copy' }),
+    status(403)
+  );
+  await assert.rejects(
+    fileops.transfer(alice, [path.join(root, 'site')], path.join(root, 'escape'), { mode: 'copy' }),
+    status(403)
+  );
+
+  // The link itself is copied, not what it points to
+  const [link] = await fileops.transfer(alice, [path.join(root, 'escape')], path.join(root, 'a'), { mode: 'copy' });
+  assert.equal(link.status, 'done');
+  assert.ok(fs.lstatSync(link.target).isSymbolicLink());
+});
+
+test('folders holding protected paths cannot be copied or moved', async () => {
+  fs.mkdirSync(path.join(dir, 'home', 'admin'), { recursive: true });
+  for (const mode of ['copy', 'move']) {
+    const results = await fileops.transfer(admin, ['/etc', dir], path.join(dir, 'home', 'admin'), { mode });
+    for (const result of results) {
+      assert.equal(result.status, 'error');
+      assert.equal(result.code, 403);
+      assert.match(result.error, /contains protected system paths/);
+    }
+  }
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'home', 'admin')), []);
+});
+
+test('overwrite policies decide what happens to an existing target', async () => {
+  const destination = path.join(root, 'copies');
+  await fileops.mkdir(alice, destination);
+  const source = [path.join(root, 'site', 'index.html')];
+  assert.equal((await fileops.transfer(alice, source, destination, { mode: 'copy' }))[0].status, 'done');
+
+  const [conflict] = await fileops.transfer(alice, source, destination, { mode: 'copy' });
+  assert.equal(conflict.code, 409);
+  assert.equal((await fileops.transfer(alice, source, destination, { mode: 'copy', overwrite: 'skip' }))[0].status, 'skipped');
+  const [renamed] = await fileops.transfer(alice, source, destination, { mode: 'copy', overwrite: 'rename' });
+  assert.equal(renamed.target, path.join(destination, 'index (2).html'));
+  await assert.rejects(fileops.transfer(alice, source, destination, { mode: 'copy', overwrite: 'merge' }), status(400));
+
+  const [moved] = await fileops.transfer(alice, [path.join(destination, 'index (2).html')], root, { mode: 'move' });
+  assert.equal(moved.status, 'done');
+  assert.ok(fs.existsSync(path.join(root, 'index (2).html')));
+  assert.ok(!fs.existsSync(path.join(destination, 'index (2).html')));
+});
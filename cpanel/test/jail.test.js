@@ -0,0 +1,78 @@
+const path = require('path');
+const fs = require('fs');
+const { dir, writeConfig } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const root = path.join(dir, 'home', 'alice');
+const outside = path.join(dir, 'elsewhere');
+fs.mkdirSync(path.join(root, 'docs'), { recursive: true });
+fs.mkdirSync(outside, { recursive: true });
+fs.writeFileSync(path.join(root, 'docs', 'notes.txt'), 'notes');
+fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+fs.symlinkSync(outside, path.join(root, 'escape'));
+fs.symlinkSync(path.join(root, 'docs'), path.join(root, 'shortcut'));
+writeConfig({ files: { roots: { users: { alice: [root] } } } });
+
+const jail = require('../lib/jail');
+const store = require('../lib/store');
+
+const alice = { username: 'alice', role: 'operator' };
+const admin = { username: 'admin', role: 'admin' };
+
+function assertStatus(status) {
+  return error => error.status === status;
+}
+
+test('allowedRoots prefers the user entry over the role', () => {
+  assert.deepEqual(jail.allowedRoots(alice), [root]);
+  assert.deepEqual(jail.allowedRoots(admin), ['/']);
+  assert.deepEqual(jail.allowedRoots({ username: 'v', role: 'viewer' }), []);
+});
+
+test('resolve returns paths inside the roots', async () => {
+  assert.equal(await jail.resolve(alice, path.join(root, 'docs', 'notes.txt')), path.join(root, 'docs', 'notes.txt'));
+  assert.equal(await jail.resolve(alice, root), root);
+  // Not there yet, e.g. an upload or a new folder
+  assert.equal(await jail.resolve(alice, path.join(root, 'new', 'file.txt')), path.join(root, 'new', 'file.txt'));
+});
+
+test('resolve refuses paths outside the roots', async () => {
+  await assert.rejects(jail.resolve(alice, path.join(outside, 'secret.txt')), assertStatus(403));
+  await assert.rejects(jail.resolve(alice, path.join(root, '..', 'alice-other')), assertStatus(403));
+  await assert.rejects(jail.resolve(alice, `${root}/../../elsewhere/secret.txt`), assertStatus(403));
+  await assert.rejects(jail.resolve({ username: 'v', role: 'viewer' }, '/tmp'), assertStatus(403));
+});
+
+test('resolve follows symlinks only to allowed places', async () => {
+  await assert.rejects(jail.resolve(alice, path.join(root, 'escape', 'secret.txt')), assertStatus(403));
+  await assert.rejects(jail.resolve(alice, path.join(root, 'escape')), assertStatus(403));
+  assert.equal(await jail.resolve(alice, path.join(root, 'shortcut', 'notes.txt')), path.join(root, 'docs', 'notes.txt'));
+});
+
+test('resolve with follow: false returns the link itself', async () => {
+  assert.equal(await jail.resolve(alice, path.join(root, 'escape'), { follow: false }), path.join(root, 'escape'));
+  // Links earlier in the path are still followed
+  await assert.rejects(jail.resolve(alice, path.join(root, 'escape', 'secret.txt'), { follow: false }), assertStatus(403));
+});
+
+test('resolve refuses protected paths whatever the roots', async () => {
+  await assert.rejects(jail.resolve(admin, '/etc/shadow'), assertStatus(403));
+  // Backups shadow-utils keeps next to the originals
+  await assert.rejects(jail.resolve(admin, '/etc/shadow-'), assertStatus(403));
+  await assert.rejects(jail.resolve(admin, '/etc/gshadow-'), assertStatus(403));
+  await assert.rejects(jail.resolve(admin, '/proc/self/environ'), assertStatus(403));
+  await assert.rejects(jail.resolve(admin, path.join(store.DATA_DIR, 'users.json')), assertStatus(403));
+  await assert.rejects(jail.resolve(admin, process.env.CPANEL_CONFIG), assertStatus(403));
+});
+
+test('resolve refuses malformed paths', async () => {
+  await assert.rejects(jail.resolve(alice, `${root}/a\0b`), assertStatus(400));
+  await assert.rejects(jail.resolve(alice, undefined), assertStatus(400));
+});
+
+test('assertRemovable refuses roots and folders holding protected paths', () => {
+  assert.throws(() => jail.assertRemovable(alice, root), assertStatus(403));
+  assert.throws(() => jail.assertRemovable(admin, '/etc'), assertStatus(403));
+  assert.doesNotThrow(() => jail.assertRemovable(alice, path.join(root, 'docs')));
+});
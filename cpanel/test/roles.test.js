@@ -0,0 +1,58 @@
+const { runMiddleware } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const roles = require('../lib/roles');
+
+const admin = { username: 'root-admin', role: 'admin' };
+const operator = { username: 'op', role: 'operator' };
+const viewer = { username: 'view', role: 'viewer' };
+
+test('hasPermission understands "*" and "<family>:*"', () => {
+  assert.equal(roles.hasPermission(['*'], 'users:write'), true);
+  assert.equal(roles.hasPermission(['vms:*'], 'vms:write'), true);
+  assert.equal(roles.hasPermission(['vms:*'], 'networks:write'), false);
+  assert.equal(roles.hasPermission(['files:read'], 'files:read'), true);
+  assert.equal(roles.hasPermission(['files:read'], 'files:write'), false);
+});
+
+test('allows follows the role of the user', () => {
+  assert.equal(roles.allows({ user: admin }, 'users:write'), true);
+  assert.equal(roles.allows({ user: operator }, 'files:write'), true);
+  assert.equal(roles.allows({ user: operator }, 'files:purge'), false);
+  assert.equal(roles.allows({ user: viewer }, 'services:write'), false);
+  assert.equal(roles.allows({ user: { username: 'x', role: 'unknown' } }, 'system:read'), false);
+});
+
+test('allows refuses requests without a user', () => {
+  assert.equal(roles.allows({}, 'system:read'), false);
+  assert.equal(roles.allows({ token: { scopes: ['*'] } }, 'system:read'), false);
+});
+
+test('allows limits token requests to the token scopes', () => {
+  const req = { user: admin, token: { scopes: ['files:read'] } };
+  assert.equal(roles.allows(req, 'files:read'), true);
+  assert.equal(roles.allows(req, 'files:write'), false);
+  // A scope never widens the role
+  assert.equal(roles.allows({ user: viewer, token: { scopes: ['files:read'] } }, 'files:read'), false);
+});
+
+test('requirePermission answers 401 without a user and 403 without the permission', () => {
+  const middleware = roles.requirePermission('services:write');
+
+  const anonymous = runMiddleware(middleware, {});
+  assert.equal(anonymous.next, false);
+  assert.equal(anonymous.res.statusCode, 401);
+
+  const denied = runMiddleware(middleware, { user: viewer });
+  assert.equal(denied.next, false);
+  assert.equal(denied.res.statusCode, 403);
+  assert.match(denied.res.body.error, /services:write/);
+
+  assert.equal(runMiddleware(middleware, { user: operator }).next, true);
+});
+
+test('scopesFor lists only what the role grants', () => {
+  assert.ok(roles.scopesFor('admin').includes('users:write'));
+  assert.ok(roles.scopesFor('viewer').every(scope => scope.endsWith(':read')));
+  assert.deepEqual(roles.scopesFor('unknown'), []);
+});
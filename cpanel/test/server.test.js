@@ -0,0 +1,102 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const { dir } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Requests against a real server.js child process: the auth gate sits in
+// front of the routes, so it is only meaningful tested end to end
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const PASSWORD = 'test-password-123';
+
+let server = null;
+let cookie = null;
+
+function waitForStart(child) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 30000);
+    const onData = data => {
+      output += data;
+      if (output.includes('running on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+function api(requestPath, { method = 'GET', body, headers = {}, session = false } = {}) {
+  return fetch(BASE + requestPath, {
+    method,
+    redirect: 'manual',
+    headers: {
+      accept: 'application/json',
+      ...(body ? { 'content-type': 'application/json' } : {}),
+      ...(session ? { cookie } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+test.before(async () => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(PORT), ADMIN_PASSWORD: PASSWORD, CPANEL_DATA_DIR: path.join(dir, 'server-data') },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await waitForStart(server);
+
+  const response = await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: PASSWORD } });
+  assert.equal(response.status, 200);
+  cookie = response.headers.get('set-cookie').split(';')[0];
+});
+
+test.after(() => {
+  if (server && server.exitCode === null) {
+    server.kill();
+  }
+});
+
+test('API paths need authentication whatever their case', async () => {
+  for (const requestPath of ['/api/users', '/API/users', '/Api/Users', '/api/files/etc', '/API/FILES/etc', '/api/tokens']) {
+    const response = await api(requestPath);
+    assert.equal(response.status, 401, requestPath);
+  }
+  assert.equal((await api('/API/users', { method: 'POST', body: { username: 'x' } })).status, 401);
+});
+
+test('routes match case-sensitively once logged in', async () => {
+  assert.equal((await api('/api/users', { session: true })).status, 200);
+  assert.equal((await api('/API/users', { session: true })).status, 404);
+});
+
+test('a bad login is refused without a session', async () => {
+  const response = await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: 'wrong' } });
+  assert.equal(response.status, 401);
+  assert.equal(response.headers.get('set-cookie'), null);
+});
+
+test('API tokens are limited to their scopes and cannot manage tokens', async () => {
+  const created = await api('/api/tokens', {
+    method: 'POST',
+    session: true,
+    body: { name: 'test', scopes: ['system:read'], expiresInDays: 1 }
+  });
+  assert.equal(created.status, 200);
+  const { token } = await created.json();
+  const headers = { authorization: `Bearer ${token.token}` };
+
+  assert.equal((await api('/api/tokens', { headers })).status, 403);
+  assert.equal((await api(`/api/tokens/${token.id}`, { method: 'DELETE', headers })).status, 403);
+  assert.equal((await api('/api/users', { headers })).status, 403);
+  assert.equal((await api('/api/jobs', { headers })).status, 200);
+  assert.equal((await api('/api/users', { headers: { authorization: 'Bearer cpt_bogus' } })).status, 401);
+});
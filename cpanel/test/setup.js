@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Points the panel's data directory and config file at a fresh temporary
+// directory, removed again when the test process exits. Require this before
+// anything from lib/: the store and config read their paths on load.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpanel-test-'));
+process.env.CPANEL_DATA_DIR = path.join(dir, 'data');
+process.env.CPANEL_CONFIG = path.join(dir, 'config.json');
+
+process.on('exit', () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Config is read on first use, so call this before the first config.get()
+function writeConfig(values) {
+  fs.writeFileSync(process.env.CPANEL_CONFIG, JSON.stringify(values));
+}
+
+// Just enough of an Express response for middleware
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    redirectedTo: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    redirect(location) {
+      this.statusCode = 302;
+      this.redirectedTo = location;
+      return this;
+    }
+  };
+}
+
+// Run one synchronous middleware; returns whether it called next() and the response
+function runMiddleware(middleware, req, res = fakeResponse()) {
+  let called = false;
+  middleware(req, res, () => {
+    called = true;
+  });
+  return { next: called, res };
+}
+
+module.exports = {
+  dir,
+  writeConfig,
+  fakeResponse,
+  runMiddleware
+};
@@ -0,0 +1,70 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tokens = require('../lib/tokens');
+
+function create(fields = {}) {
+  return tokens.createToken({
+    owner: 'alice',
+    role: 'operator',
+    name: 'deploy',
+    scopes: ['files:read'],
+    expiresInDays: 30,
+    ...fields
+  });
+}
+
+test('createToken returns the secret once and stores only its hash', () => {
+  const created = create();
+  assert.match(created.token, /^cpt_[a-f0-9]{16}_[A-Za-z0-9_-]{43}$/);
+  assert.equal(created.owner, 'alice');
+  assert.deepEqual(created.scopes, ['files:read']);
+
+  const listed = tokens.listTokens('alice').find(token => token.id === created.id);
+  assert.equal(listed.token, undefined);
+  assert.equal(listed.hash, undefined);
+  assert.equal(listed.expired, false);
+  assert.deepEqual(tokens.listTokens('bob'), []);
+});
+
+test('createToken refuses scopes the role does not have', () => {
+  assert.throws(() => create({ scopes: ['users:write'] }), error => error.status === 400 && /users:write/.test(error.message));
+  assert.throws(() => create({ role: 'viewer', scopes: ['files:read'] }), error => error.status === 400);
+  assert.throws(() => create({ scopes: [] }), error => error.status === 400);
+});
+
+test('createToken checks the name and expiry', () => {
+  assert.throws(() => create({ name: ' ' }), error => error.status === 400);
+  assert.throws(() => create({ name: 'x'.repeat(65) }), error => error.status === 400);
+  assert.throws(() => create({ expiresInDays: 0 }), error => error.status === 400);
+  assert.throws(() => create({ expiresInDays: tokens.MAX_EXPIRY_DAYS + 1 }), error => error.status === 400);
+});
+
+test('verifyToken accepts the exact secret only', () => {
+  const created = create();
+  const verified = tokens.verifyToken(created.token, '127.0.0.1');
+  assert.equal(verified.id, created.id);
+  assert.equal(verified.lastUsedIp, '127.0.0.1');
+
+  const tampered = created.token.slice(0, -1) + (created.token.endsWith('A') ? 'B' : 'A');
+  assert.equal(tokens.verifyToken(tampered, '127.0.0.1'), null);
+  assert.equal(tokens.verifyToken('cpt_0000000000000000_' + 'A'.repeat(43), '127.0.0.1'), null);
+  assert.equal(tokens.verifyToken('not a token', '127.0.0.1'), null);
+  assert.equal(tokens.verifyToken(undefined, '127.0.0.1'), null);
+});
+
+test('revoked tokens stop working and only the owner can revoke', () => {
+  const created = create();
+  assert.throws(() => tokens.revokeToken(created.id, 'bob'), error => error.status === 404);
+  assert.notEqual(tokens.verifyToken(created.token, '127.0.0.1'), null);
+
+  tokens.revokeToken(created.id, 'alice');
+  assert.equal(tokens.verifyToken(created.token, '127.0.0.1'), null);
+});
+
+test('revokeUserTokens drops every token of a user', () => {
+  const created = create({ owner: 'carol' });
+  tokens.revokeUserTokens('carol');
+  assert.deepEqual(tokens.listTokens('carol'), []);
+  assert.equal(tokens.verifyToken(created.token, '127.0.0.1'), null);
+});
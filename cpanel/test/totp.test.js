@@ -0,0 +1,78 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+const users = require('../lib/users');
+
+// RFC 4226 appendix D: the ASCII secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VALUES = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+function currentCounter() {
+  return Math.floor(Date.now() / 1000 / 30);
+}
+
+test('hotp matches the RFC 4226 test values', () => {
+  RFC_VALUES.forEach((value, counter) => {
+    assert.equal(totp.hotp(RFC_SECRET, counter), value);
+  });
+});
+
+test('generateSecret returns 160 bits of base32', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(totp.generateSecret(), secret);
+});
+
+test('verify accepts one step of drift and returns the counter', () => {
+  const secret = totp.generateSecret();
+  const counter = currentCounter();
+  assert.equal(totp.verify(secret, totp.hotp(secret, counter)), counter);
+  assert.equal(totp.verify(secret, totp.hotp(secret, counter - 1)), counter - 1);
+  assert.equal(totp.verify(secret, ` ${totp.hotp(secret, counter).replace(/(\d{3})/, '$1 ')}`), counter);
+  assert.equal(totp.verify(secret, totp.hotp(secret, counter - 3)), null);
+});
+
+test('verify refuses codes at or before the last used counter', () => {
+  const secret = totp.generateSecret();
+  const counter = currentCounter();
+  assert.equal(totp.verify(secret, totp.hotp(secret, counter), counter), null);
+  assert.equal(totp.verify(secret, totp.hotp(secret, counter - 1), counter - 1), null);
+});
+
+test('verify refuses malformed codes', () => {
+  const secret = totp.generateSecret();
+  for (const code of ['', '12345', '1234567', 'abcdef', null, undefined, 123456]) {
+    assert.equal(totp.verify(secret, code), null);
+  }
+});
+
+test('otpauthUri carries the secret and issuer', () => {
+  const uri = new URL(totp.otpauthUri(RFC_SECRET, 'alice', 'VPS Panel'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'VPS Panel');
+});
+
+test('second factor: codes are single use and recovery codes survive a refused regeneration', async () => {
+  await users.createUser({ username: 'alice', password: 'correct horse', role: 'operator' });
+  const { secret } = users.beginTotpEnrollment('alice');
+  const counter = currentCounter();
+  const recoveryCodes = users.confirmTotpEnrollment('alice', totp.hotp(secret, counter - 1));
+  assert.equal(recoveryCodes.length, 10);
+
+  // The enrollment code cannot be replayed
+  assert.equal(users.verifySecondFactor('alice', totp.hotp(secret, counter - 1)), null);
+  assert.equal(users.verifySecondFactor('alice', totp.hotp(secret, counter)), 'totp');
+  assert.equal(users.verifySecondFactor('alice', totp.hotp(secret, counter)), null);
+
+  assert.throws(() => users.regenerateRecoveryCodes('alice', recoveryCodes[0]), error => error.status === 400);
+  assert.equal(users.verifySecondFactor('alice', recoveryCodes[0]), 'recovery');
+  assert.equal(users.verifySecondFactor('alice', recoveryCodes[0]), null);
+  assert.equal(users.getUser('alice').recoveryCodesRemaining, 9);
+
+  const fresh = users.regenerateRecoveryCodes('alice', totp.hotp(secret, counter + 1));
+  assert.equal(fresh.length, 10);
+  assert.equal(users.verifySecondFactor('alice', recoveryCodes[1]), null);
+  assert.equal(users.verifySecondFactor('alice', fresh[0]), 'recovery');
+});